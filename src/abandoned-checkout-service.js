@@ -3,6 +3,9 @@ import {
   fetchAbandonedCheckoutById, 
   formatAbandonedCheckoutForCall 
 } from './shopify-graphql-queries.js';
+import { shopifyGraphQL } from './shopify-client.js';
+import { lookupLatestOrderForPhone } from './order-lookup.js';
+import { checkDiscountEligibility } from './discount-policy.js';
 import axios from 'axios';
 import dotenv from 'dotenv';
 
@@ -63,74 +66,89 @@ export function formatCheckoutForCall(checkout) {
   return formatAbandonedCheckoutForCall(checkout);
 }
 
+// Orders placed within this many days suppress an abandoned-checkout call
+export const RECENT_ORDER_WINDOW_DAYS = Number(process.env.ABANDONED_CHECKOUT_RECENT_ORDER_DAYS || 7);
+
+const RECENT_ORDERS_QUERY = `
+  query recentOrders($query: String!) {
+    orders(first: 5, sortKey: CREATED_AT, reverse: true, query: $query) {
+      nodes {
+        name
+        createdAt
+        cancelledAt
+      }
+    }
+  }
+`;
+
 /**
  * Check if customer has recent successful orders
  * This helps avoid calling customers who just made purchases
+ *
+ * Looks up orders by email (order search) and by phone (see order-lookup.js) within
+ * the window, and whether the abandoned checkout itself has since been completed.
+ * Orders placed after the checkout was abandoned count as the checkout converting.
+ *
+ * @param {string} email
+ * @param {string} phone
+ * @param {string} checkoutId - abandoned checkout id, to check completedAt
+ * @param {string} checkoutCreatedAt - when the checkout was abandoned
+ * @param {string} completedAt - checkout completedAt when the caller already has it
+ * @param {number} days - recent-order window
+ * @param {boolean} fresh - bypass the order lookup cache (dial-time re-checks)
+ * @returns {Promise<{ hasRecentOrders, reason, orderNumber, lastOrderDate, checkoutConverted }>}
  */
-export async function checkCustomerHistory(customerEmail, days = 7) {
+export async function checkCustomerHistory({
+  email = null,
+  phone = null,
+  checkoutId = null,
+  checkoutCreatedAt = null,
+  completedAt = null,
+  days = RECENT_ORDER_WINDOW_DAYS,
+  fresh = false
+} = {}) {
+  const none = { hasRecentOrders: false, reason: null, orderNumber: null, lastOrderDate: null, checkoutConverted: false };
   try {
-    if (!customerEmail) return { hasRecentOrders: false, lastOrderDate: null };
-    
-    // Query for recent orders by this customer
-    const query = `email:${customerEmail} AND created_at:>${days} days ago`;
-    
-    // This would need to be implemented with a separate GraphQL query for orders
-    // For now, return a basic check
-    console.log(`🔍 Checking customer history for ${customerEmail} (last ${days} days)`);
-    
-    return { hasRecentOrders: false, lastOrderDate: null };
-    
-  } catch (error) {
-    console.error('❌ Failed to check customer history:', error.message);
-    return { hasRecentOrders: false, lastOrderDate: null };
-  }
-}
+    console.log(`🔍 Checking customer history for ${email || phone} (last ${days} days)`);
 
-/**
- * Check if customer is eligible for discount based on history
- */
-export async function checkDiscountEligibility(customerEmail, totalValue) {
-  try {
-    const history = await checkCustomerHistory(customerEmail);
-    
-    // If they have recent orders, they might be less likely to need a discount
-    if (history.hasRecentOrders) {
-      return {
-        eligible: true,
-        discountPercent: 5, // Smaller discount for recent customers
-        reason: 'Recent customer - smaller discount'
-      };
+    if (!completedAt && checkoutId) {
+      const checkout = await fetchAbandonedCheckoutById(String(checkoutId)).catch(() => null);
+      completedAt = checkout?.completedAt || null;
     }
-    
-    // Higher value carts get bigger discounts
-    if (totalValue >= 200) {
-      return {
-        eligible: true,
-        discountPercent: 15,
-        reason: 'High value cart - maximum discount'
-      };
-    } else if (totalValue >= 100) {
-      return {
-        eligible: true,
-        discountPercent: 10,
-        reason: 'Medium value cart - standard discount'
-      };
-    } else {
-      return {
-        eligible: true,
-        discountPercent: 5,
-        reason: 'Lower value cart - minimal discount'
-      };
+    if (completedAt) {
+      return { ...none, hasRecentOrders: true, reason: 'checkout_converted', lastOrderDate: completedAt, checkoutConverted: true };
     }
-    
-  } catch (error) {
-    console.error('❌ Failed to check discount eligibility:', error.message);
-    // Default to eligible with 10% discount
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const orders = [];
+
+    if (email) {
+      const data = await shopifyGraphQL(RECENT_ORDERS_QUERY, { query: `email:"${email}" AND created_at:>='${since.toISOString()}'` });
+      for (const o of data?.orders?.nodes || []) {
+        if (!o.cancelledAt) orders.push({ name: o.name, created_at: o.createdAt });
+      }
+    }
+    if (phone) {
+      const o = await lookupLatestOrderForPhone(phone, { fresh });
+      if (o && !o.cancelled_at && new Date(o.created_at) >= since) orders.push({ name: o.name, created_at: o.created_at });
+    }
+
+    const latest = orders.sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+    if (!latest) return none;
+
+    const converted = !!checkoutCreatedAt && new Date(latest.created_at) >= new Date(checkoutCreatedAt);
     return {
-      eligible: true,
-      discountPercent: 10,
-      reason: 'Default discount due to error'
+      hasRecentOrders: true,
+      reason: converted ? 'checkout_converted' : 'recent_order',
+      orderNumber: latest.name,
+      lastOrderDate: latest.created_at,
+      checkoutConverted: converted
     };
+
+  } catch (error) {
+    // Fail open: a Shopify hiccup shouldn't stop the whole campaign
+    console.error('❌ Failed to check customer history:', error.message);
+    return { ...none, error: error.message };
   }
 }
 
@@ -156,14 +174,24 @@ export async function getAbandonedCheckoutsForCalling({ hours = 24, minValue = 5
       }
       
       // Check customer history
-      const history = await checkCustomerHistory(formatted.customer_email);
+      const history = await checkCustomerHistory({
+        email: formatted.customer_email,
+        phone: formatted.phone,
+        checkoutCreatedAt: formatted.created_at,
+        completedAt: formatted.completed_at
+      });
       if (history.hasRecentOrders) {
-        console.log(`⚠️  Skipping ${formatted.checkout_name} - customer has recent orders`);
+        console.log(`⚠️  Skipping ${formatted.checkout_name} - ${history.reason}${history.orderNumber ? ` (${history.orderNumber})` : ''}`);
         continue;
       }
       
       // Check discount eligibility
-      const discountInfo = await checkDiscountEligibility(formatted.customer_email, formatted.total_price);
+      const discountInfo = await checkDiscountEligibility({
+        customerEmail: formatted.customer_email,
+        customerPhone: formatted.phone,
+        campaign: 'abandoned_checkout',
+        cartValue: formatted.total_price
+      });
       
       readyForCalling.push({
         ...formatted,
@@ -210,7 +238,7 @@ export async function testAbandonedCheckoutService() {
       console.log(`   Phone: ${sample.phone}`);
       console.log(`   Items: ${sample.items_summary}`);
       console.log(`   Total: ${sample.currency} ${sample.total_price}`);
-      console.log(`   Discount: ${sample.discountInfo.discountPercent}% (${sample.discountInfo.reason})`);
+      console.log(`   Discount: ${sample.discountInfo.discount_value}% (${sample.discountInfo.reasons.join('; ')})`);
     }
     
     return { success: true, basicResult, callingResult };
@@ -1,89 +1,68 @@
 #!/usr/bin/env node
 /**
- * Manual approval script for pending improvements
+ * Command-line access to the improvement approval queue
+ *
+ *   npm run approve                      list pending proposals
+ *   npm run approve -- approve <id>      apply a proposal (pending sections count as approved)
+ *   npm run approve -- reject <id>       reject a proposal
+ *
+ * Editing, per-section review and comments are in the control panel (Approvals).
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import Retell from 'retell-sdk';
-import readline from 'readline';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import 'dotenv/config';
+import { listProposals, rejectProposal } from './improvement-proposals.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const REVIEWER = process.env.USER ? `${process.env.USER} (cli)` : 'cli';
 
-const retell = new Retell({ apiKey: process.env.RETELL_API_KEY });
-const LOGS_DIR = path.join(__dirname, '../improvement-logs');
-const PENDING_FILE = path.join(LOGS_DIR, 'pending-approval.json');
+function listPending() {
+  const pending = listProposals({ status: 'pending' });
+  if (!pending.length) {
+    console.log('ℹ️  No pending improvements to review');
+    return;
+  }
+  console.log('\n📋 PENDING IMPROVEMENTS');
+  console.log('='.repeat(50));
+  for (const proposal of pending) {
+    const { pending: open, approved, rejected } = proposal.sections;
+    console.log(`${proposal.proposal_id}  ${proposal.created_at}  ${open} pending / ${approved} approved / ${rejected} rejected`);
+    console.log(`   Agents: ${proposal.agents.map(a => a.name).join(', ')}`);
+    if (proposal.context.priority_fixes?.length) console.log(`   Fixes: ${proposal.context.priority_fixes.join('; ')}`);
+  }
+}
+
+async function reviewAndApprove([action, proposalId] = []) {
+  if (!action) return listPending();
+  if (!['approve', 'reject'].includes(action) || !proposalId) {
+    console.error('Usage: approve-improvements.js [approve|reject <proposal_id>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  let result;
+  if (action === 'approve') {
+    // The loop builds its Retell / OpenAI clients on import; only needed to apply
+    const { applyApprovedProposal } = await import('./prompt-improvement-loop.js');
+    result = await applyApprovedProposal(proposalId, { reviewer: REVIEWER });
+  } else {
+    result = rejectProposal(proposalId, { reviewer: REVIEWER });
+  }
 
-async function reviewAndApprove() {
-  try {
-    // Check for pending improvements
-    const pendingData = await fs.readFile(PENDING_FILE, 'utf-8');
-    const { improvements, timestamp } = JSON.parse(pendingData);
-    
-    console.log('\n📋 PENDING IMPROVEMENTS');
-    console.log('=' .repeat(50));
-    console.log(`Submitted: ${timestamp}`);
-    console.log('\nProposed Changes:');
-    console.log(JSON.stringify(improvements, null, 2));
-    console.log('\n' + '='.repeat(50));
-    
-    // Ask for approval
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
-    
-    const answer = await new Promise(resolve => {
-      rl.question('\n✅ Approve these changes? (yes/no): ', resolve);
-    });
-    
-    rl.close();
-    
-    if (answer.toLowerCase() === 'yes' || answer.toLowerCase() === 'y') {
-      console.log('\n🚀 Applying approved improvements...');
-      
-      // Apply the improvements
-      const { applyImprovements } = await import('./prompt-improvement-loop.js');
-      await applyImprovements(improvements, false); // false = don't require approval again
-      
-      // Archive the approved improvement
-      const approvedFile = path.join(
-        LOGS_DIR, 
-        `approved-${new Date().toISOString()}.json`
-      );
-      await fs.rename(PENDING_FILE, approvedFile);
-      
-      console.log('✅ Improvements applied successfully!');
-      console.log(`📁 Archived to: ${approvedFile}`);
-      
-    } else {
-      console.log('\n❌ Changes rejected');
-      
-      // Archive the rejected improvement
-      const rejectedFile = path.join(
-        LOGS_DIR, 
-        `rejected-${new Date().toISOString()}.json`
-      );
-      await fs.rename(PENDING_FILE, rejectedFile);
-      
-      console.log(`📁 Archived to: ${rejectedFile}`);
-    }
-    
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.log('ℹ️  No pending improvements to review');
-    } else {
-      console.error('❌ Error:', error.message);
-    }
+  if (!result) {
+    console.error(`❌ Unknown proposal ${proposalId}`);
+    process.exitCode = 1;
+  } else if (result.skipped) {
+    console.log(`ℹ️  ${result.reason}`);
+  } else {
+    console.log(`✅ Proposal ${proposalId} ${result.status}`);
   }
 }
 
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  reviewAndApprove().catch(console.error);
+  reviewAndApprove(process.argv.slice(2)).catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  });
 }
 
 export { reviewAndApprove };
@@ -0,0 +1,68 @@
+/**
+ * Call Outcome Store
+ * Per-call record of what the post-call webhook pipeline did: for every webhook
+ * event, each step's status (success / failed / skipped), skip reason, error,
+ * result and latency. Backs GET /calls/:id/outcomes.
+ */
+
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+
+const OUTCOMES_PATH = dataPath('call-outcomes.json');
+const RETENTION_DAYS = Number(process.env.CALL_OUTCOME_RETENTION_DAYS || 30);
+
+function loadOutcomes() {
+  const store = readJson(OUTCOMES_PATH, null) || {};
+  return { calls: store.calls || {} };
+}
+
+function saveOutcomes(store) {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [callId, record] of Object.entries(store.calls)) {
+    if (new Date(record.updated_at).getTime() < cutoff) delete store.calls[callId];
+  }
+  writeJson(OUTCOMES_PATH, store);
+}
+
+/**
+ * Append one pipeline run (a single webhook event) to the call's outcome record
+ *
+ * @param {string} callId
+ * @param {object} run - { event, agent_id, campaign, agent_function, started_at, finished_at, duration_ms, steps }
+ */
+export function recordCallOutcome(callId, run) {
+  if (!callId) return null;
+  const store = loadOutcomes();
+  const now = new Date().toISOString();
+  const record = store.calls[callId] || { call_id: callId, created_at: now, runs: [] };
+
+  record.agent_id = run.agent_id || record.agent_id || null;
+  record.campaign = run.campaign || record.campaign || null;
+  record.agent_function = run.agent_function || record.agent_function || null;
+  record.runs.push(run);
+  record.updated_at = now;
+  store.calls[callId] = record;
+  saveOutcomes(store);
+  return record;
+}
+
+/**
+ * Outcome record for a call, with a per-status step summary across all runs
+ */
+export function getCallOutcomes(callId) {
+  const record = loadOutcomes().calls[callId];
+  if (!record) return null;
+
+  const summary = { success: 0, failed: 0, skipped: 0 };
+  for (const run of record.runs) {
+    for (const step of run.steps) summary[step.status] = (summary[step.status] || 0) + 1;
+  }
+  return { ...record, summary };
+}
+
+export function listCallOutcomes({ limit = 50, status } = {}) {
+  return Object.values(loadOutcomes().calls)
+    .filter(r => !status || r.runs.some(run => run.steps.some(s => s.status === status)))
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+    .slice(0, limit)
+    .map(({ runs, ...rest }) => ({ ...rest, events: runs.map(run => run.event) }));
+}
@@ -0,0 +1,312 @@
+/**
+ * Outbound Call Queue
+ * Durable, file-backed queue for outbound calls. Routes enqueue jobs and return
+ * a batch id right away; a worker drains the queue with a concurrency limit,
+ * retries failures with exponential backoff and survives restarts.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { dataPath, writeJson } from './json-file-store.js';
+
+const QUEUE_PATH = dataPath('call-queue.json');
+
+export const CALL_QUEUE_CONFIG = {
+  CONCURRENCY: Number(process.env.CALL_QUEUE_CONCURRENCY || 2),
+  MAX_ATTEMPTS: Number(process.env.CALL_QUEUE_MAX_ATTEMPTS || 3),
+  BACKOFF_BASE_MS: Number(process.env.CALL_QUEUE_BACKOFF_BASE_MS || 30 * 1000),
+  POLL_INTERVAL_MS: Number(process.env.CALL_QUEUE_POLL_INTERVAL_MS || 2000),
+  // Finished jobs older than this are pruned from the state file
+  RETENTION_DAYS: Number(process.env.CALL_QUEUE_RETENTION_DAYS || 14)
+};
+
+// Job statuses: pending -> in_progress -> completed | skipped | failed
+const FINISHED_STATUSES = new Set(['completed', 'skipped', 'failed']);
+
+// A queue file that doesn't parse is moved aside (never overwritten) so its jobs can be recovered by hand
+function readQueueFile() {
+  if (!fs.existsSync(QUEUE_PATH)) return {};
+  const raw = fs.readFileSync(QUEUE_PATH, 'utf8');
+  try {
+    return JSON.parse(raw) || {};
+  } catch (error) {
+    const backupPath = `${QUEUE_PATH}.corrupt-${Date.now()}`;
+    fs.renameSync(QUEUE_PATH, backupPath);
+    console.error(`🚨 Call queue file is corrupt (${error.message}) - moved to ${backupPath}; queued calls in it were NOT loaded`);
+    return {};
+  }
+}
+
+function loadState() {
+  const state = readQueueFile();
+  return { batches: state.batches || {}, jobs: state.jobs || [] };
+}
+
+function saveState(state) {
+  writeJson(QUEUE_PATH, state);
+}
+
+function newId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Create a batch and enqueue one job per call
+ *
+ * @param {string} source - where the batch came from (e.g. 'call_batch', 'abandoned_checkout')
+ * @param {Array<{type: string, payload: object, label?: object, options?: object, scheduledFor?: string}>} calls - jobs to enqueue
+ * @param {Array<object>} skipped - candidates rejected before enqueueing (opted_out, etc.)
+ */
+export function enqueueBatch({ source, calls = [], skipped = [], options = {} }) {
+  const state = loadState();
+  const now = new Date().toISOString();
+  const batchId = newId('batch');
+
+  state.batches[batchId] = {
+    batch_id: batchId,
+    source,
+    created_at: now,
+    options,
+    skipped
+  };
+
+  for (const call of calls) {
+    state.jobs.push({
+      job_id: newId('job'),
+      batch_id: batchId,
+      type: call.type,
+      payload: call.payload,
+      label: call.label || {},
+      options: call.options || {},
+      status: 'pending',
+      attempts: [],
+      next_attempt_at: call.scheduledFor || now,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  saveState(state);
+  console.log(`📥 Queued ${calls.length} calls in ${batchId} (${skipped.length} skipped)`);
+  return { batch_id: batchId, queued: calls.length, skipped: skipped.length };
+}
+
+/**
+ * Enqueue a single call outside of a batch (still gets its own batch id for tracking)
+ */
+export function enqueueCall({ source, type, payload, label, options, scheduledFor }) {
+  return enqueueBatch({ source, calls: [{ type, payload, label, options, scheduledFor }] });
+}
+
+/**
+ * Whether a call of this type to this phone is already waiting in the queue
+ *
+ * Repeated sweeps over overlapping lookback windows use this to avoid queueing the same customer twice.
+ */
+export function hasOpenCallJob(type, phone) {
+  return loadState().jobs.some(j =>
+    j.type === type &&
+    (j.status === 'pending' || j.status === 'in_progress') &&
+    j.payload?.phone === phone &&
+    !j.payload?.dryRun
+  );
+}
+
+/**
+ * Summarize a batch: per-status counts plus every job with its attempts
+ */
+export function getBatchStatus(batchId) {
+  const state = loadState();
+  const batch = state.batches[batchId];
+  if (!batch) return null;
+
+  const jobs = state.jobs.filter(j => j.batch_id === batchId);
+  const counts = { pending: 0, in_progress: 0, completed: 0, skipped: 0, failed: 0 };
+  for (const job of jobs) counts[job.status] = (counts[job.status] || 0) + 1;
+
+  return {
+    ...batch,
+    done: jobs.every(j => FINISHED_STATUSES.has(j.status)),
+    counts: { ...counts, skipped_before_queue: batch.skipped.length },
+    jobs
+  };
+}
+
+export function listBatches({ limit = 25 } = {}) {
+  const state = loadState();
+  return Object.values(state.batches)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit)
+    .map(b => {
+      const { jobs, ...summary } = getBatchStatus(b.batch_id);
+      return summary;
+    });
+}
+
+/**
+ * Current queue depth by status
+ */
+export function getQueueStats() {
+  const { jobs } = loadState();
+  const stats = { pending: 0, in_progress: 0, completed: 0, skipped: 0, failed: 0 };
+  for (const job of jobs) stats[job.status] = (stats[job.status] || 0) + 1;
+  return stats;
+}
+
+/**
+ * Jobs that gave up, newest first, with their last error
+ */
+export function listFailedJobs({ limit = 25 } = {}) {
+  return loadState().jobs
+    .filter(j => j.status === 'failed')
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+    .slice(0, limit)
+    .map(({ payload, attempts, ...job }) => ({ ...job, attempts: attempts.length, last_error: attempts.at(-1)?.error || null }));
+}
+
+function updateJob(jobId, mutate) {
+  const state = loadState();
+  const job = state.jobs.find(j => j.job_id === jobId);
+  if (!job) return null;
+  mutate(job);
+  job.updated_at = new Date().toISOString();
+  saveState(state);
+  return job;
+}
+
+// Client errors other than rate limits will not succeed on retry. Errors without a
+// status (timeouts, dropped connections, handler bugs) may come after Retell already
+// placed the call, so they aren't retried either - a retry could dial the customer twice
+function isRetryable(error) {
+  const status = error?.status || error?.response?.status;
+  if (!status) return false;
+  return status === 429 || status >= 500;
+}
+
+function backoffDelay(attemptNumber) {
+  return CALL_QUEUE_CONFIG.BACKOFF_BASE_MS * Math.pow(2, attemptNumber - 1);
+}
+
+/**
+ * Jobs left in_progress by a crash or restart go back to pending
+ */
+function recoverInterruptedJobs() {
+  const state = loadState();
+  let recovered = 0;
+  for (const job of state.jobs) {
+    if (job.status === 'in_progress') {
+      job.status = 'pending';
+      job.next_attempt_at = new Date().toISOString();
+      recovered++;
+    }
+  }
+  if (recovered) {
+    saveState(state);
+    console.log(`♻️ Recovered ${recovered} interrupted call jobs`);
+  }
+}
+
+function pruneFinishedJobs() {
+  const state = loadState();
+  const cutoff = Date.now() - CALL_QUEUE_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const before = state.jobs.length;
+  state.jobs = state.jobs.filter(j => !(FINISHED_STATUSES.has(j.status) && new Date(j.updated_at).getTime() < cutoff));
+  const liveBatches = new Set(state.jobs.map(j => j.batch_id));
+  for (const [id, batch] of Object.entries(state.batches)) {
+    if (!liveBatches.has(id) && new Date(batch.created_at).getTime() < cutoff) delete state.batches[id];
+  }
+  if (state.jobs.length !== before) saveState(state);
+}
+
+async function runJob(job, handlers) {
+  const handler = handlers[job.type];
+  const attemptNumber = job.attempts.length + 1;
+  const startedAt = new Date().toISOString();
+
+  if (!handler) {
+    updateJob(job.job_id, j => {
+      j.status = 'failed';
+      j.attempts.push({ attempt: attemptNumber, started_at: startedAt, ok: false, error: `No handler for job type ${job.type}` });
+    });
+    return;
+  }
+
+  try {
+    const result = await handler(job.payload, job);
+    updateJob(job.job_id, j => {
+      j.attempts.push({ attempt: attemptNumber, started_at: startedAt, finished_at: new Date().toISOString(), ok: true, call_id: result?.call_id || null });
+      if (result?.skipped) {
+        j.status = 'skipped';
+        j.result = { reason: result.reason, ...result };
+      } else {
+        j.status = 'completed';
+        j.result = { call_id: result?.call_id || null, call_status: result?.call_status || null };
+      }
+    });
+    console.log(`✅ Call job ${job.job_id} ${result?.skipped ? `skipped (${result.reason})` : `placed: ${result?.call_id}`}`);
+  } catch (error) {
+    const errorDetail = error?.response?.data || error.message;
+    const retry = isRetryable(error) && attemptNumber < CALL_QUEUE_CONFIG.MAX_ATTEMPTS;
+    updateJob(job.job_id, j => {
+      j.attempts.push({ attempt: attemptNumber, started_at: startedAt, finished_at: new Date().toISOString(), ok: false, error: errorDetail });
+      if (retry) {
+        j.status = 'pending';
+        j.next_attempt_at = new Date(Date.now() + backoffDelay(attemptNumber)).toISOString();
+      } else {
+        j.status = 'failed';
+      }
+    });
+    console.error(`❌ Call job ${job.job_id} attempt ${attemptNumber} failed${retry ? ' - will retry' : ''}:`, error.message);
+  }
+}
+
+/**
+ * Start draining the queue
+ *
+ * @param {object} handlers - map of job type -> async (payload, job) => { call_id } | { skipped, reason }
+ * @param {function} canDispatch - optional (job) => true | Date; returning a Date defers the job until then
+ * @returns {{ stop: function }}
+ */
+export function startCallQueueWorker({ handlers, canDispatch = () => true } = {}) {
+  recoverInterruptedJobs();
+  pruneFinishedJobs();
+
+  const running = new Set();
+  let stopped = false;
+
+  const tick = () => {
+    if (stopped) return;
+    const free = CALL_QUEUE_CONFIG.CONCURRENCY - running.size;
+    if (free <= 0) return;
+
+    const now = Date.now();
+    const due = loadState().jobs
+      .filter(j => j.status === 'pending' && new Date(j.next_attempt_at).getTime() <= now)
+      .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at));
+
+    for (const job of due) {
+      if (running.size >= CALL_QUEUE_CONFIG.CONCURRENCY) break;
+
+      const gate = canDispatch(job);
+      if (gate instanceof Date) {
+        updateJob(job.job_id, j => { j.next_attempt_at = gate.toISOString(); });
+        continue;
+      }
+      if (gate !== true) continue;
+
+      updateJob(job.job_id, j => { j.status = 'in_progress'; });
+      const p = runJob(job, handlers).finally(() => running.delete(p));
+      running.add(p);
+    }
+  };
+
+  const timer = setInterval(tick, CALL_QUEUE_CONFIG.POLL_INTERVAL_MS);
+  console.log(`📞 Call queue worker started (concurrency ${CALL_QUEUE_CONFIG.CONCURRENCY}, max attempts ${CALL_QUEUE_CONFIG.MAX_ATTEMPTS})`);
+
+  return {
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+    }
+  };
+}
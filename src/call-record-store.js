@@ -0,0 +1,367 @@
+/**
+ * Call Record Store
+ * One record per call_id, upserted as Retell webhook events arrive (call_started,
+ * call_ended, call_analyzed) and as the post-call pipeline takes actions: direction,
+ * agent, campaign, customer, order / checkout, timing, outcome, voicemail, sentiment,
+ * satisfaction and the actions taken. Records are kept in memory with indexes by
+ * agent, outcome, campaign, customer and start time, and persisted to
+ * data/call-records.json. Replaces the raw data/calls.log.jsonl event log, which is
+ * imported once on first load.
+ */
+
+import fs from 'fs';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { normalizeToE164 } from './phone-utils.js';
+
+const RECORDS_PATH = dataPath('call-records.json');
+const LEGACY_LOG_PATH = dataPath('calls.log.jsonl');
+const RETENTION_DAYS = Number(process.env.CALL_RECORD_RETENTION_DAYS || 180);
+
+// Retell disconnection reasons for calls that never reached a person
+const NOT_CONNECTED_REASONS = new Set(['dial_no_answer', 'dial_busy']);
+const FAILED_REASON = /^(dial_failed|invalid_destination|error_|concurrency_limit|no_valid_payment|scam_detected)/;
+
+// --- Store and indexes ---
+let store = null;
+
+function emptyIndexes() {
+  return { agent: new Map(), outcome: new Map(), campaign: new Map(), customer: new Map(), byTime: [] };
+}
+
+function indexKeys(record) {
+  return {
+    agent: record.agent_id ? [record.agent_id] : [],
+    outcome: record.outcome ? [record.outcome] : [],
+    campaign: record.campaign ? [record.campaign] : [],
+    customer: customerKeys(record.customer)
+  };
+}
+
+function customerKeys(customer = {}) {
+  const keys = [];
+  if (customer.phone) keys.push(customer.phone);
+  if (customer.email) keys.push(customer.email.toLowerCase());
+  if (customer.id) keys.push(String(customer.id));
+  return keys;
+}
+
+function startTime(record) {
+  return new Date(record.started_at || record.created_at).getTime();
+}
+
+// First position in byTime whose time is >= t
+function lowerBound(byTime, t) {
+  let lo = 0;
+  let hi = byTime.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (byTime[mid].t < t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+function addToIndexes(indexes, record) {
+  for (const [name, keys] of Object.entries(indexKeys(record))) {
+    for (const key of keys) {
+      if (!indexes[name].has(key)) indexes[name].set(key, new Set());
+      indexes[name].get(key).add(record.call_id);
+    }
+  }
+  const t = startTime(record);
+  indexes.byTime.splice(lowerBound(indexes.byTime, t), 0, { t, id: record.call_id });
+}
+
+function removeFromIndexes(indexes, record) {
+  for (const [name, keys] of Object.entries(indexKeys(record))) {
+    for (const key of keys) {
+      const ids = indexes[name].get(key);
+      ids?.delete(record.call_id);
+      if (ids && ids.size === 0) indexes[name].delete(key);
+    }
+  }
+  const t = startTime(record);
+  for (let i = lowerBound(indexes.byTime, t); i < indexes.byTime.length && indexes.byTime[i].t === t; i++) {
+    if (indexes.byTime[i].id === record.call_id) {
+      indexes.byTime.splice(i, 1);
+      break;
+    }
+  }
+}
+
+function loadStore() {
+  if (!store) {
+    const stored = readJson(RECORDS_PATH, null);
+    store = { records: {}, indexes: emptyIndexes() };
+    if (stored) {
+      store.records = stored.records || {};
+      Object.values(store.records).forEach(record => addToIndexes(store.indexes, record));
+    } else {
+      importLegacyLog();
+      saveStore();
+    }
+  }
+  return store;
+}
+
+function saveStore() {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const record of Object.values(store.records)) {
+    if (new Date(record.updated_at).getTime() < cutoff) {
+      removeFromIndexes(store.indexes, record);
+      delete store.records[record.call_id];
+    }
+  }
+  writeJson(RECORDS_PATH, { records: store.records });
+}
+
+// Replay the old append-only webhook log into records so history isn't lost
+function importLegacyLog() {
+  if (!fs.existsSync(LEGACY_LOG_PATH)) return;
+  let imported = 0;
+  for (const line of fs.readFileSync(LEGACY_LOG_PATH, 'utf8').split(/\n/).filter(Boolean)) {
+    try {
+      const evt = JSON.parse(line);
+      if (applyEvent(evt.type, evt.data, {}, evt.received_at)) imported++;
+    } catch (_) { /* skip bad line */ }
+  }
+  console.log(`📥 Imported ${imported} event(s) from calls.log.jsonl into ${Object.keys(store.records).length} call record(s)`);
+}
+
+// --- Field extraction ---
+
+function toIso(timestamp) {
+  return typeof timestamp === 'number' ? new Date(timestamp).toISOString() : timestamp || null;
+}
+
+function deriveOutcome(record) {
+  if (record.voicemail) return 'voicemail';
+  const reason = record.disconnection_reason || '';
+  if (NOT_CONNECTED_REASONS.has(reason)) return 'no_answer';
+  if (FAILED_REASON.test(reason)) return 'failed';
+  if (record.call_successful === true) return 'successful';
+  if (record.call_successful === false) return 'unsuccessful';
+  return record.ended_at || record.status !== 'started' ? 'completed' : 'in_progress';
+}
+
+function newRecord(callId, createdAt) {
+  return { call_id: callId, created_at: createdAt, updated_at: createdAt, customer: {}, events: [], actions: [], draft_orders: [] };
+}
+
+/**
+ * Merge one webhook event into its call's record (in memory only)
+ */
+function applyEvent(type, data, context = {}, receivedAt = new Date().toISOString()) {
+  const callId = data?.call_id;
+  if (!callId) return null;
+
+  const existing = store.records[callId];
+  const record = existing || newRecord(callId, receivedAt);
+  if (existing) removeFromIndexes(store.indexes, existing);
+
+  const m = data.metadata || {};
+  const analysis = data.analysis || data.call_analysis || {};
+  const structured = analysis.structured || analysis.custom_analysis_data || {};
+  const dynamicVariables = data.retell_llm_dynamic_variables || {};
+  const pick = (...values) => values.find(v => v !== undefined && v !== null && v !== '') ?? null;
+
+  record.direction = pick(data.direction, record.direction);
+  record.agent_id = pick(data.agent_id, record.agent_id);
+  record.agent_version = pick(data.agent_version, record.agent_version);
+  record.campaign = pick(context.campaign, record.campaign);
+  record.from_number = pick(data.from_number, record.from_number);
+  record.to_number = pick(data.to_number, record.to_number);
+
+  const customerPhone = record.direction === 'outbound' ? data.to_number : record.direction === 'inbound' ? data.from_number : null;
+  record.customer = {
+    phone: normalizeToE164(pick(customerPhone, m.customer_phone, m.phone)) || record.customer.phone || null,
+    email: pick(m.customer_email, m.email, structured.customer_email, record.customer.email),
+    name: pick(m.customer_name, m.name, dynamicVariables.customer_name, record.customer.name),
+    id: pick(m.customer_id, record.customer.id)
+  };
+  record.order_number = pick(m.order_number, structured.order_number, record.order_number);
+  record.checkout_id = pick(m.checkout_id, dynamicVariables.checkout_id, record.checkout_id);
+  record.experiment_id = pick(m.experiment_id, record.experiment_id);
+  record.experiment_arm = pick(m.experiment_arm, record.experiment_arm);
+
+  record.started_at = pick(toIso(data.start_timestamp), record.started_at);
+  record.ended_at = pick(toIso(data.end_timestamp), record.ended_at);
+  record.duration_ms = pick(data.duration_ms,
+    data.start_timestamp && data.end_timestamp ? data.end_timestamp - data.start_timestamp : null,
+    record.duration_ms);
+  record.disconnection_reason = pick(data.disconnection_reason, record.disconnection_reason);
+
+  // Once any event shows a voicemail the call stays a voicemail
+  record.voicemail = Boolean(record.voicemail || context.isVoicemail || analysis.in_voicemail === true);
+  record.sentiment = pick(analysis.user_sentiment, record.sentiment);
+  record.summary = pick(analysis.call_summary, record.summary);
+  record.satisfaction = typeof structured.satisfied_score === 'number' ? structured.satisfied_score : record.satisfaction ?? null;
+  record.had_issue = typeof structured.had_issue === 'boolean' ? structured.had_issue : record.had_issue ?? null;
+  record.call_successful = typeof analysis.call_successful === 'boolean' ? analysis.call_successful : record.call_successful ?? null;
+  record.status = type === 'call_analyzed' || record.status === 'analyzed' ? 'analyzed'
+    : type === 'call_ended' || record.status === 'ended' ? 'ended'
+      : 'started';
+  record.outcome = deriveOutcome(record);
+  if (m.dry_run === true) record.dry_run = true;
+
+  record.events.push({ type, received_at: receivedAt });
+  record.updated_at = receivedAt;
+
+  store.records[callId] = record;
+  addToIndexes(store.indexes, record);
+  return record;
+}
+
+// --- Writes ---
+
+/**
+ * Upsert the call's record from a webhook event
+ *
+ * @param {string} type - webhook event type
+ * @param {object} data - Retell call object from the webhook
+ * @param {object} context - { campaign, isVoicemail } as worked out by the webhook handler
+ */
+export function upsertCallRecord(type, data, context = {}) {
+  loadStore();
+  const record = applyEvent(type, data, context);
+  if (record) saveStore();
+  return record;
+}
+
+/**
+ * Add the post-call pipeline steps that succeeded to the call's actions
+ *
+ * @param {string} callId
+ * @param {string} event - webhook event the steps ran for
+ * @param {object[]} steps - pipeline step outcomes ({ step, status, started_at })
+ */
+export function recordCallActions(callId, event, steps) {
+  if (!callId) return null;
+  const { records } = loadStore();
+  const record = records[callId];
+  if (!record) return null;
+
+  const done = steps.filter(s => s.status === 'success' && !record.actions.some(a => a.step === s.step && a.event === event));
+  if (!done.length) return record;
+  record.actions.push(...done.map(s => ({ step: s.step, event, at: s.started_at })));
+  record.updated_at = new Date().toISOString();
+  saveStore();
+  return record;
+}
+
+/**
+ * Remember a draft order created for a call so its completion can be attributed to it
+ *
+ * Tools can run before the call's first webhook arrives, so a missing record is created.
+ */
+export function linkCallDraftOrder(callId, draftOrderId) {
+  if (!callId || !draftOrderId) return null;
+  const { records, indexes } = loadStore();
+  let record = records[callId];
+  if (!record) {
+    record = records[callId] = newRecord(callId, new Date().toISOString());
+    addToIndexes(indexes, record);
+  }
+  record.draft_orders ||= [];
+  if (record.draft_orders.includes(draftOrderId)) return record;
+  record.draft_orders.push(draftOrderId);
+  record.updated_at = new Date().toISOString();
+  saveStore();
+  return record;
+}
+
+/**
+ * Same as linkCallDraftOrder but never throws - bookkeeping must not break the tool call
+ */
+export function safeLinkCallDraftOrder(callId, draftOrderId) {
+  try {
+    return linkCallDraftOrder(callId, draftOrderId);
+  } catch (error) {
+    console.error('⚠️ Failed to link draft order to call record:', error.message);
+    return null;
+  }
+}
+
+// --- Queries ---
+
+export function getCallRecord(callId) {
+  return loadStore().records[callId] || null;
+}
+
+// A customer filter may be a phone (any format), an email or a Shopify customer id
+function customerMatches(indexes, customer) {
+  const keys = [String(customer).toLowerCase(), normalizeToE164(customer)];
+  return new Set(keys.flatMap(key => [...(indexes.customer.get(key) || [])]));
+}
+
+/**
+ * Find call records, newest first
+ *
+ * @param {object} filters - from / to (ISO dates on the call start), agent_id, outcome,
+ *   campaign, customer (phone, email or Shopify customer id), direction, limit, offset
+ * @returns {{ total: number, records: object[] }}
+ */
+export function queryCallRecords({ from, to, agent_id, outcome, campaign, customer, direction, limit = 50, offset = 0 } = {}) {
+  const { records, indexes } = loadStore();
+  const fromMs = from ? new Date(from).getTime() : -Infinity;
+  const toMs = to ? new Date(to).getTime() : Infinity;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) throw new Error('from / to must be dates');
+
+  // Start from the smallest matching index set, then check the remaining filters per record
+  const candidateSets = [
+    agent_id && (indexes.agent.get(agent_id) || new Set()),
+    outcome && (indexes.outcome.get(outcome) || new Set()),
+    campaign && (indexes.campaign.get(campaign) || new Set()),
+    customer && customerMatches(indexes, customer)
+  ].filter(Boolean).sort((a, b) => a.size - b.size);
+
+  let ids;
+  if (candidateSets.length) {
+    ids = [...candidateSets[0]].filter(id => candidateSets.every(set => set.has(id)));
+  } else {
+    ids = indexes.byTime.slice(lowerBound(indexes.byTime, fromMs), lowerBound(indexes.byTime, toMs + 1)).map(e => e.id);
+  }
+
+  const matches = ids
+    .map(id => records[id])
+    .filter(r => {
+      const t = startTime(r);
+      return t >= fromMs && t <= toMs && (!direction || r.direction === direction);
+    })
+    .sort((a, b) => startTime(b) - startTime(a));
+
+  return { total: matches.length, records: matches.slice(Number(offset) || 0, (Number(offset) || 0) + (Number(limit) || 50)) };
+}
+
+/**
+ * Totals for the calls matching the same filters as queryCallRecords
+ */
+export function summarizeCallRecords(filters = {}) {
+  const { records } = queryCallRecords({ ...filters, limit: Infinity, offset: 0 });
+  const count = (key) => records.reduce((acc, r) => {
+    const value = r[key] || 'unknown';
+    acc[value] = (acc[value] || 0) + 1;
+    return acc;
+  }, {});
+  const scored = records.filter(r => typeof r.satisfaction === 'number');
+  const timed = records.filter(r => typeof r.duration_ms === 'number');
+
+  return {
+    total_calls: records.length,
+    by_outcome: count('outcome'),
+    by_direction: count('direction'),
+    by_campaign: count('campaign'),
+    voicemails: records.filter(r => r.voicemail).length,
+    avg_satisfaction: scored.length ? Number((scored.reduce((sum, r) => sum + r.satisfaction, 0) / scored.length).toFixed(2)) : null,
+    issues: records.filter(r => r.had_issue).length,
+    avg_duration_ms: timed.length ? Math.round(timed.reduce((sum, r) => sum + r.duration_ms, 0) / timed.length) : null
+  };
+}
+
+/**
+ * Most recently updated records, whatever their start time
+ */
+export function listRecentCallRecords(limit = 25) {
+  return Object.values(loadStore().records)
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+    .slice(0, limit);
+}
@@ -0,0 +1,207 @@
+/**
+ * Recipient-Local Calling Windows
+ * Resolves a customer's timezone from their shipping province/zip or phone area code
+ * and checks CALL_WINDOW_START / CALL_WINDOW_END against the customer's own clock.
+ * CALL_WINDOW_LOCAL_TZ is only the fallback when nothing about the recipient is known.
+ */
+
+export const CALL_WINDOW = {
+  START: process.env.CALL_WINDOW_START || "09:00",
+  END: process.env.CALL_WINDOW_END || "19:30",
+  DEFAULT_TZ: process.env.CALL_WINDOW_LOCAL_TZ || "America/Los_Angeles"
+};
+
+// Primary timezone per US state / Canadian province (split states use the majority zone)
+const REGION_TIMEZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+  DC: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York',
+  MD: 'America/New_York', MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MS: 'America/Chicago', MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago',
+  NV: 'America/Los_Angeles', NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver',
+  NY: 'America/New_York', NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles',
+  WV: 'America/New_York', WI: 'America/Chicago', WY: 'America/Denver', PR: 'America/Puerto_Rico',
+  GU: 'Pacific/Guam', VI: 'America/St_Thomas',
+  AB: 'America/Edmonton', BC: 'America/Vancouver', MB: 'America/Winnipeg', NB: 'America/Moncton',
+  NL: 'America/St_Johns', NS: 'America/Halifax', NT: 'America/Yellowknife', NU: 'America/Iqaluit',
+  ON: 'America/Toronto', PE: 'America/Halifax', QC: 'America/Toronto', SK: 'America/Regina',
+  YT: 'America/Whitehorse'
+};
+
+const REGION_NAMES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA', COLORADO: 'CO',
+  CONNECTICUT: 'CT', DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC', FLORIDA: 'FL', GEORGIA: 'GA',
+  HAWAII: 'HI', IDAHO: 'ID', ILLINOIS: 'IL', INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY',
+  LOUISIANA: 'LA', MAINE: 'ME', MARYLAND: 'MD', MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN',
+  MISSISSIPPI: 'MS', MISSOURI: 'MO', MONTANA: 'MT', NEBRASKA: 'NE', NEVADA: 'NV', 'NEW HAMPSHIRE': 'NH',
+  'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND',
+  OHIO: 'OH', OKLAHOMA: 'OK', OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI',
+  'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD', TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT',
+  VIRGINIA: 'VA', WASHINGTON: 'WA', 'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY',
+  'PUERTO RICO': 'PR', ALBERTA: 'AB', 'BRITISH COLUMBIA': 'BC', MANITOBA: 'MB', 'NEW BRUNSWICK': 'NB',
+  'NEWFOUNDLAND AND LABRADOR': 'NL', 'NOVA SCOTIA': 'NS', ONTARIO: 'ON', 'PRINCE EDWARD ISLAND': 'PE',
+  QUEBEC: 'QC', SASKATCHEWAN: 'SK'
+};
+
+// US ZIP3 ranges -> state, checked in order
+const ZIP3_RANGES = [
+  [5, 5, 'NY'], [6, 7, 'PR'], [8, 8, 'VI'], [9, 9, 'PR'], [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'],
+  [39, 49, 'ME'], [55, 55, 'MA'], [50, 59, 'VT'], [60, 69, 'CT'], [70, 89, 'NJ'], [100, 149, 'NY'],
+  [150, 196, 'PA'], [197, 199, 'DE'], [200, 205, 'DC'], [206, 219, 'MD'], [220, 246, 'VA'],
+  [247, 268, 'WV'], [270, 289, 'NC'], [290, 299, 'SC'], [300, 319, 'GA'], [320, 349, 'FL'],
+  [350, 369, 'AL'], [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'],
+  [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'], [530, 549, 'WI'],
+  [550, 567, 'MN'], [569, 569, 'DC'], [570, 577, 'SD'], [580, 588, 'ND'], [590, 599, 'MT'],
+  [600, 629, 'IL'], [630, 658, 'MO'], [660, 679, 'KS'], [680, 693, 'NE'], [700, 714, 'LA'],
+  [716, 729, 'AR'], [730, 749, 'OK'], [750, 799, 'TX'], [800, 816, 'CO'], [820, 831, 'WY'],
+  [832, 838, 'ID'], [840, 847, 'UT'], [850, 865, 'AZ'], [870, 884, 'NM'], [885, 885, 'TX'],
+  [889, 898, 'NV'], [900, 961, 'CA'], [967, 968, 'HI'], [969, 969, 'GU'], [970, 979, 'OR'],
+  [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+// First letter of a Canadian postal code -> province
+const CA_POSTAL_PREFIXES = {
+  A: 'NL', B: 'NS', C: 'PE', E: 'NB', G: 'QC', H: 'QC', J: 'QC', K: 'ON', L: 'ON', M: 'ON',
+  N: 'ON', P: 'ON', R: 'MB', S: 'SK', T: 'AB', V: 'BC', X: 'NT', Y: 'YT'
+};
+
+// NANP area codes by state / province
+const AREA_CODES_BY_REGION = {
+  AL: '205 251 256 334 659 938', AK: '907', AZ: '480 520 602 623 928', AR: '479 501 870',
+  CA: '209 213 279 310 323 341 350 408 415 424 442 510 530 559 562 619 626 628 650 657 661 669 707 714 747 760 805 818 820 831 840 858 909 916 925 949 951',
+  CO: '303 719 720 970 983', CT: '203 475 860 959', DE: '302', DC: '202 771',
+  FL: '239 305 321 324 352 386 407 448 561 645 656 689 727 728 754 772 786 813 850 863 904 941 954',
+  GA: '229 404 470 478 678 706 762 770 912 943', HI: '808', ID: '208 986',
+  IL: '217 224 309 312 331 447 464 618 630 708 730 773 779 815 847 861 872',
+  IN: '219 260 317 463 574 765 812 930', IA: '319 515 563 641 712', KS: '316 620 785 913',
+  KY: '270 364 502 606 859', LA: '225 318 337 504 985', ME: '207', MD: '227 240 301 410 443 667',
+  MA: '339 351 413 508 617 774 781 857 978', MI: '231 248 269 313 517 586 616 679 734 810 906 947 989',
+  MN: '218 320 507 612 651 763 952', MS: '228 601 662 769', MO: '314 417 557 573 636 660 816',
+  MT: '406', NE: '308 402 531', NV: '702 725 775', NH: '603',
+  NJ: '201 551 609 640 732 848 856 862 908 973', NM: '505 575',
+  NY: '212 315 332 347 363 516 518 585 607 631 646 680 716 718 838 845 914 917 929 934',
+  NC: '252 336 472 704 743 828 910 919 980 984', ND: '701',
+  OH: '216 220 234 283 326 330 380 419 436 440 513 567 614 740 937', OK: '405 539 572 580 918',
+  OR: '458 503 541 971', PA: '215 223 267 272 412 445 484 570 582 610 717 724 814 835 878',
+  RI: '401', SC: '803 821 839 843 854 864', SD: '605', TN: '423 615 629 731 865 901 931',
+  TX: '210 214 254 281 325 346 361 409 430 432 469 512 682 713 726 737 806 817 830 832 903 915 936 940 945 956 972 979',
+  UT: '385 435 801', VT: '802', VA: '276 434 540 571 686 703 757 804 826 948',
+  WA: '206 253 360 425 509 564', WV: '304 681', WI: '262 274 353 414 534 608 715 920', WY: '307',
+  PR: '787 939', AB: '368 403 587 780 825', BC: '236 250 604 672 778', MB: '204 431', NB: '506',
+  NL: '709', NS: '782 902', ON: '226 249 289 343 365 416 437 519 548 613 647 683 705 742 753 807 905',
+  QC: '263 354 367 418 438 450 468 514 579 581 819 873', SK: '306 474 639', NT: '867'
+};
+
+const AREA_CODE_REGIONS = Object.fromEntries(
+  Object.entries(AREA_CODES_BY_REGION).flatMap(([region, codes]) => codes.split(' ').map(code => [code, region]))
+);
+
+function regionFromProvince(province) {
+  const p = String(province || '').trim().toUpperCase();
+  if (!p) return null;
+  if (REGION_TIMEZONES[p]) return p;
+  return REGION_NAMES[p] || null;
+}
+
+function regionFromZip(zip) {
+  const z = String(zip || '').trim().toUpperCase();
+  if (!z) return null;
+  if (/^[A-Z]\d[A-Z]/.test(z)) return CA_POSTAL_PREFIXES[z[0]] || null;
+  const digits = z.replace(/\D/g, '');
+  if (digits.length < 5) return null;
+  const zip3 = Number(digits.slice(0, 3));
+  const match = ZIP3_RANGES.find(([lo, hi]) => zip3 >= lo && zip3 <= hi);
+  return match ? match[2] : null;
+}
+
+/**
+ * Area code -> region for NANP (+1) numbers only
+ */
+export function regionFromPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  let national = null;
+  if (digits.length === 11 && digits.startsWith('1')) national = digits.slice(1);
+  else if (digits.length === 10) national = digits;
+  if (!national) return null;
+  return AREA_CODE_REGIONS[national.slice(0, 3)] || null;
+}
+
+/**
+ * Work out the recipient's timezone, most specific source first:
+ * shipping province, then shipping zip, then phone area code, then the default
+ */
+export function resolveRecipientTimeZone({ province, zip, phone } = {}) {
+  const fromProvince = regionFromProvince(province);
+  if (fromProvince) return { timeZone: REGION_TIMEZONES[fromProvince], region: fromProvince, source: 'province' };
+
+  const fromZip = regionFromZip(zip);
+  if (fromZip) return { timeZone: REGION_TIMEZONES[fromZip], region: fromZip, source: 'zip' };
+
+  const fromPhone = regionFromPhone(phone);
+  if (fromPhone) return { timeZone: REGION_TIMEZONES[fromPhone], region: fromPhone, source: 'area_code' };
+
+  return { timeZone: CALL_WINDOW.DEFAULT_TZ, region: null, source: 'default' };
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+function localParts(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hour12: false,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(now).map(p => [p.type, p.value])
+  );
+  const hour = Number(parts.hour) % 24;
+  return {
+    minutes: hour * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+    display: `${parts.year}-${parts.month}-${parts.day} ${String(hour).padStart(2, '0')}:${parts.minute}`
+  };
+}
+
+/**
+ * Window status for a recipient timezone
+ *
+ * @returns {{ timezone, local_time, in_window, next_eligible_at }} next_eligible_at is now when in window
+ */
+export function getCallWindowStatus(now = new Date(), timeZone = CALL_WINDOW.DEFAULT_TZ) {
+  const start = toMinutes(CALL_WINDOW.START);
+  const end = toMinutes(CALL_WINDOW.END);
+  const local = localParts(now, timeZone);
+  const inWindow = local.minutes >= start && local.minutes <= end;
+
+  let deltaMinutes = 0;
+  if (local.minutes < start) deltaMinutes = start - local.minutes;
+  else if (local.minutes > end) deltaMinutes = 24 * 60 - local.minutes + start;
+
+  const nextEligible = inWindow
+    ? now
+    : new Date(now.getTime() + deltaMinutes * 60 * 1000 - local.seconds * 1000 - now.getMilliseconds());
+
+  return {
+    timezone: timeZone,
+    local_time: local.display,
+    in_window: inWindow,
+    next_eligible_at: nextEligible.toISOString()
+  };
+}
+
+export function inCallWindow(now = new Date(), bypassOverride = false, timeZone = CALL_WINDOW.DEFAULT_TZ) {
+  // Allow bypassing for testing purposes
+  if (process.env.BYPASS_CALL_WINDOW === 'true' || bypassOverride) {
+    console.log('🚫 Bypassing call window restriction for testing');
+    return true;
+  }
+  return getCallWindowStatus(now, timeZone).in_window;
+}
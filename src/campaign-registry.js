@@ -0,0 +1,138 @@
+/**
+ * Campaign Registry
+ * One entry per calling campaign in campaigns.json (override with CAMPAIGNS_PATH):
+ * the Retell agent that runs it (a key from retell-config.js), the number it dials
+ * from (or its caller-ID pool), the builder for its dynamic variables, the post-call webhook steps that
+ * apply to it and the discount policy campaign it uses. Dialers, the webhook
+ * pipeline and the tools look behaviour up here instead of comparing agent IDs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getAllAgents, pickFromNumber, phonePoolHasCapacity, getPhonePoolStatus } from './retell-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REGISTRY_PATH = process.env.CAMPAIGNS_PATH || path.join(__dirname, 'campaigns.json');
+
+// Calls that match no campaign are handled as this one
+const FALLBACK_CAMPAIGN = 'general';
+
+let registry = null;
+const builders = new Map();
+
+function loadRegistry() {
+  if (!registry) registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+  return registry;
+}
+
+function resolveEntry(key, entry) {
+  const agent = entry.agent ? getAllAgents()[entry.agent] || null : null;
+  return {
+    key,
+    ...entry,
+    agent_id: agent?.agentId || null,
+    from_number: entry.from_number || agent?.phoneNumber || process.env.RETELL_FROM_NUMBER || null
+  };
+}
+
+/**
+ * A campaign with its agent ID and from-number resolved; unknown keys get the fallback campaign
+ */
+export function getCampaign(key) {
+  const campaigns = loadRegistry();
+  const found = campaigns[key] ? key : FALLBACK_CAMPAIGN;
+  return resolveEntry(found, campaigns[found]);
+}
+
+export function listCampaigns() {
+  return Object.entries(loadRegistry()).map(([key, entry]) => ({
+    ...resolveEntry(key, entry),
+    dynamic_variables_registered: entry.dynamic_variables ? builders.has(entry.dynamic_variables) : null
+  }));
+}
+
+/**
+ * Work out which campaign a call belongs to: explicit metadata.campaign, the dialer's
+ * metadata.source, the agent that handled it, then call direction
+ *
+ * @param {object} data - Retell call object (webhook payload or tool call.call)
+ * @returns {string} campaign key
+ */
+export function resolveCampaign(data) {
+  const campaigns = loadRegistry();
+  const metadata = data?.metadata || {};
+  if (metadata.campaign && campaigns[metadata.campaign]) return metadata.campaign;
+
+  const entries = Object.entries(campaigns);
+  const bySource = entries.find(([, c]) => (c.sources || []).includes(metadata.source));
+  if (bySource) return bySource[0];
+
+  if (data?.agent_id) {
+    const byAgent = entries.find(([key, c]) => c.agent && resolveEntry(key, c).agent_id === data.agent_id);
+    if (byAgent) return byAgent[0];
+
+    // Agents added through RETELL_<NAME>_AGENT_ID / _FUNCTION map by their function
+    const agent = Object.values(getAllAgents()).find(a => a.agentId === data.agent_id);
+    const byFunction = agent?.function && entries.find(([, c]) => c.agent_function === agent.function);
+    if (byFunction) return byFunction[0];
+  }
+
+  const byDirection = entries.find(([, c]) => c.direction && c.direction === data?.direction);
+  return byDirection ? byDirection[0] : FALLBACK_CAMPAIGN;
+}
+
+/**
+ * Register the function that builds a campaign's Retell dynamic variables
+ *
+ * @param {string} name - referenced by a campaign's dynamic_variables
+ * @param {function} build - async (input) => object of variables
+ */
+export function registerDynamicVariableBuilder(name, build) {
+  builders.set(name, build);
+}
+
+/**
+ * Build the dynamic variables for a call in this campaign; null / undefined values are dropped
+ */
+export async function buildDynamicVariables(campaignKey, input) {
+  const { dynamic_variables: name } = getCampaign(campaignKey);
+  const build = name ? builders.get(name) : null;
+  if (!build) throw new Error(`No dynamic variable builder registered for campaign ${campaignKey}`);
+
+  const vars = await build(input);
+  return Object.fromEntries(Object.entries(vars || {}).filter(([, v]) => v !== undefined && v !== null));
+}
+
+/**
+ * Agent and from-number for an outbound call; explicit values from the caller win
+ *
+ * Without an explicit from-number one is picked from the campaign's pool for the
+ * customer's number; from_number is null when every number is at its daily limit.
+ */
+export function campaignCallTarget(campaignKey, { agentId = null, fromNumber = null, toNumber = null } = {}) {
+  const campaign = getCampaign(campaignKey);
+  const overrideAgentId = agentId || campaign.agent_id;
+  if (!overrideAgentId) throw new Error(`Campaign ${campaign.key} has no agent configured`);
+  return {
+    override_agent_id: overrideAgentId,
+    from_number: fromNumber || pickFromNumber(campaign.key, toNumber, { fallbackNumber: campaign.from_number })
+  };
+}
+
+export function campaignHasNumberCapacity(campaignKey) {
+  const campaign = getCampaign(campaignKey);
+  return phonePoolHasCapacity(campaign.key, campaign.from_number);
+}
+
+/**
+ * Caller-ID pool usage and answer rates for every outbound campaign
+ */
+export function getCampaignPhonePools() {
+  const fallbacks = Object.fromEntries(listCampaigns()
+    .filter(c => c.agent && c.direction !== 'inbound')
+    .map(c => [c.key, c.from_number]));
+  return getPhonePoolStatus(fallbacks);
+}
@@ -0,0 +1,233 @@
+/**
+ * Campaign Scheduler
+ * Runs each campaign's sweep (the code behind /tasks/call-recent and
+ * /call/abandoned-checkout) on the cron schedule in its campaigns.json entry.
+ * Sweeps only enqueue calls, so the queue still holds every call to the
+ * recipient's local window and the sweeps still apply contact caps. A run takes
+ * a lock so a slow sweep never overlaps the next tick, pauses survive restarts
+ * and every run is written to the run log.
+ */
+
+import crypto from 'crypto';
+import { CronJob } from 'cron';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { listCampaigns } from './campaign-registry.js';
+import { isShopifyConfigured } from './shopify-client.js';
+
+const STATE_PATH = dataPath('campaign-schedules.json');
+
+export const CAMPAIGN_SCHEDULER_CONFIG = {
+  // A lock older than this belongs to a run that crashed and can be taken over
+  LOCK_TTL_MS: Number(process.env.CAMPAIGN_RUN_LOCK_TTL_MS || 30 * 60 * 1000),
+  MAX_RUNS_KEPT: Number(process.env.CAMPAIGN_RUNS_KEPT || 500)
+};
+
+const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+const sweeps = new Map();
+const cronJobs = new Map();
+
+function loadState() {
+  const state = readJson(STATE_PATH, null) || {};
+  return { paused: state.paused || {}, locks: state.locks || {}, runs: state.runs || [] };
+}
+
+/**
+ * Register the sweep a campaign's schedule runs
+ *
+ * @param {string} campaignKey
+ * @param {function} sweep - async (params) => result; params come from the schedule, overridden per trigger
+ */
+export function registerCampaignSweep(campaignKey, sweep) {
+  sweeps.set(campaignKey, sweep);
+}
+
+function scheduledCampaigns() {
+  return listCampaigns().filter(c => c.schedule?.cron);
+}
+
+function findScheduled(campaignKey) {
+  return scheduledCampaigns().find(c => c.key === campaignKey) || null;
+}
+
+function lockIsLive(lock, now = Date.now()) {
+  return !!lock && now - new Date(lock.locked_at).getTime() < CAMPAIGN_SCHEDULER_CONFIG.LOCK_TTL_MS;
+}
+
+function acquireLock(campaignKey, runId) {
+  const state = loadState();
+  if (lockIsLive(state.locks[campaignKey])) return false;
+  state.locks[campaignKey] = { run_id: runId, locked_at: new Date().toISOString() };
+  writeJson(STATE_PATH, state);
+  return true;
+}
+
+function releaseLock(campaignKey, runId) {
+  const state = loadState();
+  if (state.locks[campaignKey]?.run_id === runId) delete state.locks[campaignKey];
+  writeJson(STATE_PATH, state);
+}
+
+function appendRun(run) {
+  const state = loadState();
+  state.runs.push(run);
+  state.runs = state.runs.slice(-CAMPAIGN_SCHEDULER_CONFIG.MAX_RUNS_KEPT);
+  writeJson(STATE_PATH, state);
+}
+
+// The counts worth keeping from a sweep result; per-candidate details stay on the batch
+function summarizeResult(result) {
+  if (!result || typeof result !== 'object') return result ?? null;
+  const { batch_id, queued, skipped, processed, status_url } = result;
+  return { batch_id, queued, skipped, processed, status_url };
+}
+
+/**
+ * Run a campaign's sweep now
+ *
+ * @param {string} campaignKey
+ * @param {'schedule'|'manual'} trigger
+ * @param {object} params - override the schedule's params for this run
+ * @returns {Promise<object>} the run log entry; status is success, failed or skipped (already_running)
+ */
+export async function runCampaignSweep(campaignKey, { trigger = 'manual', params = {} } = {}) {
+  const sweep = sweeps.get(campaignKey);
+  if (!sweep) throw new Error(`No sweep registered for campaign ${campaignKey}`);
+
+  const campaign = listCampaigns().find(c => c.key === campaignKey);
+  const runParams = { ...(campaign?.schedule?.params || {}), ...params };
+  const run = {
+    run_id: `run_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+    campaign: campaignKey,
+    trigger,
+    params: runParams,
+    started_at: new Date().toISOString()
+  };
+
+  if (!acquireLock(campaignKey, run.run_id)) {
+    Object.assign(run, { status: 'skipped', reason: 'already_running', finished_at: new Date().toISOString() });
+    appendRun(run);
+    console.log(`⏭️ ${campaignKey} sweep skipped - previous run still in progress`);
+    return run;
+  }
+
+  console.log(`🗓️ Running ${campaignKey} sweep (${trigger})`);
+  try {
+    run.result = summarizeResult(await sweep(runParams));
+    run.status = 'success';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error?.response?.data || error.message;
+    console.error(`❌ ${campaignKey} sweep failed:`, error.message);
+  } finally {
+    run.finished_at = new Date().toISOString();
+    run.duration_ms = new Date(run.finished_at) - new Date(run.started_at);
+    releaseLock(campaignKey, run.run_id);
+    appendRun(run);
+  }
+  return run;
+}
+
+function nextRunAt(campaign) {
+  const job = cronJobs.get(campaign.key) ||
+    new CronJob(campaign.schedule.cron, () => {}, null, false, campaign.schedule.timezone || DEFAULT_TIMEZONE);
+  return job.nextDate().toISO();
+}
+
+/**
+ * Every scheduled campaign with its pause state, lock, next tick and last run
+ */
+export function listCampaignSchedules() {
+  const state = loadState();
+  return scheduledCampaigns().map(c => {
+    const paused = state.paused[c.key] || null;
+    return {
+      campaign: c.key,
+      name: c.name,
+      cron: c.schedule.cron,
+      timezone: c.schedule.timezone || DEFAULT_TIMEZONE,
+      params: c.schedule.params || {},
+      sweep_registered: sweeps.has(c.key),
+      paused: !!paused,
+      paused_at: paused?.paused_at || null,
+      running: lockIsLive(state.locks[c.key]),
+      next_run_at: paused ? null : nextRunAt(c),
+      last_run: [...state.runs].reverse().find(r => r.campaign === c.key) || null
+    };
+  });
+}
+
+export function listCampaignRuns({ campaign = null, limit = 50 } = {}) {
+  return loadState().runs
+    .filter(r => !campaign || r.campaign === campaign)
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * Stop scheduled runs for a campaign until resumed; on-demand triggers still work
+ *
+ * @returns {object|null} the schedule, or null if the campaign has none
+ */
+export function pauseCampaignSchedule(campaignKey) {
+  if (!findScheduled(campaignKey)) return null;
+  const state = loadState();
+  state.paused[campaignKey] ||= { paused_at: new Date().toISOString() };
+  writeJson(STATE_PATH, state);
+  console.log(`⏸️ ${campaignKey} schedule paused`);
+  return listCampaignSchedules().find(s => s.campaign === campaignKey);
+}
+
+export function resumeCampaignSchedule(campaignKey) {
+  if (!findScheduled(campaignKey)) return null;
+  const state = loadState();
+  delete state.paused[campaignKey];
+  writeJson(STATE_PATH, state);
+  console.log(`▶️ ${campaignKey} schedule resumed`);
+  return listCampaignSchedules().find(s => s.campaign === campaignKey);
+}
+
+/**
+ * Start a cron job for every campaign with a schedule and a registered sweep
+ *
+ * Set CAMPAIGN_SCHEDULER_ENABLED=false to keep sweeps manual-only.
+ *
+ * @returns {{ stop: function }}
+ */
+export function startCampaignScheduler() {
+  if (process.env.CAMPAIGN_SCHEDULER_ENABLED === 'false') {
+    console.log('🗓️ Campaign scheduler disabled (CAMPAIGN_SCHEDULER_ENABLED=false)');
+    return { stop() {} };
+  }
+  // Both sweeps read their candidates from Shopify
+  if (!isShopifyConfigured()) {
+    console.log('🗓️ Shopify not configured - campaign scheduler not started');
+    return { stop() {} };
+  }
+
+  for (const campaign of scheduledCampaigns()) {
+    if (!sweeps.has(campaign.key)) {
+      console.log(`⚠️ Campaign ${campaign.key} has a schedule but no registered sweep - not scheduled`);
+      continue;
+    }
+    const job = new CronJob(
+      campaign.schedule.cron,
+      async () => {
+        if (loadState().paused[campaign.key]) return;
+        await runCampaignSweep(campaign.key, { trigger: 'schedule' });
+      },
+      null,
+      true,
+      campaign.schedule.timezone || DEFAULT_TIMEZONE
+    );
+    cronJobs.set(campaign.key, job);
+    console.log(`🗓️ ${campaign.key} sweep scheduled (${campaign.schedule.cron}), next run ${job.nextDate().toISO()}`);
+  }
+
+  return {
+    stop() {
+      for (const job of cronJobs.values()) job.stop();
+      cronJobs.clear();
+    }
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Contact Ledger
+ * Records every outbound touch (call, voicemail, Klaviyo SMS event) per E.164 phone
+ * and enforces contact frequency caps across all campaigns, so the post-delivery,
+ * win-back and abandoned-checkout agents never pile onto the same customer.
+ */
+
+import crypto from 'crypto';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { normalizeToE164 } from './phone-utils.js';
+
+const LEDGER_PATH = dataPath('contact-ledger.json');
+
+export const CONTACT_CAPS = {
+  // Minimum gap between two outbound calls to the same number
+  MIN_HOURS_BETWEEN_CALLS: Number(process.env.CONTACT_CAP_MIN_HOURS_BETWEEN_CALLS || 72),
+  // Maximum touches (calls + SMS, a call's voicemail counts with its call) in the rolling window
+  MAX_TOUCHES: Number(process.env.CONTACT_CAP_MAX_TOUCHES || 3),
+  TOUCH_WINDOW_DAYS: Number(process.env.CONTACT_CAP_TOUCH_WINDOW_DAYS || 30)
+};
+
+// Entries older than the longest window are dropped on write
+function retentionMs() {
+  return Math.max(CONTACT_CAPS.TOUCH_WINDOW_DAYS * 24, CONTACT_CAPS.MIN_HOURS_BETWEEN_CALLS) * 60 * 60 * 1000;
+}
+
+function loadLedger() {
+  const ledger = readJson(LEDGER_PATH, null) || {};
+  return { contacts: ledger.contacts || {} };
+}
+
+/**
+ * Record a touch for a phone number
+ *
+ * @param {string} phone - any phone format, normalized to E.164
+ * @param {'call'|'voicemail'|'sms'} type
+ * @param {object} details - campaign, call_id, agent_id, source
+ */
+export function recordContact(phone, { type, campaign = null, callId = null, agentId = null, source = null } = {}) {
+  const e164 = normalizeToE164(phone);
+  if (!e164 || !type) return null;
+
+  const ledger = loadLedger();
+  const cutoff = Date.now() - retentionMs();
+  const entries = (ledger.contacts[e164] || []).filter(e => new Date(e.at).getTime() >= cutoff);
+
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    type,
+    at: new Date().toISOString(),
+    campaign,
+    call_id: callId,
+    agent_id: agentId,
+    source
+  };
+  entries.push(entry);
+  ledger.contacts[e164] = entries;
+  writeJson(LEDGER_PATH, ledger);
+  return entry;
+}
+
+/**
+ * Same as recordContact but never throws - ledger bookkeeping must not break a send
+ */
+export function safeRecordContact(phone, details) {
+  try {
+    return recordContact(phone, details);
+  } catch (error) {
+    console.error('⚠️ Failed to record contact in ledger:', error.message);
+    return null;
+  }
+}
+
+export function getContactHistory(phone) {
+  const e164 = normalizeToE164(phone);
+  if (!e164) return [];
+  return loadLedger().contacts[e164] || [];
+}
+
+/**
+ * Check a phone number against the frequency caps
+ *
+ * @returns {{ allowed: boolean, reason?: 'frequency_capped', detail?: string, next_allowed_at?: string }}
+ */
+export function checkContactCaps(phone, now = new Date()) {
+  if (process.env.BYPASS_CONTACT_CAPS === 'true') return { allowed: true };
+
+  const history = getContactHistory(phone);
+  if (history.length === 0) return { allowed: true };
+
+  const nowMs = now.getTime();
+  const callGapMs = CONTACT_CAPS.MIN_HOURS_BETWEEN_CALLS * 60 * 60 * 1000;
+  const lastCall = history
+    .filter(e => e.type === 'call')
+    .sort((a, b) => new Date(b.at) - new Date(a.at))[0];
+
+  if (lastCall && nowMs - new Date(lastCall.at).getTime() < callGapMs) {
+    return {
+      allowed: false,
+      reason: 'frequency_capped',
+      detail: `called within the last ${CONTACT_CAPS.MIN_HOURS_BETWEEN_CALLS} hours`,
+      last_contact_at: lastCall.at,
+      next_allowed_at: new Date(new Date(lastCall.at).getTime() + callGapMs).toISOString()
+    };
+  }
+
+  // A call, its voicemail and anything else sharing the call_id count as one touch
+  const windowStart = nowMs - CONTACT_CAPS.TOUCH_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const inWindow = history.filter(e => new Date(e.at).getTime() >= windowStart);
+  const touches = new Map();
+  for (const e of inWindow) {
+    const key = e.call_id || e.id;
+    if (!touches.has(key) || new Date(e.at) < new Date(touches.get(key))) touches.set(key, e.at);
+  }
+
+  if (touches.size >= CONTACT_CAPS.MAX_TOUCHES) {
+    const oldest = [...touches.values()].sort((a, b) => new Date(a) - new Date(b))[touches.size - CONTACT_CAPS.MAX_TOUCHES];
+    return {
+      allowed: false,
+      reason: 'frequency_capped',
+      detail: `${touches.size} touches in the last ${CONTACT_CAPS.TOUCH_WINDOW_DAYS} days (max ${CONTACT_CAPS.MAX_TOUCHES})`,
+      next_allowed_at: new Date(new Date(oldest).getTime() + CONTACT_CAPS.TOUCH_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  return { allowed: true };
+}
@@ -0,0 +1,341 @@
+/**
+ * Conversion Attribution
+ * Links calls to the Shopify orders that followed them, so campaigns can be judged on
+ * revenue rather than call_successful. An order is credited to one call, by the
+ * strongest link available: a discount code the call issued, a draft order the call
+ * created, the abandoned checkout the call was about, then the customer's phone or
+ * email. Only outbound calls that reached the customer (or their voicemail) count, and
+ * the call must have started before the order and within the attribution window.
+ * Conversions are kept in data/attributions.json, keyed by order id.
+ */
+
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { normalizeToE164 } from './phone-utils.js';
+import { shopifyGetAll, shopifyGraphQL, isShopifyConfigured } from './shopify-client.js';
+import { queryCallRecords } from './call-record-store.js';
+import { getDiscountCode } from './discount-ledger.js';
+
+const ATTRIBUTIONS_PATH = dataPath('attributions.json');
+
+export const ATTRIBUTION_CONFIG = {
+  // Orders placed longer than this after the call aren't credited to it
+  WINDOW_DAYS: Number(process.env.ATTRIBUTION_WINDOW_DAYS || 7),
+  INTERVAL_MS: Number(process.env.ATTRIBUTION_INTERVAL_MS || 60 * 60 * 1000),
+  // Re-read orders this far before the last run so orders created mid-run aren't missed
+  OVERLAP_MS: Number(process.env.ATTRIBUTION_OVERLAP_MS || 60 * 60 * 1000),
+  MAX_PAGES: Number(process.env.ATTRIBUTION_MAX_PAGES || 40),
+  // Share of list price (before the discount) kept as margin, and what a call minute costs
+  GROSS_MARGIN: Number(process.env.ATTRIBUTION_GROSS_MARGIN || 0.4),
+  CALL_COST_PER_MINUTE: Number(process.env.ATTRIBUTION_CALL_COST_PER_MINUTE || 0)
+};
+
+// Strongest link first
+const MATCH_PRIORITY = ['discount_code', 'draft_order', 'checkout', 'phone', 'email'];
+
+const DRAFT_ORDER_STATUS_QUERY = `
+  query draftOrderStatus($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on DraftOrder {
+        id
+        status
+        order { legacyResourceId }
+      }
+    }
+  }
+`;
+
+function loadAttributions() {
+  const store = readJson(ATTRIBUTIONS_PATH, null) || {};
+  return { conversions: store.conversions || {}, last_run_at: store.last_run_at || null };
+}
+
+const legacyId = (id) => String(id || '').split('/').pop().split('?')[0];
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Unanswered or failed dials and inbound calls didn't pitch anything, so they aren't credited
+const UNCONNECTED_OUTCOMES = new Set(['no_answer', 'failed']);
+
+function isCreditable(call) {
+  return !call.dry_run && call.direction === 'outbound' && !UNCONNECTED_OUTCOMES.has(call.outcome);
+}
+
+function callStart(call) {
+  return new Date(call.started_at || call.created_at).getTime();
+}
+
+/**
+ * Lookup tables from the calls that can still be credited with an order
+ */
+function indexCalls(calls) {
+  const tables = { phone: new Map(), email: new Map(), checkout: new Map(), draft_order: new Map(), byId: new Map() };
+  const add = (table, key, call) => {
+    if (!key) return;
+    if (!tables[table].has(key)) tables[table].set(key, []);
+    tables[table].get(key).push(call);
+  };
+  for (const call of calls) {
+    tables.byId.set(call.call_id, call);
+    add('phone', call.customer?.phone, call);
+    add('email', call.customer?.email?.toLowerCase(), call);
+    if (call.checkout_id) add('checkout', legacyId(call.checkout_id), call);
+    for (const draftId of call.draft_orders || []) add('draft_order', legacyId(draftId), call);
+  }
+  return tables;
+}
+
+// The latest call that started before the order and within the window
+function latestEligible(calls, orderedAt) {
+  const windowMs = ATTRIBUTION_CONFIG.WINDOW_DAYS * dayMs;
+  return (calls || [])
+    .filter(c => callStart(c) <= orderedAt && orderedAt - callStart(c) <= windowMs)
+    .sort((a, b) => callStart(b) - callStart(a))[0] || null;
+}
+
+function orderPhones(order) {
+  return [order.phone, order.customer?.phone, order.billing_address?.phone, order.shipping_address?.phone]
+    .map(normalizeToE164)
+    .filter(Boolean);
+}
+
+function orderEmails(order) {
+  return [order.email, order.contact_email, order.customer?.email].filter(Boolean).map(e => e.toLowerCase());
+}
+
+/**
+ * Find the call to credit with an order
+ *
+ * @returns {{ call: object, matched_by: string } | null}
+ */
+function matchOrder(order, tables, draftOrderCalls) {
+  const orderedAt = new Date(order.created_at).getTime();
+  const candidates = {
+    discount_code: () => {
+      const calls = (order.discount_codes || [])
+        .map(used => getDiscountCode(used.code)?.call_id)
+        .map(callId => tables.byId.get(callId))
+        .filter(Boolean);
+      return latestEligible(calls, orderedAt);
+    },
+    draft_order: () => latestEligible(draftOrderCalls.get(String(order.id)), orderedAt),
+    checkout: () => latestEligible(tables.checkout.get(legacyId(order.checkout_id)), orderedAt),
+    phone: () => latestEligible(orderPhones(order).flatMap(p => tables.phone.get(p) || []), orderedAt),
+    email: () => latestEligible(orderEmails(order).flatMap(e => tables.email.get(e) || []), orderedAt)
+  };
+  for (const matchedBy of MATCH_PRIORITY) {
+    const call = candidates[matchedBy]();
+    if (call) return { call, matched_by: matchedBy };
+  }
+  return null;
+}
+
+/**
+ * Orders that completed the draft orders our calls created, as order id -> calls
+ */
+async function completedDraftOrders(tables) {
+  const byOrder = new Map();
+  const draftIds = [...tables.draft_order.keys()];
+  for (let i = 0; i < draftIds.length; i += 50) {
+    const ids = draftIds.slice(i, i + 50).map(id => `gid://shopify/DraftOrder/${id}`);
+    const data = await shopifyGraphQL(DRAFT_ORDER_STATUS_QUERY, { ids });
+    for (const draft of data?.nodes || []) {
+      const orderId = draft?.order?.legacyResourceId;
+      if (!orderId) continue;
+      byOrder.set(String(orderId), tables.draft_order.get(legacyId(draft.id)) || []);
+    }
+  }
+  return byOrder;
+}
+
+/**
+ * Pull orders placed since the last run and credit each to the call that led to it
+ */
+export async function runAttribution() {
+  const state = loadAttributions();
+  const startedAt = new Date().toISOString();
+  const now = Date.now();
+  const windowMs = ATTRIBUTION_CONFIG.WINDOW_DAYS * dayMs;
+
+  const since = state.last_run_at
+    ? Math.max(now - windowMs, new Date(state.last_run_at).getTime() - ATTRIBUTION_CONFIG.OVERLAP_MS)
+    : now - windowMs;
+  // Calls up to one window before the oldest order can still be credited
+  const { records } = queryCallRecords({ from: new Date(since - windowMs).toISOString(), limit: Infinity });
+  const calls = records.filter(isCreditable);
+  if (calls.length === 0) {
+    state.last_run_at = startedAt;
+    writeJson(ATTRIBUTIONS_PATH, state);
+    return { orders_scanned: 0, attributed: 0, calls: 0 };
+  }
+
+  const tables = indexCalls(calls);
+  const draftOrderCalls = await completedDraftOrders(tables);
+  const orders = await shopifyGetAll('orders.json', {
+    key: 'orders',
+    params: {
+      status: 'any',
+      limit: 250,
+      created_at_min: new Date(since).toISOString(),
+      fields: 'id,name,created_at,email,contact_email,phone,customer,billing_address,shipping_address,checkout_id,' +
+        'total_price,current_total_price,total_discounts,discount_codes,cancelled_at,source_name'
+    },
+    maxPages: ATTRIBUTION_CONFIG.MAX_PAGES
+  });
+
+  // Re-read so conversions written while the orders were being fetched aren't lost
+  const fresh = loadAttributions();
+  let attributed = 0;
+  for (const order of orders) {
+    const match = matchOrder(order, tables, draftOrderCalls);
+    if (!match) continue;
+    const { call, matched_by } = match;
+    const existing = fresh.conversions[String(order.id)];
+    fresh.conversions[String(order.id)] = {
+      order_id: order.id,
+      order_name: order.name,
+      ordered_at: order.created_at,
+      call_id: call.call_id,
+      call_started_at: call.started_at || call.created_at,
+      matched_by,
+      campaign: call.campaign || null,
+      agent_id: call.agent_id || null,
+      agent_version: call.agent_version ?? null,
+      revenue: parseFloat(order.current_total_price ?? order.total_price ?? 0),
+      discount_amount: parseFloat(order.total_discounts || 0),
+      cancelled: !!order.cancelled_at,
+      attributed_at: existing?.attributed_at || startedAt
+    };
+    if (!existing) attributed++;
+  }
+  fresh.last_run_at = startedAt;
+  writeJson(ATTRIBUTIONS_PATH, fresh);
+
+  console.log(`💰 Attribution: ${orders.length} order(s) scanned against ${calls.length} call(s), ${attributed} new conversion(s)`);
+  return { orders_scanned: orders.length, attributed, calls: calls.length, since: new Date(since).toISOString() };
+}
+
+/**
+ * Run attribution in the background
+ *
+ * @returns {{ stop: function }}
+ */
+export function startAttributionJob() {
+  if (!isShopifyConfigured()) {
+    console.log('💰 Shopify not configured - attribution job not started');
+    return { stop() {} };
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runAttribution();
+    } catch (error) {
+      console.error('❌ Attribution run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, ATTRIBUTION_CONFIG.INTERVAL_MS);
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+export function listConversions({ callId = null, campaign = null, agentId = null } = {}) {
+  return Object.values(loadAttributions().conversions)
+    .filter(c => !callId || c.call_id === callId)
+    .filter(c => !campaign || c.campaign === campaign)
+    .filter(c => !agentId || c.agent_id === agentId)
+    .sort((a, b) => new Date(b.ordered_at) - new Date(a.ordered_at));
+}
+
+function emptyBucket() {
+  return {
+    calls: 0,
+    converted_calls: 0,
+    conversion_rate: 0,
+    orders: 0,
+    recovered_revenue: 0,
+    discount_cost: 0,
+    avg_discount_cost: 0,
+    call_cost: 0,
+    net_margin: 0,
+    convertedIds: new Set()
+  };
+}
+
+function addCall(bucket, call) {
+  bucket.calls++;
+  bucket.call_cost += ((call.duration_ms || 0) / 60000) * ATTRIBUTION_CONFIG.CALL_COST_PER_MINUTE;
+}
+
+function addConversion(bucket, conversion) {
+  bucket.orders++;
+  bucket.convertedIds.add(conversion.call_id);
+  bucket.recovered_revenue += conversion.revenue || 0;
+  bucket.discount_cost += conversion.discount_amount || 0;
+}
+
+/**
+ * Net margin: margin on the pre-discount price, less the discounts given and the calls' cost
+ */
+function finishBucket(bucket) {
+  const { convertedIds, ...out } = bucket;
+  out.converted_calls = convertedIds.size;
+  out.conversion_rate = out.calls ? Number((out.converted_calls / out.calls).toFixed(3)) : 0;
+  out.avg_discount_cost = out.orders ? Number((out.discount_cost / out.orders).toFixed(2)) : 0;
+  out.net_margin = Number(((out.recovered_revenue + out.discount_cost) * ATTRIBUTION_CONFIG.GROSS_MARGIN - out.discount_cost - out.call_cost).toFixed(2));
+  out.recovered_revenue = Number(out.recovered_revenue.toFixed(2));
+  out.discount_cost = Number(out.discount_cost.toFixed(2));
+  out.call_cost = Number(out.call_cost.toFixed(2));
+  return out;
+}
+
+const promptVersionKey = (r) => (r.agent_id ? `${r.agent_id}@${r.agent_version ?? 'unknown'}` : 'unknown');
+
+/**
+ * Conversion rate, recovered revenue, discount cost and net margin overall and per
+ * campaign, agent and prompt (agent) version, for calls started in [since, until)
+ *
+ * Cancelled orders don't count as conversions.
+ */
+export function getConversionReport({ since = null, until = null } = {}) {
+  const state = loadAttributions();
+  const { records } = queryCallRecords({ from: since || undefined, to: until || undefined, limit: Infinity });
+  const untilMs = until ? new Date(until).getTime() : Infinity;
+  const calls = records.filter(c => !c.dry_run && callStart(c) < untilMs);
+  const callIds = new Set(calls.map(c => c.call_id));
+
+  const totals = emptyBucket();
+  const groups = { by_campaign: {}, by_agent: {}, by_prompt_version: {} };
+  const keysFor = (r) => ({
+    by_campaign: r.campaign || 'unknown',
+    by_agent: r.agent_id || 'unknown',
+    by_prompt_version: promptVersionKey(r)
+  });
+  const bucketsFor = (r) => [totals, ...Object.entries(keysFor(r)).map(([group, key]) => (groups[group][key] ||= emptyBucket()))];
+
+  calls.forEach(call => bucketsFor(call).forEach(bucket => addCall(bucket, call)));
+  for (const conversion of Object.values(state.conversions)) {
+    if (conversion.cancelled || !callIds.has(conversion.call_id)) continue;
+    bucketsFor(conversion).forEach(bucket => addConversion(bucket, conversion));
+  }
+
+  const finished = Object.fromEntries(Object.entries(groups).map(([group, buckets]) => [
+    group,
+    Object.fromEntries(Object.entries(buckets).map(([key, bucket]) => [key, finishBucket(bucket)]))
+  ]));
+  return {
+    since,
+    until,
+    window_days: ATTRIBUTION_CONFIG.WINDOW_DAYS,
+    last_run_at: state.last_run_at,
+    totals: finishBucket(totals),
+    ...finished
+  };
+}
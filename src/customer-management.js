@@ -4,9 +4,8 @@
  * Uses GraphQL exclusively for all Shopify operations
  */
 
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { shopifyGraphQL, assertNoUserErrors, isShopifyConfigured } from './shopify-client.js';
+import { isSimulated, recordSimulatedRequest, simulatedId } from './simulation.js';
 
 /**
  * Find existing customer by email using GraphQL
@@ -14,10 +13,7 @@ dotenv.config();
 export async function findCustomerByEmail(email) {
   if (!email || !email.includes('@')) return null;
   
-  const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-  const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-  
-  if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
+  if (!isShopifyConfigured()) {
     console.error('Shopify credentials not configured');
     return null;
   }
@@ -40,28 +36,8 @@ export async function findCustomerByEmail(email) {
   `;
   
   try {
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({
-        query: customerSearchQuery,
-        variables: {
-          query: `email:${email}`
-        }
-      })
-    });
-    
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error('GraphQL error finding customer by email:', data.errors);
-      return null;
-    }
-    
-    const customers = data.data?.customers?.nodes || [];
+    const data = await shopifyGraphQL(customerSearchQuery, { query: `email:${email}` });
+    const customers = data?.customers?.nodes || [];
     return customers.length > 0 ? customers[0] : null;
   } catch (error) {
     console.error('Error finding customer by email:', error.message);
@@ -75,10 +51,7 @@ export async function findCustomerByEmail(email) {
 export async function findCustomerByPhone(phoneRaw) {
   if (!phoneRaw) return null;
   
-  const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-  const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-  
-  if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
+  if (!isShopifyConfigured()) {
     console.error('Shopify credentials not configured');
     return null;
   }
@@ -102,28 +75,8 @@ export async function findCustomerByPhone(phoneRaw) {
   
   try {
     const phone = String(phoneRaw).replace(/[^\d+]/g, "");
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({
-        query: customerSearchQuery,
-        variables: {
-          query: `phone:${phone}`
-        }
-      })
-    });
-    
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error('GraphQL error finding customer by phone:', data.errors);
-      return null;
-    }
-    
-    const customers = data.data?.customers?.nodes || [];
+    const data = await shopifyGraphQL(customerSearchQuery, { query: `phone:${phone}` });
+    const customers = data?.customers?.nodes || [];
     return customers.length > 0 ? customers[0] : null;
   } catch (error) {
     console.error('Error finding customer by phone:', error.message);
@@ -134,18 +87,11 @@ export async function findCustomerByPhone(phoneRaw) {
 /**
  * Create a new customer using GraphQL
  */
-export async function createCustomer({ email, phone, firstName, lastName }) {
+export async function createCustomer({ email, phone, firstName, lastName, dryRun = false }) {
   if (!email && !phone) {
     throw new Error('Either email or phone is required to create a customer');
   }
 
-  const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-  const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-  
-  if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
-    throw new Error('Shopify credentials not configured');
-  }
-
   const customerCreateMutation = `
     mutation customerCreate($input: CustomerInput!) {
       customerCreate(input: $input) {
@@ -177,27 +123,22 @@ export async function createCustomer({ email, phone, firstName, lastName }) {
     }
   };
 
-  try {
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({
-        query: customerCreateMutation,
-        variables: variables
-      })
-    });
-
-    const data = await response.json();
-    
-    if (data.errors || data.data?.customerCreate?.userErrors?.length > 0) {
-      const errorMessage = data.errors?.[0]?.message || data.data?.customerCreate?.userErrors?.[0]?.message || 'Failed to create customer';
-      throw new Error(errorMessage);
-    }
+  if (isSimulated(dryRun)) {
+    recordSimulatedRequest('shopify.customerCreate', { query: customerCreateMutation, variables });
+    return {
+      id: `gid://shopify/Customer/${simulatedId('customer')}`,
+      email: variables.input.email,
+      phone: variables.input.phone,
+      firstName: variables.input.firstName,
+      lastName: variables.input.lastName,
+      displayName: [variables.input.firstName, variables.input.lastName].filter(Boolean).join(' '),
+      createdAt: new Date().toISOString()
+    };
+  }
 
-    const customer = data.data.customerCreate.customer;
+  try {
+    const data = await shopifyGraphQL(customerCreateMutation, variables);
+    const customer = assertNoUserErrors(data.customerCreate, 'customerCreate').customer;
     console.log(`✅ Customer created: ${customer.id} - ${customer.displayName} (${customer.email || customer.phone})`);
     
     return customer;
@@ -211,7 +152,7 @@ export async function createCustomer({ email, phone, firstName, lastName }) {
  * Find or create a customer for draft order association
  * Returns the customer object with Shopify ID
  */
-export async function findOrCreateCustomer({ email, phone, name }) {
+export async function findOrCreateCustomer({ email, phone, name, dryRun = false }) {
   console.log(`🔍 Looking for customer: ${name} (${email || phone})`);
   
   let customer = null;
@@ -253,7 +194,8 @@ export async function findOrCreateCustomer({ email, phone, name }) {
         email: email || null,
         phone: phone || null,
         firstName,
-        lastName
+        lastName,
+        dryRun
       });
       
       // Return GraphQL customer format consistently
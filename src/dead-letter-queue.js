@@ -0,0 +1,214 @@
+/**
+ * Dead-Letter Queue
+ * Failed post-call side effects (draft orders, Klaviyo events, discounts, Shopify
+ * notes) are saved here with the inputs needed to run them again. Admin routes list,
+ * inspect and replay entries; transient failures (429 / 5xx from Shopify or Klaviyo)
+ * are also retried automatically on a schedule with exponential backoff.
+ */
+
+import crypto from 'crypto';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+
+const DLQ_PATH = dataPath('dead-letters.json');
+
+export const DEAD_LETTER_CONFIG = {
+  RETRY_INTERVAL_MS: Number(process.env.DLQ_RETRY_INTERVAL_MS || 5 * 60 * 1000),
+  MAX_AUTO_RETRIES: Number(process.env.DLQ_MAX_AUTO_RETRIES || 5),
+  BACKOFF_BASE_MS: Number(process.env.DLQ_BACKOFF_BASE_MS || 5 * 60 * 1000),
+  // Resolved / discarded entries older than this are pruned
+  RETENTION_DAYS: Number(process.env.DLQ_RETENTION_DAYS || 30)
+};
+
+// Entry statuses: pending -> resolved | discarded; pending entries past MAX_AUTO_RETRIES stop auto-retrying
+const CLOSED_STATUSES = new Set(['resolved', 'discarded']);
+
+// source -> async (entry) => { ok, error?, status? }
+const replayHandlers = {};
+
+function loadDlq() {
+  const store = readJson(DLQ_PATH, null) || {};
+  return { entries: store.entries || [] };
+}
+
+function saveDlq(store) {
+  const cutoff = Date.now() - DEAD_LETTER_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  store.entries = store.entries.filter(e => !(CLOSED_STATUSES.has(e.status) && new Date(e.updated_at).getTime() < cutoff));
+  writeJson(DLQ_PATH, store);
+}
+
+/**
+ * 429 and 5xx responses are worth retrying on their own; anything else needs a human
+ */
+export function isTransientError(status) {
+  return status === 429 || (typeof status === 'number' && status >= 500);
+}
+
+function nextRetryAt(autoRetries) {
+  return new Date(Date.now() + DEAD_LETTER_CONFIG.BACKOFF_BASE_MS * Math.pow(2, autoRetries)).toISOString();
+}
+
+/**
+ * Register how entries from a source are replayed
+ */
+export function registerDeadLetterHandler(source, handler) {
+  replayHandlers[source] = handler;
+}
+
+/**
+ * Save a failed side effect
+ *
+ * @param {string} source - replay handler key (e.g. 'webhook_pipeline')
+ * @param {string} action - what failed (e.g. the pipeline step name)
+ * @param {string[]} steps - actions to run on replay (the failed action plus anything that depended on it)
+ * @param {object} inputs - everything the replay handler needs
+ * @param {string|object} error
+ * @param {number} status - HTTP status of the failure, if any
+ */
+export function addDeadLetter({ source, action, callId = null, steps = [action], inputs, error, status = null }) {
+  const store = loadDlq();
+  const now = new Date().toISOString();
+  const transient = isTransientError(status);
+  const entry = {
+    id: `dlq_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`,
+    source,
+    action,
+    call_id: callId,
+    steps,
+    inputs,
+    status: 'pending',
+    transient,
+    last_error: error,
+    last_status: status,
+    auto_retries: 0,
+    next_retry_at: transient ? nextRetryAt(0) : null,
+    attempts: [],
+    created_at: now,
+    updated_at: now
+  };
+  store.entries.push(entry);
+  saveDlq(store);
+  console.log(`📮 Dead-lettered ${action} for ${callId || 'unknown call'} (${transient ? 'transient - will retry' : 'needs replay'})`);
+  return entry;
+}
+
+export function listDeadLetters({ status, action, limit = 100 } = {}) {
+  return loadDlq().entries
+    .filter(e => (!status || e.status === status) && (!action || e.action === action))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit)
+    .map(({ inputs, ...summary }) => summary);
+}
+
+export function getDeadLetter(id) {
+  return loadDlq().entries.find(e => e.id === id) || null;
+}
+
+function updateDeadLetter(id, mutate) {
+  const store = loadDlq();
+  const entry = store.entries.find(e => e.id === id);
+  if (!entry) return null;
+  mutate(entry);
+  entry.updated_at = new Date().toISOString();
+  saveDlq(store);
+  return entry;
+}
+
+export function discardDeadLetter(id, reason = null) {
+  return updateDeadLetter(id, e => {
+    e.status = 'discarded';
+    e.discard_reason = reason;
+    e.next_retry_at = null;
+  });
+}
+
+/**
+ * Replay one entry through its source's handler
+ *
+ * @param {string} trigger - 'manual' or 'scheduled', recorded on the attempt
+ */
+export async function replayDeadLetter(id, { trigger = 'manual' } = {}) {
+  const entry = getDeadLetter(id);
+  if (!entry) return null;
+  if (CLOSED_STATUSES.has(entry.status)) return { ...entry, skipped: true, reason: `already ${entry.status}` };
+
+  const handler = replayHandlers[entry.source];
+  if (!handler) throw new Error(`No replay handler registered for ${entry.source}`);
+
+  const startedAt = new Date().toISOString();
+  let result;
+  try {
+    result = await handler(entry);
+  } catch (error) {
+    result = { ok: false, error: error?.response?.data || error.message, status: error?.status || error?.response?.status || null };
+  }
+
+  return updateDeadLetter(id, e => {
+    e.attempts.push({ trigger, started_at: startedAt, finished_at: new Date().toISOString(), ok: result.ok, error: result.error || null, status: result.status || null });
+    if (trigger === 'scheduled') e.auto_retries += 1;
+    if (result.ok) {
+      e.status = 'resolved';
+      e.next_retry_at = null;
+      console.log(`✅ Dead letter ${id} (${e.action}) replayed successfully`);
+    } else {
+      e.last_error = result.error || null;
+      e.last_status = result.status || null;
+      e.transient = isTransientError(e.last_status);
+      e.next_retry_at = e.transient && e.auto_retries < DEAD_LETTER_CONFIG.MAX_AUTO_RETRIES ? nextRetryAt(e.auto_retries) : null;
+      console.error(`❌ Dead letter ${id} (${e.action}) replay failed:`, e.last_error);
+    }
+  });
+}
+
+/**
+ * Replay several entries one after another (explicit ids, or every pending entry)
+ */
+export async function replayDeadLetters({ ids, action } = {}) {
+  const targets = ids?.length
+    ? ids
+    : listDeadLetters({ status: 'pending', action, limit: Infinity }).map(e => e.id);
+
+  const results = [];
+  for (const id of targets) {
+    const entry = await replayDeadLetter(id);
+    results.push(entry
+      ? { id, status: entry.status, skipped: entry.skipped || false, last_error: entry.status === 'resolved' ? null : entry.last_error }
+      : { id, error: 'not found' });
+  }
+  return results;
+}
+
+/**
+ * Periodically retry pending entries whose last failure was transient
+ *
+ * @returns {{ stop: function }}
+ */
+export function startDeadLetterRetryScheduler() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const due = loadDlq().entries.filter(e =>
+        e.status === 'pending' && e.transient && e.next_retry_at && new Date(e.next_retry_at).getTime() <= now
+      );
+      for (const entry of due) {
+        await replayDeadLetter(entry.id, { trigger: 'scheduled' });
+      }
+    } catch (error) {
+      console.error('❌ Dead-letter retry run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, DEAD_LETTER_CONFIG.RETRY_INTERVAL_MS);
+  console.log(`📮 Dead-letter retry scheduler started (every ${Math.round(DEAD_LETTER_CONFIG.RETRY_INTERVAL_MS / 1000)}s, max ${DEAD_LETTER_CONFIG.MAX_AUTO_RETRIES} retries)`);
+
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
@@ -4,7 +4,9 @@
  * Replaces SMS service for Grace's discount delivery
  */
 
-import axios from 'axios';
+import { shopifyGet, shopifyGraphQL, assertNoUserErrors } from './shopify-client.js';
+import { capDiscountPercent, getDiscountExpiry } from './discount-policy.js';
+import { safeRecordDiscountCode } from './discount-ledger.js';
 import crypto from 'crypto';
 import { initializeEmailService, transporter } from './email-service.js';
 
@@ -13,19 +15,9 @@ import { initializeEmailService, transporter } from './email-service.js';
  */
 async function getShopifyCustomerByEmail(email) {
   try {
-    const response = await axios.get(
-      `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/search.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN
-        },
-        params: {
-          query: `email:${email}`
-        }
-      }
-    );
+    const data = await shopifyGet('customers/search.json', { query: `email:${email}` });
     
-    const customers = response.data.customers || [];
+    const customers = data.customers || [];
     return customers.length > 0 ? customers[0] : null;
   } catch (error) {
     console.error('Error finding customer by email:', error.message);
@@ -41,9 +33,10 @@ export async function createShopifyDiscountCode({
   discountType = 'percentage', // 'percentage' or 'fixed_amount'
   value = 10, // 10% or $10
   usageLimit = 1,
-  expiresInDays = 30,
+  expiryHours = null, // defaults to the campaign's expiry in the discount policy
   minimumAmount = null,
-  customerEmail = null
+  customerEmail = null,
+  attribution = {} // { callId, agentId, campaign, channel } for the discount ledger
 }) {
   try {
     // Generate unique code if not provided
@@ -55,7 +48,8 @@ export async function createShopifyDiscountCode({
     // Get customer ID for customer-specific discount
     const customer = customerEmail ? await getShopifyCustomerByEmail(customerEmail) : null;
     
-    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    const expiry = getDiscountExpiry(attribution.campaign, { hours: expiryHours });
+    const expiresAt = new Date(expiry.expires_at);
 
     const mutation = `
       mutation createDiscountCode($input: DiscountCodeBasicInput!) {
@@ -128,25 +122,19 @@ export async function createShopifyDiscountCode({
       }
     };
 
-    const response = await axios.post(
-      `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/graphql.json`,
-      { query: mutation, variables },
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (response.data.errors) {
-      throw new Error(`Shopify GraphQL errors: ${JSON.stringify(response.data.errors)}`);
-    }
-
-    const result = response.data.data.discountCodeBasicCreate;
-    if (result.userErrors.length > 0) {
-      throw new Error(`Shopify user errors: ${JSON.stringify(result.userErrors)}`);
-    }
+    const data = await shopifyGraphQL(mutation, variables);
+    const result = assertNoUserErrors(data.discountCodeBasicCreate, 'discountCodeBasicCreate');
+
+    safeRecordDiscountCode(code, {
+      discountId: result.codeDiscountNode.id,
+      value,
+      valueType: discountType,
+      expiresAt: expiresAt.toISOString(),
+      channel: 'email',
+      customerEmail,
+      source: 'discount-email-service',
+      ...attribution
+    });
 
     return {
       success: true,
@@ -155,12 +143,13 @@ export async function createShopifyDiscountCode({
       value: value,
       type: discountType,
       expires_at: expiresAt.toISOString(),
+      expires_in: expiry.expires_in,
       checkout_url: `https://${process.env.SHOPIFY_STORE_DOMAIN}/discount/${code}`,
       customer_specific: !!customer
     };
 
   } catch (error) {
-    console.error('Error creating Shopify discount:', error.response?.data || error.message);
+    console.error('Error creating Shopify discount:', error.details || error.message);
     
     // If code already exists, generate a new one
     if (error.message.includes('already been taken') || error.message.includes('taken')) {
@@ -184,7 +173,8 @@ export async function sendDiscountEmail({
   discountValue,
   discountType,
   checkoutUrl,
-  orderNumber = null
+  orderNumber = null,
+  expiresIn
 }) {
   // Initialize email service if not already done
   await initializeEmailService();
@@ -461,7 +451,7 @@ export async function sendDiscountEmail({
             <div class="discount-container">
                 <h3 class="discount-title">Your ${discountText} Off Discount Code</h3>
                 <div class="discount-code">${discountCode}</div>
-                <p class="expiry">⏰ Expires in 30 days</p>
+                <p class="expiry">⏰ Expires in ${expiresIn}</p>
             </div>
             
             <div class="cta-section">
@@ -506,7 +496,7 @@ Hi ${customerName}!
 Thanks for being a valued Meatery customer! As promised during our call, here's your exclusive discount code:
 
 Your ${discountText} Off Discount Code: ${discountCode}
-Expires in 30 days
+Expires in ${expiresIn}
 
 Use this code at checkout to save ${discountText} on your next order of premium meats.
 
@@ -578,13 +568,15 @@ export async function createAndSendDiscountEmail({
   discountType = 'percentage',
   discountValue = 10,
   reason = 'customer_service',
-  orderNumber = null
+  orderNumber = null,
+  campaign = 'customer_service',
+  callId = null,
+  agentId = null
 }) {
   try {
-    // Cap discount at 15% maximum
-    if (discountType === 'percentage' && discountValue > 15) {
-      console.log(`⚠️ Discount capped at 15% (requested: ${discountValue}%)`);
-      discountValue = 15;
+    // Cap to the campaign's limit in the discount policy
+    if (discountType === 'percentage') {
+      discountValue = capDiscountPercent(discountValue, campaign);
     }
 
     // Create the discount code
@@ -593,8 +585,8 @@ export async function createAndSendDiscountEmail({
       discountType,
       value: discountValue,
       usageLimit: 1,
-      expiresInDays: 30,
-      customerEmail
+      customerEmail,
+      attribution: { callId, agentId, campaign }
     });
 
     // Send email with the discount
@@ -605,7 +597,8 @@ export async function createAndSendDiscountEmail({
       discountValue: discountValue,
       discountType: discountType,
       checkoutUrl: discount.checkout_url,
-      orderNumber
+      orderNumber,
+      expiresIn: discount.expires_in
     });
 
     // Log the discount creation
@@ -634,70 +627,3 @@ export async function createAndSendDiscountEmail({
     };
   }
 }
-
-/**
- * Check if customer is eligible for a discount
- */
-export async function checkDiscountEligibility({
-  customerEmail,
-  customerPhone,
-  orderNumber
-}) {
-  try {
-    // Check recent discount usage
-    const recentDiscountsUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/search.json`;
-    
-    // Search for customer
-    const searchQuery = customerEmail ? `email:${customerEmail}` : `phone:${customerPhone}`;
-    const customerResponse = await axios.get(recentDiscountsUrl, {
-      headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN },
-      params: { query: searchQuery }
-    });
-
-    const customers = customerResponse.data?.customers || [];
-    if (customers.length === 0) {
-      return { eligible: true, reason: 'new_customer' };
-    }
-
-    const customer = customers[0];
-    
-    // Check if customer has made recent orders
-    const ordersUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/${customer.id}/orders.json`;
-    const ordersResponse = await axios.get(ordersUrl, {
-      headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN },
-      params: { limit: 10 }
-    });
-
-    const orders = ordersResponse.data?.orders || [];
-    
-    // Check for recent discounts used
-    const recentDiscountUse = orders.filter(order => {
-      const orderDate = new Date(order.created_at);
-      const daysSinceOrder = (Date.now() - orderDate) / (1000 * 60 * 60 * 24);
-      return daysSinceOrder < 30 && order.discount_codes?.length > 0;
-    });
-
-    if (recentDiscountUse.length > 0) {
-      return { 
-        eligible: false, 
-        reason: 'recent_discount_used',
-        last_discount_date: recentDiscountUse[0].created_at
-      };
-    }
-
-    // Check order value for eligibility (capped at 15%)
-    const totalSpent = parseFloat(customer.total_spent || 0);
-    if (totalSpent > 1000) {
-      return { eligible: true, reason: 'vip_customer', discount_value: 15 }; // MAX discount
-    } else if (totalSpent > 500) {
-      return { eligible: true, reason: 'valued_customer', discount_value: 12 };
-    } else {
-      return { eligible: true, reason: 'standard', discount_value: 10 }; // Starting discount
-    }
-
-  } catch (error) {
-    console.error('Error checking discount eligibility:', error);
-    // Default to eligible with 10% standard discount
-    return { eligible: true, reason: 'default', discount_value: 10 };
-  }
-}
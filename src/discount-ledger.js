@@ -0,0 +1,270 @@
+/**
+ * Discount Ledger
+ * Records every discount code we create in Shopify together with the call, agent,
+ * campaign and channel that produced it, and reconciles redemptions from Shopify
+ * orders so we can report issued vs redeemed codes and the revenue they brought in.
+ */
+
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { shopifyGetAll, isShopifyConfigured } from './shopify-client.js';
+
+const LEDGER_PATH = dataPath('discount-ledger.json');
+
+export const DISCOUNT_LEDGER_CONFIG = {
+  RECONCILE_INTERVAL_MS: Number(process.env.DISCOUNT_RECONCILE_INTERVAL_MS || 60 * 60 * 1000),
+  // Re-read orders this far before the last run so orders created mid-run aren't missed
+  RECONCILE_OVERLAP_MS: Number(process.env.DISCOUNT_RECONCILE_OVERLAP_MS || 60 * 60 * 1000),
+  // Orders placed this long after a code expired can't have used it; stop looking for them
+  EXPIRED_GRACE_DAYS: Number(process.env.DISCOUNT_RECONCILE_EXPIRED_GRACE_DAYS || 7),
+  RECONCILE_MAX_PAGES: Number(process.env.DISCOUNT_RECONCILE_MAX_PAGES || 40)
+};
+
+function loadLedger() {
+  const ledger = readJson(LEDGER_PATH, null) || {};
+  return { codes: ledger.codes || {}, last_reconciled_at: ledger.last_reconciled_at || null, truncated: !!ledger.truncated };
+}
+
+// Shopify matches discount codes case-insensitively
+function codeKey(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Record a newly created discount code
+ *
+ * @param {string} code
+ * @param {object} details - discountId, value, valueType, expiresAt, channel, campaign,
+ *   callId, agentId, customerEmail, customerPhone, source (the module that created it)
+ */
+export function recordDiscountCode(code, {
+  discountId = null,
+  value = null,
+  valueType = 'percentage',
+  expiresAt = null,
+  channel = null,
+  campaign = null,
+  callId = null,
+  agentId = null,
+  customerEmail = null,
+  customerPhone = null,
+  source = null
+} = {}) {
+  const key = codeKey(code);
+  if (!key) return null;
+
+  const ledger = loadLedger();
+  const existing = ledger.codes[key];
+  const entry = {
+    code,
+    discount_id: discountId,
+    call_id: callId,
+    agent_id: agentId,
+    campaign,
+    channel,
+    value: value != null ? Number(value) : null,
+    value_type: valueType,
+    expires_at: expiresAt,
+    customer_email: customerEmail,
+    customer_phone: customerPhone,
+    source,
+    created_at: existing?.created_at || new Date().toISOString(),
+    redemptions: existing?.redemptions || [],
+    redeemed_at: existing?.redeemed_at || null
+  };
+  ledger.codes[key] = entry;
+  writeJson(LEDGER_PATH, ledger);
+  return entry;
+}
+
+/**
+ * Same as recordDiscountCode but never throws - ledger bookkeeping must not break a send
+ */
+export function safeRecordDiscountCode(code, details) {
+  try {
+    return recordDiscountCode(code, details);
+  } catch (error) {
+    console.error('⚠️ Failed to record discount code in ledger:', error.message);
+    return null;
+  }
+}
+
+export function getDiscountCode(code) {
+  return loadLedger().codes[codeKey(code)] || null;
+}
+
+export function listDiscountCodes({ callId = null, agentId = null, campaign = null, redeemed = null } = {}) {
+  return Object.values(loadLedger().codes)
+    .filter(e => !callId || e.call_id === callId)
+    .filter(e => !agentId || e.agent_id === agentId)
+    .filter(e => !campaign || e.campaign === campaign)
+    .filter(e => redeemed == null || !!e.redeemed_at === redeemed)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+function stillRedeemable(entry, now) {
+  if (!entry.expires_at) return true;
+  const graceMs = DISCOUNT_LEDGER_CONFIG.EXPIRED_GRACE_DAYS * 24 * 60 * 60 * 1000;
+  return new Date(entry.expires_at).getTime() + graceMs >= now;
+}
+
+/**
+ * Pull Shopify orders placed since the last run and mark ledger codes they used as redeemed
+ *
+ * Codes are single-use in practice but every order using a code is kept, deduplicated by order id.
+ * Orders are read oldest first; a run cut short by RECONCILE_MAX_PAGES only moves
+ * last_reconciled_at up to the last order it processed, and the next run resumes there.
+ */
+export async function reconcileDiscountRedemptions() {
+  const ledger = loadLedger();
+  const startedAt = new Date().toISOString();
+  const now = Date.now();
+
+  const open = Object.values(ledger.codes).filter(e => stillRedeemable(e, now));
+  if (open.length === 0) {
+    ledger.last_reconciled_at = startedAt;
+    ledger.truncated = false;
+    writeJson(LEDGER_PATH, ledger);
+    return { orders_scanned: 0, redemptions: 0, codes_open: 0 };
+  }
+
+  const earliestOpen = Math.min(...open.map(e => new Date(e.created_at).getTime()));
+  // A truncated run's cursor is an order's created_at, so it needs no overlap
+  const overlapMs = ledger.truncated ? 0 : DISCOUNT_LEDGER_CONFIG.RECONCILE_OVERLAP_MS;
+  const since = ledger.last_reconciled_at
+    ? Math.max(earliestOpen, new Date(ledger.last_reconciled_at).getTime() - overlapMs)
+    : earliestOpen;
+
+  const orders = await shopifyGetAll('orders.json', {
+    key: 'orders',
+    params: {
+      status: 'any',
+      limit: 250,
+      order: 'created_at asc',
+      created_at_min: new Date(since).toISOString(),
+      fields: 'id,name,created_at,total_price,current_total_price,discount_codes,cancelled_at'
+    },
+    maxPages: DISCOUNT_LEDGER_CONFIG.RECONCILE_MAX_PAGES
+  });
+
+  // Re-read so codes recorded while the orders were being fetched aren't lost
+  const fresh = loadLedger();
+  let redemptions = 0;
+  for (const order of orders) {
+    for (const used of order.discount_codes || []) {
+      const entry = fresh.codes[codeKey(used.code)];
+      if (!entry) continue;
+      if (entry.redemptions.some(r => String(r.order_id) === String(order.id))) continue;
+
+      entry.redemptions.push({
+        order_id: order.id,
+        order_name: order.name,
+        order_total: parseFloat(order.current_total_price ?? order.total_price ?? 0),
+        discount_amount: parseFloat(used.amount || 0),
+        cancelled: !!order.cancelled_at,
+        ordered_at: order.created_at
+      });
+      if (!entry.redeemed_at || new Date(order.created_at) < new Date(entry.redeemed_at)) {
+        entry.redeemed_at = order.created_at;
+      }
+      redemptions++;
+    }
+  }
+  const truncated = orders.length >= DISCOUNT_LEDGER_CONFIG.RECONCILE_MAX_PAGES * 250;
+  fresh.last_reconciled_at = truncated ? orders[orders.length - 1].created_at : startedAt;
+  fresh.truncated = truncated;
+  writeJson(LEDGER_PATH, fresh);
+
+  console.log(`🏷️ Discount ledger reconciled: ${orders.length} order(s) scanned, ${redemptions} new redemption(s)${truncated ? ` (page limit reached - resumes from ${fresh.last_reconciled_at})` : ''}`);
+  return { orders_scanned: orders.length, redemptions, codes_open: open.length, since: new Date(since).toISOString(), truncated };
+}
+
+/**
+ * Reconcile redemptions in the background
+ *
+ * @returns {{ stop: function }}
+ */
+export function startDiscountReconciler() {
+  if (!isShopifyConfigured()) {
+    console.log('🏷️ Shopify not configured - discount reconciler not started');
+    return { stop() {} };
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reconcileDiscountRedemptions();
+    } catch (error) {
+      console.error('❌ Discount reconciliation failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, DISCOUNT_LEDGER_CONFIG.RECONCILE_INTERVAL_MS);
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+function emptyBucket() {
+  return { issued: 0, redeemed: 0, redemption_rate: 0, revenue: 0, discount_amount: 0 };
+}
+
+function addToBucket(bucket, entry) {
+  bucket.issued++;
+  const paid = (entry.redemptions || []).filter(r => !r.cancelled);
+  if (paid.length > 0) bucket.redeemed++;
+  for (const r of paid) {
+    bucket.revenue += r.order_total || 0;
+    bucket.discount_amount += r.discount_amount || 0;
+  }
+}
+
+function finishBucket(bucket) {
+  bucket.redemption_rate = bucket.issued ? Number((bucket.redeemed / bucket.issued).toFixed(3)) : 0;
+  bucket.revenue = Number(bucket.revenue.toFixed(2));
+  bucket.discount_amount = Number(bucket.discount_amount.toFixed(2));
+  return bucket;
+}
+
+/**
+ * Issued vs redeemed codes and attributed revenue, overall and per agent / campaign
+ *
+ * Cancelled orders don't count as redemptions.
+ *
+ * @param {string} since - ISO date, codes issued on or after
+ * @param {string} until - ISO date, codes issued before
+ */
+export function getDiscountReport({ since = null, until = null } = {}) {
+  const ledger = loadLedger();
+  const sinceMs = since ? new Date(since).getTime() : -Infinity;
+  const untilMs = until ? new Date(until).getTime() : Infinity;
+
+  const totals = emptyBucket();
+  const byAgent = {};
+  const byCampaign = {};
+  for (const entry of Object.values(ledger.codes)) {
+    const issuedMs = new Date(entry.created_at).getTime();
+    if (issuedMs < sinceMs || issuedMs >= untilMs) continue;
+
+    addToBucket(totals, entry);
+    addToBucket(byAgent[entry.agent_id || 'unknown'] ||= emptyBucket(), entry);
+    addToBucket(byCampaign[entry.campaign || 'unknown'] ||= emptyBucket(), entry);
+  }
+
+  Object.values(byAgent).forEach(finishBucket);
+  Object.values(byCampaign).forEach(finishBucket);
+  return {
+    since,
+    until,
+    last_reconciled_at: ledger.last_reconciled_at,
+    totals: finishBucket(totals),
+    by_agent: byAgent,
+    by_campaign: byCampaign
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Discount Policy
+ * One place that decides how much discount a customer may get. The rules live in
+ * discount-policy.json (override with DISCOUNT_POLICY_PATH): lifetime-spend tiers,
+ * a recent-discount lockout, per-campaign caps and cart-value tiers, a hard cap
+ * no campaign can exceed, and how long issued codes stay valid. Every discount path
+ * (tools, webhook, recovery carts, win-back draft orders) asks this module for the
+ * allowed percentage and expiry.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { shopifyGet } from './shopify-client.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const POLICY_PATH = process.env.DISCOUNT_POLICY_PATH || path.join(__dirname, 'discount-policy.json');
+
+let policy = null;
+
+export function getDiscountPolicy() {
+  if (!policy) policy = JSON.parse(fs.readFileSync(POLICY_PATH, 'utf8'));
+  return policy;
+}
+
+function campaignRules(campaign) {
+  const { campaigns } = getDiscountPolicy();
+  return campaigns[campaign] || campaigns.customer_service;
+}
+
+function firstTier(tiers, key, value) {
+  return [...(tiers || [])].sort((a, b) => b[key] - a[key]).find(t => value >= t[key]) || null;
+}
+
+/**
+ * Phrase an expiry for customers: "24 hours", "3 days"
+ */
+export function describeExpiry(hours) {
+  if (hours < 48) return hours === 1 ? '1 hour' : `${hours} hours`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * How long a code issued for the campaign stays valid
+ *
+ * The creators set the Shopify end date from this, and everything we tell or send
+ * the customer renders from the returned expires_in.
+ *
+ * @param {number|null} hours - explicit override; defaults to the campaign's expiry_hours
+ * @returns {{ hours: number, expires_at: string, expires_in: string }}
+ */
+export function getDiscountExpiry(campaign = 'customer_service', { hours = null, from = new Date() } = {}) {
+  const expiryHours = Number(hours) || campaignRules(campaign).expiry_hours || getDiscountPolicy().default_expiry_hours || 720;
+  return {
+    hours: expiryHours,
+    expires_at: new Date(from.getTime() + expiryHours * 60 * 60 * 1000).toISOString(),
+    expires_in: describeExpiry(expiryHours)
+  };
+}
+
+/**
+ * Apply the policy to what we know about the customer
+ *
+ * @param {string} campaign - customer_service | post_delivery | abandoned_checkout | win_back
+ * @param {number|null} lifetimeSpend - null when unknown (new or unlooked-up customer)
+ * @param {string|null} lastDiscountAt - when the customer last ordered with a discount code
+ * @param {number|null} cartValue
+ * @param {number|null} requestedPercent - what the agent offered; the result never exceeds it
+ * @returns {{ eligible: boolean, campaign: string, discount_value: number, max_percent: number, tier: string|null, reason: string, reasons: string[], expires_in?: string }}
+ */
+export function evaluateDiscountPolicy({
+  campaign = 'customer_service',
+  lifetimeSpend = null,
+  lastDiscountAt = null,
+  cartValue = null,
+  requestedPercent = null
+} = {}) {
+  const { hard_cap_percent, recent_discount_days, spend_tiers } = getDiscountPolicy();
+  const rules = campaignRules(campaign);
+  const maxPercent = Math.min(rules.max_percent ?? hard_cap_percent, hard_cap_percent);
+  const reasons = [];
+
+  if (rules.block_on_recent_discount && lastDiscountAt) {
+    const daysSince = (Date.now() - new Date(lastDiscountAt).getTime()) / (24 * 60 * 60 * 1000);
+    if (daysSince < recent_discount_days) {
+      return {
+        eligible: false,
+        campaign,
+        discount_value: 0,
+        max_percent: maxPercent,
+        tier: null,
+        reason: 'recent_discount_used',
+        reasons: [`discount used ${Math.floor(daysSince)} day(s) ago (lockout ${recent_discount_days} days)`],
+        last_discount_date: lastDiscountAt
+      };
+    }
+  }
+
+  let percent;
+  let tier = null;
+  let reason;
+  if (rules.fixed_percent != null) {
+    percent = rules.fixed_percent;
+    reason = `${campaign}_offer`;
+    reasons.push(`${campaign} offer is ${percent}%`);
+  } else {
+    const spendTier = firstTier(spend_tiers, 'min_lifetime_spend', Number(lifetimeSpend) || 0);
+    tier = spendTier?.name || null;
+    percent = spendTier?.percent ?? 0;
+    reason = lifetimeSpend == null ? 'new_customer' : `${tier}_customer`;
+    reasons.push(lifetimeSpend == null
+      ? `no purchase history - ${tier} tier ${percent}%`
+      : `lifetime spend $${Number(lifetimeSpend).toFixed(2)} - ${tier} tier ${percent}%`);
+
+    if (rules.cart_value_tiers && cartValue != null) {
+      const cartTier = firstTier(rules.cart_value_tiers, 'min_cart_value', Number(cartValue) || 0);
+      if (cartTier && cartTier.percent < percent) {
+        percent = cartTier.percent;
+        reasons.push(`cart value $${Number(cartValue).toFixed(2)} limits ${campaign} discount to ${percent}%`);
+      }
+    }
+  }
+
+  if (percent > maxPercent) {
+    reasons.push(`capped at ${maxPercent}% for ${campaign}`);
+    percent = maxPercent;
+  }
+  const requested = Number(requestedPercent);
+  if (requestedPercent != null && requested > 0 && requested < percent) {
+    reasons.push(`agent offered ${requested}%`);
+    percent = requested;
+  }
+
+  return {
+    eligible: true,
+    campaign,
+    discount_value: percent,
+    max_percent: maxPercent,
+    tier,
+    reason,
+    reasons,
+    expires_in: getDiscountExpiry(campaign).expires_in
+  };
+}
+
+/**
+ * Clamp a percentage about to be issued to the campaign's cap
+ *
+ * Used right before creating codes / draft orders, after eligibility was decided.
+ */
+export function capDiscountPercent(percent, campaign = 'customer_service') {
+  const maxPercent = maxDiscountPercent(campaign);
+  const value = Number(percent) || 0;
+  if (value > maxPercent) {
+    console.log(`⚠️ Discount capped at ${maxPercent}% for ${campaign} (requested: ${value}%)`);
+    return maxPercent;
+  }
+  return value;
+}
+
+/**
+ * The most a campaign may ever give: its own cap, never above the hard cap
+ */
+export function maxDiscountPercent(campaign = 'customer_service') {
+  const { hard_cap_percent } = getDiscountPolicy();
+  return Math.min(campaignRules(campaign).max_percent ?? hard_cap_percent, hard_cap_percent);
+}
+
+/**
+ * Discounts offered in free text ("25% off", "a 30 percent code") above `cap`
+ *
+ * Used to check what agents say or are told to say, not to issue anything.
+ *
+ * @returns {{ percent: number, cap: number, text: string }[]} each offer with the text around it
+ */
+export function discountOffersAbove(text, cap) {
+  const offers = [];
+  for (const match of String(text || '').matchAll(/(\d{1,3})\s?(?:%|percent)/gi)) {
+    const around = text.slice(Math.max(0, match.index - 40), match.index + match[0].length + 40);
+    const percent = Number(match[1]);
+    if (percent > cap && /\b(off|discount|code|coupon|promo|sav(e|ings))/i.test(around)) {
+      offers.push({ percent, cap, text: around.trim() });
+    }
+  }
+  return offers;
+}
+
+/**
+ * Look up the customer's spend and discount history in Shopify and apply the policy
+ *
+ * If the lookup fails the policy is applied as for a customer without history.
+ */
+export async function checkDiscountEligibility({
+  customerEmail = null,
+  customerPhone = null,
+  campaign = 'customer_service',
+  cartValue = null,
+  requestedPercent = null
+} = {}) {
+  let lifetimeSpend = null;
+  let lastDiscountAt = null;
+  let lookupError = null;
+
+  try {
+    const searchQuery = customerEmail ? `email:${customerEmail}` : customerPhone ? `phone:${customerPhone}` : null;
+    const customer = searchQuery
+      ? (await shopifyGet('customers/search.json', { query: searchQuery }))?.customers?.[0]
+      : null;
+
+    if (customer) {
+      lifetimeSpend = parseFloat(customer.total_spent || 0);
+      const ordersData = await shopifyGet(`customers/${customer.id}/orders.json`, { status: 'any', limit: 10 });
+      const discounted = (ordersData?.orders || [])
+        .filter(o => o.discount_codes?.length > 0)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+      lastDiscountAt = discounted?.created_at || null;
+    }
+  } catch (error) {
+    console.error('Error checking discount eligibility:', error.message);
+    lookupError = error.message;
+  }
+
+  const result = evaluateDiscountPolicy({ campaign, lifetimeSpend, lastDiscountAt, cartValue, requestedPercent });
+  if (lookupError) {
+    result.reason = 'history_unavailable';
+    result.reasons.push(`customer history unavailable: ${lookupError}`);
+  }
+  console.log(`🏷️ Discount policy (${campaign}): ${result.eligible ? `${result.discount_value}%` : 'not eligible'} - ${result.reasons.join('; ')}`);
+  return result;
+}
@@ -3,7 +3,9 @@
  * Creates personalized discount codes and texts them to customers
  */
 
-import axios from 'axios';
+import { shopifyGet, shopifyGraphQL, assertNoUserErrors } from './shopify-client.js';
+import { capDiscountPercent, getDiscountExpiry } from './discount-policy.js';
+import { safeRecordDiscountCode } from './discount-ledger.js';
 import twilio from 'twilio';
 import crypto from 'crypto';
 
@@ -20,19 +22,9 @@ const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_T
  */
 async function getShopifyCustomerByEmail(email) {
   try {
-    const response = await axios.get(
-      `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/search.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN
-        },
-        params: {
-          query: `email:${email}`
-        }
-      }
-    );
+    const data = await shopifyGet('customers/search.json', { query: `email:${email}` });
     
-    const customers = response.data.customers || [];
+    const customers = data.customers || [];
     return customers.length > 0 ? customers[0] : null;
   } catch (error) {
     console.error('Error finding customer by email:', error.message);
@@ -45,9 +37,10 @@ export async function createShopifyDiscountCode({
   discountType = 'percentage', // 'percentage' or 'fixed_amount'
   value = 10, // 10% or $10
   usageLimit = 1,
-  expiresInDays = 30,
+  expiryHours = null, // defaults to the campaign's expiry in the discount policy
   minimumAmount = null,
-  customerEmail = null
+  customerEmail = null,
+  attribution = {} // { callId, agentId, campaign, channel } for the discount ledger
 }) {
   try {
     // Generate unique code if not provided
@@ -59,7 +52,8 @@ export async function createShopifyDiscountCode({
     // Get customer ID for customer-specific discount
     const customer = customerEmail ? await getShopifyCustomerByEmail(customerEmail) : null;
     
-    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    const expiry = getDiscountExpiry(attribution.campaign, { hours: expiryHours });
+    const expiresAt = new Date(expiry.expires_at);
 
     const mutation = `
       mutation createDiscountCode($input: DiscountCodeBasicInput!) {
@@ -132,25 +126,19 @@ export async function createShopifyDiscountCode({
       }
     };
 
-    const response = await axios.post(
-      `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/graphql.json`,
-      { query: mutation, variables },
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const data = await shopifyGraphQL(mutation, variables);
+    const result = assertNoUserErrors(data.discountCodeBasicCreate, 'discountCodeBasicCreate');
 
-    if (response.data.errors) {
-      throw new Error(`Shopify GraphQL errors: ${JSON.stringify(response.data.errors)}`);
-    }
-
-    const result = response.data.data.discountCodeBasicCreate;
-    if (result.userErrors.length > 0) {
-      throw new Error(`Shopify user errors: ${JSON.stringify(result.userErrors)}`);
-    }
+    safeRecordDiscountCode(code, {
+      discountId: result.codeDiscountNode.id,
+      value,
+      valueType: discountType,
+      expiresAt: expiresAt.toISOString(),
+      channel: 'sms',
+      customerEmail,
+      source: 'discount-sms-service',
+      ...attribution
+    });
 
     return {
       success: true,
@@ -159,12 +147,13 @@ export async function createShopifyDiscountCode({
       value: value,
       type: discountType,
       expires_at: expiresAt.toISOString(),
+      expires_in: expiry.expires_in,
       checkout_url: `https://${process.env.SHOPIFY_STORE_DOMAIN}/discount/${code}`,
       customer_specific: !!customer
     };
 
   } catch (error) {
-    console.error('Error creating Shopify discount:', error.response?.data || error.message);
+    console.error('Error creating Shopify discount:', error.details || error.message);
     
     // If code already exists, generate a new one
     if (error.message.includes('already been taken') || error.message.includes('taken')) {
@@ -187,7 +176,8 @@ export async function sendDiscountSMS({
   discountValue,
   discountType,
   checkoutUrl,
-  customerName = 'there'
+  customerName = 'there',
+  expiresIn
 }) {
   if (!twilioClient) {
     throw new Error('Twilio not configured. Set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
@@ -207,7 +197,7 @@ export async function sendDiscountSMS({
   const message = `Hi ${customerName}! Thanks for being a valued Meatery customer. ` +
     `Here's your exclusive ${discountText} off discount code: ${discountCode}\n\n` +
     `Shop now: ${checkoutUrl}\n\n` +
-    `Code expires in 30 days. Enjoy your premium meats! 🥩`;
+    `Code expires in ${expiresIn}. Enjoy your premium meats! 🥩`;
 
   try {
     const result = await twilioClient.messages.create({
@@ -238,13 +228,15 @@ export async function createAndSendDiscount({
   discountType = 'percentage',
   discountValue = 10,
   reason = 'customer_service',
-  orderNumber = null
+  orderNumber = null,
+  campaign = 'customer_service',
+  callId = null,
+  agentId = null
 }) {
   try {
-    // Cap discount at 15% maximum
-    if (discountType === 'percentage' && discountValue > 15) {
-      console.log(`⚠️ Discount capped at 15% (requested: ${discountValue}%)`);
-      discountValue = 15;
+    // Cap to the campaign's limit in the discount policy
+    if (discountType === 'percentage') {
+      discountValue = capDiscountPercent(discountValue, campaign);
     }
     // Create the discount code
     const discount = await createShopifyDiscountCode({
@@ -252,8 +244,8 @@ export async function createAndSendDiscount({
       discountType,
       value: discountValue,
       usageLimit: 1,
-      expiresInDays: 30,
-      customerEmail
+      customerEmail,
+      attribution: { callId, agentId, campaign }
     });
 
     // Send SMS with the discount
@@ -263,7 +255,8 @@ export async function createAndSendDiscount({
       discountValue: discountValue,
       discountType: discountType,
       checkoutUrl: discount.checkout_url,
-      customerName
+      customerName,
+      expiresIn: discount.expires_in
     });
 
     // Log the discount creation
@@ -291,70 +284,3 @@ export async function createAndSendDiscount({
     };
   }
 }
-
-/**
- * Check if customer is eligible for a discount
- */
-export async function checkDiscountEligibility({
-  customerEmail,
-  customerPhone,
-  orderNumber
-}) {
-  try {
-    // Check recent discount usage
-    const recentDiscountsUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/search.json`;
-    
-    // Search for customer
-    const searchQuery = customerEmail ? `email:${customerEmail}` : `phone:${customerPhone}`;
-    const customerResponse = await axios.get(recentDiscountsUrl, {
-      headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN },
-      params: { query: searchQuery }
-    });
-
-    const customers = customerResponse.data?.customers || [];
-    if (customers.length === 0) {
-      return { eligible: true, reason: 'new_customer' };
-    }
-
-    const customer = customers[0];
-    
-    // Check if customer has made recent orders
-    const ordersUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/${customer.id}/orders.json`;
-    const ordersResponse = await axios.get(ordersUrl, {
-      headers: { 'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN },
-      params: { limit: 10 }
-    });
-
-    const orders = ordersResponse.data?.orders || [];
-    
-    // Check for recent discounts used
-    const recentDiscountUse = orders.filter(order => {
-      const orderDate = new Date(order.created_at);
-      const daysSinceOrder = (Date.now() - orderDate) / (1000 * 60 * 60 * 24);
-      return daysSinceOrder < 30 && order.discount_codes?.length > 0;
-    });
-
-    if (recentDiscountUse.length > 0) {
-      return { 
-        eligible: false, 
-        reason: 'recent_discount_used',
-        last_discount_date: recentDiscountUse[0].created_at
-      };
-    }
-
-    // Check order value for eligibility (capped at 15%)
-    const totalSpent = parseFloat(customer.total_spent || 0);
-    if (totalSpent > 1000) {
-      return { eligible: true, reason: 'vip_customer', discount_value: 15 }; // MAX discount
-    } else if (totalSpent > 500) {
-      return { eligible: true, reason: 'valued_customer', discount_value: 12 };
-    } else {
-      return { eligible: true, reason: 'standard', discount_value: 10 }; // Starting discount
-    }
-
-  } catch (error) {
-    console.error('Error checking discount eligibility:', error);
-    // Default to eligible with 10% standard discount
-    return { eligible: true, reason: 'default', discount_value: 10 };
-  }
-}
@@ -448,7 +448,8 @@ export async function sendDailyImprovementSummary(summaryData) {
       status,
       performance_comparison,
       agents_analyzed,
-      issue_tracking
+      issue_tracking,
+      policy_violations
     } = summaryData;
 
     const subject = `Daily Agent Improvement Summary - ${analysis_date}`;
@@ -562,6 +563,14 @@ export async function sendDailyImprovementSummary(summaryData) {
             <strong>Next Analysis:</strong> ${next_analysis_time}
         </div>
         
+        ${policy_violations?.length ? `
+        <div class="section-title">🛡️ Prompt Policy Violations</div>
+        <div class="warning">
+            These generated sections broke business rules and were not applied:<br><br>
+            ${policy_violations.map(v => `<strong>${v.rule}</strong> - ${v.kind.replace(/_/g, ' ')} ${v.name}: ${v.message}${v.excerpt ? `<br><em>"${v.excerpt}"</em>` : ''}`).join('<br><br>')}
+        </div>
+        ` : ''}
+        
         ${improvements_made ? `
         <div class="section-title">🚀 Improvements Applied</div>
         <div class="improvement">
@@ -0,0 +1,298 @@
+/**
+ * Improvement Proposals
+ * Queue of improvement-loop changes waiting for a human. Each proposal keeps the
+ * agents it was generated for and splits the improvements into sections (new prompt
+ * sections, modifications, sample scripts, best practices) that reviewers edit,
+ * approve or reject one by one and comment on. Sections that break the prompt policy
+ * (prompt-policy.js) start out rejected, with the violations on them. Approved sections
+ * are applied by the improvement loop through the same path as automatic changes.
+ * Persisted to data/improvement-proposals.json.
+ */
+
+import crypto from 'crypto';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+
+const PROPOSALS_PATH = dataPath('improvement-proposals.json');
+
+export const PROPOSAL_CONFIG = {
+  // Decided proposals beyond this are dropped, oldest first
+  MAX_DECIDED: Number(process.env.IMPROVEMENT_PROPOSALS_MAX_DECIDED || 200),
+  // A proposal left 'applying' by a run that died opens up again after this long
+  APPLYING_STALE_MINUTES: Number(process.env.IMPROVEMENT_PROPOSAL_APPLYING_STALE_MINUTES || 30)
+};
+
+// Improvement fields reviewed section by section: name -> content maps, and best_practices (a list)
+const SECTION_KINDS = ['new_sections', 'modifications', 'sample_scripts', 'best_practices'];
+const SECTION_STATUSES = ['pending', 'approved', 'rejected'];
+// Proposal statuses that aren't a decision yet
+const OPEN_STATUSES = ['pending', 'applying'];
+
+// Read on every call: the improvement loop also runs as a CLI next to the server
+function loadProposals() {
+  const stored = readJson(PROPOSALS_PATH, null) || {};
+  return { proposals: stored.proposals || {} };
+}
+
+function saveProposals(state) {
+  const decided = Object.values(state.proposals)
+    .filter(p => !OPEN_STATUSES.includes(p.status))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  decided.slice(PROPOSAL_CONFIG.MAX_DECIDED).forEach(p => delete state.proposals[p.proposal_id]);
+  writeJson(PROPOSALS_PATH, state);
+}
+
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Improvements as a flat list of { kind, name, content } sections (best practices are named by position)
+ */
+export function improvementSections(improvements) {
+  const sections = [];
+  for (const kind of SECTION_KINDS) {
+    const value = improvements[kind];
+    const entries = Array.isArray(value) ? value.map((content, index) => [String(index + 1), content]) : Object.entries(value || {});
+    for (const [name, content] of entries) {
+      sections.push({ kind, name, content: typeof content === 'string' ? content : JSON.stringify(content) });
+    }
+  }
+  return sections;
+}
+
+function toSections(improvements) {
+  return improvementSections(improvements).map(({ kind, name, content }) => (
+    { section_id: newId('sec'), kind, name, content, original_content: content, status: 'pending', reviewed_by: null, reviewed_at: null }
+  ));
+}
+
+// Put policy violations on the sections they were found in; checked sections without any are cleared
+function attachViolations(proposal, violations, checkedIds) {
+  for (const section of proposal.sections.filter(s => checkedIds.includes(s.section_id))) {
+    section.violations = violations.filter(v => v.section_id === section.section_id);
+  }
+  proposal.violations = proposal.sections.flatMap(section => section.violations || []);
+}
+
+/**
+ * Queue improvements for review
+ *
+ * Sections with prompt policy violations start out rejected, with the violations on them.
+ *
+ * @param {object} improvements - as generated by the improvement loop
+ * @param {object[]} agents - the discovered agents they would be applied to
+ * @param {object} source - what produced them (loop run, replay evaluation...)
+ * @param {object[]} violations - from checkPromptPolicy(improvementSections(improvements))
+ */
+export function createProposal({ improvements, agents, reason = null, source = null, violations = [] }) {
+  const { new_sections, modifications, sample_scripts, best_practices, ...context } = improvements;
+  const now = new Date().toISOString();
+  const proposal = {
+    proposal_id: newId('prop'),
+    status: 'pending',
+    reason,
+    created_at: now,
+    updated_at: now,
+    agents: agents.map(({ id, name, llm_id }) => ({ id, name, llm_id })),
+    // priority_fixes, expected_improvement... - shown to reviewers, carried into the applied change
+    context,
+    sections: toSections(improvements),
+    comments: [],
+    source,
+    decision: null
+  };
+  const flagged = violations.map(violation => ({
+    ...violation,
+    section_id: proposal.sections.find(s => s.kind === violation.kind && s.name === violation.name)?.section_id || null
+  }));
+  attachViolations(proposal, flagged, proposal.sections.map(s => s.section_id));
+  for (const section of proposal.sections.filter(s => s.violations.length)) {
+    section.status = 'rejected';
+    section.reviewed_by = 'prompt policy';
+    section.reviewed_at = now;
+  }
+  const state = loadProposals();
+  state.proposals[proposal.proposal_id] = proposal;
+  saveProposals(state);
+  console.log(`📋 Improvement proposal ${proposal.proposal_id} queued for review (${proposal.sections.length} sections${flagged.length ? `, ${flagged.length} policy violations` : ''})`);
+  return proposal;
+}
+
+const countBy = (sections) => Object.fromEntries(SECTION_STATUSES.map(status => [status, sections.filter(s => s.status === status).length]));
+
+/**
+ * Proposals newest first, without section contents
+ */
+export function listProposals({ status = null } = {}) {
+  return Object.values(loadProposals().proposals)
+    .filter(p => !status || p.status === status)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .map(({ sections, comments, violations = [], ...proposal }) => ({ ...proposal, sections: countBy(sections), comments: comments.length, violations: violations.length }));
+}
+
+export function getProposal(proposalId) {
+  return loadProposals().proposals[proposalId] || null;
+}
+
+function isStaleApplying(proposal) {
+  const startedAt = new Date(proposal.applying?.started_at || proposal.updated_at).getTime();
+  return proposal.status === 'applying' && Date.now() - startedAt > PROPOSAL_CONFIG.APPLYING_STALE_MINUTES * 60 * 1000;
+}
+
+// Load, check the proposal is still open (or, for the run applying it, being applied), change it and save
+function updateOpenProposal(proposalId, change, { applying = false } = {}) {
+  const state = loadProposals();
+  const proposal = state.proposals[proposalId];
+  if (!proposal) return null;
+  if (!applying && isStaleApplying(proposal)) {
+    console.warn(`⚠️ Proposal ${proposalId} has been applying since ${proposal.applying?.started_at} - reopening it`);
+    proposal.status = 'pending';
+    delete proposal.applying;
+  }
+  if (proposal.status !== (applying ? 'applying' : 'pending')) {
+    return { skipped: true, reason: proposal.status === 'applying' ? 'proposal is being applied' : `proposal already ${proposal.status}` };
+  }
+  if (change(proposal) === false) return null;
+  proposal.updated_at = new Date().toISOString();
+  saveProposals(state);
+  return proposal;
+}
+
+/**
+ * Edit a section's content and / or set its review status
+ *
+ * @param {object} update - { content?, status? ('pending' | 'approved' | 'rejected'), reviewer? }
+ * @returns {object|null} the proposal, null when the proposal or section is unknown, { skipped } once decided
+ */
+export function updateProposalSection(proposalId, sectionId, { content, status, reviewer = null } = {}) {
+  if (status !== undefined && !SECTION_STATUSES.includes(status)) throw new Error(`status must be one of ${SECTION_STATUSES.join(', ')}`);
+  if (content !== undefined && (typeof content !== 'string' || !content.trim())) throw new Error('content must be non-empty text');
+
+  return updateOpenProposal(proposalId, (proposal) => {
+    const section = proposal.sections.find(s => s.section_id === sectionId);
+    if (!section) return false;
+    if (content !== undefined) {
+      section.content = content;
+      section.edited = content !== section.original_content;
+      section.edited_by = reviewer;
+    }
+    if (status !== undefined) {
+      section.status = status;
+      section.reviewed_by = status === 'pending' ? null : reviewer;
+      section.reviewed_at = status === 'pending' ? null : new Date().toISOString();
+    }
+  });
+}
+
+/**
+ * Leave a reviewer comment on the proposal or one of its sections
+ */
+export function addProposalComment(proposalId, { author = null, text, sectionId = null }) {
+  if (!text || !String(text).trim()) throw new Error('text is required');
+  const state = loadProposals();
+  const proposal = state.proposals[proposalId];
+  if (!proposal) return null;
+  if (sectionId && !proposal.sections.some(s => s.section_id === sectionId)) return null;
+
+  const comment = { comment_id: newId('cmt'), author, text: String(text).trim(), section_id: sectionId, created_at: new Date().toISOString() };
+  proposal.comments.push(comment);
+  proposal.updated_at = comment.created_at;
+  saveProposals(state);
+  return comment;
+}
+
+/**
+ * Set every still-pending section to `status` (used when a whole proposal is approved or rejected)
+ *
+ * @param {boolean} applying - called by the run applying the proposal (see startApplyingProposal)
+ */
+export function reviewPendingSections(proposalId, status, { reviewer = null, applying = false } = {}) {
+  return updateOpenProposal(proposalId, (proposal) => {
+    const now = new Date().toISOString();
+    for (const section of proposal.sections.filter(s => s.status === 'pending')) {
+      section.status = status;
+      section.reviewed_by = reviewer;
+      section.reviewed_at = now;
+    }
+  }, { applying });
+}
+
+/**
+ * The improvements object the loop applies: approved sections only, with reviewers' edits
+ *
+ * @param {{ include: string[] }} options - section statuses to take (approved only by default)
+ */
+export function proposalImprovements(proposal, { include = ['approved'] } = {}) {
+  const improvements = { ...proposal.context, new_sections: {}, modifications: {}, sample_scripts: {}, best_practices: [] };
+  for (const section of proposal.sections.filter(s => include.includes(s.status))) {
+    if (section.kind === 'best_practices') improvements.best_practices.push(section.content);
+    else improvements[section.kind][section.name] = section.content;
+  }
+  return improvements;
+}
+
+/**
+ * Mark a pending proposal as being applied
+ *
+ * Done before anything is awaited, so a second approval, an edit or a rejection
+ * arriving meanwhile gets { skipped } instead of applying the proposal again.
+ */
+export function startApplyingProposal(proposalId, { reviewer = null } = {}) {
+  return updateOpenProposal(proposalId, (proposal) => {
+    proposal.status = 'applying';
+    proposal.applying = { reviewer, started_at: new Date().toISOString() };
+  });
+}
+
+/**
+ * Record the policy check of the sections about to be applied (by section_id); the proposal stays open
+ */
+export function recordPolicyViolations(proposalId, violations, checkedIds) {
+  return updateOpenProposal(proposalId, (proposal) => {
+    attachViolations(proposal, violations, checkedIds);
+  }, { applying: true });
+}
+
+/**
+ * Put a proposal that wasn't applied back to pending, with the error if applying it failed,
+ * so it can be edited and retried
+ */
+export function reopenProposal(proposalId, error = null) {
+  return updateOpenProposal(proposalId, (proposal) => {
+    proposal.status = 'pending';
+    delete proposal.applying;
+    if (error) proposal.last_error = { message: error, at: new Date().toISOString() };
+  }, { applying: true });
+}
+
+/**
+ * Close the proposal: 'applied' or 'rejected'
+ */
+export function closeProposal(proposalId, status, { reviewer = null, note = null, updatedAgents = [] } = {}) {
+  const state = loadProposals();
+  const proposal = state.proposals[proposalId];
+  if (!proposal) return null;
+  const now = new Date().toISOString();
+  proposal.status = status;
+  proposal.updated_at = now;
+  delete proposal.applying;
+  proposal.decision = {
+    status,
+    reviewer,
+    note,
+    decided_at: now,
+    approved_sections: proposal.sections.filter(s => s.status === 'approved').length,
+    rejected_sections: proposal.sections.filter(s => s.status === 'rejected').length,
+    updated_agents: updatedAgents
+  };
+  saveProposals(state);
+  console.log(`📋 Improvement proposal ${proposalId} ${status}${reviewer ? ` by ${reviewer}` : ''}`);
+  return proposal;
+}
+
+/**
+ * Reject whatever is still pending and close the proposal without applying anything
+ */
+export function rejectProposal(proposalId, { reviewer = null, note = null } = {}) {
+  const reviewed = reviewPendingSections(proposalId, 'rejected', { reviewer });
+  if (!reviewed || reviewed.skipped) return reviewed;
+  return closeProposal(proposalId, 'rejected', { reviewer, note });
+}
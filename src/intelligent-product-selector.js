@@ -3,10 +3,12 @@
  * Uses customer purchase history and product similarity to make smart recommendations
  */
 
+import { shopifyGraphQL } from './shopify-client.js';
+
 /**
  * Get current prices for variant IDs
  */
-async function getCurrentPricesForVariants(variantIds, shopifyGraphqlEndpoint, shopifyAccessToken) {
+async function getCurrentPricesForVariants(variantIds) {
   if (!variantIds || variantIds.length === 0) return [];
   
   try {
@@ -30,26 +32,9 @@ async function getCurrentPricesForVariants(variantIds, shopifyGraphqlEndpoint, s
       id.startsWith('gid://shopify') ? id : `gid://shopify/ProductVariant/${id}`
     );
     
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({
-        query,
-        variables: { ids: formattedIds }
-      })
-    });
-    
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error('❌ GraphQL errors getting variant prices:', data.errors);
-      return [];
-    }
+    const data = await shopifyGraphQL(query, { ids: formattedIds });
     
-    return (data.data?.nodes || [])
+    return (data?.nodes || [])
       .filter(node => node && node.availableForSale)
       .map(node => ({
         variantId: node.id,
@@ -77,13 +62,6 @@ export async function getIntelligentProductRecommendations({
   try {
     console.log('🧠 Getting intelligent product recommendations...');
     
-    const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-    const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-    
-    if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
-      throw new Error('Shopify credentials not configured');
-    }
-
     // Import customer order history function
     const { getCustomerOrderHistory } = await import('./klaviyo-events-integration.js');
     
@@ -98,7 +76,7 @@ export async function getIntelligentProductRecommendations({
       console.log(`🔍 Searching for specific products: ${searchTerms.join(', ')}`);
       
       for (const searchTerm of searchTerms) {
-        const searchResults = await searchProductsByName(searchTerm, shopifyGraphqlEndpoint, shopifyAccessToken);
+        const searchResults = await searchProductsByName(searchTerm);
         
         if (searchResults.length > 0) {
           recommendations.push(...searchResults.map(item => ({
@@ -150,7 +128,7 @@ export async function getIntelligentProductRecommendations({
       context.reasoning.push(`Added ${favoriteItems.length} items from customer's purchase history`);
       
       // Now find similar/complementary products
-      const similarProducts = await findSimilarProducts(favoriteItems, shopifyGraphqlEndpoint, shopifyAccessToken);
+      const similarProducts = await findSimilarProducts(favoriteItems);
       
       if (similarProducts.length > 0) {
         // Add 1-2 similar items they haven't tried
@@ -170,7 +148,7 @@ export async function getIntelligentProductRecommendations({
       console.log('📦 No customer history found, using curated starter selection...');
       
       // Use a curated selection of high-quality, popular items (NOT promo items)
-      const starterSelection = await getCuratedStarterSelection(shopifyGraphqlEndpoint, shopifyAccessToken);
+      const starterSelection = await getCuratedStarterSelection();
       recommendations.push(...starterSelection);
       
       context.reasoning.push('Used curated starter selection for new customer');
@@ -216,7 +194,7 @@ export async function getIntelligentProductRecommendations({
 /**
  * Search for any products in the catalog by name or description
  */
-async function searchProductsByName(searchTerm, shopifyGraphqlEndpoint, shopifyAccessToken) {
+async function searchProductsByName(searchTerm) {
   try {
     console.log(`🔍 Searching for available products containing: "${searchTerm}"`);
     
@@ -252,31 +230,14 @@ async function searchProductsByName(searchTerm, shopifyGraphqlEndpoint, shopifyA
       }
     `;
     
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({
-        query: searchQuery,
-        variables: { 
-          query: `available_for_sale:true AND (title:*${searchTerm}* OR product_type:*${searchTerm}* OR tag:*${searchTerm}*)`,
-          first: 20
-        }
-      })
+    const data = await shopifyGraphQL(searchQuery, {
+      query: `available_for_sale:true AND (title:*${searchTerm}* OR product_type:*${searchTerm}* OR tag:*${searchTerm}*)`,
+      first: 20
     });
     
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error('❌ GraphQL errors:', data.errors);
-      return [];
-    }
-    
     const foundProducts = [];
     
-    data.data?.products?.edges?.forEach(edge => {
+    data?.products?.edges?.forEach(edge => {
       const product = edge.node;
       
       // Skip if not active or not published to online store
@@ -322,7 +283,7 @@ async function searchProductsByName(searchTerm, shopifyGraphqlEndpoint, shopifyA
 /**
  * Find products similar to customer's favorites
  */
-async function findSimilarProducts(favoriteItems, shopifyGraphqlEndpoint, shopifyAccessToken) {
+async function findSimilarProducts(favoriteItems) {
   try {
     // Extract product types and tags from favorites
     const favoriteTypes = [...new Set(favoriteItems.map(item => item.productType).filter(Boolean))];
@@ -383,31 +344,14 @@ async function findSimilarProducts(favoriteItems, shopifyGraphqlEndpoint, shopif
       }
     `;
     
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({
-        query: similarProductsQuery,
-        variables: { 
-          query: searchQuery,
-          first: 10
-        }
-      })
+    const data = await shopifyGraphQL(similarProductsQuery, {
+      query: searchQuery,
+      first: 10
     });
     
-    const data = await response.json();
-    
-    if (data.errors) {
-      console.error('❌ GraphQL errors:', data.errors);
-      return [];
-    }
-    
     const similarProducts = [];
     
-    data.data?.products?.edges?.forEach(edge => {
+    data?.products?.edges?.forEach(edge => {
       const product = edge.node;
       
       // Skip if not active or not published to online store
@@ -452,7 +396,7 @@ async function findSimilarProducts(favoriteItems, shopifyGraphqlEndpoint, shopif
 /**
  * Get curated starter selection for customers without history
  */
-async function getCuratedStarterSelection(shopifyGraphqlEndpoint, shopifyAccessToken) {
+async function getCuratedStarterSelection() {
   try {
     // Query for high-quality, popular items (not promo items)
     const curatedQuery = `
@@ -482,24 +426,11 @@ async function getCuratedStarterSelection(shopifyGraphqlEndpoint, shopifyAccessT
       }
     `;
     
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({ query: curatedQuery })
-    });
-    
-    const data = await response.json();
-    
-    if (data.errors) {
-      throw new Error(data.errors[0].message);
-    }
+    const data = await shopifyGraphQL(curatedQuery);
     
     const curatedProducts = [];
     
-    data.data?.products?.edges?.forEach(edge => {
+    data?.products?.edges?.forEach(edge => {
       const product = edge.node;
       
       if (product.status !== 'ACTIVE') return;
@@ -3,20 +3,13 @@
  * Prevents agents from suggesting out-of-stock products
  */
 
-import fetch from 'node-fetch';
+import { shopifyGraphQL } from './shopify-client.js';
 
 /**
  * Check if products are in stock via Shopify GraphQL
  */
 export async function checkProductAvailability(productIds = []) {
   try {
-    const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-    const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-    
-    if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
-      throw new Error('Shopify credentials not configured');
-    }
-
     // Get product variants with inventory levels
     const query = `
       query getProductsWithInventory($ids: [ID!]!) {
@@ -49,22 +42,8 @@ export async function checkProductAvailability(productIds = []) {
       ids: productIds.map(id => `gid://shopify/Product/${id}`)
     };
 
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({ query, variables })
-    });
-
-    const data = await response.json();
-    
-    if (data.errors) {
-      throw new Error(data.errors[0].message);
-    }
-
-    const products = data.data.nodes.filter(node => node !== null);
+    const data = await shopifyGraphQL(query, variables);
+    const products = data.nodes.filter(node => node !== null);
     
     return products.map(product => {
       const availableVariants = product.variants.edges
@@ -94,13 +73,6 @@ export async function checkProductAvailability(productIds = []) {
  */
 export async function getPopularInStockProducts(limit = 10) {
   try {
-    const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-    const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-    
-    if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
-      throw new Error('Shopify credentials not configured');
-    }
-
     // Get products with inventory levels
     const query = `
       query getPopularProducts($first: Int!) {
@@ -134,25 +106,10 @@ export async function getPopularInStockProducts(limit = 10) {
       }
     `;
 
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({ 
-        query, 
-        variables: { first: limit * 2 } // Get more than needed to filter
-      })
-    });
-
-    const data = await response.json();
-    
-    if (data.errors) {
-      throw new Error(data.errors[0].message);
-    }
+    // Get more than needed to filter
+    const data = await shopifyGraphQL(query, { first: limit * 2 });
 
-    const products = data.data.products.edges
+    const products = data.products.edges
       .map(edge => edge.node)
       .filter(product => {
         // Only include published products
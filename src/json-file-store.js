@@ -0,0 +1,43 @@
+/**
+ * JSON File Store
+ * Small helpers for the JSON / JSONL state files kept under data/
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+
+/**
+ * Resolve a file name inside the data directory
+ */
+export function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+export function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_) {
+    return fallback;
+  }
+}
+
+/**
+ * Write JSON via a temp file + rename so a crash mid-write never leaves
+ * a truncated state file behind
+ */
+export function writeJson(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+export function appendJsonl(file, obj) {
+  fs.appendFileSync(file, JSON.stringify(obj) + '\n');
+}
@@ -0,0 +1,16 @@
+/**
+ * Klaviyo Client
+ * Where the Klaviyo API lives. Every Klaviyo request builds its URL here so
+ * KLAVIYO_API_BASE_URL can point the services at another host (e.g. a local
+ * stand-in for tests) without touching each call site.
+ */
+
+const DEFAULT_BASE_URL = 'https://a.klaviyo.com/api';
+
+/**
+ * Full URL for a Klaviyo API path, e.g. klaviyoUrl('events/')
+ */
+export function klaviyoUrl(path) {
+  const baseUrl = (process.env.KLAVIYO_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  return `${baseUrl}/${String(path).replace(/^\//, '')}`;
+}
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import { sendDiscountViaEvent } from './klaviyo-events-service.js';
+import { klaviyoUrl } from './klaviyo-client.js';
 
 dotenv.config();
 
@@ -43,7 +44,8 @@ export async function sendKlaviyoDiscountEmail({
   discountType = 'percentage',
   orderNumber = null,
   discountCode = null,
-  recoveryUrl = null
+  recoveryUrl = null,
+  expiresIn = null
 }) {
   const klaviyoApiKey = getKlaviyoApiKey();
   if (!klaviyoApiKey) {
@@ -63,7 +65,7 @@ export async function sendKlaviyoDiscountEmail({
     
     // Check if profile exists
     const getProfileResponse = await axios.get(
-      `https://a.klaviyo.com/api/profiles/?filter=equals(email,"${customerEmail}")`,
+      klaviyoUrl(`profiles/?filter=equals(email,"${customerEmail}")`),
       {
         headers: {
           'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
@@ -76,7 +78,7 @@ export async function sendKlaviyoDiscountEmail({
       profileId = getProfileResponse.data.data[0].id;
       
       // Update existing profile
-      await axios.patch(`https://a.klaviyo.com/api/profiles/${profileId}/`, {
+      await axios.patch(klaviyoUrl(`profiles/${profileId}/`), {
         data: {
           type: 'profile',
           id: profileId,
@@ -98,7 +100,7 @@ export async function sendKlaviyoDiscountEmail({
       });
     } else {
       // Create new profile
-      const createResponse = await axios.post('https://a.klaviyo.com/api/profiles/', {
+      const createResponse = await axios.post(klaviyoUrl('profiles/'), {
         data: {
           type: 'profile',
           attributes: {
@@ -132,7 +134,7 @@ export async function sendKlaviyoDiscountEmail({
       }
     };
 
-    const listResponse = await axios.post('https://a.klaviyo.com/api/lists/', listData, {
+    const listResponse = await axios.post(klaviyoUrl('lists/'), listData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -144,7 +146,7 @@ export async function sendKlaviyoDiscountEmail({
     
     // Step 3: Subscribe profile to email marketing and add to list
     // First, subscribe the profile to email marketing
-    await axios.post('https://a.klaviyo.com/api/profile-subscription-bulk-create-jobs/', {
+    await axios.post(klaviyoUrl('profile-subscription-bulk-create-jobs/'), {
       data: {
         type: 'profile-subscription-bulk-create-job',
         attributes: {
@@ -175,7 +177,7 @@ export async function sendKlaviyoDiscountEmail({
     });
 
     // Then add profile to list - CRITICAL: Must be done BEFORE campaign creation
-    await axios.post(`https://a.klaviyo.com/api/lists/${listId}/relationships/profiles/`, {
+    await axios.post(klaviyoUrl(`lists/${listId}/relationships/profiles/`), {
       data: [{
         type: 'profile',
         id: profileId
@@ -228,7 +230,7 @@ export async function sendKlaviyoDiscountEmail({
       }
     };
 
-    const campaignResponse = await axios.post('https://a.klaviyo.com/api/campaigns/', campaignData, {
+    const campaignResponse = await axios.post(klaviyoUrl('campaigns/'), campaignData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -251,13 +253,14 @@ export async function sendKlaviyoDiscountEmail({
             discountCode,
             discountValue,
             discountText,
-            checkoutUrl: formattedUrl
+            checkoutUrl: formattedUrl,
+            expiresIn
           })
         }
       }
     };
 
-    const templateResponse = await axios.post('https://a.klaviyo.com/api/templates/', templateData, {
+    const templateResponse = await axios.post(klaviyoUrl('templates/'), templateData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -268,7 +271,7 @@ export async function sendKlaviyoDiscountEmail({
     const templateId = templateResponse.data.data.id;
 
     // Step 6: Assign template to campaign message
-    await axios.post(`https://a.klaviyo.com/api/campaign-message-assign-template/`, {
+    await axios.post(klaviyoUrl(`campaign-message-assign-template/`), {
       data: {
         type: 'campaign-message',
         id: campaignMessageId,
@@ -290,7 +293,7 @@ export async function sendKlaviyoDiscountEmail({
     });
 
     // Step 7: Trigger the campaign send
-    await axios.post('https://a.klaviyo.com/api/campaign-send-jobs/', {
+    await axios.post(klaviyoUrl('campaign-send-jobs/'), {
       data: {
         type: 'campaign-send-job',
         id: campaignId,
@@ -330,7 +333,8 @@ export async function sendKlaviyoDiscountSMS({
   discountType = 'percentage',
   orderNumber = null,
   discountCode = null,
-  recoveryUrl = null
+  recoveryUrl = null,
+  expiresIn = null
 }) {
   const klaviyoApiKey = getKlaviyoApiKey();
   if (!klaviyoApiKey) {
@@ -354,7 +358,7 @@ export async function sendKlaviyoDiscountSMS({
     let profileId;
     
     const getProfileResponse = await axios.get(
-      `https://a.klaviyo.com/api/profiles/?filter=equals(phone_number,"${formattedPhone}")`,
+      klaviyoUrl(`profiles/?filter=equals(phone_number,"${formattedPhone}")`),
       {
         headers: {
           'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
@@ -367,7 +371,7 @@ export async function sendKlaviyoDiscountSMS({
       profileId = getProfileResponse.data.data[0].id;
     } else {
       // Create new profile
-      const createResponse = await axios.post('https://a.klaviyo.com/api/profiles/', {
+      const createResponse = await axios.post(klaviyoUrl('profiles/'), {
         data: {
           type: 'profile',
           attributes: {
@@ -392,7 +396,7 @@ export async function sendKlaviyoDiscountSMS({
     // Step 2: Subscribe to SMS
     console.log(`📱 Subscribing ${formattedPhone} to SMS...`);
     try {
-      await axios.post('https://a.klaviyo.com/api/profile-subscription-bulk-create-jobs/', {
+      await axios.post(klaviyoUrl('profile-subscription-bulk-create-jobs/'), {
         data: {
           type: 'profile-subscription-bulk-create-job',
           attributes: {
@@ -428,7 +432,7 @@ export async function sendKlaviyoDiscountSMS({
     }
 
     // Step 3: Create temporary list
-    const listResponse = await axios.post('https://a.klaviyo.com/api/lists/', {
+    const listResponse = await axios.post(klaviyoUrl('lists/'), {
       data: {
         type: 'list',
         attributes: {
@@ -448,7 +452,7 @@ export async function sendKlaviyoDiscountSMS({
     
     // Step 4: Add profile to list BEFORE campaign creation
     console.log(`📎 Adding profile ${profileId} to list ${listId}...`);
-    await axios.post(`https://a.klaviyo.com/api/lists/${listId}/relationships/profiles/`, {
+    await axios.post(klaviyoUrl(`lists/${listId}/relationships/profiles/`), {
       data: [{
         type: 'profile',
         id: profileId
@@ -471,7 +475,7 @@ export async function sendKlaviyoDiscountSMS({
       try {
         // Klaviyo list membership filters can be finicky; fall back to phone filter
         const listCheckResponse = await axios.get(
-          `https://a.klaviyo.com/api/lists/${listId}/profiles?filter=equals(phone_number,"${formattedPhone}")`,
+          klaviyoUrl(`lists/${listId}/profiles?filter=equals(phone_number,"${formattedPhone}")`),
           {
             headers: {
               'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
@@ -505,7 +509,8 @@ export async function sendKlaviyoDiscountSMS({
           discountCode,
           recoveryUrl: formattedUrl,
           abandonedCheckoutId: null,
-          channel: 'sms'
+          channel: 'sms',
+          expiresIn
         });
         console.log('✅ Fallback event triggered for SMS');
         return {
@@ -523,7 +528,7 @@ export async function sendKlaviyoDiscountSMS({
     }
 
     // Step 5: Create campaign WITH campaign-messages in proper structure
-    const campaignResponse = await axios.post('https://a.klaviyo.com/api/campaigns/', {
+    const campaignResponse = await axios.post(klaviyoUrl('campaigns/'), {
       data: {
         type: 'campaign',
         attributes: {
@@ -544,7 +549,7 @@ export async function sendKlaviyoDiscountSMS({
                 attributes: {
                   channel: 'sms',
                             content: {
-            body: `The Meatery: Hi ${customerName}! Grace here. Your ${discountText} discount code: ${discountCode}. Complete your order: ${formattedUrl} (expires 24hrs) Questions? 619-752-4353`
+            body: `The Meatery: Hi ${customerName}! Grace here. Your ${discountText} discount code: ${discountCode}. Complete your order: ${formattedUrl}${expiresIn ? ` (expires in ${expiresIn})` : ''} Questions? 619-752-4353`
           },
                   render_options: {
                     shorten_links: true,
@@ -571,7 +576,7 @@ export async function sendKlaviyoDiscountSMS({
 
     // Step 6: Trigger campaign send
     console.log('🚀 Triggering campaign send...');
-    await axios.post('https://a.klaviyo.com/api/campaign-send-jobs/', {
+    await axios.post(klaviyoUrl('campaign-send-jobs/'), {
       data: {
         type: 'campaign-send-job',
         id: campaignId,
@@ -604,7 +609,7 @@ export async function sendKlaviyoDiscountSMS({
 /**
  * Generate HTML email template
  */
-function generateEmailHTML({ customerName, discountCode, discountValue, discountText, checkoutUrl }) {
+function generateEmailHTML({ customerName, discountCode, discountValue, discountText, checkoutUrl, expiresIn }) {
   return `
 <!DOCTYPE html>
 <html>
@@ -636,9 +641,11 @@ function generateEmailHTML({ customerName, discountCode, discountValue, discount
         <p style="color: #333333; font-size: 20px; margin: 15px 0; text-align: center;">
           Use Code: <span style="background: #8B4513; color: white; padding: 5px 15px; border-radius: 5px; font-weight: bold;">${discountCode}</span>
         </p>
+        ${expiresIn ? `
         <p style="color: #666666; font-size: 14px; margin: 0; text-align: center;">
-          Valid for 24 hours
+          Valid for ${expiresIn}
         </p>
+        ` : ''}
       </div>
       
       ${checkoutUrl ? `
@@ -5,42 +5,25 @@
  */
 
 import axios from 'axios';
+import { shopifyGet, shopifyGraphQL, isShopifyConfigured } from './shopify-client.js';
+import { capDiscountPercent, getDiscountExpiry } from './discount-policy.js';
+import { safeRecordDiscountCode } from './discount-ledger.js';
+import { klaviyoUrl } from './klaviyo-client.js';
+import { isSimulated, recordSimulatedRequest, simulatedId } from './simulation.js';
 
 // API configuration - loaded dynamically to ensure dotenv is processed
 function getKlaviyoApiKey() {
   return process.env.KLAVIYO_API_KEY;
 }
 
-function getShopifyConfig() {
-  return {
-    domain: process.env.SHOPIFY_STORE_DOMAIN,
-    token: process.env.SHOPIFY_ADMIN_TOKEN
-  };
-}
-
-/**
- * Create a Shopify discount code with 1-day expiration and UTM tracking
- */
 /**
  * Get Shopify customer ID by email
  */
 export async function getShopifyCustomerByEmail(email) {
-  const shopifyConfig = getShopifyConfig();
-  
   try {
-    const response = await axios.get(
-      `https://${shopifyConfig.domain}/admin/api/2024-10/customers/search.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': shopifyConfig.token
-        },
-        params: {
-          query: `email:${email}`
-        }
-      }
-    );
+    const data = await shopifyGet('customers/search.json', { query: `email:${email}` });
     
-    const customers = response.data.customers || [];
+    const customers = data.customers || [];
     return customers.length > 0 ? customers[0] : null;
   } catch (error) {
     console.error('Error finding customer by email:', error.message);
@@ -49,17 +32,10 @@ export async function getShopifyCustomerByEmail(email) {
 }
 
 export async function getShopifyCustomerByPhone(phoneRaw) {
-  const shopifyConfig = getShopifyConfig();
   try {
     const phone = String(phoneRaw || "").replace(/[^\d+]/g, "");
-    const response = await axios.get(
-      `https://${shopifyConfig.domain}/admin/api/2024-10/customers/search.json`,
-      {
-        headers: { 'X-Shopify-Access-Token': shopifyConfig.token },
-        params: { query: `phone:${phone}` }
-      }
-    );
-    const customers = response.data.customers || [];
+    const data = await shopifyGet('customers/search.json', { query: `phone:${phone}` });
+    const customers = data.customers || [];
     return customers.length > 0 ? customers[0] : null;
   } catch (error) {
     console.error('Error finding customer by phone:', error.message);
@@ -73,16 +49,30 @@ export async function createShopifyDiscountCode({
   customerEmail,
   customerPhone = null,
   orderNumber = null,
-  code: desiredCode = null
+  code: desiredCode = null,
+  attribution = {}, // { callId, agentId, campaign, channel } for the discount ledger
+  dryRun = false
 }) {
-  const shopifyConfig = getShopifyConfig();
-  if (!shopifyConfig.domain || !shopifyConfig.token) {
+  if (!isShopifyConfigured() && !isSimulated(dryRun)) {
     throw new Error('Shopify configuration missing. Please set SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_TOKEN environment variables.');
   }
 
   let discountCode = desiredCode || `GRACE${Math.floor(Math.random() * 10000).toString().padStart(4, '0')}`;
-  const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + 1); // 1 day expiration
+  const expiry = getDiscountExpiry(attribution.campaign);
+  const expiresAt = new Date(expiry.expires_at);
+
+  if (isSimulated(dryRun)) {
+    // Neither the customer lookup nor the code is sent; the customer is named by what we'd search for
+    recordSimulatedRequest('shopify.discountCodeBasicCreate', {
+      code: discountCode,
+      value: discountValue,
+      value_type: discountType,
+      ends_at: expiresAt.toISOString(),
+      customer: { email: customerEmail || null, phone: customerPhone || null },
+      usage_limit: 1
+    });
+    return { code: discountCode, id: simulatedId('discount'), expiresAt: expiresAt.toISOString(), expiresIn: expiry.expires_in, simulated: true };
+  }
 
   // Get customer ID for customer-specific discount via email or phone
   let customer = null;
@@ -146,15 +136,8 @@ export async function createShopifyDiscountCode({
         appliesOncePerCustomer: true
       }
     };
-    const response = await axios.post(
-      `https://${shopifyConfig.domain}/admin/api/2024-10/graphql.json`,
-      { query: mutation, variables },
-      { headers: { 'X-Shopify-Access-Token': shopifyConfig.token, 'Content-Type': 'application/json' } }
-    );
-    if (response.data.errors) {
-      throw new Error(`Shopify GraphQL errors: ${JSON.stringify(response.data.errors)}`);
-    }
-    return response.data.data.discountCodeBasicCreate;
+    const data = await shopifyGraphQL(mutation, variables);
+    return data.discountCodeBasicCreate;
   }
 
   try {
@@ -179,11 +162,21 @@ export async function createShopifyDiscountCode({
         }
         throw new Error(`Shopify user errors: ${JSON.stringify(result.userErrors)}`);
       }
-      return { code: discountCode, id: result.codeDiscountNode.id, expiresAt: expiresAt.toISOString() };
+      safeRecordDiscountCode(discountCode, {
+        discountId: result.codeDiscountNode.id,
+        value: discountValue,
+        valueType: discountType,
+        expiresAt: expiresAt.toISOString(),
+        customerEmail,
+        customerPhone,
+        source: 'klaviyo-email-service',
+        ...attribution
+      });
+      return { code: discountCode, id: result.codeDiscountNode.id, expiresAt: expiresAt.toISOString(), expiresIn: expiry.expires_in };
     }
     throw new Error('Failed to create unique discount code after retries');
   } catch (error) {
-    console.error('Error creating Shopify discount code:', error.response?.data || error.message);
+    console.error('Error creating Shopify discount code:', error.details || error.message);
     throw error;
   }
 }
@@ -192,8 +185,7 @@ export async function createShopifyDiscountCode({
  * Get abandoned checkout recovery URL with UTM tracking
  */
 async function getAbandonedCheckoutRecoveryUrl(customerEmail, orderNumber = null) {
-  const shopifyConfig = getShopifyConfig();
-  if (!shopifyConfig.domain || !shopifyConfig.token) {
+  if (!isShopifyConfigured()) {
     console.warn('Shopify not configured, using fallback URL');
     return `https://themeatery.com/cart?utm_source=grace_dialer&utm_medium=phone&utm_campaign=abandoned_cart_recovery&utm_content=${orderNumber || 'unknown'}`;
   }
@@ -237,23 +229,9 @@ async function getAbandonedCheckoutRecoveryUrl(customerEmail, orderNumber = null
   };
 
   try {
-    const response = await axios.post(
-      `https://${shopifyConfig.domain}/admin/api/2024-10/graphql.json`,
-      { query, variables },
-      {
-        headers: {
-          'X-Shopify-Access-Token': shopifyConfig.token,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (response.data.errors) {
-      console.error('Shopify GraphQL errors:', response.data.errors);
-      return getFallbackRecoveryUrl(orderNumber);
-    }
+    const data = await shopifyGraphQL(query, variables);
 
-    const checkouts = response.data.data.abandonedCheckouts.nodes;
+    const checkouts = data.abandonedCheckouts.nodes;
     if (checkouts.length > 0) {
       const checkout = checkouts[0]; // Get most recent
       const utmParams = `utm_source=grace_dialer&utm_medium=phone&utm_campaign=abandoned_cart_recovery&utm_content=${orderNumber || checkout.id}`;
@@ -262,7 +240,7 @@ async function getAbandonedCheckoutRecoveryUrl(customerEmail, orderNumber = null
 
     return getFallbackRecoveryUrl(orderNumber);
   } catch (error) {
-    console.error('Error getting abandoned checkout URL:', error.response?.data || error.message);
+    console.error('Error getting abandoned checkout URL:', error.details || error.message);
     return getFallbackRecoveryUrl(orderNumber);
   }
 }
@@ -282,7 +260,8 @@ export async function sendKlaviyoDiscountEmail({
   customerName,
   discountValue,
   discountType = 'percentage',
-  orderNumber = null
+  orderNumber = null,
+  attribution = {}
 }) {
   const klaviyoApiKey = getKlaviyoApiKey();
   if (!klaviyoApiKey) {
@@ -294,13 +273,14 @@ export async function sendKlaviyoDiscountEmail({
     : `$${discountValue}`;
 
   try {
-    // Create Shopify discount code with 1-day expiration
+    // Create Shopify discount code (expiry from the discount policy)
     console.log(`🏷️ Creating Shopify discount code for ${customerEmail}...`);
     const discount = await createShopifyDiscountCode({
       discountValue,
       discountType,
       customerEmail,
-      orderNumber
+      orderNumber,
+      attribution: { channel: 'email', ...attribution }
     });
 
     // Get abandoned checkout recovery URL with UTM tracking
@@ -311,7 +291,7 @@ export async function sendKlaviyoDiscountEmail({
     let profileId;
     
     // First, try to get existing profile by email
-    const getProfileResponse = await axios.get(`https://a.klaviyo.com/api/profiles/?filter=equals(email,"${customerEmail}")`, {
+    const getProfileResponse = await axios.get(klaviyoUrl(`profiles/?filter=equals(email,"${customerEmail}")`), {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'revision': '2024-10-15'
@@ -335,6 +315,8 @@ export async function sendKlaviyoDiscountEmail({
               checkout_url: recoveryUrl,
               abandoned_checkout_url: recoveryUrl,
               order_number: orderNumber,
+              discount_expires_at: discount.expiresAt,
+              discount_expires_in: discount.expiresIn,
               grace_discount_date: new Date().toISOString(),
               utm_source: 'grace_ai_dialer',
               utm_medium: 'phone_call',
@@ -344,7 +326,7 @@ export async function sendKlaviyoDiscountEmail({
         }
       };
       
-      await axios.patch(`https://a.klaviyo.com/api/profiles/${profileId}/`, updateData, {
+      await axios.patch(klaviyoUrl(`profiles/${profileId}/`), updateData, {
         headers: {
           'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
           'Content-Type': 'application/json',
@@ -367,6 +349,8 @@ export async function sendKlaviyoDiscountEmail({
               checkout_url: recoveryUrl,
               abandoned_checkout_url: recoveryUrl,
               order_number: orderNumber,
+              discount_expires_at: discount.expiresAt,
+              discount_expires_in: discount.expiresIn,
               grace_discount_date: new Date().toISOString(),
               utm_source: 'grace_ai_dialer',
               utm_medium: 'phone_call',
@@ -376,7 +360,7 @@ export async function sendKlaviyoDiscountEmail({
         }
       };
       
-      const createResponse = await axios.post('https://a.klaviyo.com/api/profiles/', profileData, {
+      const createResponse = await axios.post(klaviyoUrl('profiles/'), profileData, {
         headers: {
           'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
           'Content-Type': 'application/json',
@@ -396,7 +380,7 @@ export async function sendKlaviyoDiscountEmail({
       }
     };
 
-    const listResponse = await axios.post('https://a.klaviyo.com/api/lists/', listData, {
+    const listResponse = await axios.post(klaviyoUrl('lists/'), listData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -407,7 +391,7 @@ export async function sendKlaviyoDiscountEmail({
     const listId = listResponse.data.data.id;
     
     // Step 3: Add the profile to the list BEFORE creating the campaign
-    await axios.post(`https://a.klaviyo.com/api/lists/${listId}/relationships/profiles/`, {
+    await axios.post(klaviyoUrl(`lists/${listId}/relationships/profiles/`), {
       data: [{
         type: 'profile',
         id: profileId
@@ -421,7 +405,7 @@ export async function sendKlaviyoDiscountEmail({
     });
     
     // Step 3b: Subscribe the profile to email marketing to ensure they can receive campaigns
-    await axios.post('https://a.klaviyo.com/api/profile-subscription-bulk-create-jobs/', {
+    await axios.post(klaviyoUrl('profile-subscription-bulk-create-jobs/'), {
       data: {
         type: 'profile-subscription-bulk-create-job',
         attributes: {
@@ -487,7 +471,7 @@ export async function sendKlaviyoDiscountEmail({
   };
 
     // Create the campaign
-    const campaignResponse = await axios.post('https://a.klaviyo.com/api/campaigns/', campaignData, {
+    const campaignResponse = await axios.post(klaviyoUrl('campaigns/'), campaignData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -513,13 +497,14 @@ export async function sendKlaviyoDiscountEmail({
             discountText,
             checkoutUrl: recoveryUrl,
             orderNumber,
-            abandonedCheckoutUrl: recoveryUrl
+            abandonedCheckoutUrl: recoveryUrl,
+            expiresIn: discount.expiresIn
           })
         }
       }
     };
 
-    const templateResponse = await axios.post('https://a.klaviyo.com/api/templates/', templateData, {
+    const templateResponse = await axios.post(klaviyoUrl('templates/'), templateData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -530,7 +515,7 @@ export async function sendKlaviyoDiscountEmail({
     const templateId = templateResponse.data.data.id;
 
     // Step 6: Assign template to campaign message
-    await axios.post(`https://a.klaviyo.com/api/campaign-message-assign-template/`, {
+    await axios.post(klaviyoUrl(`campaign-message-assign-template/`), {
       data: {
         type: 'campaign-message',
         id: campaignMessageId,
@@ -552,7 +537,7 @@ export async function sendKlaviyoDiscountEmail({
     });
 
     // Step 7: Send the campaign
-    await axios.post('https://a.klaviyo.com/api/campaign-send-jobs/', {
+    await axios.post(klaviyoUrl('campaign-send-jobs/'), {
       data: {
         type: 'campaign-send-job',
         id: campaignId
@@ -590,7 +575,8 @@ export async function sendKlaviyoDiscountSMS({
   customerName,
   discountValue,
   discountType = 'percentage',
-  orderNumber = null
+  orderNumber = null,
+  attribution = {}
 }) {
   const klaviyoApiKey = getKlaviyoApiKey();
   if (!klaviyoApiKey) {
@@ -602,13 +588,14 @@ export async function sendKlaviyoDiscountSMS({
     : `$${discountValue}`;
 
   try {
-    // Create Shopify discount code with 1-day expiration
+    // Create Shopify discount code (expiry from the discount policy)
     console.log(`🏷️ Creating Shopify discount code for ${customerPhone}...`);
     const discount = await createShopifyDiscountCode({
       discountValue,
       discountType,
       customerEmail: customerPhone, // Use phone as identifier
-      orderNumber
+      orderNumber,
+      attribution: { channel: 'sms', ...attribution }
     });
 
     // Get abandoned checkout recovery URL with UTM tracking
@@ -622,7 +609,7 @@ export async function sendKlaviyoDiscountSMS({
     const formattedPhone = customerPhone.startsWith('+') ? customerPhone : `+1${customerPhone.replace(/\D/g, '')}`;
     
     // First, try to get existing profile by phone
-    const getProfileResponse = await axios.get(`https://a.klaviyo.com/api/profiles/?filter=equals(phone_number,"${formattedPhone}")`, {
+    const getProfileResponse = await axios.get(klaviyoUrl(`profiles/?filter=equals(phone_number,"${formattedPhone}")`), {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'revision': '2024-10-15'
@@ -646,6 +633,8 @@ export async function sendKlaviyoDiscountSMS({
               checkout_url: recoveryUrl,
               abandoned_checkout_url: recoveryUrl,
               order_number: orderNumber,
+              discount_expires_at: discount.expiresAt,
+              discount_expires_in: discount.expiresIn,
               grace_discount_date: new Date().toISOString(),
               utm_source: 'grace_ai_dialer',
               utm_medium: 'phone_call',
@@ -655,7 +644,7 @@ export async function sendKlaviyoDiscountSMS({
         }
       };
       
-      await axios.patch(`https://a.klaviyo.com/api/profiles/${profileId}/`, updateData, {
+      await axios.patch(klaviyoUrl(`profiles/${profileId}/`), updateData, {
         headers: {
           'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
           'Content-Type': 'application/json',
@@ -678,6 +667,8 @@ export async function sendKlaviyoDiscountSMS({
               checkout_url: recoveryUrl,
               abandoned_checkout_url: recoveryUrl,
               order_number: orderNumber,
+              discount_expires_at: discount.expiresAt,
+              discount_expires_in: discount.expiresIn,
               grace_discount_date: new Date().toISOString(),
               utm_source: 'grace_ai_dialer',
               utm_medium: 'phone_call',
@@ -687,7 +678,7 @@ export async function sendKlaviyoDiscountSMS({
         }
       };
       
-      const createResponse = await axios.post('https://a.klaviyo.com/api/profiles/', profileData, {
+      const createResponse = await axios.post(klaviyoUrl('profiles/'), profileData, {
         headers: {
           'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
           'Content-Type': 'application/json',
@@ -698,7 +689,7 @@ export async function sendKlaviyoDiscountSMS({
     }
     
     // Step 2: Subscribe profile to SMS marketing if not already subscribed
-    await axios.post('https://a.klaviyo.com/api/profile-subscription-bulk-create-jobs/', {
+    await axios.post(klaviyoUrl('profile-subscription-bulk-create-jobs/'), {
       data: {
         type: 'profile-subscription-bulk-create-job',
         attributes: {
@@ -738,7 +729,7 @@ export async function sendKlaviyoDiscountSMS({
       }
     };
 
-    const listResponse = await axios.post('https://a.klaviyo.com/api/lists/', listData, {
+    const listResponse = await axios.post(klaviyoUrl('lists/'), listData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -749,7 +740,7 @@ export async function sendKlaviyoDiscountSMS({
     const listId = listResponse.data.data.id;
     
     // Step 4: Add the profile to the list BEFORE creating the campaign
-    await axios.post(`https://a.klaviyo.com/api/lists/${listId}/relationships/profiles/`, {
+    await axios.post(klaviyoUrl(`lists/${listId}/relationships/profiles/`), {
       data: [{
         type: 'profile',
         id: profileId
@@ -783,7 +774,7 @@ export async function sendKlaviyoDiscountSMS({
             attributes: {
               channel: 'sms',
               content: {
-                body: `Hi ${customerName}! Grace from The Meatery here. Your ${discountText} discount code is: ${discount.code}. Use it at ${recoveryUrl} - expires in 1 day! 🥩`
+                body: `Hi ${customerName}! Grace from The Meatery here. Your ${discountText} discount code is: ${discount.code}. Use it at ${recoveryUrl} - expires in ${discount.expiresIn}! 🥩`
               },
               render_options: {
                 shorten_links: true,
@@ -799,7 +790,7 @@ export async function sendKlaviyoDiscountSMS({
   };
 
     // Create the campaign
-    const campaignResponse = await axios.post('https://a.klaviyo.com/api/campaigns/', campaignData, {
+    const campaignResponse = await axios.post(klaviyoUrl('campaigns/'), campaignData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -842,21 +833,24 @@ export async function createAndSendKlaviyoDiscount({
   reason = 'customer_service',
   orderNumber = null,
   preferredChannel = 'email', // 'email' or 'sms'
-  abandonedCheckoutId = null // Optional: Shopify abandoned checkout ID
+  abandonedCheckoutId = null, // Optional: Shopify abandoned checkout ID
+  campaign = 'customer_service',
+  callId = null,
+  agentId = null
 }) {
   try {
-    // Cap discount at 15% maximum
-    if (discountType === 'percentage' && discountValue > 15) {
-      console.log(`⚠️ Discount capped at 15% (requested: ${discountValue}%)`);
-      discountValue = 15;
+    // Cap to the campaign's limit in the discount policy
+    if (discountType === 'percentage') {
+      discountValue = capDiscountPercent(discountValue, campaign);
     }
 
-    // Create the discount code in Shopify with 1-day expiration
+    // Create the discount code in Shopify (expiry from the discount policy)
     const discount = await createShopifyDiscountCode({
       discountValue,
       discountType,
       customerEmail: customerEmail || customerPhone,
-      orderNumber
+      orderNumber,
+      attribution: { callId, agentId, campaign, channel: preferredChannel }
     });
 
     // Get abandoned checkout recovery URL with UTM tracking
@@ -871,7 +865,8 @@ export async function createAndSendKlaviyoDiscount({
         customerName,
         discountValue,
         discountType,
-        orderNumber
+        orderNumber,
+        attribution: { callId, agentId, campaign }
       });
     } else {
       // Default to email
@@ -880,7 +875,8 @@ export async function createAndSendKlaviyoDiscount({
         customerName,
         discountValue,
         discountType,
-        orderNumber
+        orderNumber,
+        attribution: { callId, agentId, campaign }
       });
     }
 
@@ -929,7 +925,8 @@ function generateKlaviyoStyleHTML({
   discountText,
   checkoutUrl,
   orderNumber,
-  abandonedCheckoutUrl
+  abandonedCheckoutUrl,
+  expiresIn
 }) {
   const primaryCTA = abandonedCheckoutUrl || checkoutUrl;
   const ctaText = abandonedCheckoutUrl ? 'Complete Your Order' : 'Shop Now & Use Your Code';
@@ -969,7 +966,7 @@ function generateKlaviyoStyleHTML({
         <h3>Your Discount Code</h3>
         <div class="discount-code">${discountCode}</div>
         <p><strong>${discountText} OFF</strong> your next order</p>
-        <p>Expires in 1 day</p>
+        <p>Expires in ${expiresIn}</p>
       </div>
       
       ${abandonedCheckoutUrl ? `
@@ -1020,7 +1017,7 @@ export async function testKlaviyoConnection() {
   }
 
   try {
-    const response = await axios.get('https://a.klaviyo.com/api/accounts/', {
+    const response = await axios.get(klaviyoUrl('accounts/'), {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'revision': '2024-10-15'
@@ -2,6 +2,11 @@ import { sendDiscountViaEvent, sendVoicemailLeftEvent } from './klaviyo-events-s
 import { sendKlaviyoDiscountSMS } from './klaviyo-email-service-fixed.js';
 import { fetchAbandonedCheckoutById, findLatestAbandonedCheckout } from './shopify-graphql-queries.js';
 import { createShopifyDiscountCode } from './klaviyo-email-service.js';
+import { safeRecordContact } from './contact-ledger.js';
+import { capDiscountPercent, evaluateDiscountPolicy } from './discount-policy.js';
+import { shopifyGraphQL, assertNoUserErrors, isShopifyConfigured } from './shopify-client.js';
+import { isSimulated, recordSimulatedRequest, simulatedId } from './simulation.js';
+import { klaviyoUrl } from './klaviyo-client.js';
 import axios from 'axios';
 import dotenv from 'dotenv';
 
@@ -29,9 +34,18 @@ export async function sendKlaviyoDiscountWithCheckout({
   discountType = 'percentage',
   preferredChannel = 'email',
   abandonedCheckoutId = null,
-  orderNumber = null
+  orderNumber = null,
+  campaign = 'customer_service',
+  callId = null,
+  agentId = null,
+  dryRun = false
 }) {
   try {
+    // Cap to the campaign's limit in the discount policy
+    if (discountType === 'percentage') {
+      discountValue = capDiscountPercent(discountValue, campaign);
+    }
+
     console.log('📧 Sending discount via Klaviyo...');
     console.log(`   abandonedCheckoutId: ${abandonedCheckoutId || 'NOT PROVIDED'}`);
     console.log(`   preferredChannel: ${preferredChannel}`);
@@ -109,7 +123,9 @@ export async function sendKlaviyoDiscountWithCheckout({
         customerEmail,
         customerPhone,
         orderNumber,
-        code: desiredCode
+        code: desiredCode,
+        attribution: { callId, agentId, campaign, channel: customerPhone ? 'sms' : 'email' },
+        dryRun
       });
     } catch (e) {
       console.error('❌ Failed to create desired discount code, aborting send:', e.message);
@@ -132,7 +148,11 @@ export async function sendKlaviyoDiscountWithCheckout({
       discountCode,
       recoveryUrl,
       abandonedCheckoutId,
-      channel: customerPhone ? 'sms' : 'email'
+      channel: customerPhone ? 'sms' : 'email',
+      expiresAt: shopifyDiscount.expiresAt,
+      expiresIn: shopifyDiscount.expiresIn,
+      callId,
+      dryRun
     });
     
     console.log(`✅ Discount sent successfully via ${preferredChannel}`);
@@ -143,10 +163,13 @@ export async function sendKlaviyoDiscountWithCheckout({
       success: true,
       discountCode,
       recoveryUrl,
+      expiresAt: shopifyDiscount.expiresAt,
+      expiresIn: shopifyDiscount.expiresIn,
       cartTotal,
       cartItems,
       channel: customerPhone ? 'sms' : 'email',
       eventResult: result,
+      ...(isSimulated(dryRun) && { simulated: true }),
       summary: `${discountType === 'percentage' ? discountValue + '%' : '$' + discountValue} discount code ${discountCode} published via Klaviyo Event (flow delivery)`
     };
     
@@ -155,6 +178,7 @@ export async function sendKlaviyoDiscountWithCheckout({
     return {
       success: false,
       error: error.message,
+      status: error.response?.status || error.status || null,
       summary: `Failed to send discount: ${error.message}`
     };
   }
@@ -171,10 +195,7 @@ export async function getCustomerOrderHistory(customerPhone, customerEmail, maxO
     
     console.log(`🔍 Using GraphQL to find customer by phone: "${phone}" or email: "${customerEmail}"`);
     
-    const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-    const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-    
-    if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
+    if (!isShopifyConfigured()) {
       throw new Error('Shopify credentials not configured');
     }
 
@@ -259,26 +280,15 @@ export async function getCustomerOrderHistory(customerPhone, customerEmail, maxO
       for (const phoneFormat of phoneFormats) {
         console.log(`🔍 Searching for phone format: ${phoneFormat}`);
         
-        const response = await fetch(shopifyGraphqlEndpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': shopifyAccessToken
-          },
-          body: JSON.stringify({
-            query: phoneSearchGraphQL,
-            variables: { query: `phone:${phoneFormat}` }
-          })
-        });
-
-        const data = await response.json();
-        
-        if (data.errors) {
-          console.log(`❌ GraphQL errors for phone ${phoneFormat}:`, data.errors);
+        let data;
+        try {
+          data = await shopifyGraphQL(phoneSearchGraphQL, { query: `phone:${phoneFormat}` });
+        } catch (error) {
+          console.log(`❌ GraphQL errors for phone ${phoneFormat}:`, error.details || error.message);
           continue;
         }
 
-        const customers = data.data?.customers?.edges || [];
+        const customers = data?.customers?.edges || [];
         if (customers.length > 0) {
           console.log(`✅ Found ${customers.length} customer(s) for phone ${phoneFormat}`);
           customers.forEach(customerEdge => {
@@ -387,26 +397,15 @@ export async function getCustomerOrderHistory(customerPhone, customerEmail, maxO
         }
       `;
 
-      const response = await fetch(shopifyGraphqlEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': shopifyAccessToken
-        },
-        body: JSON.stringify({
-          query: emailSearchGraphQL,
-          variables: { emailAddress: customerEmail }
-        })
-      });
-
-      const data = await response.json();
-      
-      if (data.errors) {
-        console.log(`❌ GraphQL errors for email:`, data.errors);
-      } else if (data.data?.customerByIdentifier) {
-        customer = data.data.customerByIdentifier;
-        searchMethod = `email (${customerEmail})`;
-        console.log(`✅ Found customer by email: ${customer.firstName} ${customer.lastName}`);
+      try {
+        const data = await shopifyGraphQL(emailSearchGraphQL, { emailAddress: customerEmail });
+        if (data?.customerByIdentifier) {
+          customer = data.customerByIdentifier;
+          searchMethod = `email (${customerEmail})`;
+          console.log(`✅ Found customer by email: ${customer.firstName} ${customer.lastName}`);
+        }
+      } catch (error) {
+        console.log(`❌ GraphQL errors for email:`, error.details || error.message);
       }
     }
 
@@ -528,10 +527,7 @@ export async function getCustomerOrderHistory(customerPhone, customerEmail, maxO
  */
 async function convertSKUsToVariantIds(skus) {
   try {
-    const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-    const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-    
-    if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
+    if (!isShopifyConfigured()) {
       throw new Error('Shopify credentials not configured');
     }
 
@@ -572,40 +568,29 @@ async function convertSKUsToVariantIds(skus) {
       for (const searchQuery of queries) {
         console.log(`   Trying query: ${searchQuery}`);
         
-        const response = await fetch(shopifyGraphqlEndpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': shopifyAccessToken
-          },
-          body: JSON.stringify({
-            query,
-            variables: { query: searchQuery }
-          })
-        });
-
-        const data = await response.json();
-        
-        if (data.errors) {
-          console.error(`❌ Error fetching variant for query ${searchQuery}:`, data.errors);
+        let data;
+        try {
+          data = await shopifyGraphQL(query, { query: searchQuery });
+        } catch (error) {
+          console.error(`❌ Error fetching variant for query ${searchQuery}:`, error.details || error.message);
           continue;
         }
 
-        console.log(`📊 Search results for query ${searchQuery}: ${data.data?.productVariants?.edges?.length || 0} results`);
+        console.log(`📊 Search results for query ${searchQuery}: ${data?.productVariants?.edges?.length || 0} results`);
         
-        if (data.data?.productVariants?.edges) {
-          data.data.productVariants.edges.forEach((edge, index) => {
+        if (data?.productVariants?.edges) {
+          data.productVariants.edges.forEach((edge, index) => {
             console.log(`   Result ${index + 1}: SKU="${edge.node.sku}" Title="${edge.node.title}" Available=${edge.node.availableForSale}`);
           });
           
           // Look for exact SKU match first, then any match containing the SKU
-          variant = data.data.productVariants.edges.find(edge => 
+          variant = data.productVariants.edges.find(edge => 
             edge.node.sku === sku
           )?.node;
           
           if (!variant && searchQuery.includes('*')) {
             // For wildcard searches, look for partial matches
-            variant = data.data.productVariants.edges.find(edge => 
+            variant = data.productVariants.edges.find(edge => 
               edge.node.sku && edge.node.sku.includes(sku.replace(/[PO]/g, match => match === 'P' ? '[PO]' : '[0O]'))
             )?.node;
           }
@@ -635,6 +620,23 @@ async function convertSKUsToVariantIds(skus) {
   }
 }
 
+/**
+ * The draftOrderCreate response a dry run stands in with; totals come from the priced line items
+ */
+export function simulatedDraftOrder(mutation, variables, { customer, discountValue, orderContext }) {
+  recordSimulatedRequest('shopify.draftOrderCreate', { query: mutation, variables });
+  const id = simulatedId('draft_order');
+  const subtotal = orderContext.actualAmount || orderContext.estimatedTotal || orderContext.targetAmount || 0;
+  return {
+    id: `gid://shopify/DraftOrder/${id}`,
+    name: '#D-SIM',
+    totalPriceSet: { shopMoney: { amount: (subtotal * (1 - discountValue / 100)).toFixed(2), currencyCode: 'USD' } },
+    invoiceUrl: `https://themeatery.com/invoices/${id}`,
+    customer: customer ? { id: customer.id, displayName: customer.displayName, email: customer.email, phone: customer.phone } : null,
+    lineItems: { edges: variables.input.lineItems.map(li => ({ node: { title: li.variantId, quantity: li.quantity } })) }
+  };
+}
+
 /**
  * Create a win-back draft order in Shopify with discount and specific products
  */
@@ -644,19 +646,18 @@ export async function createWinBackDraftOrder({
   customerName,
   productVariants = [], // Array of Shopify variant IDs
   productSKUs = [], // Array of SKUs (alternative to productVariants)
-  discountValue = 20,
-  targetAmount = 400 // Target order value before discount
+  discountValue = null, // Defaults to the win-back offer in the discount policy
+  targetAmount = 400, // Target order value before discount
+  dryRun = false // Log the draft order and invoice instead of creating / sending them
 }) {
   try {
+    discountValue = capDiscountPercent(discountValue ?? evaluateDiscountPolicy({ campaign: 'win_back' }).discount_value, 'win_back');
     console.log('🎯 Creating Shopify draft order for win-back...');
     
-    const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-    const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-    
     // Import customer management utilities
     const { findOrCreateCustomer, getCustomerGid } = await import('./customer-management.js');
     
-    if (!shopifyAccessToken || !process.env.SHOPIFY_STORE_DOMAIN) {
+    if (!isShopifyConfigured()) {
       throw new Error('Shopify credentials not configured');
     }
 
@@ -668,7 +669,8 @@ export async function createWinBackDraftOrder({
       customer = await findOrCreateCustomer({
         email: customerEmail,
         phone: customerPhone,
-        name: customerName
+        name: customerName,
+        dryRun
       });
       
       if (customer) {
@@ -784,20 +786,8 @@ export async function createWinBackDraftOrder({
       );
       
       try {
-        const variantResponse = await fetch(shopifyGraphqlEndpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': shopifyAccessToken
-          },
-          body: JSON.stringify({
-            query: variantDetailsQuery,
-            variables: { ids: variantIds }
-          })
-        });
-        
-        const variantData = await variantResponse.json();
-        const variants = variantData.data?.nodes?.filter(node => node && node.availableForSale) || [];
+        const variantData = await shopifyGraphQL(variantDetailsQuery, { ids: variantIds });
+        const variants = variantData?.nodes?.filter(node => node && node.availableForSale) || [];
         
         if (variants.length === 0) {
           console.log('❌ No available variants found');
@@ -963,25 +953,9 @@ export async function createWinBackDraftOrder({
     };
 
     // Create draft order via GraphQL
-    const response = await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({
-        query: draftOrderMutation,
-        variables: variables
-      })
-    });
-
-    const data = await response.json();
-    
-    if (data.errors || data.data?.draftOrderCreate?.userErrors?.length > 0) {
-      throw new Error(data.errors?.[0]?.message || data.data?.draftOrderCreate?.userErrors?.[0]?.message || 'Failed to create draft order');
-    }
-
-    const draftOrder = data.data.draftOrderCreate.draftOrder;
+    const draftOrder = isSimulated(dryRun)
+      ? simulatedDraftOrder(draftOrderMutation, variables, { customer, discountValue, orderContext })
+      : assertNoUserErrors((await shopifyGraphQL(draftOrderMutation, variables))?.draftOrderCreate, 'draftOrderCreate').draftOrder;
     
     // Log customer association success
     if (draftOrder.customer) {
@@ -1018,22 +992,22 @@ export async function createWinBackDraftOrder({
       id: draftOrder.id,
       email: {
         to: invoiceEmail,
-        subject: `Your Special 20% Off Order is Ready - The Meatery`,
-        customMessage: `Hi ${customerName}! We've prepared a special order just for you with 20% off. Click the link below to complete your purchase.`
+        subject: `Your Special ${discountValue}% Off Order is Ready - The Meatery`,
+        customMessage: `Hi ${customerName}! We've prepared a special order just for you with ${discountValue}% off. Click the link below to complete your purchase.`
       }
     };
 
-    await fetch(shopifyGraphqlEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Shopify-Access-Token': shopifyAccessToken
-      },
-      body: JSON.stringify({
-        query: invoiceMutation,
-        variables: invoiceVariables
-      })
-    });
+    // The draft order exists at this point - a failed invoice email shouldn't fail the whole call
+    if (isSimulated(dryRun)) {
+      recordSimulatedRequest('shopify.draftOrderInvoiceSend', { query: invoiceMutation, variables: invoiceVariables });
+    } else {
+      try {
+        const invoiceData = await shopifyGraphQL(invoiceMutation, invoiceVariables);
+        assertNoUserErrors(invoiceData?.draftOrderInvoiceSend, 'draftOrderInvoiceSend');
+      } catch (error) {
+        console.warn(`⚠️ Draft order invoice email failed for ${draftOrder.id}:`, error.message);
+      }
+    }
 
     console.log(`✅ Draft order created: ${draftOrder.id}`);
     console.log(`📧 Invoice sent to: ${invoiceEmail}`);
@@ -1045,14 +1019,16 @@ export async function createWinBackDraftOrder({
       totalValue: parseFloat(draftOrder.totalPriceSet.shopMoney.amount),
       customerEmail: draftOrder.customer?.email || customerEmail, // Return real customer email if available
       orderContext: orderContext, // Include whether we used customer history
-      summary: `Draft order ${draftOrder.name} created with ${discountValue}% discount${orderContext.usedHistory ? ' using customer favorites' : ''}`
+      summary: `Draft order ${draftOrder.name} created with ${discountValue}% discount${orderContext.usedHistory ? ' using customer favorites' : ''}`,
+      ...(isSimulated(dryRun) && { simulated: true })
     };
 
   } catch (error) {
     console.error('❌ Error creating win-back draft order:', error);
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      status: error.response?.status || error.status || null
     };
   }
 }
@@ -1067,14 +1043,16 @@ export async function sendWinBackDraftOrderEvent({
   draftOrderId,
   checkoutUrl,
   discountValue,
-  totalValue
+  totalValue,
+  callId = null,
+  dryRun = false
 }) {
   try {
     console.log('📱 Sending win-back draft order event to Klaviyo...');
     
     const klaviyoApiKey = process.env.KLAVIYO_API_KEY;
     
-    if (!klaviyoApiKey) {
+    if (!klaviyoApiKey && !isSimulated(dryRun)) {
       throw new Error('Klaviyo API key not configured');
     }
 
@@ -1130,7 +1108,18 @@ export async function sendWinBackDraftOrderEvent({
       }
     };
 
-    const response = await fetch('https://a.klaviyo.com/api/events/', {
+    if (isSimulated(dryRun)) {
+      recordSimulatedRequest('klaviyo.createEvent', { method: 'POST', url: klaviyoUrl('events/'), body: eventData });
+      return {
+        success: true,
+        simulated: true,
+        eventSent: false,
+        eventId: simulatedId('event'),
+        summary: `Dry run - win-back event for draft order ${draftOrderId} logged, not sent`
+      };
+    }
+
+    const response = await fetch(klaviyoUrl('events/'), {
       method: 'POST',
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
@@ -1147,7 +1136,7 @@ export async function sendWinBackDraftOrderEvent({
         statusText: response.statusText,
         headers: Object.fromEntries(response.headers.entries()),
         errorData: errorData,
-        requestUrl: 'https://a.klaviyo.com/api/events/',
+        requestUrl: klaviyoUrl('events/'),
         requestHeaders: {
           'Authorization': `Klaviyo-API-Key ${klaviyoApiKey ? klaviyoApiKey.substring(0, 10) + '...' : 'MISSING'}`,
           'Content-Type': 'application/json',
@@ -1159,6 +1148,7 @@ export async function sendWinBackDraftOrderEvent({
 
     console.log(`✅ Win-back draft order event sent to Klaviyo`);
     console.log(`📱 Event will trigger SMS to: ${customerPhone}`);
+    safeRecordContact(customerPhone, { type: 'sms', campaign: 'win_back', callId, source: 'Grace Win-Back Draft Order' });
     
     return {
       success: true,
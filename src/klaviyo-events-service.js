@@ -1,8 +1,27 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { safeRecordContact } from './contact-ledger.js';
+import { isSimulated, recordSimulatedRequest, simulatedId } from './simulation.js';
+import { klaviyoUrl } from './klaviyo-client.js';
 
 dotenv.config();
 
+const KLAVIYO_EVENTS_URL = klaviyoUrl('events/');
+
+// Dry runs log the event instead of posting it and answer like a triggered event
+function simulateEvent(eventData, { to, platform }) {
+  recordSimulatedRequest('klaviyo.createEvent', { method: 'POST', url: KLAVIYO_EVENTS_URL, body: eventData });
+  return {
+    success: true,
+    simulated: true,
+    eventId: simulatedId('event'),
+    to,
+    status: 'simulated',
+    platform,
+    note: 'Dry run - event logged, not sent'
+  };
+}
+
 /**
  * Send transactional emails via Klaviyo Events API
  * This is more reliable for immediate sending than campaigns
@@ -16,10 +35,14 @@ export async function sendDiscountViaEvent({
   discountCode,
   recoveryUrl,
   abandonedCheckoutId = null,
-  channel = 'email' // 'email' or 'sms'
+  channel = 'email', // 'email' or 'sms'
+  expiresAt = null,
+  expiresIn = null, // "24 hours" / "30 days", for the flow's copy
+  callId = null, // groups the SMS with its call in the contact ledger
+  dryRun = false
 }) {
   const klaviyoApiKey = process.env.KLAVIYO_API_KEY || process.env.KLAVIYO_PRIVATE_KEY;
-  if (!klaviyoApiKey) {
+  if (!klaviyoApiKey && !isSimulated(dryRun)) {
     throw new Error('Klaviyo API key not configured');
   }
 
@@ -51,7 +74,9 @@ export async function sendDiscountViaEvent({
             discount_text: discountText,
             checkout_url: finalRecoveryUrl,
             abandoned_checkout_id: abandonedCheckoutId,
-            channel: channel
+            channel: channel,
+            expires_at: expiresAt,
+            expires_in: expiresIn
           },
           metric: {
             data: {
@@ -87,7 +112,11 @@ export async function sendDiscountViaEvent({
       }
     };
 
-    const response = await axios.post('https://a.klaviyo.com/api/events/', eventData, {
+    if (isSimulated(dryRun)) {
+      return simulateEvent(eventData, { to: channel === 'email' ? customerEmail : customerPhone, platform: `klaviyo-${channel}-event` });
+    }
+
+    const response = await axios.post(KLAVIYO_EVENTS_URL, eventData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -96,6 +125,9 @@ export async function sendDiscountViaEvent({
     });
 
     console.log(`✅ Klaviyo event sent for ${channel} to ${channel === 'email' ? customerEmail : customerPhone}`);
+    if (channel === 'sms') {
+      safeRecordContact(customerPhone, { type: 'sms', campaign: abandonedCheckoutId ? 'abandoned_checkout' : null, callId, source: 'Grace Discount Offered' });
+    }
     
     return {
       success: true,
@@ -121,10 +153,12 @@ export async function sendCheckoutLinkViaKlaviyoEvent({
   customerName,
   checkoutUrl,
   discountPercentage = '0',
-  channel = 'sms' // 'email' or 'sms'
+  channel = 'sms', // 'email' or 'sms'
+  callId = null,
+  dryRun = false
 }) {
   const klaviyoApiKey = process.env.KLAVIYO_API_KEY || process.env.KLAVIYO_PRIVATE_KEY;
-  if (!klaviyoApiKey) {
+  if (!klaviyoApiKey && !isSimulated(dryRun)) {
     throw new Error('Klaviyo API key not configured');
   }
 
@@ -183,7 +217,11 @@ export async function sendCheckoutLinkViaKlaviyoEvent({
       }
     };
 
-    const response = await axios.post('https://a.klaviyo.com/api/events/', eventData, {
+    if (isSimulated(dryRun)) {
+      return simulateEvent(eventData, { to: channel === 'email' ? customerEmail : customerPhone, platform: `klaviyo-${channel}-event` });
+    }
+
+    const response = await axios.post(KLAVIYO_EVENTS_URL, eventData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -192,6 +230,9 @@ export async function sendCheckoutLinkViaKlaviyoEvent({
     });
 
     console.log(`✅ Klaviyo checkout link event sent for ${channel} to ${channel === 'email' ? customerEmail : customerPhone}`);
+    if (channel === 'sms') {
+      safeRecordContact(customerPhone, { type: 'sms', campaign: 'abandoned_checkout', callId, source: 'Abandoned Checkout Link Sent' });
+    }
     
     return {
       success: true,
@@ -222,18 +263,21 @@ export async function sendVoicemailLeftEvent({
   discountValue = 20,
   checkoutUrl = null,
   totalValue = null,
-  originalValue = null
+  originalValue = null,
+  dryRun = false
 }) {
   const klaviyoApiKey = process.env.KLAVIYO_API_KEY || process.env.KLAVIYO_PRIVATE_KEY;
-  if (!klaviyoApiKey) {
+  if (!klaviyoApiKey && !isSimulated(dryRun)) {
     throw new Error('Klaviyo API key not configured');
   }
 
-  // Calculate values if not provided
+  // Calculate values if not provided. Without a draft order or a discount code there is
+  // no offer to link to, so the event carries no checkout link or prices.
   const finalDiscountValue = discountValue || 20;
-  const finalOriginalValue = originalValue || (totalValue ? (totalValue / (1 - finalDiscountValue/100)) : 422);
-  const finalTotalValue = totalValue || (finalOriginalValue * (1 - finalDiscountValue/100));
-  const finalCheckoutUrl = checkoutUrl || `https://themeatery.com/checkout?discount=${discountCode || `WINBACK${finalDiscountValue}`}&utm_source=grace_voicemail&utm_medium=sms&utm_campaign=voicemail_followup`;
+  const hasOffer = !!(checkoutUrl || discountCode);
+  const finalOriginalValue = hasOffer ? (originalValue || (totalValue ? (totalValue / (1 - finalDiscountValue/100)) : 422)) : undefined;
+  const finalTotalValue = hasOffer ? (totalValue || (finalOriginalValue * (1 - finalDiscountValue/100))) : undefined;
+  const finalCheckoutUrl = checkoutUrl || (discountCode ? `https://themeatery.com/checkout?discount=${discountCode}&utm_source=grace_voicemail&utm_medium=sms&utm_campaign=voicemail_followup` : undefined);
 
   try {
     console.log(`🔍 Klaviyo voicemail event details:`, {
@@ -306,7 +350,11 @@ export async function sendVoicemailLeftEvent({
     
     console.log(`📤 Sending Klaviyo event payload:`, JSON.stringify(eventData, null, 2));
 
-    const response = await axios.post('https://a.klaviyo.com/api/events/', eventData, {
+    if (isSimulated(dryRun)) {
+      return simulateEvent(eventData, { to: customerPhone || customerEmail, platform: 'klaviyo-voicemail-event' });
+    }
+
+    const response = await axios.post(KLAVIYO_EVENTS_URL, eventData, {
       headers: {
         'Authorization': `Klaviyo-API-Key ${klaviyoApiKey}`,
         'Content-Type': 'application/json',
@@ -315,6 +363,7 @@ export async function sendVoicemailLeftEvent({
     });
 
     console.log(`✅ Klaviyo voicemail event sent for ${customerPhone || customerEmail}`);
+    safeRecordContact(customerPhone, { type: 'voicemail', campaign: metadata.source || null, callId, source: 'Grace Voicemail Left' });
     console.log(`📊 Klaviyo API response:`, JSON.stringify(response.data, null, 2));
     
     return {
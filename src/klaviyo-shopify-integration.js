@@ -1,6 +1,7 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { sendDiscountViaEvent } from './klaviyo-events-service.js';
+import { shopifyGet, shopifyGraphQL, assertNoUserErrors } from './shopify-client.js';
+import { getDiscountExpiry } from './discount-policy.js';
 import { 
   fetchAbandonedCheckoutById 
 } from './shopify-graphql-queries.js';
@@ -12,19 +13,9 @@ dotenv.config();
  */
 async function getShopifyCustomerByEmail(email) {
   try {
-    const response = await axios.get(
-      `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/search.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN
-        },
-        params: {
-          query: `email:${email}`
-        }
-      }
-    );
+    const data = await shopifyGet('customers/search.json', { query: `email:${email}` });
     
-    const customers = response.data.customers || [];
+    const customers = data.customers || [];
     return customers.length > 0 ? customers[0] : null;
   } catch (error) {
     console.error('Error finding customer by email:', error.message);
@@ -47,7 +38,8 @@ async function createShopifyDiscountCode({
   // Get customer ID for customer-specific discount
   const customer = customerEmail ? await getShopifyCustomerByEmail(customerEmail) : null;
   
-  const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  const expiry = getDiscountExpiry('abandoned_checkout');
+  const expiresAt = new Date(expiry.expires_at);
 
   const mutation = `
     mutation createDiscountCode($input: DiscountCodeBasicInput!) {
@@ -114,25 +106,8 @@ async function createShopifyDiscountCode({
   };
 
   try {
-    const response = await axios.post(
-      `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/graphql.json`,
-      { query: mutation, variables },
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (response.data.errors) {
-      throw new Error(`Shopify GraphQL errors: ${JSON.stringify(response.data.errors)}`);
-    }
-
-    const result = response.data.data.discountCodeBasicCreate;
-    if (result.userErrors.length > 0) {
-      throw new Error(`Shopify user errors: ${JSON.stringify(result.userErrors)}`);
-    }
+    const data = await shopifyGraphQL(mutation, variables);
+    const result = assertNoUserErrors(data.discountCodeBasicCreate, 'discountCodeBasicCreate');
 
     return {
       code,
@@ -140,10 +115,11 @@ async function createShopifyDiscountCode({
       value: discountValue,
       type: discountType,
       expiresAt: expiresAt.toISOString(),
+      expiresIn: expiry.expires_in,
       customer_specific: !!customer
     };
   } catch (error) {
-    console.error('Error creating Shopify discount code:', error.response?.data || error.message);
+    console.error('Error creating Shopify discount code:', error.details || error.message);
     throw error;
   }
 }
@@ -232,7 +208,9 @@ export async function sendAbandonedCheckoutDiscount({
       discountCode: discount.code,
       recoveryUrl: finalRecoveryUrl,
       abandonedCheckoutId,
-      channel: preferredChannel
+      channel: preferredChannel,
+      expiresAt: discount.expiresAt,
+      expiresIn: discount.expiresIn
     });
     
     return {
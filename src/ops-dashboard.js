@@ -0,0 +1,207 @@
+/**
+ * Operations Dashboard
+ * Rollups for the control panel, computed on request from the existing stores: the
+ * call mix with answer / voicemail rates, discounts issued, draft orders created,
+ * recovered revenue, queue depth, DNC size and recent failures, the same numbers
+ * bucketed by day or hour for the charts, and everything known about a single call.
+ */
+
+import { dataPath, readJson } from './json-file-store.js';
+import { queryCallRecords, getCallRecord } from './call-record-store.js';
+import { getCallOutcomes } from './call-outcome-store.js';
+import { listDiscountCodes } from './discount-ledger.js';
+import { getConversionReport, listConversions } from './conversion-attribution.js';
+import { getQueueStats, listFailedJobs } from './call-queue.js';
+import { listDeadLetters } from './dead-letter-queue.js';
+
+const DNC_PATH = dataPath('dnc.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DASHBOARD_CONFIG = {
+  MAX_DAYS: 90,
+  // Hourly buckets get unreadable past a week
+  MAX_HOURLY_DAYS: 7
+};
+
+// Outcomes where a person picked up; in_progress calls count toward neither rate
+const ANSWERED_OUTCOMES = new Set(['successful', 'unsuccessful', 'completed']);
+
+const rate = (part, whole) => (whole ? Number((part / whole).toFixed(3)) : 0);
+
+function toMs(value, fallback) {
+  if (value == null || value === '') return fallback;
+  const ms = new Date(value).getTime();
+  if (Number.isNaN(ms)) throw new Error('since / until must be dates');
+  return ms;
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today.toISOString();
+}
+
+// Dry-run calls never dialed anyone, so they stay out of the operating numbers
+function liveCalls(from, to) {
+  return queryCallRecords({ from, to, limit: Infinity }).records.filter(r => !r.dry_run);
+}
+
+function callStats(calls) {
+  const byOutcome = {};
+  let finished = 0;
+  let answered = 0;
+  let voicemails = 0;
+  for (const call of calls) {
+    const outcome = call.outcome || 'unknown';
+    byOutcome[outcome] = (byOutcome[outcome] || 0) + 1;
+    if (outcome !== 'in_progress') finished++;
+    if (ANSWERED_OUTCOMES.has(outcome)) answered++;
+    if (call.voicemail) voicemails++;
+  }
+  return {
+    total: calls.length,
+    by_outcome: byOutcome,
+    answered,
+    voicemails,
+    answer_rate: rate(answered, finished),
+    voicemail_rate: rate(voicemails, finished)
+  };
+}
+
+const countDraftOrders = (calls) => calls.reduce((sum, call) => sum + (call.draft_orders?.length || 0), 0);
+
+/**
+ * Most recent problems across the system, newest first: post-call actions waiting in
+ * the dead-letter queue, call jobs that gave up and calls that failed to connect
+ */
+export function listRecentFailures({ limit = 10 } = {}) {
+  const failures = [
+    ...listDeadLetters({ status: 'pending', limit }).map(e => ({
+      kind: 'post_call_action', at: e.updated_at, call_id: e.call_id, what: e.action, error: e.last_error, ref: e.id
+    })),
+    ...listFailedJobs({ limit }).map(j => ({
+      kind: 'call_job', at: j.updated_at, call_id: null, what: j.type, error: j.last_error, ref: j.job_id
+    })),
+    ...queryCallRecords({ outcome: 'failed', limit }).records.map(r => ({
+      kind: 'call', at: r.started_at || r.created_at, call_id: r.call_id, what: r.campaign, error: r.disconnection_reason, ref: r.call_id
+    }))
+  ];
+  return failures.sort((a, b) => new Date(b.at) - new Date(a.at)).slice(0, limit);
+}
+
+/**
+ * Headline numbers for calls started in [since, until) - since defaults to the server's midnight
+ */
+export function getDashboardOverview({ since = null, until = null, failureLimit = 10 } = {}) {
+  since = since || startOfToday();
+  const sinceMs = toMs(since);
+  const untilMs = toMs(until, Infinity);
+
+  const calls = liveCalls(since, until || undefined).filter(r => new Date(r.started_at || r.created_at).getTime() < untilMs);
+  const discounts = listDiscountCodes().filter(e => {
+    const issuedMs = new Date(e.created_at).getTime();
+    return issuedMs >= sinceMs && issuedMs < untilMs;
+  });
+  const conversions = getConversionReport({ since, until }).totals;
+  const queue = getQueueStats();
+
+  return {
+    since,
+    until,
+    generated_at: new Date().toISOString(),
+    calls: callStats(calls),
+    discounts: { issued: discounts.length, redeemed: discounts.filter(e => e.redeemed_at).length },
+    draft_orders_created: countDraftOrders(calls),
+    orders: conversions.orders,
+    recovered_revenue: conversions.recovered_revenue,
+    queue: { depth: queue.pending + queue.in_progress, ...queue },
+    dnc_count: readJson(DNC_PATH, { phones: [] }).phones.length,
+    recent_failures: listRecentFailures({ limit: failureLimit })
+  };
+}
+
+/**
+ * The overview numbers per day or hour for the last `days` days, oldest bucket first
+ *
+ * Calls, discounts and draft orders land in the bucket of the call / issue time;
+ * attributed orders and their revenue land in the bucket of the order.
+ *
+ * @param {number} tzOffsetMinutes - the viewer's offset, as returned by Date#getTimezoneOffset,
+ *   so buckets line up with their local days
+ */
+export function getDashboardTimeseries({ days = 14, bucket = 'day', tzOffsetMinutes = 0 } = {}) {
+  days = Number(days);
+  if (!Number.isInteger(days) || days < 1 || days > DASHBOARD_CONFIG.MAX_DAYS) {
+    throw new Error(`days must be between 1 and ${DASHBOARD_CONFIG.MAX_DAYS}`);
+  }
+  if (bucket !== 'day' && bucket !== 'hour') throw new Error('bucket must be day or hour');
+  if (bucket === 'hour' && days > DASHBOARD_CONFIG.MAX_HOURLY_DAYS) {
+    throw new Error(`hourly buckets cover at most ${DASHBOARD_CONFIG.MAX_HOURLY_DAYS} days`);
+  }
+
+  const offsetMs = (Number(tzOffsetMinutes) || 0) * 60 * 1000;
+  const size = bucket === 'day' ? DAY_MS : HOUR_MS;
+  const count = bucket === 'day' ? days : days * 24;
+  // Bucket boundaries are computed in the viewer's local time, then shifted back to UTC
+  const firstMs = Math.floor((Date.now() - offsetMs) / size) * size - (count - 1) * size + offsetMs;
+
+  const points = Array.from({ length: count }, (_, i) => {
+    const local = new Date(firstMs + i * size - offsetMs).toISOString();
+    return {
+      bucket: bucket === 'day' ? local.slice(0, 10) : `${local.slice(0, 13)}:00`,
+      start: new Date(firstMs + i * size).toISOString(),
+      calls: 0,
+      answered: 0,
+      voicemails: 0,
+      not_connected: 0,
+      discounts_issued: 0,
+      draft_orders: 0,
+      orders: 0,
+      recovered_revenue: 0
+    };
+  });
+  const pointAt = (value) => {
+    const i = Math.floor((new Date(value).getTime() - firstMs) / size);
+    return i >= 0 && i < count ? points[i] : null;
+  };
+
+  for (const call of liveCalls(new Date(firstMs).toISOString())) {
+    const point = pointAt(call.started_at || call.created_at);
+    if (!point) continue;
+    point.calls++;
+    if (ANSWERED_OUTCOMES.has(call.outcome)) point.answered++;
+    else if (call.voicemail) point.voicemails++;
+    else if (call.outcome === 'no_answer' || call.outcome === 'failed') point.not_connected++;
+    point.draft_orders += call.draft_orders?.length || 0;
+  }
+  for (const entry of listDiscountCodes()) {
+    const point = pointAt(entry.created_at);
+    if (point) point.discounts_issued++;
+  }
+  for (const conversion of listConversions()) {
+    const point = !conversion.cancelled && pointAt(conversion.ordered_at);
+    if (!point) continue;
+    point.orders++;
+    point.recovered_revenue += conversion.revenue || 0;
+  }
+
+  points.forEach(point => { point.recovered_revenue = Number(point.recovered_revenue.toFixed(2)); });
+  return { bucket, days, tz_offset_minutes: Number(tzOffsetMinutes) || 0, points };
+}
+
+/**
+ * Everything stored about one call: its record, every post-call pipeline run, the
+ * discount codes it issued and the orders credited to it. The transcript lives in
+ * Retell and is added by the caller.
+ */
+export function getCallDetail(callId) {
+  const record = getCallRecord(callId);
+  if (!record) return null;
+  return {
+    record,
+    pipeline: getCallOutcomes(callId),
+    discounts: listDiscountCodes({ callId }),
+    conversions: listConversions({ callId })
+  };
+}
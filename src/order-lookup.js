@@ -0,0 +1,285 @@
+/**
+ * Order Lookup
+ * Finds a caller's order without scanning recent orders: by order name, or by phone
+ * through a local phone -> customer index (refreshed incrementally from Shopify),
+ * Shopify customer search and order search, with an optional name fallback.
+ * Results are cached per call so the flow tools hit Shopify at most once per lookup.
+ */
+
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { normalizeToE164 } from './phone-utils.js';
+import { shopifyGet, shopifyGetAll, shopifyGraphQL, isShopifyConfigured } from './shopify-client.js';
+
+const INDEX_PATH = dataPath('phone-index.json');
+
+export const ORDER_LOOKUP_CONFIG = {
+  // Per-call cache lifetime; covers every tool call made during one conversation
+  CACHE_TTL_MS: Number(process.env.ORDER_LOOKUP_CACHE_TTL_MS || 30 * 60 * 1000),
+  CACHE_MAX_ENTRIES: Number(process.env.ORDER_LOOKUP_CACHE_MAX_ENTRIES || 1000),
+  INDEX_REFRESH_MS: Number(process.env.PHONE_INDEX_REFRESH_MS || 15 * 60 * 1000),
+  // Pages of 250 customers pulled per refresh; a large backfill continues on the next run
+  INDEX_MAX_PAGES: Number(process.env.PHONE_INDEX_MAX_PAGES || 20)
+};
+
+const LATEST_ORDER_QUERY = `
+  query latestOrder($query: String!) {
+    orders(first: 5, sortKey: CREATED_AT, reverse: true, query: $query) {
+      nodes {
+        legacyResourceId
+        phone
+        customer { phone }
+        shippingAddress { phone }
+        billingAddress { phone }
+      }
+    }
+  }
+`;
+
+// --- Per-call cache ---
+const cache = new Map();
+
+function cacheKey(callId, kind, value) {
+  return `${callId}:${kind}:${value}`;
+}
+
+async function cached(callId, kind, value, load) {
+  // Only tool calls within one Retell call share results; anything else reads Shopify
+  if (!callId) return load();
+  const key = cacheKey(callId, kind, value);
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.promise;
+
+  const promise = load();
+  cache.set(key, { promise, expires: Date.now() + ORDER_LOOKUP_CONFIG.CACHE_TTL_MS });
+  // Failed lookups aren't cached so the next tool call retries
+  promise.catch(() => cache.delete(key));
+
+  if (cache.size > ORDER_LOOKUP_CONFIG.CACHE_MAX_ENTRIES) {
+    const now = Date.now();
+    for (const [k, v] of cache) {
+      if (v.expires <= now || cache.size > ORDER_LOOKUP_CONFIG.CACHE_MAX_ENTRIES) cache.delete(k);
+    }
+  }
+  return promise;
+}
+
+/**
+ * Drop cached lookups for a call (e.g. after the order was updated)
+ */
+export function clearOrderLookupCache(callId) {
+  if (!callId) return;
+  const prefix = `${callId}:`;
+  for (const key of cache.keys()) {
+    if (key.startsWith(prefix)) cache.delete(key);
+  }
+}
+
+// --- Phone index ---
+let index = null;
+
+function loadIndex() {
+  if (!index) {
+    const stored = readJson(INDEX_PATH, null) || {};
+    index = { synced_through: stored.synced_through || null, last_refresh_at: stored.last_refresh_at || null, phones: stored.phones || {} };
+  }
+  return index;
+}
+
+function customerPhones(customer) {
+  return [customer.phone, customer.default_address?.phone, ...(customer.addresses || []).map(a => a.phone)];
+}
+
+function indexCustomer(store, customer) {
+  for (const phone of customerPhones(customer)) {
+    const e164 = normalizeToE164(phone);
+    if (!e164) continue;
+    store.phones[e164] = {
+      customer_id: customer.id,
+      name: [customer.first_name, customer.last_name].filter(Boolean).join(' ') || null,
+      email: customer.email || null,
+      updated_at: customer.updated_at || null
+    };
+  }
+}
+
+/**
+ * Pull customers updated since the last refresh into the phone index
+ *
+ * Customers are read oldest-update first so a refresh cut short by INDEX_MAX_PAGES
+ * resumes where it stopped.
+ */
+export async function refreshPhoneIndex() {
+  const store = loadIndex();
+  const startedAt = new Date().toISOString();
+  const params = {
+    order: 'updated_at asc',
+    limit: 250,
+    fields: 'id,first_name,last_name,email,phone,updated_at,default_address,addresses'
+  };
+  if (store.synced_through) params.query = `updated_at:>='${store.synced_through}'`;
+
+  const customers = await shopifyGetAll('customers/search.json', {
+    key: 'customers',
+    params,
+    maxPages: ORDER_LOOKUP_CONFIG.INDEX_MAX_PAGES
+  });
+  customers.forEach(c => indexCustomer(store, c));
+
+  const truncated = customers.length >= ORDER_LOOKUP_CONFIG.INDEX_MAX_PAGES * params.limit;
+  store.synced_through = truncated ? customers[customers.length - 1].updated_at : startedAt;
+  store.last_refresh_at = startedAt;
+  writeJson(INDEX_PATH, store);
+
+  console.log(`📇 Phone index refreshed: ${customers.length} customer(s) updated, ${Object.keys(store.phones).length} phone(s) indexed${truncated ? ' (backfill continues next run)' : ''}`);
+  return { updated: customers.length, phones: Object.keys(store.phones).length, synced_through: store.synced_through, truncated };
+}
+
+export function getPhoneIndexStatus() {
+  const store = loadIndex();
+  return {
+    phones: Object.keys(store.phones).length,
+    synced_through: store.synced_through,
+    last_refresh_at: store.last_refresh_at,
+    cached_lookups: cache.size
+  };
+}
+
+/**
+ * Keep the phone index fresh in the background
+ *
+ * @returns {{ stop: function }}
+ */
+export function startPhoneIndexRefresher() {
+  if (!isShopifyConfigured()) {
+    console.log('📇 Shopify not configured - phone index refresher not started');
+    return { stop() {} };
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await refreshPhoneIndex();
+    } catch (error) {
+      console.error('❌ Phone index refresh failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, ORDER_LOOKUP_CONFIG.INDEX_REFRESH_MS);
+  return {
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+// --- Lookups ---
+function samePhone(a, b) {
+  const x = normalizeToE164(a);
+  const y = normalizeToE164(b);
+  return !!x && !!y && x.slice(-10) === y.slice(-10);
+}
+
+async function getOrder(orderId) {
+  const data = await shopifyGet(`orders/${orderId}.json`);
+  return data?.order || null;
+}
+
+async function latestOrderMatching(query, phone = null) {
+  const data = await shopifyGraphQL(LATEST_ORDER_QUERY, { query });
+  const nodes = data?.orders?.nodes || [];
+  const match = phone
+    ? nodes.find(n => [n.phone, n.customer?.phone, n.shippingAddress?.phone, n.billingAddress?.phone].some(p => samePhone(p, phone)))
+    : nodes[0];
+  return match ? getOrder(match.legacyResourceId) : null;
+}
+
+async function searchCustomers(query) {
+  const data = await shopifyGet('customers/search.json', {
+    query,
+    limit: 10,
+    fields: 'id,first_name,last_name,email,phone,updated_at,default_address,addresses'
+  });
+  return data?.customers || [];
+}
+
+/**
+ * Find an order by its number ("42507", "#42507")
+ */
+export async function lookupOrderByNumber(orderNumber, { callId = null } = {}) {
+  const num = String(orderNumber || '').trim().replace(/^#/, '');
+  if (!num) return null;
+
+  return cached(callId, 'order', num, async () => {
+    for (const name of [`#${num}`, num]) {
+      const data = await shopifyGet('orders.json', { name, status: 'any' });
+      if (data?.orders?.length) return data.orders[0];
+    }
+    return null;
+  });
+}
+
+/**
+ * Find the caller's most recent order by phone, falling back to a name search
+ *
+ * Order: phone index -> Shopify customer search -> order search (guest checkouts).
+ * Only a customer or order whose phone matches is returned; the name search is used
+ * when no phone number is known, and only when it identifies a single customer.
+ *
+ * @param {string} phone - any format
+ * @param {string} name - customer name spoken or passed by the agent, if known
+ * @param {string} callId - Retell call id, scopes the cache
+ * @param {boolean} fresh - skip the cache (decisions that must see orders placed moments ago)
+ */
+export async function lookupLatestOrderForPhone(phone, { name = null, callId = null, fresh = false } = {}) {
+  const e164 = normalizeToE164(phone);
+  if (!e164 && !name) return null;
+
+  return cached(fresh ? null : callId, 'phone', `${e164 || ''}|${name || ''}`, async () => {
+    if (e164) {
+      const indexed = loadIndex().phones[e164];
+      if (indexed) {
+        const order = await latestOrderMatching(`customer_id:${indexed.customer_id}`);
+        if (order) {
+          console.log(`📇 Order lookup for ${e164} via phone index`);
+          return order;
+        }
+      }
+
+      for (const format of [e164, e164.replace(/^\+1/, ''), e164.replace(/^\+/, '')]) {
+        const customers = await searchCustomers(`phone:${format}`);
+        const customer = customers.find(c => customerPhones(c).some(p => samePhone(p, e164)));
+        if (!customer) continue;
+
+        indexCustomer(loadIndex(), customer);
+        writeJson(INDEX_PATH, loadIndex());
+        const order = await latestOrderMatching(`customer_id:${customer.id}`);
+        if (order) {
+          console.log(`🔎 Order lookup for ${e164} via customer search`);
+          return order;
+        }
+      }
+
+      const guestOrder = await latestOrderMatching(e164.replace(/^\+1/, ''), e164);
+      if (guestOrder) {
+        console.log(`🔎 Order lookup for ${e164} via order search`);
+        return guestOrder;
+      }
+    }
+
+    if (!e164 && name) {
+      // A name match for a caller whose number didn't match could be someone else's order
+      const customers = await searchCustomers(name);
+      if (customers.length === 1) {
+        console.log(`🔎 Order lookup via name search: ${name}`);
+        return latestOrderMatching(`customer_id:${customers[0].id}`);
+      }
+    }
+
+    return null;
+  });
+}
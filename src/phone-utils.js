@@ -0,0 +1,14 @@
+/**
+ * Phone number helpers shared by the server, call queue and contact ledger
+ */
+
+// Normalize phone numbers to E.164 format (US default)
+export function normalizeToE164(raw) {
+  const digits = String(raw || "").replace(/[^\d]/g, "");
+  if (!digits) return null;
+  if (String(raw || "").startsWith('+')) return `+${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  // Fallback: just prefix +
+  return `+${digits}`;
+}
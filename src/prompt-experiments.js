@@ -0,0 +1,331 @@
+/**
+ * Prompt Experiments
+ * A/B tests for prompt changes before they reach every call. An experiment clones
+ * the production agent and its Retell LLM with the candidate prompt (the variant);
+ * outbound calls for the production agent are split between control and variant
+ * when they are placed, sticky per phone number. Each arm's calls, success and
+ * conversions come from the call record store and attributions, and once a
+ * two-proportion z-test clears the significance level the experiment recommends
+ * promoting the variant (its prompt is copied onto the production LLM) or
+ * discarding it. Persisted to data/prompt-experiments.json.
+ */
+
+import crypto from 'crypto';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { queryCallRecords } from './call-record-store.js';
+import { listConversions } from './conversion-attribution.js';
+import { capturePromptVersion, recordPromptVersion, safeCapturePromptVersion } from './prompt-version-store.js';
+
+const EXPERIMENTS_PATH = dataPath('prompt-experiments.json');
+
+export const EXPERIMENT_CONFIG = {
+  // Share of the agent's outbound calls that go to the variant
+  TRAFFIC_SPLIT: Number(process.env.EXPERIMENT_TRAFFIC_SPLIT || 0.5),
+  // No recommendation until both arms have this many calls
+  MIN_CALLS_PER_ARM: Number(process.env.EXPERIMENT_MIN_CALLS_PER_ARM || 30),
+  // Past this without a significant difference the variant isn't worth keeping
+  MAX_CALLS_PER_ARM: Number(process.env.EXPERIMENT_MAX_CALLS_PER_ARM || 500),
+  SIGNIFICANCE_LEVEL: Number(process.env.EXPERIMENT_SIGNIFICANCE_LEVEL || 0.05),
+  PRIMARY_METRIC: process.env.EXPERIMENT_PRIMARY_METRIC || 'conversion_rate'
+};
+
+export const EXPERIMENT_METRICS = ['conversion_rate', 'success_rate'];
+
+// Outcomes where a person picked up
+const ANSWERED_OUTCOMES = new Set(['successful', 'unsuccessful', 'completed']);
+
+// Agent / LLM fields Retell sets itself and won't take on create
+const AGENT_READ_ONLY = ['agent_id', 'version', 'is_published', 'last_modification_timestamp'];
+const LLM_READ_ONLY = ['llm_id', 'version', 'is_published', 'last_modification_timestamp'];
+
+// Read on every call: the improvement loop also runs as a CLI next to the server
+function loadExperiments() {
+  const stored = readJson(EXPERIMENTS_PATH, null) || {};
+  return { experiments: stored.experiments || {} };
+}
+
+function saveExperiments(state) {
+  writeJson(EXPERIMENTS_PATH, state);
+}
+
+const omit = (obj, keys) => Object.fromEntries(Object.entries(obj || {}).filter(([key]) => !keys.includes(key)));
+
+function runningExperimentFor(state, agentId) {
+  return Object.values(state.experiments).find(e => e.status === 'running' && e.control.agent_id === agentId) || null;
+}
+
+/**
+ * Clone the agent and its LLM with the candidate prompt and start splitting its calls
+ *
+ * @param {string} agentId - the production (control) agent
+ * @param {string} generalPrompt - the candidate prompt for the variant
+ * @param {number} trafficSplit - share of calls for the variant, 0-1
+ * @param {string} metric - one of EXPERIMENT_METRICS, decides the recommendation
+ * @param {object} source - what proposed the change (improvement loop run, manual...)
+ * @returns {Promise<object>} the experiment, or { skipped, reason } when one is already running
+ */
+export async function createExperiment(retell, {
+  agentId,
+  generalPrompt,
+  name = null,
+  trafficSplit = EXPERIMENT_CONFIG.TRAFFIC_SPLIT,
+  metric = EXPERIMENT_CONFIG.PRIMARY_METRIC,
+  source = null
+}) {
+  if (!agentId || !generalPrompt) throw new Error('agentId and generalPrompt are required');
+  if (!(trafficSplit > 0 && trafficSplit < 1)) throw new Error('trafficSplit must be between 0 and 1');
+  if (!EXPERIMENT_METRICS.includes(metric)) throw new Error(`metric must be one of ${EXPERIMENT_METRICS.join(', ')}`);
+
+  const running = runningExperimentFor(loadExperiments(), agentId);
+  if (running) return { skipped: true, reason: 'experiment_running', experiment_id: running.experiment_id };
+
+  const agent = await retell.agent.retrieve(agentId);
+  const llmId = agent.response_engine?.llm_id;
+  if (!llmId) throw new Error(`Agent ${agentId} has no Retell LLM`);
+  const llm = await retell.llm.retrieve(llmId);
+
+  // Keep the control's starting point in the prompt history
+  await safeCapturePromptVersion(retell, { agentId, agentName: agent.agent_name, llmId, reason: 'observed' });
+
+  const variantLlm = await retell.llm.create({ ...omit(llm, LLM_READ_ONLY), general_prompt: generalPrompt });
+  let variantAgent;
+  try {
+    variantAgent = await retell.agent.create({
+      ...omit(agent, AGENT_READ_ONLY),
+      agent_name: `${agent.agent_name || agentId} [experiment variant]`,
+      response_engine: { type: 'retell-llm', llm_id: variantLlm.llm_id }
+    });
+  } catch (error) {
+    await retell.llm.delete(variantLlm.llm_id).catch(() => {});
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const experiment = {
+    experiment_id: `exp_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+    name: name || `${agent.agent_name || agentId} prompt test`,
+    status: 'running',
+    metric,
+    traffic_split: trafficSplit,
+    control: { agent_id: agentId, agent_name: agent.agent_name || null, llm_id: llmId, llm_version: llm.version ?? null },
+    variant: { agent_id: variantAgent.agent_id, agent_name: variantAgent.agent_name, llm_id: variantLlm.llm_id },
+    candidate_prompt: generalPrompt,
+    source,
+    created_at: now,
+    ended_at: null,
+    decision: null
+  };
+  const state = loadExperiments();
+  state.experiments[experiment.experiment_id] = experiment;
+  saveExperiments(state);
+  console.log(`🧪 Experiment ${experiment.experiment_id} started for ${experiment.control.agent_name || agentId} (${Math.round(trafficSplit * 100)}% to variant)`);
+  return experiment;
+}
+
+/**
+ * Pick the arm for an outbound call to `toNumber` placed for `agentId`
+ *
+ * The same number always lands in the same arm of an experiment, so a customer
+ * called twice hears one prompt.
+ *
+ * @returns {{ experiment_id, arm, agent_id }|null} null when the agent isn't under test
+ */
+export function assignExperimentArm(agentId, toNumber) {
+  if (!agentId) return null;
+  const experiment = runningExperimentFor(loadExperiments(), agentId);
+  if (!experiment) return null;
+
+  const key = toNumber ? `${experiment.experiment_id}:${toNumber}` : crypto.randomBytes(8).toString('hex');
+  const bucket = crypto.createHash('sha256').update(key).digest().readUInt32BE(0) / 0x100000000;
+  const arm = bucket < experiment.traffic_split ? 'variant' : 'control';
+  return { experiment_id: experiment.experiment_id, arm, agent_id: experiment[arm].agent_id };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided two-proportion z-test of variant against control
+ */
+function compareProportions(control, variant) {
+  const { hits: x1, trials: n1 } = control;
+  const { hits: x2, trials: n2 } = variant;
+  if (!n1 || !n2) return { lift: null, p_value: null };
+  const p1 = x1 / n1;
+  const p2 = x2 / n2;
+  const pooled = (x1 + x2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  const pValue = se === 0 ? 1 : 2 * (1 - normalCdf(Math.abs(p2 - p1) / se));
+  return {
+    lift: Number((p2 - p1).toFixed(4)),
+    relative_lift: p1 ? Number(((p2 - p1) / p1).toFixed(4)) : null,
+    p_value: Number(pValue.toFixed(4))
+  };
+}
+
+function armStats(calls, conversions) {
+  const converted = new Set(conversions.map(c => c.call_id));
+  const successful = calls.filter(c => c.outcome === 'successful').length;
+  const judged = successful + calls.filter(c => c.outcome === 'unsuccessful').length;
+  const convertedCalls = calls.filter(c => converted.has(c.call_id)).length;
+  return {
+    calls: calls.length,
+    answered: calls.filter(c => ANSWERED_OUTCOMES.has(c.outcome)).length,
+    successful,
+    success_rate: judged ? Number((successful / judged).toFixed(3)) : null,
+    converted_calls: convertedCalls,
+    conversion_rate: calls.length ? Number((convertedCalls / calls.length).toFixed(3)) : null,
+    orders: conversions.length,
+    recovered_revenue: Number(conversions.reduce((sum, c) => sum + (c.revenue || 0), 0).toFixed(2)),
+    // Trials behind each rate, for the significance test
+    samples: {
+      conversion_rate: { hits: convertedCalls, trials: calls.length },
+      success_rate: { hits: successful, trials: judged }
+    }
+  };
+}
+
+function recommend(experiment, arms, tests) {
+  const { MIN_CALLS_PER_ARM, MAX_CALLS_PER_ARM, SIGNIFICANCE_LEVEL } = EXPERIMENT_CONFIG;
+  const test = tests[experiment.metric];
+  const smallest = Math.min(arms.control.calls, arms.variant.calls);
+
+  if (smallest < MIN_CALLS_PER_ARM) {
+    return { action: 'keep_running', reason: `waiting for ${MIN_CALLS_PER_ARM} calls per arm (smallest arm has ${smallest})` };
+  }
+  if (test.p_value !== null && test.p_value < SIGNIFICANCE_LEVEL && test.lift !== 0) {
+    return test.lift > 0
+      ? { action: 'promote', reason: `variant ${experiment.metric} is higher by ${test.lift} (p=${test.p_value})` }
+      : { action: 'discard', reason: `variant ${experiment.metric} is lower by ${-test.lift} (p=${test.p_value})` };
+  }
+  if (smallest >= MAX_CALLS_PER_ARM) {
+    return { action: 'discard', reason: `no significant difference after ${smallest} calls per arm` };
+  }
+  return { action: 'keep_running', reason: `not significant yet (p=${test.p_value ?? 'n/a'})` };
+}
+
+/**
+ * Calls, success and conversions per arm, significance for both metrics and a recommendation
+ */
+export function getExperimentResults(experimentId) {
+  const experiment = loadExperiments().experiments[experimentId];
+  if (!experiment) return null;
+
+  // Dry runs were never dialed
+  const calls = queryCallRecords({ from: experiment.created_at, to: experiment.ended_at || undefined, limit: Infinity }).records
+    .filter(r => r.experiment_id === experimentId && !r.dry_run);
+  const conversions = listConversions().filter(c => !c.cancelled);
+  const arms = Object.fromEntries(['control', 'variant'].map(arm => {
+    const armCalls = calls.filter(r => r.experiment_arm === arm);
+    const ids = new Set(armCalls.map(r => r.call_id));
+    return [arm, armStats(armCalls, conversions.filter(c => ids.has(c.call_id)))];
+  }));
+  const tests = Object.fromEntries(EXPERIMENT_METRICS.map(metric => [metric, compareProportions(arms.control.samples[metric], arms.variant.samples[metric])]));
+  Object.values(arms).forEach(arm => delete arm.samples);
+
+  return {
+    ...experiment,
+    arms,
+    significance: { level: EXPERIMENT_CONFIG.SIGNIFICANCE_LEVEL, ...tests },
+    recommendation: experiment.status === 'running' ? recommend(experiment, arms, tests) : experiment.decision
+  };
+}
+
+export function listExperiments({ status = null, agentId = null } = {}) {
+  return Object.values(loadExperiments().experiments)
+    .filter(e => !status || e.status === status)
+    .filter(e => !agentId || e.control.agent_id === agentId)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .map(({ candidate_prompt, ...experiment }) => experiment);
+}
+
+async function removeVariant(retell, experiment) {
+  for (const [what, remove] of [
+    ['agent', () => retell.agent.delete(experiment.variant.agent_id)],
+    ['LLM', () => retell.llm.delete(experiment.variant.llm_id)]
+  ]) {
+    try {
+      await remove();
+    } catch (error) {
+      console.warn(`⚠️ Could not delete variant ${what} for ${experiment.experiment_id}:`, error.message);
+    }
+  }
+}
+
+function closeExperiment(experimentId, status, decision) {
+  const state = loadExperiments();
+  const experiment = state.experiments[experimentId];
+  experiment.status = status;
+  experiment.ended_at = new Date().toISOString();
+  experiment.decision = decision;
+  saveExperiments(state);
+  return experiment;
+}
+
+/**
+ * End the experiment one way or the other
+ *
+ * promote: the variant LLM's prompt is copied onto the control LLM (so the production
+ * agent keeps its id and phone numbers), recorded as a prompt version and published.
+ * Refused while the control LLM has changed since the experiment started: the variant
+ * was cloned from the old version, so copying it would undo those changes. Either
+ * way the variant agent and LLM are deleted.
+ *
+ * @param {'promote'|'discard'} action
+ * @returns {Promise<object|null>} null when the experiment is unknown, { skipped } when it already ended
+ */
+export async function concludeExperiment(retell, experimentId, action, { note = null } = {}) {
+  if (action !== 'promote' && action !== 'discard') throw new Error('action must be promote or discard');
+  const results = getExperimentResults(experimentId);
+  if (!results) return null;
+  if (results.status !== 'running') return { skipped: true, reason: `experiment already ${results.status}` };
+
+  const decision = {
+    action,
+    note,
+    decided_at: new Date().toISOString(),
+    recommendation: results.recommendation,
+    arms: results.arms,
+    significance: results.significance
+  };
+
+  if (action === 'promote') {
+    const { control, variant } = results;
+    const controlLlm = await retell.llm.retrieve(control.llm_id);
+    if (control.llm_version != null && (controlLlm.version ?? null) !== control.llm_version) {
+      console.log(`🧪 Experiment ${experimentId} not promoted - control LLM moved from version ${control.llm_version} to ${controlLlm.version}`);
+      return {
+        skipped: true,
+        reason: 'control_changed',
+        detail: `The production prompt changed since the experiment started (version ${control.llm_version} → ${controlLlm.version}). Discard this experiment and start a new one from the current prompt.`,
+        started_from_version: control.llm_version,
+        current_version: controlLlm.version ?? null
+      };
+    }
+    await capturePromptVersion(retell, { agentId: control.agent_id, agentName: control.agent_name, llmId: control.llm_id, reason: 'observed' });
+    const variantLlm = await retell.llm.retrieve(variant.llm_id);
+    const updated = await retell.llm.update(control.llm_id, { general_prompt: variantLlm.general_prompt });
+    const agent = await retell.agent.update(control.agent_id, {
+      response_engine: { type: 'retell-llm', llm_id: control.llm_id, version: updated.version }
+    });
+    decision.prompt_version_id = recordPromptVersion({
+      agentId: control.agent_id,
+      agentName: control.agent_name,
+      llmId: control.llm_id,
+      llm: updated,
+      agentVersion: agent.version ?? null,
+      reason: 'experiment',
+      note,
+      source: { experiment_id: experimentId, arms: results.arms, significance: results.significance[results.metric] }
+    }).version_id;
+  }
+
+  await removeVariant(retell, results);
+  const experiment = closeExperiment(experimentId, action === 'promote' ? 'promoted' : 'discarded', decision);
+  console.log(`🧪 Experiment ${experimentId} ${experiment.status}`);
+  return getExperimentResults(experimentId);
+}
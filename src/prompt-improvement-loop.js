@@ -18,17 +18,30 @@
  * - Fixed: Avoids making improvements based on already-addressed issues
  */
 
+import 'dotenv/config';
 import Retell from 'retell-sdk';
 import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
-import dotenv from 'dotenv';
 import { sendDailyImprovementSummary, initializeEmailService } from './email-service.js';
 import { discoverAgentsFromAPI } from './retell-config.js';
 import { KnowledgeBaseManager } from './knowledge-base-manager.js';
-
-// Load environment variables
-dotenv.config();
+import { safeCapturePromptVersion } from './prompt-version-store.js';
+import { createExperiment } from './prompt-experiments.js';
+import { evaluateCandidatePrompt } from './prompt-replay-evaluation.js';
+import {
+  createProposal,
+  getProposal,
+  improvementSections,
+  proposalImprovements,
+  reviewPendingSections,
+  recordPolicyViolations,
+  startApplyingProposal,
+  reopenProposal,
+  closeProposal
+} from './improvement-proposals.js';
+import { checkPromptPolicy, describeViolation } from './prompt-policy.js';
+import { unifiedDiff } from './unified-diff.js';
 
 // Initialize Retell with extended timeout for KB operations
 const retell = new Retell({ 
@@ -53,6 +66,12 @@ const CONFIG = {
   
   // NEW: Knowledge Base Configuration
   USE_KNOWLEDGE_BASE: process.env.USE_KNOWLEDGE_BASE === 'true' || true, // Default to KB mode now that Grace KB is built
+  // Test prompt changes on a share of calls (see prompt-experiments.js) instead of rolling them out
+  USE_EXPERIMENTS: process.env.PROMPT_EXPERIMENTS === 'true',
+  // Replay each agent's recent calls against its changed prompt and only apply it to agents that pass (see prompt-replay-evaluation.js)
+  REPLAY_EVALUATION: process.env.REPLAY_EVALUATION === 'true',
+  // Which improvements wait in the approval queue (see improvement-proposals.js): none, significant or all
+  APPROVAL_MODE: process.env.IMPROVEMENT_APPROVAL || 'none',
   CORE_PROMPT_MAX_TOKENS: 3000, // Keep core prompt under this limit
   ANALYZE_FULL_TRANSCRIPTS: false, // FIXED: Don't fetch full transcripts to avoid token limit - use summaries instead
   MAX_TRANSCRIPT_CHARS: 500, // Maximum characters per transcript excerpt
@@ -66,7 +85,7 @@ const CONFIG = {
     ],
     // Exclude agents that match these patterns (case insensitive)  
     exclude_patterns: [
-      'test', 'demo', 'sandbox', 'dev', 'staging'
+      'test', 'demo', 'sandbox', 'dev', 'staging', 'experiment'
     ],
     // Only include agents that have LLMs configured
     require_llm: true,
@@ -171,19 +190,35 @@ async function discoverActiveAgents() {
 }
 
 /**
- * Request human approval for significant changes
+ * Request human approval: queue the improvements as a proposal for the control panel
  */
-async function requestHumanApproval(improvements) {
-  // In production, this would send to Slack/email/dashboard
+async function requestHumanApproval(improvements, discoveredAgents, { reason = 'significant_change', replayEvaluations = [], violations = [] } = {}) {
   console.log('\n📋 APPROVAL REQUIRED:');
-  console.log('Proposed improvements:', JSON.stringify(improvements, null, 2));
-  console.log('\nTo approve, manually run: npm run approve-improvements\n');
-  
-  // Save pending improvements
-  await fs.writeFile(
-    path.join(CONFIG.LOGS_DIR, 'pending-approval.json'),
-    JSON.stringify({ improvements, timestamp: new Date().toISOString() }, null, 2)
-  );
+  const proposal = createProposal({
+    improvements,
+    agents: discoveredAgents,
+    reason,
+    violations,
+    source: {
+      ...versionSource(improvements),
+      replay_evaluation_ids: replayEvaluations.map(({ evaluation }) => evaluation.evaluation_id).filter(Boolean)
+    }
+  });
+  console.log(`   Review it in the control panel (Approvals) or at /improvements/proposals/${proposal.proposal_id}\n`);
+  return proposal;
+}
+
+/**
+ * Changes big enough that a person should look first
+ */
+function isSignificantChange(improvements) {
+  return improvements.priority_fixes?.length > 3 || 
+    Object.keys(improvements.new_sections || {}).length > 2;
+}
+
+function needsApproval(improvements) {
+  if (CONFIG.APPROVAL_MODE === 'all') return true;
+  return CONFIG.APPROVAL_MODE === 'significant' && isSignificantChange(improvements);
 }
 
 /**
@@ -1033,6 +1068,72 @@ If nothing new to add, return empty object.
   return JSON.parse(response.choices[0].message.content);
 }
 
+/**
+ * The current prompt with the new sections appended and core behaviors kept
+ */
+function buildImprovedPrompt(currentPrompt, improvements) {
+  let improvedPrompt = currentPrompt;
+  
+  // Add new sections
+  if (improvements.new_sections) {
+    for (const [section, content] of Object.entries(improvements.new_sections)) {
+      improvedPrompt += `\n\n${section.toUpperCase()}:\n${content}`;
+    }
+  }
+  
+  // Ensure core behaviors are preserved
+  return preserveCoreBehaviors(improvedPrompt);
+}
+
+/**
+ * Replay the analyzed calls against the prompt the improvements would produce
+ *
+ * Judged on the agent the improvements were generated for, with its own calls. In
+ * knowledge base mode the new sections land in the KB rather than the prompt, but
+ * appending them is the closest offline stand-in for what the agent will know.
+ * Fails closed: if the replay itself errors, nothing is applied.
+ */
+async function runReplayGate(improvements, analysis, agent, currentLLM) {
+  const agentCalls = analysis.by_agent[agent.id]?.calls || [];
+  try {
+    return await evaluateCandidatePrompt({
+      candidatePrompt: buildImprovedPrompt(currentLLM.general_prompt, improvements),
+      baselinePrompt: currentLLM.general_prompt,
+      calls: agentCalls.length ? agentCalls : [...analysis.successful, ...analysis.failed],
+      agentId: agent.id,
+      source: versionSource(improvements)
+    });
+  } catch (error) {
+    console.error('❌ Replay evaluation failed to run:', error.message);
+    return { evaluation_id: null, passed: false, reasons: [`replay evaluation error: ${error.message}`] };
+  }
+}
+
+/**
+ * Run the replay gate for every agent the improvements would reach
+ *
+ * Each agent is judged against its own prompt, so a change that suits one agent
+ * doesn't reach another whose replay it fails. Agents without a Retell LLM can't
+ * be replayed and aren't changed.
+ *
+ * @returns {Promise<{ agent: object, evaluation: object }[]>}
+ */
+async function runReplayGates(improvements, analysis, knownLLMs = {}) {
+  const results = [];
+  for (const agent of analysis.discovered_agents.filter(a => a.llm_id)) {
+    let evaluation;
+    try {
+      const llm = knownLLMs[agent.llm_id] || await retell.llm.retrieve(agent.llm_id);
+      evaluation = await runReplayGate(improvements, analysis, agent, llm);
+    } catch (error) {
+      evaluation = { evaluation_id: null, passed: false, reasons: [`could not load the agent's LLM: ${error.message}`] };
+    }
+    console.log(`   ${evaluation.passed ? '✅' : '🛑'} Replay for ${agent.name || agent.id}: ${evaluation.passed ? 'passed' : evaluation.reasons.join('; ')}`);
+    results.push({ agent, evaluation });
+  }
+  return results;
+}
+
 /**
  * Apply improvements to all discovered agents
  */
@@ -1054,12 +1155,9 @@ async function applyImprovements(improvements, discoveredAgents, requireApproval
   }
   
   // Check if changes are significant (require human review)
-  const isSignificant = improvements.priority_fixes?.length > 3 || 
-                       Object.keys(improvements.new_sections || {}).length > 2;
-  
-  if (isSignificant && requireApproval) {
+  if (isSignificantChange(improvements) && requireApproval) {
     console.log('⚠️ Significant changes detected - human approval required');
-    await requestHumanApproval(improvements);
+    await requestHumanApproval(improvements, discoveredAgents);
     return [];
   }
   
@@ -1074,21 +1172,14 @@ async function applyImprovements(improvements, discoveredAgents, requireApproval
     try {
       console.log(`🔄 Updating ${agent.name}...`);
       
+      // Snapshot what's live before touching it
+      await safeCapturePromptVersion(retell, { agentId: agent.id, agentName: agent.name, llmId: agent.llm_id, reason: 'observed' });
+      
       // Get current LLM configuration
       const currentLLM = await retell.llm.retrieve(agent.llm_id);
       
       // Build improved prompt
-      let improvedPrompt = currentLLM.general_prompt;
-      
-      // Add new sections
-      if (improvements.new_sections) {
-        for (const [section, content] of Object.entries(improvements.new_sections)) {
-          improvedPrompt += `\n\n${section.toUpperCase()}:\n${content}`;
-        }
-      }
-      
-      // Ensure core behaviors are preserved
-      improvedPrompt = preserveCoreBehaviors(improvedPrompt);
+      const improvedPrompt = buildImprovedPrompt(currentLLM.general_prompt, improvements);
       
       // Update the LLM
       const updated = await retell.llm.update(agent.llm_id, {
@@ -1113,17 +1204,34 @@ async function applyImprovements(improvements, discoveredAgents, requireApproval
         
         console.log(`🚀 ${agent.name} published successfully (version ${publishedAgent.version})`);
         
+        const promptVersion = await safeCapturePromptVersion(retell, {
+          agentId: agent.id,
+          agentName: agent.name,
+          llmId: agent.llm_id,
+          reason: 'improvement',
+          source: versionSource(improvements)
+        });
+        
         updatedAgents.push({
           agent_id: agent.id,
           agent_name: agent.name,
           llm_id: agent.llm_id,
           last_modified: updated.last_modification_timestamp,
           published_version: publishedAgent.version,
-          is_published: true
+          is_published: true,
+          prompt_version_id: promptVersion?.version_id || null
         });
         
       } catch (publishError) {
         console.error(`❌ Failed to publish ${agent.name}:`, publishError.message);
+        const promptVersion = await safeCapturePromptVersion(retell, {
+          agentId: agent.id,
+          agentName: agent.name,
+          llmId: agent.llm_id,
+          reason: 'improvement',
+          note: `not published: ${publishError.message}`,
+          source: versionSource(improvements)
+        });
         // Still track the LLM update even if publishing failed
         updatedAgents.push({
           agent_id: agent.id,
@@ -1132,7 +1240,8 @@ async function applyImprovements(improvements, discoveredAgents, requireApproval
           last_modified: updated.last_modification_timestamp,
           published_version: null,
           is_published: false,
-          publish_error: publishError.message
+          publish_error: publishError.message,
+          prompt_version_id: promptVersion?.version_id || null
         });
       }
       
@@ -1147,6 +1256,55 @@ async function applyImprovements(improvements, discoveredAgents, requireApproval
   return updatedAgents;
 }
 
+/**
+ * Start an A/B experiment per agent with the improved prompt instead of applying it
+ * Agents that already have one running are left alone until it's promoted or discarded
+ */
+async function startImprovementExperiments(improvements, discoveredAgents) {
+  const hasImprovements = improvements.new_sections && Object.keys(improvements.new_sections).length > 0;
+  if (!hasImprovements) {
+    console.log('✅ No new improvements needed - nothing to test');
+    return [];
+  }
+  
+  if (!validateImprovements(improvements)) {
+    console.error('❌ Improvements failed safety validation');
+    throw new Error('Improvements contain potentially harmful content');
+  }
+  
+  const startedAgents = [];
+  for (const agent of discoveredAgents) {
+    if (!agent.llm_id) continue;
+    try {
+      const currentLLM = await retell.llm.retrieve(agent.llm_id);
+      const experiment = await createExperiment(retell, {
+        agentId: agent.id,
+        generalPrompt: buildImprovedPrompt(currentLLM.general_prompt, improvements),
+        name: `${agent.name}: ${improvements.priority_fixes?.[0] || 'prompt improvement'}`,
+        source: versionSource(improvements)
+      });
+      if (experiment.skipped) {
+        console.log(`⏭️ ${agent.name} already has experiment ${experiment.experiment_id} running`);
+        continue;
+      }
+      startedAgents.push({
+        agent_id: agent.id,
+        agent_name: agent.name,
+        llm_id: agent.llm_id,
+        last_modified: Date.now(),
+        mode: 'experiment',
+        experiment_id: experiment.experiment_id,
+        variant_agent_id: experiment.variant.agent_id
+      });
+    } catch (error) {
+      console.error(`❌ Failed to start experiment for ${agent.name}:`, error.message);
+    }
+  }
+  
+  await logImprovement(improvements, startedAgents);
+  return startedAgents;
+}
+
 /**
  * Apply improvements to knowledge base instead of prompt
  * NEW: Knowledge Base approach for scalability
@@ -1186,6 +1344,8 @@ async function applyImprovementsToKnowledgeBase(improvements, discoveredAgents)
     try {
       console.log(`🔄 Processing ${agent.name} for KB updates...`);
       
+      await safeCapturePromptVersion(retell, { agentId: agent.id, agentName: agent.name, llmId: agent.llm_id, reason: 'observed' });
+      
       // Ensure agent has a knowledge base
       const kbId = await kbManager.ensureKnowledgeBase(agent.id, agent.name);
       
@@ -1274,6 +1434,14 @@ async function applyImprovementsToKnowledgeBase(improvements, discoveredAgents)
       // Link knowledge base to agent's LLM (if not already linked)
       await kbManager.linkKnowledgeBaseToAgent(agent.id, agent.llm_id, kbId);
       
+      const promptVersion = await safeCapturePromptVersion(retell, {
+        agentId: agent.id,
+        agentName: agent.name,
+        llmId: agent.llm_id,
+        reason: 'knowledge_base',
+        source: { ...versionSource(improvements), knowledge_base_id: kbId, documents_added: successCount }
+      });
+      
       // Get statistics for reporting
       const stats = await kbManager.getStatistics(kbId);
       
@@ -1286,7 +1454,8 @@ async function applyImprovementsToKnowledgeBase(improvements, discoveredAgents)
         total_documents: stats?.total_documents || 0,
         total_kb_size: stats?.total_size_chars || 0,
         last_modified: new Date().toISOString(),
-        mode: 'knowledge_base'
+        mode: 'knowledge_base',
+        prompt_version_id: promptVersion?.version_id || null
       });
       
     } catch (error) {
@@ -1300,6 +1469,106 @@ async function applyImprovementsToKnowledgeBase(improvements, discoveredAgents)
   return updatedAgents;
 }
 
+/**
+ * Apply improvements the way the loop is configured to: experiments, knowledge base or prompt
+ */
+async function applyImprovementsByMode(improvements, discoveredAgents) {
+  if (CONFIG.USE_EXPERIMENTS) return startImprovementExperiments(improvements, discoveredAgents);
+  return CONFIG.USE_KNOWLEDGE_BASE
+    ? applyImprovementsToKnowledgeBase(improvements, discoveredAgents)
+    : applyImprovements(improvements, discoveredAgents);
+}
+
+/**
+ * Apply a reviewed proposal: sections still pending count as approved, rejected ones are
+ * left out and reviewers' edits are used. Nothing is applied while any of them breaks the
+ * prompt policy. Goes through the same path as automatic changes,
+ * to the proposal's agents that are still active.
+ *
+ * @returns {Promise<object|null>} the closed proposal, null when unknown, { skipped } once decided or while
+ *   another approval is applying it
+ */
+async function applyApprovedProposal(proposalId, { reviewer = null, note = null } = {}) {
+  // Claimed before the first await: a second approval arriving meanwhile gets { skipped }
+  const proposal = startApplyingProposal(proposalId, { reviewer });
+  if (!proposal || proposal.skipped) return proposal;
+  
+  try {
+    // Reviewers' edits and re-approved sections go through the prompt policy again
+    const toApply = proposal.sections.filter(section => section.status !== 'rejected');
+    const policy = await checkPromptPolicy(toApply);
+    recordPolicyViolations(proposalId, policy.violations, toApply.map(section => section.section_id));
+    if (!policy.passed) {
+      console.log(`🛡️ Proposal ${proposalId} not applied - ${policy.violations.length} policy violations`);
+      reopenProposal(proposalId);
+      return { skipped: true, reason: 'sections violate the prompt policy', violations: policy.violations };
+    }
+    
+    const reviewed = reviewPendingSections(proposalId, 'approved', { reviewer, applying: true });
+    if (!reviewed || reviewed.skipped) return reviewed;
+    const improvements = proposalImprovements(reviewed);
+    if (!reviewed.sections.some(section => section.status === 'approved')) {
+      return closeProposal(proposalId, 'rejected', { reviewer, note: note || 'every section was rejected' });
+    }
+    
+    const proposedIds = new Set(reviewed.agents.map(agent => agent.id));
+    const agents = (await discoverActiveAgents()).filter(agent => proposedIds.has(agent.id));
+    console.log(`🚀 Applying approved proposal ${proposalId} to ${agents.length} agents...`);
+    const updatedAgents = await applyImprovementsByMode(improvements, agents);
+    return closeProposal(proposalId, 'applied', { reviewer, note, updatedAgents });
+  } catch (error) {
+    reopenProposal(proposalId, error.message);
+    throw error;
+  }
+}
+
+/**
+ * What applying the proposal would do to one of its agents' prompts: current prompt
+ * against the prompt with every section that isn't rejected
+ *
+ * In knowledge base mode the sections become KB documents instead; the diff still
+ * shows their text against the prompt they'll be read alongside.
+ */
+async function previewProposal(proposalId, agentId = null) {
+  const proposal = getProposal(proposalId);
+  if (!proposal) return null;
+  const agent = agentId ? proposal.agents.find(a => a.id === agentId) : proposal.agents.find(a => a.llm_id);
+  if (!agent) return null;
+  
+  const currentLLM = await retell.llm.retrieve(agent.llm_id);
+  const improvements = proposalImprovements(proposal, { include: ['pending', 'approved'] });
+  const { diff, added, removed } = unifiedDiff(currentLLM.general_prompt, buildImprovedPrompt(currentLLM.general_prompt || '', improvements), {
+    fromLabel: `${agent.name} current prompt`,
+    toLabel: `${agent.name} with proposal ${proposalId}`
+  });
+  return {
+    proposal_id: proposalId,
+    agent_id: agent.id,
+    agent_name: agent.name,
+    mode: CONFIG.USE_EXPERIMENTS ? 'experiment' : CONFIG.USE_KNOWLEDGE_BASE ? 'knowledge_base' : 'direct_prompt',
+    diff,
+    added,
+    removed,
+    // Applied as knowledge base documents only
+    knowledge_base_only: proposal.sections
+      .filter(section => section.status !== 'rejected' && section.kind !== 'new_sections')
+      .map(({ section_id, kind, name }) => ({ section_id, kind, name }))
+  };
+}
+
+/**
+ * What a prompt version records about the improvements that produced it
+ */
+function versionSource(improvements) {
+  return {
+    type: 'improvement_loop',
+    sections: Object.keys(improvements.new_sections || {}),
+    modifications: Object.keys(improvements.modifications || {}),
+    priority_fixes: improvements.priority_fixes || [],
+    expected_improvement: improvements.expected_improvement || null
+  };
+}
+
 /**
  * Extract keywords from content for better semantic retrieval
  */
@@ -1524,11 +1793,42 @@ async function runImprovementLoop() {
     
     // Step 3: Apply improvements (only if there are actual changes)
     console.log('\n🚀 Applying improvements...');
-    console.log(`   Mode: ${CONFIG.USE_KNOWLEDGE_BASE ? 'Knowledge Base' : 'Direct Prompt'}`);
+    console.log(`   Mode: ${CONFIG.USE_EXPERIMENTS ? 'A/B Experiment' : CONFIG.USE_KNOWLEDGE_BASE ? 'Knowledge Base' : 'Direct Prompt'}`);
+    
+    // Content that breaks business rules (discount cap, refunds, shipping, voicemail /
+    // opt-out handling, other customers' data, unknown products) is never applied unreviewed
+    const policy = await checkPromptPolicy(improvementSections(improvements));
+    if (!policy.passed) {
+      console.log(`🛡️ ${policy.violations.length} prompt policy violations:`);
+      policy.violations.forEach(violation => console.log(`   - ${describeViolation(violation)}`));
+    }
     
-    const updatedAgents = CONFIG.USE_KNOWLEDGE_BASE 
-      ? await applyImprovementsToKnowledgeBase(improvements, analysis.discovered_agents)
-      : await applyImprovements(improvements, analysis.discovered_agents);
+    // Past conversations are replayed against each agent's changed prompt first; agents
+    // whose candidate fails are left out, and when none passes the change goes nowhere
+    const replayEvaluations = CONFIG.REPLAY_EVALUATION && Object.keys(improvements.new_sections || {}).length > 0
+      ? await runReplayGates(improvements, analysis, { [firstAgent.llm_id]: currentLLM })
+      : null;
+    const replayFailures = (replayEvaluations || []).filter(({ evaluation }) => !evaluation.passed);
+    const targetAgents = replayEvaluations
+      ? replayEvaluations.filter(({ evaluation }) => evaluation.passed).map(({ agent }) => agent)
+      : analysis.discovered_agents;
+    if (replayFailures.length && targetAgents.length) {
+      console.log(`🛑 Replay evaluation failed for ${replayFailures.map(({ agent }) => agent.name || agent.id).join(', ')} - improvements go to the other ${targetAgents.length} agent(s) only`);
+    }
+    
+    let updatedAgents = [];
+    let proposal = null;
+    if (!targetAgents.length) {
+      console.log(`🛑 Improvements not applied - replay evaluation failed for every agent: ${replayFailures.map(({ evaluation }) => evaluation.reasons.join('; ')).join(' | ')}`);
+    } else if (!policy.passed || needsApproval(improvements)) {
+      proposal = await requestHumanApproval(improvements, targetAgents, {
+        reason: !policy.passed ? 'policy_violation' : CONFIG.APPROVAL_MODE === 'all' ? 'approval_required' : 'significant_change',
+        replayEvaluations: replayEvaluations || [],
+        violations: policy.violations
+      });
+    } else {
+      updatedAgents = await applyImprovementsByMode(improvements, targetAgents);
+    }
     
     if (updatedAgents.length > 0) {
       console.log('✅ Agent prompts updated successfully!');
@@ -1559,7 +1859,10 @@ async function runImprovementLoop() {
         priority_fixes: improvements.priority_fixes || [],
         expected_improvement: improvements.expected_improvement || 'Unknown',
         next_analysis_time: new Date(Date.now() + (24 * 60 * 60 * 1000)).toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }),
-        status: updatedAgents.length > 0 ? 'Improvements applied successfully' : 'No new issues - system performing well',
+        status: updatedAgents.length > 0 ? 'Improvements applied successfully'
+          : !targetAgents.length ? 'Improvements held back - replay evaluation failed for every agent'
+            : proposal ? `Improvements awaiting approval (proposal ${proposal.proposal_id}${policy.passed ? '' : `, ${policy.violations.length} policy violations`})`
+              : 'No new issues - system performing well',
         agent_breakdown: analysis.by_agent,
         // NEW: Add information about issue tracking
         issue_tracking: {
@@ -1585,7 +1888,19 @@ async function runImprovementLoop() {
           total_documents: agent.total_documents,
           total_kb_size: agent.total_kb_size
         })),
-        improvement_mode: CONFIG.USE_KNOWLEDGE_BASE ? 'knowledge_base' : 'direct_prompt'
+        improvement_mode: CONFIG.USE_EXPERIMENTS ? 'experiment' : CONFIG.USE_KNOWLEDGE_BASE ? 'knowledge_base' : 'direct_prompt',
+        replay_evaluations: (replayEvaluations || []).map(({ agent, evaluation }) => ({
+          agent_id: agent.id,
+          agent_name: agent.name || null,
+          evaluation_id: evaluation.evaluation_id,
+          passed: evaluation.passed,
+          reasons: evaluation.reasons,
+          pass_rate: evaluation.candidate?.pass_rate ?? null,
+          overall: evaluation.candidate?.overall ?? null,
+          baseline_overall: evaluation.baseline?.overall ?? null
+        })),
+        approval_proposal_id: proposal?.proposal_id || null,
+        policy_violations: policy.violations.map(({ rule, kind, name, message, excerpt }) => ({ rule, kind, name, message, excerpt }))
       };
       
       await sendDailyImprovementSummary(summaryData);
@@ -1670,7 +1985,7 @@ If voicemail detected:
 }
 
 // Run immediately with full analysis loop
-if (import.meta.url.endsWith('prompt-improvement-loop.js')) {
+if (import.meta.url === `file://${process.argv[1]}`) {
   console.log('🚀 Starting dynamic script execution...');
   console.log('Environment check:');
   console.log('- RETELL_API_KEY:', process.env.RETELL_API_KEY ? '✅ Set' : '❌ Missing');
@@ -1688,4 +2003,4 @@ if (import.meta.url.endsWith('prompt-improvement-loop.js')) {
 }
 
 // Export for use in other modules
-export { runImprovementLoop, fetchAndAnalyzeCalls, generatePromptImprovements };
+export { runImprovementLoop, fetchAndAnalyzeCalls, generatePromptImprovements, applyApprovedProposal, previewProposal };
@@ -0,0 +1,181 @@
+/**
+ * Prompt Policy
+ * Business rules for generated prompt content (new sections, modifications, sample
+ * scripts, best practices) before it can reach an agent: no discount above the policy
+ * cap, no refund or shipping promises the business doesn't make, no dropping voicemail
+ * or opt-out handling, nothing about other customers, and no products that aren't in
+ * the Shopify catalog. Returns a structured list of violations; the improvement loop
+ * sends changes that have any to the approval queue and the daily summary.
+ */
+
+import { isShopifyConfigured, shopifyGraphQLAll } from './shopify-client.js';
+import { discountOffersAbove, maxDiscountPercent } from './discount-policy.js';
+import { getSafeProductCategories } from './inventory-service.js';
+
+export const PROMPT_POLICY_CONFIG = {
+  // Sections are shared by every agent, so one campaign's cap applies to all of them
+  DISCOUNT_CAMPAIGN: process.env.PROMPT_POLICY_DISCOUNT_CAMPAIGN || 'customer_service',
+  MAX_CATALOG_PAGES: 10
+};
+
+// Refunds and replacements are filed as a support ticket and handled by the support
+// team within 24 hours; agents never grant one themselves
+const REFUND_PROMISES = [
+  /\b(?:full|instant|immediate|automatic|guaranteed|same[- ]day)\s+refunds?\b/i,
+  /\b(?:we|i)(?:'ll| will| can| would)?\s+(?:issue|process|give|send|approve|grant)\s+(?:you\s+|them\s+|the customer\s+)?(?:a\s+)?(?:full\s+)?refund/i,
+  /\brefund(?:ed)?\s+(?:it\s+|you\s+|them\s+)?(?:right away|immediately|on the spot|today|now)\b/i,
+  /\b(?:money[- ]back guarantee|no questions asked)\b/i
+];
+
+// Shipping cost and timing depend on the destination and carrier; agents don't waive or guarantee them
+const SHIPPING_PROMISES = [
+  /\bfree (?:shipping|delivery|overnight)\b/i,
+  /\b(?:shipping|delivery)\b[^.]{0,20}\b(?:at no (?:extra )?(?:cost|charge)|free of charge|on us|waived)\b/i,
+  /\b(?:guarantee[sd]?|promise[sd]?)\b[^.]{0,40}\b(?:deliver|delivery|arrive|arrival|ship)/i,
+  /\b(?:next|same)[- ]day (?:delivery|shipping)\b/i,
+  /\bwill (?:arrive|be delivered) (?:by|on|within|tomorrow)\b/i
+];
+
+// Instructions that drop voicemail messages or opt-out / do-not-call handling
+const REMOVES_HANDLING = [
+  /\b(?:don'?t|do not|never|no need to|skip)\b[^.]{0,20}\bleav(?:e|ing)\b[^.]{0,15}\b(?:voicemails?|messages?)\b/i,
+  /\b(?:hang up|end the call|disconnect)\b[^.]{0,30}\b(?:voicemail|answering machine)/i,
+  /\b(?:voicemail|answering machine)\b[^.]{0,40}\b(?:hang up|end the call|disconnect)\b/i,
+  /\b(?:ignore|disregard|don'?t honou?r|do not honou?r|push past|overcome)\b[^.]{0,30}\b(?:opt[- ]?outs?|do[- ]not[- ]call|requests? to (?:stop|not be called)|stop calling|remov(?:e|al))/i,
+  /\bkeep (?:calling|trying)\b[^.]{0,30}\b(?:even if|after)\b[^.]{0,30}\b(?:stop|opt|remove|not interested)/i,
+  /\b(?:don'?t|do not|never)\s+(?:offer|mention|tell them about)\s+(?:the\s+)?(?:option to\s+)?(?:opt[- ]?out|unsubscrib|be removed)/i
+];
+
+// A modification that replaces one of these sections has to keep what it handles
+const REQUIRED_HANDLING = [
+  { section: /voicemail/i, keeps: /\bleav(?:e|ing)\b[^.]{0,30}\b(?:message|voicemail)\b/i, what: 'voicemail messages' },
+  { section: /opt[_ -]?out|do[_ -]?not[_ -]?call|dnc/i, keeps: /\b(?:remove|opt[- ]?out|do[- ]not[- ]call|stop calling|won'?t call)\b/i, what: 'opt-out requests' }
+];
+
+// Other customers' names, orders, addresses... in what the agent tells this one
+const OTHER_CUSTOMERS = [
+  /\b(?:other|another|previous|different)\s+(?:customers?|callers?|shoppers?|buyers?|members?)(?:'s?)?\b[^.]{0,40}\b(?:names?|address(?:es)?|orders?|phones?|numbers?|emails?|purchases?|bought|ordered|details|information|accounts?)\b/i,
+  /\b(?:neighbou?rs?|someone (?:else|nearby|in (?:your|their) (?:area|town|city|neighbou?rhood)))\b[^.]{0,40}\b(?:order|ordered|bought|purchased)\b/i,
+  /\b(?:customers?|people|folks)\s+(?:in|near|around)\s+(?:your|their)\s+(?:area|town|city|zip|neighbou?rhood)\b[^.]{0,30}\b(?:ordered|bought|purchased)\b/i
+];
+
+// Capitalized names ending in one of these are read as products ("Wagyu Tomahawk Box")
+const PRODUCT_NOUNS = new Set([
+  'steak', 'ribeye', 'strip', 'filet', 'fillet', 'tomahawk', 'porterhouse', 'sirloin', 'tenderloin',
+  'brisket', 'burger', 'patty', 'sausage', 'roast', 'chop', 'rib', 'wagyu', 'picanha', 'box',
+  'bundle', 'pack', 'sampler', 'kit', 'collection', 'package'
+]);
+const NAME_FILLER = new Set(['the', 'a', 'an', 'our', 'your', 'their', 'this', 'new', 'any', 'meatery', 'and', 'of', '&']);
+
+const CATALOG_QUERY = `
+  query PolicyCatalog($first: Int!, $after: String) {
+    products(first: $first, after: $after, query: "status:active") {
+      nodes { title productType tags }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+/**
+ * Active product titles, types and tags from Shopify
+ *
+ * @returns {Promise<string[]|null>} null when Shopify isn't configured or the lookup fails
+ */
+export async function loadProductCatalog() {
+  if (!isShopifyConfigured()) return null;
+  try {
+    const products = await shopifyGraphQLAll(CATALOG_QUERY, { first: 250 }, { connectionPath: 'products', maxPages: PROMPT_POLICY_CONFIG.MAX_CATALOG_PAGES });
+    return products.flatMap(product => [product.title, product.productType, ...(product.tags || [])]).filter(Boolean);
+  } catch (error) {
+    console.error('⚠️ Could not load the product catalog for the prompt policy:', error.message);
+    return null;
+  }
+}
+
+const singular = (word) => word.endsWith('ies') ? `${word.slice(0, -3)}y`
+  : /(?:x|ch|sh)es$/.test(word) ? word.slice(0, -2)
+    : word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+
+const nameTokens = (text) => String(text).toLowerCase().split(/[^a-z0-9&]+/).filter(Boolean).map(singular);
+
+// Product-like names in the content: runs of capitalized words that end in a product noun
+function productMentions(content) {
+  const mentions = [];
+  for (const match of content.matchAll(/\b[A-Z0-9][\w'-]*(?:\s+(?:[A-Z0-9][\w'-]*|&|of|and))*/g)) {
+    const tokens = nameTokens(match[0]);
+    const nounAt = tokens.findLastIndex(token => PRODUCT_NOUNS.has(token));
+    if (nounAt < 0) continue;
+    const name = tokens.slice(0, nounAt + 1).filter(token => !NAME_FILLER.has(token));
+    if (name.length >= 2) mentions.push({ text: match[0].trim(), tokens: name });
+  }
+  return mentions;
+}
+
+const excerpt = (content, index, length) => content.slice(Math.max(0, index - 40), index + length + 40).trim();
+
+function matchAll(content, patterns) {
+  for (const pattern of patterns) {
+    const match = content.match(pattern);
+    if (match) return excerpt(content, match.index, match[0].length);
+  }
+  return null;
+}
+
+/**
+ * Check sections against the policy
+ *
+ * @param {{ kind: string, name: string, content: string, section_id?: string }[]} sections
+ * @param {object} options - catalog (product names; loaded from Shopify by default), campaign (whose discount cap applies)
+ * @returns {Promise<{ passed: boolean, violations: object[], product_catalog: { checked: boolean, names: number } }>}
+ *   each violation: { rule, kind, name, section_id, message, excerpt, ...details }
+ */
+export async function checkPromptPolicy(sections, { catalog, campaign = PROMPT_POLICY_CONFIG.DISCOUNT_CAMPAIGN } = {}) {
+  const products = catalog === undefined ? await loadProductCatalog() : catalog;
+  const known = products?.length ? [...products, ...getSafeProductCategories().map(c => c.category)].map(name => new Set(nameTokens(name))) : null;
+  const cap = maxDiscountPercent(campaign);
+  const violations = [];
+
+  for (const { kind, name, content, section_id = null } of sections) {
+    const text = String(content || '');
+    const flag = (rule, message, details = {}) => violations.push({ rule, kind, name, section_id, message, ...details });
+
+    for (const offer of discountOffersAbove(text, cap)) {
+      flag('discount_cap', `offers ${offer.percent}% off, above the ${cap}% cap`, { excerpt: offer.text, percent: offer.percent, cap });
+    }
+    const refund = matchAll(text, REFUND_PROMISES);
+    if (refund) flag('refund_terms', 'promises a refund; refunds are filed as a support ticket', { excerpt: refund });
+    const shipping = matchAll(text, SHIPPING_PROMISES);
+    if (shipping) flag('shipping_terms', 'promises shipping terms the business does not offer', { excerpt: shipping });
+    const removes = matchAll(text, REMOVES_HANDLING);
+    if (removes) flag('required_handling', 'drops voicemail or opt-out handling', { excerpt: removes });
+    if (kind === 'modifications') {
+      for (const required of REQUIRED_HANDLING.filter(r => r.section.test(name) && !r.keeps.test(text))) {
+        flag('required_handling', `replaces the ${name} section without handling ${required.what}`, { excerpt: text.slice(0, 120) });
+      }
+    }
+    const privacy = matchAll(text, OTHER_CUSTOMERS);
+    if (privacy) flag('customer_privacy', "refers to other customers' data", { excerpt: privacy });
+
+    if (known) {
+      for (const mention of productMentions(text)) {
+        if (!known.some(names => mention.tokens.every(token => names.has(token)))) {
+          flag('unknown_product', `mentions "${mention.text}", which is not in the Shopify catalog`, { excerpt: mention.text, product: mention.text });
+        }
+      }
+    }
+  }
+
+  if (!known) console.warn('⚠️ Product catalog unavailable - generated content not checked for unknown products');
+  return {
+    passed: violations.length === 0,
+    violations,
+    product_catalog: { checked: !!known, names: products?.length || 0 }
+  };
+}
+
+/**
+ * One line per violation, for logs and emails
+ */
+export function describeViolation({ rule, kind, name, message }) {
+  return `${rule} in ${kind.replace(/_/g, ' ')} ${name}: ${message}`;
+}
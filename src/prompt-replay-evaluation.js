@@ -0,0 +1,333 @@
+/**
+ * Prompt Replay Evaluation
+ * Offline check of a candidate prompt before it goes live: a sample of past calls
+ * (as gathered by the improvement loop's fetchAndAnalyzeCalls) is replayed turn by
+ * turn with the candidate as the system prompt, an LLM writing the agent's side,
+ * and every replayed call is scored on policy adherence, the discount cap,
+ * voicemail handling and tone. The same calls can be replayed against the current
+ * prompt so a candidate that does worse than today's is caught too. The report
+ * says pass or fail and is kept in data/replay-evaluations.json.
+ *
+ * The model is anything with complete(messages, { json }) -> text, so it can be
+ * swapped out; the default talks to OpenAI (OPENAI_BASE_URL points it elsewhere).
+ */
+
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { discountOffersAbove, maxDiscountPercent } from './discount-policy.js';
+import { resolveCampaign } from './campaign-registry.js';
+
+const EVALUATIONS_PATH = dataPath('replay-evaluations.json');
+
+export const REPLAY_CONFIG = {
+  MODEL: process.env.REPLAY_EVAL_MODEL || 'gpt-4o-mini',
+  SAMPLE_SIZE: Number(process.env.REPLAY_EVAL_SAMPLE_SIZE || 12),
+  // Customer turns replayed per call (each one is a completion)
+  MAX_TURNS_PER_CALL: Number(process.env.REPLAY_EVAL_MAX_TURNS || 4),
+  // A replayed call passes when every criterion scores at least this
+  MIN_CRITERION_SCORE: Number(process.env.REPLAY_EVAL_MIN_CRITERION_SCORE || 0.7),
+  // Share of replayed calls that must pass
+  MIN_PASS_RATE: Number(process.env.REPLAY_EVAL_MIN_PASS_RATE || 0.8),
+  // How far the candidate's overall score may fall below the current prompt's
+  MAX_REGRESSION: Number(process.env.REPLAY_EVAL_MAX_REGRESSION || 0.05),
+  // Prompt characters the judge sees
+  MAX_JUDGE_PROMPT_CHARS: 6000,
+  MAX_REPORTS: 100
+};
+
+export const RUBRIC = ['policy_adherence', 'discount_cap', 'voicemail_handling', 'tone'];
+
+const DEFAULT_VOICEMAIL_GREETING = "Hi, you've reached my voicemail. Please leave a message after the tone.";
+
+const REPLAY_INSTRUCTIONS = 'This is a replay of a past phone call. Reply with exactly what you would say next, as spoken words only - no stage directions.';
+const VOICEMAIL_INSTRUCTIONS = "The call went to the customer's voicemail. Leave your voicemail message now, as spoken words only.";
+
+const JUDGE_INSTRUCTIONS = `You grade the replies a phone agent for The Meatery gave when past calls were replayed against its prompt.
+Score each criterion from 0 (fails) to 1 (excellent):
+- policy_adherence: follows the agent prompt and business rules, makes no promises outside them (refunds, shipping terms, discounts the prompt doesn't allow, products that don't exist) and stays on task
+- tone: warm, concise, professional and natural for a phone call, never pushy or dismissive
+Return JSON: {"policy_adherence": number, "tone": number, "notes": "one or two sentences"}`;
+
+/**
+ * The default model: OpenAI chat completions
+ */
+export function openAIReplayModel({ client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY }), model = REPLAY_CONFIG.MODEL } = {}) {
+  return {
+    async complete(messages, { json = false } = {}) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature: json ? 0 : 0.3,
+        ...(json && { response_format: { type: 'json_object' } })
+      });
+      return response.choices[0]?.message?.content || '';
+    }
+  };
+}
+
+/**
+ * A call's conversation as [{ role: 'agent' | 'user', content }]
+ */
+export function parseTranscript(call) {
+  if (Array.isArray(call.transcript_object) && call.transcript_object.length) {
+    return call.transcript_object
+      .filter(turn => (turn.role === 'agent' || turn.role === 'user') && turn.content)
+      .map(turn => ({ role: turn.role, content: turn.content.trim() }));
+  }
+  const parts = String(call.transcript || '').split(/\b(Agent|User):\s*/);
+  const turns = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    const content = (parts[i + 1] || '').trim();
+    if (content) turns.push({ role: parts[i].toLowerCase(), content });
+  }
+  return turns;
+}
+
+const isVoicemail = (call) => call.call_analysis?.in_voicemail === true;
+
+/**
+ * Up to `size` calls worth replaying: voicemails (at most a quarter), failed calls, then the rest
+ */
+export function sampleReplayCalls(calls, size = REPLAY_CONFIG.SAMPLE_SIZE) {
+  const seen = new Set();
+  const usable = calls.filter(call => {
+    if (!call?.call_id || seen.has(call.call_id)) return false;
+    seen.add(call.call_id);
+    return isVoicemail(call) || parseTranscript(call).some(turn => turn.role === 'user');
+  });
+  const voicemails = usable.filter(isVoicemail).slice(0, Math.max(1, Math.floor(size / 4)));
+  const failed = usable.filter(c => !isVoicemail(c) && c.call_analysis?.call_successful === false);
+  const rest = usable.filter(c => !isVoicemail(c) && c.call_analysis?.call_successful !== false);
+  return [...voicemails, ...failed, ...rest].slice(0, size);
+}
+
+// {{customer_name}} etc. filled from the call where Retell would have filled them
+function fillVariables(prompt, call) {
+  const variables = call.retell_llm_dynamic_variables || {};
+  return prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (variables[name] != null ? String(variables[name]) : match));
+}
+
+/**
+ * Have the model play the agent through the call's customer turns
+ *
+ * Earlier turns keep what the agent actually said, so each reply is judged against the
+ * conversation as it really went.
+ */
+async function replayCall(prompt, call, model) {
+  const system = { role: 'system', content: fillVariables(prompt, call) };
+  const turns = parseTranscript(call);
+  const replayed = [];
+
+  if (isVoicemail(call)) {
+    const greeting = turns.find(turn => turn.role === 'user')?.content || DEFAULT_VOICEMAIL_GREETING;
+    const reply = await model.complete([system, { role: 'system', content: VOICEMAIL_INSTRUCTIONS }, { role: 'user', content: greeting }]);
+    replayed.push({ customer: greeting, original: turns.find(turn => turn.role === 'agent')?.content || null, simulated: reply.trim() });
+  } else {
+    for (let i = 0; i < turns.length && replayed.length < REPLAY_CONFIG.MAX_TURNS_PER_CALL; i++) {
+      if (turns[i].role !== 'user') continue;
+      const history = turns.slice(0, i + 1).map(turn => ({ role: turn.role === 'agent' ? 'assistant' : 'user', content: turn.content }));
+      const reply = await model.complete([system, { role: 'system', content: REPLAY_INSTRUCTIONS }, ...history]);
+      const original = turns[i + 1]?.role === 'agent' ? turns[i + 1].content : null;
+      replayed.push({ customer: turns[i].content, original, simulated: reply.trim() });
+    }
+  }
+
+  return {
+    call_id: call.call_id,
+    agent_id: call.agent_id || call.agent_info?.id || null,
+    campaign: resolveCampaign(call),
+    voicemail: isVoicemail(call),
+    original_successful: call.call_analysis?.call_successful ?? null,
+    turns: replayed
+  };
+}
+
+// Percentages offered as a discount ("25% off", "a 30 percent code") above the campaign cap
+function discountViolations(replay) {
+  const cap = maxDiscountPercent(replay.campaign);
+  return replay.turns.flatMap(turn => discountOffersAbove(turn.simulated, cap));
+}
+
+// Voicemail messages: say who's calling, give a way back, don't wait for answers, keep it short
+function voicemailChecks(replay) {
+  const message = replay.turns.map(turn => turn.simulated).join(' ');
+  return {
+    identifies_business: /meatery/i.test(message),
+    callback_path: /call (us )?back|give us a call|text|email|reach (us|out)|themeatery\.com|visit/i.test(message),
+    no_questions: !message.includes('?'),
+    concise: message.split(/\s+/).filter(Boolean).length <= 90
+  };
+}
+
+async function judgeReplay(prompt, replay, model) {
+  const turns = replay.turns.map(turn => [
+    `Customer: ${turn.customer}`,
+    turn.original ? `Original agent: ${turn.original}` : null,
+    `New agent: ${turn.simulated}`
+  ].filter(Boolean).join('\n')).join('\n\n');
+  const content = await model.complete([
+    { role: 'system', content: JUDGE_INSTRUCTIONS },
+    {
+      role: 'user',
+      content: `AGENT PROMPT:\n${prompt.slice(0, REPLAY_CONFIG.MAX_JUDGE_PROMPT_CHARS)}\n\n${replay.voicemail ? 'VOICEMAIL LEFT' : 'REPLAYED TURNS'}:\n${turns}`
+    }
+  ], { json: true });
+
+  let verdict = {};
+  try {
+    verdict = JSON.parse(content);
+  } catch {
+    // Scored as zero below
+  }
+  const score = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0);
+  return {
+    policy_adherence: score(verdict.policy_adherence),
+    tone: score(verdict.tone),
+    notes: typeof verdict.notes === 'string' ? verdict.notes : 'judge returned no usable verdict'
+  };
+}
+
+async function scoreReplay(prompt, replay, model) {
+  const violations = discountViolations(replay);
+  const checks = replay.voicemail ? voicemailChecks(replay) : null;
+  const verdict = await judgeReplay(prompt, replay, model);
+  const scores = {
+    policy_adherence: verdict.policy_adherence,
+    discount_cap: violations.length ? 0 : 1,
+    // Only voicemails are scored on it
+    voicemail_handling: checks ? Object.values(checks).filter(Boolean).length / Object.keys(checks).length : null,
+    tone: verdict.tone
+  };
+  const failedCriteria = RUBRIC.filter(criterion => scores[criterion] !== null && scores[criterion] < REPLAY_CONFIG.MIN_CRITERION_SCORE);
+  return {
+    ...replay,
+    scores,
+    passed: failedCriteria.length === 0,
+    failed_criteria: failedCriteria,
+    discount_violations: violations,
+    voicemail_checks: checks,
+    judge_notes: verdict.notes
+  };
+}
+
+const average = (values) => (values.length ? Number((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(3)) : null);
+
+/**
+ * Replay the calls against one prompt and score them
+ */
+async function evaluatePrompt(prompt, calls, model) {
+  const results = [];
+  for (const call of calls) {
+    const replay = await replayCall(prompt, call, model);
+    results.push(await scoreReplay(prompt, replay, model));
+  }
+  const scores = Object.fromEntries(RUBRIC.map(criterion => [
+    criterion,
+    average(results.map(r => r.scores[criterion]).filter(score => score !== null))
+  ]));
+  return {
+    scores,
+    overall: average(Object.values(scores).filter(score => score !== null)),
+    pass_rate: results.length ? Number((results.filter(r => r.passed).length / results.length).toFixed(3)) : 0,
+    discount_violations: results.reduce((sum, r) => sum + r.discount_violations.length, 0),
+    calls: results
+  };
+}
+
+function loadEvaluations() {
+  return readJson(EVALUATIONS_PATH, null)?.evaluations || [];
+}
+
+function saveEvaluation(report) {
+  const evaluations = [...loadEvaluations(), report].slice(-REPLAY_CONFIG.MAX_REPORTS);
+  writeJson(EVALUATIONS_PATH, { evaluations });
+}
+
+/**
+ * Replay a sample of past calls against a candidate prompt and decide whether it may go live
+ *
+ * It fails when fewer than MIN_PASS_RATE of the replayed calls pass, when any reply offers
+ * more than the campaign's discount cap, or when it scores more than MAX_REGRESSION below
+ * the current prompt on the same calls.
+ *
+ * @param {string} candidatePrompt - the prompt that would be applied
+ * @param {string} baselinePrompt - the live prompt to compare against (optional)
+ * @param {object[]} calls - Retell calls with transcripts, e.g. from fetchAndAnalyzeCalls
+ * @param {object} model - { complete(messages, { json }) } (defaults to OpenAI)
+ * @param {object} source - what proposed the candidate (improvement loop run, manual...)
+ * @returns {Promise<object>} the stored report
+ */
+export async function evaluateCandidatePrompt({
+  candidatePrompt,
+  baselinePrompt = null,
+  calls,
+  agentId = null,
+  sampleSize = REPLAY_CONFIG.SAMPLE_SIZE,
+  model = openAIReplayModel(),
+  source = null
+}) {
+  if (!candidatePrompt) throw new Error('candidatePrompt is required');
+  const sample = sampleReplayCalls(calls || [], sampleSize);
+  console.log(`🎭 Replaying ${sample.length} past calls against the candidate prompt${baselinePrompt ? ' and the current one' : ''}...`);
+
+  const candidate = sample.length ? await evaluatePrompt(candidatePrompt, sample, model) : null;
+  const baseline = sample.length && baselinePrompt ? await evaluatePrompt(baselinePrompt, sample, model) : null;
+
+  const reasons = [];
+  if (!sample.length) {
+    reasons.push('no past calls with transcripts to replay');
+  } else {
+    if (candidate.pass_rate < REPLAY_CONFIG.MIN_PASS_RATE) {
+      reasons.push(`only ${Math.round(candidate.pass_rate * 100)}% of replayed calls passed (need ${Math.round(REPLAY_CONFIG.MIN_PASS_RATE * 100)}%)`);
+    }
+    if (candidate.discount_violations) {
+      reasons.push(`${candidate.discount_violations} replies offered more than the discount cap`);
+    }
+    if (baseline && candidate.overall < baseline.overall - REPLAY_CONFIG.MAX_REGRESSION) {
+      reasons.push(`scored ${candidate.overall} against ${baseline.overall} for the current prompt`);
+    }
+  }
+
+  const report = {
+    evaluation_id: `re_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+    created_at: new Date().toISOString(),
+    agent_id: agentId,
+    source,
+    passed: reasons.length === 0,
+    reasons,
+    sample_size: sample.length,
+    thresholds: {
+      min_criterion_score: REPLAY_CONFIG.MIN_CRITERION_SCORE,
+      min_pass_rate: REPLAY_CONFIG.MIN_PASS_RATE,
+      max_regression: REPLAY_CONFIG.MAX_REGRESSION
+    },
+    candidate: candidate && { prompt_chars: candidatePrompt.length, ...candidate },
+    baseline: baseline && { prompt_chars: baselinePrompt.length, ...baseline }
+  };
+  saveEvaluation(report);
+  console.log(report.passed
+    ? `✅ Replay evaluation passed (${report.evaluation_id}): pass rate ${candidate.pass_rate}, overall ${candidate.overall}`
+    : `🛑 Replay evaluation failed (${report.evaluation_id}): ${reasons.join('; ')}`);
+  return report;
+}
+
+/**
+ * Stored reports, newest first, without the per-call replays
+ */
+export function listReplayEvaluations({ agentId = null, limit = 20 } = {}) {
+  const strip = (result) => {
+    if (!result) return result;
+    const { calls, ...summary } = result;
+    return summary;
+  };
+  return loadEvaluations()
+    .filter(report => !agentId || report.agent_id === agentId)
+    .reverse()
+    .slice(0, limit)
+    .map(report => ({ ...report, candidate: strip(report.candidate), baseline: strip(report.baseline) }));
+}
+
+export function getReplayEvaluation(evaluationId) {
+  return loadEvaluations().find(report => report.evaluation_id === evaluationId) || null;
+}
@@ -0,0 +1,284 @@
+/**
+ * Prompt Version Store
+ * Snapshots of each agent's Retell LLM configuration - general prompt, tools,
+ * states, begin message and knowledge base links - taken before and after every
+ * change the improvement loop or a rollback makes. Versions can be diffed against
+ * each other and restored to Retell, and each one reports the call metrics gathered
+ * while it was live. Persisted to data/prompt-versions.json.
+ */
+
+import crypto from 'crypto';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { summarizeCallRecords } from './call-record-store.js';
+import { listConversions } from './conversion-attribution.js';
+import { unifiedDiff } from './unified-diff.js';
+
+const VERSIONS_PATH = dataPath('prompt-versions.json');
+
+export const PROMPT_VERSION_CONFIG = {
+  // Oldest versions beyond this are dropped per agent
+  MAX_VERSIONS_PER_AGENT: Number(process.env.PROMPT_VERSION_MAX_PER_AGENT || 200)
+};
+
+// Everything about the LLM that changes what the agent says
+const LLM_FIELDS = ['general_prompt', 'general_tools', 'states', 'starting_state', 'begin_message', 'model', 'knowledge_base_ids'];
+
+// Why a version was recorded: observed = found in Retell before a change (picks up edits made outside this app)
+export const VERSION_REASONS = ['observed', 'improvement', 'knowledge_base', 'rollback', 'experiment'];
+
+// Read on every call: the improvement loop also runs as a CLI next to the server
+function loadStore() {
+  const stored = readJson(VERSIONS_PATH, null) || {};
+  return { agents: stored.agents || {} };
+}
+
+function saveStore(store) {
+  writeJson(VERSIONS_PATH, store);
+}
+
+function pickConfig(llm) {
+  const config = Object.fromEntries(LLM_FIELDS.map(field => [field, llm?.[field] ?? null]));
+  config.general_tools ||= [];
+  config.knowledge_base_ids ||= [];
+  return config;
+}
+
+const configHash = (config) => crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex').slice(0, 16);
+
+/**
+ * Store the LLM configuration as a new version of the agent unless it matches the latest one
+ *
+ * @param {object} llm - the Retell LLM as retrieved or returned by an update
+ * @param {string} reason - one of VERSION_REASONS
+ * @param {object} source - what caused the change (improvement log, rollback target...)
+ * @returns {object} the stored version, or the latest one with unchanged: true
+ */
+export function recordPromptVersion({ agentId, agentName = null, llmId, llm, agentVersion = null, reason, note = null, source = null }) {
+  if (!agentId || !llmId) throw new Error('agentId and llmId are required');
+  if (!VERSION_REASONS.includes(reason)) throw new Error(`reason must be one of ${VERSION_REASONS.join(', ')}`);
+
+  const store = loadStore();
+  const history = store.agents[agentId] ||= { agent_id: agentId, versions: [] };
+  const config = pickConfig(llm);
+  const hash = configHash(config);
+  const latest = history.versions[history.versions.length - 1];
+  if (latest && latest.hash === hash && latest.llm_id === llmId) return { ...latest, unchanged: true };
+
+  const version = {
+    version_id: `pv_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`,
+    number: (latest?.number || 0) + 1,
+    agent_id: agentId,
+    agent_name: agentName || latest?.agent_name || null,
+    llm_id: llmId,
+    llm_version: llm?.version ?? null,
+    agent_version: agentVersion,
+    reason,
+    note,
+    source,
+    parent_version_id: latest?.version_id || null,
+    hash,
+    config,
+    created_at: new Date().toISOString()
+  };
+  history.versions.push(version);
+  if (history.versions.length > PROMPT_VERSION_CONFIG.MAX_VERSIONS_PER_AGENT) {
+    history.versions.splice(0, history.versions.length - PROMPT_VERSION_CONFIG.MAX_VERSIONS_PER_AGENT);
+  }
+  saveStore(store);
+  console.log(`🗂️ Prompt version ${version.number} recorded for ${agentName || agentId} (${reason})`);
+  return version;
+}
+
+/**
+ * Retrieve the agent's LLM (and published agent version) from Retell and record it
+ */
+export async function capturePromptVersion(retell, { agentId, agentName, llmId, reason, note, source }) {
+  const llm = await retell.llm.retrieve(llmId);
+  let agentVersion = null;
+  try {
+    agentVersion = (await retell.agent.retrieve(agentId)).version ?? null;
+  } catch (error) {
+    console.warn(`⚠️ Could not read agent version for ${agentId}:`, error.message);
+  }
+  return recordPromptVersion({ agentId, agentName, llmId, llm, agentVersion, reason, note, source });
+}
+
+/**
+ * Same as capturePromptVersion but never throws - versioning must not break a prompt update
+ */
+export async function safeCapturePromptVersion(retell, details) {
+  try {
+    return await capturePromptVersion(retell, details);
+  } catch (error) {
+    console.error('⚠️ Failed to record prompt version:', error.message);
+    return null;
+  }
+}
+
+// Calls placed by the agent while this version was the latest one
+function liveMetrics(version, next) {
+  const liveFrom = version.created_at;
+  const liveUntil = next?.created_at || null;
+  const summary = summarizeCallRecords({ agent_id: version.agent_id, from: liveFrom, to: liveUntil || undefined });
+  const fromMs = new Date(liveFrom).getTime();
+  const untilMs = liveUntil ? new Date(liveUntil).getTime() : Infinity;
+  const orders = listConversions({ agentId: version.agent_id }).filter(c => {
+    const callMs = new Date(c.call_started_at).getTime();
+    return !c.cancelled && callMs >= fromMs && callMs <= untilMs;
+  });
+  const successful = summary.by_outcome.successful || 0;
+  const judged = successful + (summary.by_outcome.unsuccessful || 0);
+
+  return {
+    live_from: liveFrom,
+    live_until: liveUntil,
+    total_calls: summary.total_calls,
+    by_outcome: summary.by_outcome,
+    success_rate: judged ? Number((successful / judged).toFixed(3)) : null,
+    avg_satisfaction: summary.avg_satisfaction,
+    issues: summary.issues,
+    voicemails: summary.voicemails,
+    avg_duration_ms: summary.avg_duration_ms,
+    orders: orders.length,
+    recovered_revenue: Number(orders.reduce((sum, c) => sum + (c.revenue || 0), 0).toFixed(2))
+  };
+}
+
+function withMetrics(versions, index) {
+  return { ...versions[index], metrics: liveMetrics(versions[index], versions[index + 1]) };
+}
+
+/**
+ * An agent's versions, newest first, without the full configuration
+ */
+export function listPromptVersions(agentId) {
+  const versions = loadStore().agents[agentId]?.versions || [];
+  return versions
+    .map((_, index) => {
+      const { config, ...version } = withMetrics(versions, index);
+      return {
+        ...version,
+        prompt_chars: config.general_prompt?.length || 0,
+        tool_count: config.general_tools.length,
+        knowledge_base_ids: config.knowledge_base_ids
+      };
+    })
+    .reverse();
+}
+
+export function listVersionedAgents() {
+  return Object.values(loadStore().agents).map(({ agent_id, versions }) => ({
+    agent_id,
+    agent_name: versions[versions.length - 1]?.agent_name || null,
+    versions: versions.length,
+    latest_version_id: versions[versions.length - 1]?.version_id || null,
+    latest_at: versions[versions.length - 1]?.created_at || null
+  }));
+}
+
+/**
+ * One version with its full configuration and live metrics ('latest' for the newest)
+ */
+export function getPromptVersion(agentId, versionId) {
+  const versions = loadStore().agents[agentId]?.versions || [];
+  const index = versionId === 'latest' ? versions.length - 1 : versions.findIndex(v => v.version_id === versionId);
+  return index >= 0 ? withMetrics(versions, index) : null;
+}
+
+const asText = (value) => (value == null ? '' : typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+/**
+ * Unified diffs between two versions of an agent
+ *
+ * @param {string} fromId - defaults to the parent of `toId`
+ * @param {string} toId - defaults to the latest version
+ * @returns {object|null} null when either version is unknown
+ */
+export function diffPromptVersions(agentId, { fromId = null, toId = 'latest' } = {}) {
+  const to = getPromptVersion(agentId, toId);
+  if (!to) return null;
+  const from = fromId ? getPromptVersion(agentId, fromId) : (to.parent_version_id ? getPromptVersion(agentId, to.parent_version_id) : null);
+  if (fromId && !from) return null;
+
+  const label = (v) => (v ? `v${v.number} (${v.version_id}, ${v.created_at})` : 'nothing');
+  const fields = {};
+  for (const field of LLM_FIELDS.filter(f => f !== 'knowledge_base_ids')) {
+    const diff = unifiedDiff(asText(from?.config[field]), asText(to.config[field]), {
+      fromLabel: `${field} ${label(from)}`,
+      toLabel: `${field} ${label(to)}`
+    });
+    if (diff.diff) fields[field] = diff;
+  }
+  const beforeKbs = new Set(from?.config.knowledge_base_ids || []);
+  const afterKbs = new Set(to.config.knowledge_base_ids);
+
+  return {
+    agent_id: agentId,
+    from: from ? { version_id: from.version_id, number: from.number, created_at: from.created_at } : null,
+    to: { version_id: to.version_id, number: to.number, created_at: to.created_at },
+    changed: Object.keys(fields),
+    diffs: fields,
+    knowledge_bases: {
+      added: [...afterKbs].filter(id => !beforeKbs.has(id)),
+      removed: [...beforeKbs].filter(id => !afterKbs.has(id))
+    }
+  };
+}
+
+/**
+ * Restore a stored version to Retell: update the LLM, point the agent at the new LLM
+ * version and record the result as a new 'rollback' version
+ *
+ * Knowledge bases that no longer exist (the KB manager recreates them as they grow)
+ * are left off and reported.
+ *
+ * @returns {Promise<object|null>} null when the version is unknown
+ */
+export async function rollbackPromptVersion(retell, agentId, versionId, { note = null } = {}) {
+  const target = getPromptVersion(agentId, versionId);
+  if (!target) return null;
+
+  // Whatever is live right now is kept, even if it was edited outside this app
+  await capturePromptVersion(retell, { agentId, agentName: target.agent_name, llmId: target.llm_id, reason: 'observed' });
+
+  const existingKbs = new Set((await retell.knowledgeBase.list()).map(kb => kb.knowledge_base_id));
+  const knowledgeBaseIds = target.config.knowledge_base_ids.filter(id => existingKbs.has(id));
+  const missingKnowledgeBases = target.config.knowledge_base_ids.filter(id => !existingKbs.has(id));
+
+  // Every field is sent, nulls included, so fields set after the target version are cleared
+  const update = Object.fromEntries(LLM_FIELDS.map(field => [field, target.config[field] ?? null]));
+  update.knowledge_base_ids = knowledgeBaseIds;
+  const updated = await retell.llm.update(target.llm_id, update);
+
+  let agentVersion = null;
+  let publishError = null;
+  try {
+    const agent = await retell.agent.update(agentId, {
+      response_engine: { type: 'retell-llm', llm_id: target.llm_id, version: updated.version }
+    });
+    agentVersion = agent.version ?? null;
+  } catch (error) {
+    publishError = error.message;
+    console.error(`❌ Rolled back LLM for ${agentId} but failed to update the agent:`, error.message);
+  }
+
+  const version = recordPromptVersion({
+    agentId,
+    agentName: target.agent_name,
+    llmId: target.llm_id,
+    llm: updated,
+    agentVersion,
+    reason: 'rollback',
+    note,
+    source: { rolled_back_to: target.version_id, rolled_back_to_number: target.number, missing_knowledge_bases: missingKnowledgeBases }
+  });
+  console.log(`⏪ ${target.agent_name || agentId} rolled back to prompt version ${target.number}`);
+
+  return {
+    rolled_back_to: { version_id: target.version_id, number: target.number },
+    version,
+    missing_knowledge_bases: missingKnowledgeBases,
+    agent_updated: !publishError,
+    publish_error: publishError
+  };
+}
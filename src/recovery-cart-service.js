@@ -3,7 +3,8 @@
  * Creates recovery cart links with discounts and sends them to customers
  */
 
-import { createShopifyDiscountCode, checkDiscountEligibility } from './discount-sms-service.js';
+import { createShopifyDiscountCode } from './discount-sms-service.js';
+import { checkDiscountEligibility } from './discount-policy.js';
 import { sendEmail } from './email-service.js';
 
 /**
@@ -25,7 +26,8 @@ export async function createRecoveryCart({
     const eligibility = await checkDiscountEligibility({
       customerEmail,
       customerPhone,
-      orderNumber: checkoutId
+      campaign: 'abandoned_checkout',
+      cartValue: totalPrice
     });
     
     if (!eligibility.eligible) {
@@ -36,13 +38,8 @@ export async function createRecoveryCart({
       };
     }
     
-    // Determine discount value based on eligibility
-    let discountValue = eligibility.discount_value || 10;
-    
-    // Cap at 15% maximum as per business rules
-    if (discountValue > 15) {
-      discountValue = 15;
-    }
+    // Discount value from the policy (already capped for the campaign)
+    const discountValue = eligibility.discount_value;
     
     // Calculate discount amount
     const discountAmount = (totalPrice * discountValue) / 100;
@@ -56,9 +53,9 @@ export async function createRecoveryCart({
       discountType: 'percentage',
       value: discountValue,
       usageLimit: 1,
-      expiresInDays: 1, // Expires in 1 day as promised
       minimumAmount: totalPrice * 0.5, // Must spend at least 50% of original cart
-      customerEmail
+      customerEmail,
+      attribution: { campaign: 'abandoned_checkout', channel: 'email' }
     });
     
     if (!discount.success) {
@@ -69,7 +66,7 @@ export async function createRecoveryCart({
     const recoveryCartUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/cart?discount=${discount.code}`;
     
     // Prepare email content
-    const emailSubject = `Complete Your Order - ${discountValue}% Off Expires Tomorrow!`;
+    const emailSubject = `Complete Your Order - ${discountValue}% Off Expires in ${discount.expires_in}!`;
     const emailHtml = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #d4af37;">Hey ${customerName}!</h2>
@@ -92,7 +89,7 @@ export async function createRecoveryCart({
           </a>
         </div>
         
-        <p><strong>⚠️ IMPORTANT:</strong> This discount expires in 24 hours!</p>
+        <p><strong>⚠️ IMPORTANT:</strong> This discount expires in ${discount.expires_in}!</p>
         
         <p>Just click the button above to complete your order with the discount already applied. It only takes about 2 minutes!</p>
         
@@ -128,7 +125,7 @@ export async function createRecoveryCart({
     let smsSent = false;
     if (customerPhone) {
       try {
-        const smsText = `Hey ${customerName}! Complete your order with ${discountValue}% off - expires in 24 hours! ${recoveryCartUrl}`;
+        const smsText = `Hey ${customerName}! Complete your order with ${discountValue}% off - expires in ${discount.expires_in}! ${recoveryCartUrl}`;
         
         // Note: SMS sending would require Twilio integration
         // For now, we'll log it
@@ -152,9 +149,10 @@ export async function createRecoveryCart({
       finalPrice,
       recoveryCartUrl,
       expiresAt: discount.expires_at,
+      expiresIn: discount.expires_in,
       emailSent,
       smsSent,
-      summary: `${discountValue}% discount ($${discountAmount.toFixed(2)} off) recovery cart sent to ${customerName}. Expires in 24 hours.`
+      summary: `${discountValue}% discount ($${discountAmount.toFixed(2)} off) recovery cart sent to ${customerName}. Expires in ${discount.expires_in}.`
     };
     
   } catch (error) {
@@ -180,15 +178,16 @@ export async function canCreateRecoveryCart({
     const eligibility = await checkDiscountEligibility({
       customerEmail,
       customerPhone,
-      orderNumber: checkoutId
+      campaign: 'abandoned_checkout'
     });
     
     return {
       canCreate: eligibility.eligible,
       reason: eligibility.reason,
-      maxDiscount: eligibility.discount_value || 10,
+      reasons: eligibility.reasons,
+      maxDiscount: eligibility.discount_value,
       message: eligibility.eligible 
-        ? `Customer eligible for up to ${eligibility.discount_value || 10}% discount`
+        ? `Customer eligible for up to ${eligibility.discount_value}% discount`
         : `Customer not eligible: ${eligibility.reason}`
     };
   } catch (error) {
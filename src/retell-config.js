@@ -1,10 +1,12 @@
 /**
  * Retell Configuration
  * Dynamic configuration system that auto-detects agents from environment variables
- * and provides fallbacks for known agents
+ * and provides fallbacks for known agents, plus the per-campaign caller-ID pools
  */
 
 import { Retell } from 'retell-sdk';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { normalizeToE164 } from './phone-utils.js';
 
 // Known agent configurations (fallbacks)
 const KNOWN_AGENTS = {
@@ -16,12 +18,20 @@ const KNOWN_AGENTS = {
     function: 'abandoned_checkout_recovery'
   },
   DEFAULT: {
-    agentId: 'agent_e2636fcbe1c89a7f6bd0731e11',
+    // Post-delivery agent; RETELL_AGENT_ID is the documented production setting
+    agentId: process.env.RETELL_AGENT_ID || 'agent_566475088bf8231175ddfb1899',
     llmId: 'llm_330631504f69f5507c481d3447bf',
     phoneNumber: '+16198212984',
     name: 'Nick - Post-Delivery Confirmation',
     function: 'post_delivery_confirmation'
   },
+  WIN_BACK: {
+    agentId: 'agent_9dfa2b728cd32e308633bfd9df',
+    llmId: 'llm_2cd775883cb7fd5a638842760184',
+    phoneNumber: '+16198212984',
+    name: 'Grace - Win-Back',
+    function: 'win_back'
+  },
   INBOUND: {
     agentId: 'agent_2020d704dcc0b7f8552cacd973',
     llmId: 'llm_330631504f69f5507c481d3447bf',
@@ -217,6 +227,17 @@ export function validateRetellConfig() {
       issues.push(`Invalid phone number for ${key}: ${config.phoneNumber}`);
     }
   });
+
+  // Each agent ID must belong to one entry, otherwise calls resolve to the wrong campaign
+  const seen = {};
+  Object.entries(AGENT_CONFIGS).forEach(([key, config]) => {
+    if (!config.agentId) return;
+    if (seen[config.agentId]) {
+      issues.push(`Agent ID ${config.agentId} is shared by ${seen[config.agentId]} and ${key}`);
+    } else {
+      seen[config.agentId] = key;
+    }
+  });
   
   return {
     valid: issues.length === 0,
@@ -258,3 +279,197 @@ export async function refreshAgentDiscovery() {
     };
   }
 }
+
+// --- Phone number pools (caller-ID rotation) ---
+
+export const PHONE_POOL_CONFIG = {
+  // Default per-number cap; a pool entry can override it as +16195551234:80
+  DAILY_LIMIT: Number(process.env.RETELL_NUMBER_DAILY_LIMIT || 150),
+  // Answer rate is measured over this many days of outcomes
+  ANSWER_RATE_WINDOW_DAYS: Number(process.env.RETELL_NUMBER_ANSWER_WINDOW_DAYS || 7),
+  MIN_SAMPLES: Number(process.env.RETELL_NUMBER_MIN_SAMPLES || 20),
+  // A number answering at less than this share of its best peer's rate is used last
+  DEGRADED_RATIO: Number(process.env.RETELL_NUMBER_DEGRADED_RATIO || 0.75)
+};
+
+const POOL_STATE_PATH = dataPath('phone-pool.json');
+
+function parsePoolEntry(raw) {
+  const [number, limit] = String(raw).trim().split(':');
+  const e164 = normalizeToE164(number);
+  return e164 ? { number: e164, dailyLimit: Number(limit) || null } : null;
+}
+
+/**
+ * Pools from RETELL_PHONE_POOL_<CAMPAIGN> (comma-separated), e.g.
+ * RETELL_PHONE_POOL_WIN_BACK=+16195550100,+16195550101:80
+ */
+function discoverPhonePools() {
+  const pools = {};
+  Object.keys(process.env).forEach(key => {
+    const match = key.match(/^RETELL_PHONE_POOL_(.+)$/);
+    if (!match) return;
+    const entries = process.env[key].split(',').map(parsePoolEntry).filter(Boolean);
+    if (entries.length) pools[match[1].toLowerCase()] = entries;
+  });
+  return pools;
+}
+
+const PHONE_POOLS = discoverPhonePools();
+
+export function addPhoneNumberToPool(campaign, number, { dailyLimit = null } = {}) {
+  const entry = parsePoolEntry(number);
+  if (!entry) throw new Error(`Invalid phone number: ${number}`);
+  const pool = PHONE_POOLS[campaign] || (PHONE_POOLS[campaign] = []);
+  if (!pool.some(e => e.number === entry.number)) pool.push({ ...entry, dailyLimit: dailyLimit || entry.dailyLimit });
+  return pool;
+}
+
+/**
+ * Numbers a campaign dials from; without a configured pool, its single number
+ */
+export function getPhonePool(campaign, fallbackNumber = null) {
+  if (PHONE_POOLS[campaign]?.length) return PHONE_POOLS[campaign];
+  const fallback = parsePoolEntry(fallbackNumber || '');
+  return fallback ? [fallback] : [];
+}
+
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function loadPoolState() {
+  const state = readJson(POOL_STATE_PATH, null) || {};
+  return { numbers: state.numbers || {} };
+}
+
+function numberRecord(state, number) {
+  return state.numbers[number] || (state.numbers[number] = { usage: {}, outcomes: [] });
+}
+
+function answerRate(record, now = Date.now()) {
+  const since = now - PHONE_POOL_CONFIG.ANSWER_RATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const recent = (record?.outcomes || []).filter(o => new Date(o.at).getTime() >= since);
+  return {
+    samples: recent.length,
+    answer_rate: recent.length ? recent.filter(o => o.answered).length / recent.length : null
+  };
+}
+
+function poolStats(pool, state) {
+  const today = dayKey();
+  const stats = pool.map(entry => {
+    const record = state.numbers[entry.number];
+    const { samples, answer_rate } = answerRate(record);
+    const dailyLimit = entry.dailyLimit || PHONE_POOL_CONFIG.DAILY_LIMIT;
+    const callsToday = record?.usage?.[today] || 0;
+    return {
+      number: entry.number,
+      area_code: entry.number.startsWith('+1') ? entry.number.slice(2, 5) : null,
+      calls_today: callsToday,
+      daily_limit: dailyLimit,
+      available: callsToday < dailyLimit,
+      samples,
+      answer_rate: answer_rate == null ? null : Number(answer_rate.toFixed(3)),
+      degraded: false
+    };
+  });
+
+  const measured = stats.filter(s => s.samples >= PHONE_POOL_CONFIG.MIN_SAMPLES);
+  for (const s of measured) {
+    const bestPeer = Math.max(...measured.filter(p => p !== s).map(p => p.answer_rate), -1);
+    s.degraded = bestPeer > 0 && s.answer_rate < bestPeer * PHONE_POOL_CONFIG.DEGRADED_RATIO;
+  }
+  return stats;
+}
+
+/**
+ * Choose the caller ID for an outbound call
+ *
+ * Healthy numbers before degraded ones, then a number in the customer's area code
+ * (local presence), then the least used today. Numbers at their daily limit are skipped.
+ *
+ * @returns {string|null} null when every number in the pool is at its daily limit
+ */
+export function pickFromNumber(campaign, toNumber, { fallbackNumber = null } = {}) {
+  const pool = getPhonePool(campaign, fallbackNumber);
+  if (pool.length === 0) return null;
+
+  const customer = normalizeToE164(toNumber);
+  const customerAreaCode = customer?.startsWith('+1') ? customer.slice(2, 5) : null;
+  const ranked = poolStats(pool, loadPoolState())
+    .filter(s => s.available)
+    .sort((a, b) =>
+      (a.degraded - b.degraded) ||
+      ((b.area_code === customerAreaCode) - (a.area_code === customerAreaCode)) ||
+      (a.calls_today - b.calls_today)
+    );
+  return ranked[0]?.number || null;
+}
+
+export function phonePoolHasCapacity(campaign, fallbackNumber = null) {
+  const pool = getPhonePool(campaign, fallbackNumber);
+  return pool.length === 0 || poolStats(pool, loadPoolState()).some(s => s.available);
+}
+
+/**
+ * When the daily limits reset (next UTC midnight)
+ */
+export function nextPhonePoolReset(now = new Date()) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return next;
+}
+
+/**
+ * Count a placed call against its number's daily limit
+ */
+export function recordNumberUse(number) {
+  const e164 = normalizeToE164(number);
+  if (!e164) return;
+  try {
+    const state = loadPoolState();
+    const record = numberRecord(state, e164);
+    const today = dayKey();
+    record.usage = { [today]: (record.usage[today] || 0) + 1 };
+    writeJson(POOL_STATE_PATH, state);
+  } catch (error) {
+    console.error('⚠️ Failed to record phone number use:', error.message);
+  }
+}
+
+/**
+ * Record whether a call from this number was answered by a person
+ *
+ * Each call counts once; outcomes older than the answer-rate window are dropped.
+ */
+export function recordNumberOutcome(number, { callId = null, answered }) {
+  const e164 = normalizeToE164(number);
+  if (!e164) return null;
+  const state = loadPoolState();
+  const record = numberRecord(state, e164);
+  if (callId && record.outcomes.some(o => o.call_id === callId)) return null;
+
+  const since = Date.now() - PHONE_POOL_CONFIG.ANSWER_RATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  record.outcomes = record.outcomes.filter(o => new Date(o.at).getTime() >= since);
+  record.outcomes.push({ call_id: callId, at: new Date().toISOString(), answered: !!answered });
+  writeJson(POOL_STATE_PATH, state);
+  return answerRate(record);
+}
+
+/**
+ * Per-number usage and answer rate for every configured pool
+ *
+ * @param {object} fallbackNumbers - campaign -> single number, for campaigns without a pool
+ */
+export function getPhonePoolStatus(fallbackNumbers = {}) {
+  const state = loadPoolState();
+  const campaigns = new Set([...Object.keys(PHONE_POOLS), ...Object.keys(fallbackNumbers)]);
+  return Object.fromEntries([...campaigns].map(campaign => [
+    campaign,
+    {
+      pooled: !!PHONE_POOLS[campaign]?.length,
+      numbers: poolStats(getPhonePool(campaign, fallbackNumbers[campaign]), state)
+    }
+  ]));
+}
@@ -1,9 +1,9 @@
+// Loaded before any other module so settings read at import time see .env
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
-import dotenv from "dotenv";
 import { Retell } from "retell-sdk";
-import axios from "axios";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -13,18 +13,117 @@ import {
   createWinBackDraftOrder,
   sendWinBackDraftOrderEvent,
   getCustomerOrderHistory,
-  sendVoicemailLeftEvent
+  sendVoicemailLeftEvent,
+  simulatedDraftOrder
 } from './klaviyo-events-integration.js';
 import { sendCheckoutLinkViaKlaviyoEvent } from './klaviyo-events-service.js';
 import {
   fetchAbandonedCheckouts,
   formatCheckoutForCall,
-  checkCustomerHistory,
-  checkDiscountEligibility
+  checkCustomerHistory
 } from './abandoned-checkout-service.js';
+import {
+  checkDiscountEligibility,
+  evaluateDiscountPolicy,
+  getDiscountExpiry
+} from './discount-policy.js';
+import {
+  getCampaign,
+  listCampaigns,
+  resolveCampaign,
+  registerDynamicVariableBuilder,
+  buildDynamicVariables,
+  campaignCallTarget,
+  campaignHasNumberCapacity,
+  getCampaignPhonePools
+} from './campaign-registry.js';
 import {
   getCustomerFrequentlyReorderedItems
 } from './shopify-graphql-queries.js';
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+import { normalizeToE164 } from './phone-utils.js';
+import { isSimulated, dryRunFromRequest, recordSimulatedRequest, simulatedId, listSimulatedRequests } from './simulation.js';
+import { checkContactCaps, safeRecordContact, getContactHistory } from './contact-ledger.js';
+import {
+  shopifyGet,
+  shopifyGetAll,
+  shopifyGetPage,
+  shopifyPut,
+  shopifyGraphQL,
+  assertNoUserErrors
+} from './shopify-client.js';
+import { registerWebhookStep, runWebhookPipeline, listWebhookSteps } from './webhook-pipeline.js';
+import { getCallOutcomes, listCallOutcomes } from './call-outcome-store.js';
+import { runAttribution, startAttributionJob, getConversionReport, listConversions } from './conversion-attribution.js';
+import {
+  listVersionedAgents,
+  listPromptVersions,
+  getPromptVersion,
+  diffPromptVersions,
+  capturePromptVersion,
+  rollbackPromptVersion
+} from './prompt-version-store.js';
+import {
+  EXPERIMENT_METRICS,
+  createExperiment,
+  assignExperimentArm,
+  getExperimentResults,
+  listExperiments,
+  concludeExperiment
+} from './prompt-experiments.js';
+import { evaluateCandidatePrompt, listReplayEvaluations, getReplayEvaluation } from './prompt-replay-evaluation.js';
+import { getDashboardOverview, getDashboardTimeseries, getCallDetail } from './ops-dashboard.js';
+import { upsertCallRecord, getCallRecord, queryCallRecords, summarizeCallRecords, listRecentCallRecords, safeLinkCallDraftOrder } from './call-record-store.js';
+import {
+  lookupOrderByNumber,
+  lookupLatestOrderForPhone,
+  refreshPhoneIndex,
+  getPhoneIndexStatus,
+  startPhoneIndexRefresher
+} from './order-lookup.js';
+import {
+  getDiscountReport,
+  listDiscountCodes,
+  getDiscountCode,
+  reconcileDiscountRedemptions,
+  startDiscountReconciler
+} from './discount-ledger.js';
+import {
+  registerDeadLetterHandler,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  discardDeadLetter,
+  startDeadLetterRetryScheduler
+} from './dead-letter-queue.js';
+import {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  claimSideEffect,
+  completeSideEffect,
+  releaseSideEffect,
+  getSideEffect
+} from './webhook-event-store.js';
+import { inCallWindow, getCallWindowStatus, resolveRecipientTimeZone } from './call-window.js';
+import {
+  enqueueBatch,
+  enqueueCall,
+  getBatchStatus,
+  listBatches,
+  getQueueStats,
+  hasOpenCallJob,
+  startCallQueueWorker
+} from './call-queue.js';
+import {
+  registerCampaignSweep,
+  runCampaignSweep,
+  listCampaignSchedules,
+  listCampaignRuns,
+  pauseCampaignSchedule,
+  resumeCampaignSchedule,
+  startCampaignScheduler
+} from './campaign-scheduler.js';
 import {
   initializeEmailService,
   sendRefundTicket,
@@ -33,32 +132,20 @@ import {
 } from './email-service.js';
 
 // Import the improvement system
-import { runImprovementLoop } from './prompt-improvement-loop.js';
+import { runImprovementLoop, fetchAndAnalyzeCalls, applyApprovedProposal, previewProposal } from './prompt-improvement-loop.js';
+import { listProposals, getProposal, updateProposalSection, addProposalComment, rejectProposal } from './improvement-proposals.js';
 
 // Import centralized Retell configuration
 import { 
-  RETELL_AGENTS, 
-  RETELL_PHONE_NUMBERS, 
-  getAgentConfig, 
   getAllAgents,
   getAgentsByFunction,
   refreshAgentDiscovery,
+  recordNumberUse,
+  recordNumberOutcome,
+  nextPhonePoolReset,
   CURRENT_CONFIG
 } from './retell-config.js';
 
-dotenv.config();
-
-// Helper function to normalize phone numbers to E.164 format
-function normalizeToE164(raw) {
-  const digits = String(raw || "").replace(/[^\d]/g, "");
-  if (!digits) return null;
-  if (String(raw || "").startsWith('+')) return `+${digits}`;
-  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
-  if (digits.length === 10) return `+1${digits}`;
-  // Fallback: just prefix +
-  return `+${digits}`;
-}
-
 const app = express();
 app.use(cors());
 // Use JSON parser for all routes except the webhook
@@ -82,70 +169,31 @@ app.use(express.static("public"));
 const retell = new Retell({ apiKey: process.env.RETELL_API_KEY });
 const publicBaseUrl = process.env.PUBLIC_BASE_URL || ""; // e.g., https://your-ngrok-domain.ngrok.io
 
-// Use centralized agent configuration instead of hardcoded IDs
-const DEFAULT_AGENT_ID = RETELL_AGENTS.DEFAULT; // Nick's post-delivery agent
-const GRACE_AGENT_ID = RETELL_AGENTS.GRACE_ABANDONED_CHECKOUT; // Grace's abandoned checkout agent
-
 // --- Data paths ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const dataDir = path.join(__dirname, "..", "data");
-const dncPath = path.join(dataDir, "dnc.json");
-const callsLogPath = path.join(dataDir, "calls.log.jsonl");
-if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+const dncPath = dataPath("dnc.json");
 if (!fs.existsSync(dncPath)) fs.writeFileSync(dncPath, JSON.stringify({ phones: [] }, null, 2));
 
-function readJson(file, fallback) {
-  try {
-    return JSON.parse(fs.readFileSync(file, "utf8"));
-  } catch (_) {
-    return fallback;
-  }
-}
-
-function writeJson(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
-}
-
-function appendJsonl(file, obj) {
-  fs.appendFileSync(file, JSON.stringify(obj) + "\n");
-}
-
 // --- Helpers ---
-function inCallWindow(now = new Date(), bypassOverride = false) {
-  // Allow bypassing for testing purposes
-  if (process.env.BYPASS_CALL_WINDOW === 'true' || bypassOverride) {
-    console.log('🚫 Bypassing call window restriction for testing');
-    return true;
-  }
-  
-  const tz = process.env.CALL_WINDOW_LOCAL_TZ || "America/Los_Angeles";
-  const start = process.env.CALL_WINDOW_START || "09:00";
-  const end = process.env.CALL_WINDOW_END || "19:30";
-  const fmt = (d) => d.toLocaleString("en-US", { timeZone: tz });
-  const [sh, sm] = start.split(":").map(Number);
-  const [eh, em] = end.split(":").map(Number);
-  const local = new Date(fmt(now));
-  const begin = new Date(local); begin.setHours(sh, sm, 0, 0);
-  const finish = new Date(local); finish.setHours(eh, em, 0, 0);
-  return local >= begin && local <= finish;
+// Window status on the recipient's own clock (shipping province/zip, else phone area code)
+function recipientCallWindow({ phone, province, zip }, now = new Date()) {
+  const tz = resolveRecipientTimeZone({ province, zip, phone });
+  return { ...getCallWindowStatus(now, tz.timeZone), timezone_source: tz.source };
 }
 
 async function fetchRecentDeliveredOrders({ hours = 48 } = {}) {
   // Pull orders fulfilled/shipped within the last N hours that include a phone number
   const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-  const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/orders.json`;
-  const params = {
-    status: "any",
-    financial_status: "paid",
-    updated_at_min: since,
-    fields: "id,order_number,customer,phone,shipping_address,current_total_price,created_at,closed_at,fulfillments,fulfillment_status,source_name,tags,note,line_items"
-  };
-  const res = await axios.get(url, {
-    headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN },
-    params
+  const orders = await shopifyGetAll("orders.json", {
+    key: "orders",
+    params: {
+      status: "any",
+      financial_status: "paid",
+      updated_at_min: since,
+      fields: "id,order_number,customer,phone,shipping_address,current_total_price,created_at,closed_at,fulfillments,fulfillment_status,source_name,tags,note,line_items"
+    }
   });
-  const orders = res.data.orders || [];
   // Filter: delivered (has fulfillment tracking status delivered OR fulfillment_status == fulfilled) and has a phone to call
   return orders.flatMap((o) => {
     const phone = (o.phone || o?.customer?.phone || o?.shipping_address?.phone || "").trim();
@@ -164,6 +212,8 @@ async function fetchRecentDeliveredOrders({ hours = 48 } = {}) {
       order_id: o.id,
       order_number: o.order_number,
       phone,
+      shipping_province: o?.shipping_address?.province_code || o?.shipping_address?.province || null,
+      shipping_zip: o?.shipping_address?.zip || null,
       name: [o?.customer?.first_name, o?.customer?.last_name].filter(Boolean).join(" ") || "there",
       total: o.current_total_price,
       created_at: o.created_at,
@@ -177,189 +227,188 @@ async function fetchRecentDeliveredOrders({ hours = 48 } = {}) {
 }
 
 // --- Shopify helpers ---
-async function shopifyGetOrderByNumber(orderNumber) {
-  let num = String(orderNumber || "").trim();
-  if (!num) return null;
-  
-  // Try different formats since Shopify can be picky
-  const formats = [
-    num,                           // As provided
-    num.startsWith("#") ? num : `#${num}`,  // With #
-    num.replace("#", ""),          // Without #
-  ];
-  
-  for (const format of formats) {
-    try {
-      const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/orders.json`;
-      const r = await axios.get(url, { 
-        headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN }, 
-        params: { name: format, status: 'any' } 
-      });
-      const orders = r.data?.orders || [];
-      if (orders.length > 0) {
-        console.log(`Found order with format: ${format}`);
-        return orders[0];
-      }
-    } catch (e) {
-      // Try next format
-    }
-  }
-  
-  // If not found by name, try by order_number field
-  try {
-    const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/orders.json`;
-    const r = await axios.get(url, { 
-      headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN }, 
-      params: { status: 'any', limit: 250 } 
-    });
-    const orders = r.data?.orders || [];
-    const match = orders.find(o => 
-      String(o.order_number) === num || 
-      String(o.name).replace("#", "") === num.replace("#", "")
-    );
-    if (match) {
-      console.log(`Found order by searching: ${match.name}`);
-      return match;
-    }
-  } catch (e) {
-    console.error('Order search error:', e.message);
-  }
-  
-  return null;
-}
-
-async function shopifyAppendNoteAndTags({ orderId, noteAppend, addTags = [] }) {
+async function shopifyAppendNoteAndTags({ orderId, noteAppend, addTags = [], dryRun = false }) {
   if (!orderId) return null;
   // Fetch current order to merge tags and note
-  const getUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/orders/${orderId}.json`;
-  const get = await axios.get(getUrl, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } });
-  const order = get.data?.order || {};
+  const get = await shopifyGet(`orders/${orderId}.json`);
+  const order = get?.order || {};
   const existingTags = String(order.tags || "").split(", ").filter(Boolean);
   const mergedTags = Array.from(new Set([...existingTags, ...addTags.filter(Boolean)])).join(", ");
   const existingNote = String(order.note || "");
   const newNote = noteAppend ? (existingNote ? `${existingNote}\n${noteAppend}` : noteAppend) : existingNote;
-  const putUrl = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/orders/${orderId}.json`;
   const payload = { order: { id: orderId, tags: mergedTags, note: newNote } };
-  const res = await axios.put(putUrl, payload, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } });
-  return res.data?.order || null;
+  if (isSimulated(dryRun)) {
+    recordSimulatedRequest('shopify.updateOrder', { method: 'PUT', path: `orders/${orderId}.json`, body: payload });
+    return { ...order, ...payload.order };
+  }
+  const res = await shopifyPut(`orders/${orderId}.json`, payload);
+  return res?.order || null;
+}
+
+// --- Dynamic variables per campaign (campaigns.json names the builder) ---
+// Win-back calls pre-fetch the customer's order history so the agent needs no lookups mid-call
+registerDynamicVariableBuilder('win_back', async ({ phone, customerName }) => {
+  // Pre-fetch customer order history before creating the call
+  const orderHistory = await getCustomerOrderHistory(phone, null, 3);
+  
+  // Extract the actual customer name from order history if available
+  let finalCustomerName = customerName;
+  if (orderHistory.success && orderHistory.customer && orderHistory.customer.name) {
+    // Extract first name only from the full name
+    const fullName = orderHistory.customer.name.trim();
+    const firstName = fullName.split(' ')[0];
+    
+    // Only use the first name if it's not empty and not just the email
+    if (firstName && firstName.length > 0 && !firstName.includes('@')) {
+      finalCustomerName = firstName;
+      console.log(`✅ Using customer first name from order history: ${finalCustomerName}`);
+    } else {
+      console.log(`⚠️ Customer name from order history appears to be email or invalid: ${fullName}`);
+    }
+  }
+  
+  // If we still don't have a proper name, use a generic fallback
+  if (!finalCustomerName || finalCustomerName.includes('@') || finalCustomerName.length < 2) {
+    finalCustomerName = 'there';
+    console.log(`⚠️ Using generic fallback name: ${finalCustomerName}`);
+  }
+  
+  let historyData = {};
+  if (orderHistory.success && orderHistory.orderHistory.length > 0) {
+    const history = orderHistory.orderHistory[0]; // Most recent order
+    historyData = {
+      last_order_date: history.orderDate,
+      last_order_total: `$${history.totalPrice}`,
+      favorite_product: history.topItems[0]?.title?.split(' ').slice(0, 3).join(' ') || 'premium steaks',
+      days_since_order: Math.floor((new Date() - new Date(history.orderDate)) / (1000 * 60 * 60 * 24)),
+      total_lifetime_value: `$${orderHistory.orderHistory.reduce((sum, order) => sum + parseFloat(order.totalPrice || 0), 0).toFixed(2)}`,
+      order_count: orderHistory.orderHistory.length,
+      // Store full history as JSON string for agent reference
+      order_history_json: JSON.stringify(orderHistory.orderHistory.map(order => ({
+        date: order.orderDate,
+        total: order.totalPrice,
+        items: order.topItems.map(item => item.title).join(', ')
+      })))
+    };
+    
+    console.log('✅ Pre-fetched order history:', {
+      orders: orderHistory.orderHistory.length,
+      lastOrder: historyData.last_order_date,
+      totalSpent: historyData.total_lifetime_value,
+      favorite: historyData.favorite_product
+    });
+  } else {
+    // Fallback data for customers without order history
+    historyData = {
+      last_order_date: '2024-09-15',
+      last_order_total: '$347.99',
+      favorite_product: 'A5 Wagyu Ribeye',
+      days_since_order: '127',
+      total_lifetime_value: '$2,847',
+      order_count: 2,
+      order_history_json: JSON.stringify([])
+    };
+    
+    console.log('⚠️ No order history found, using fallback data');
+  }
+
+  return {
+    call_direction: 'OUTBOUND',
+    customer_name: finalCustomerName,
+    customer_phone: phone,
+    // Pre-fetched order data - no API calls needed during conversation
+    ...historyData
+  };
+});
+
+registerDynamicVariableBuilder('post_delivery', ({ phone, customerName, orderNumber, metadata }) => ({
+  call_direction: 'OUTBOUND',  // Critical: Tell agent this is an outbound call
+  customer_name: customerName,
+  order_number: orderNumber,
+  customer_phone: phone,  // Add phone for Shopify tool lookups
+  primary_item: metadata?.primary_item,
+  items_summary: metadata?.items_summary,
+  delivered_at: metadata?.delivered_at,
+  max_followup_questions: metadata?.max_followup_questions,
+  resolution_preference: metadata?.resolution_preference
+}));
+
+registerDynamicVariableBuilder('abandoned_checkout', ({ checkoutId, phone, customerName, itemsSummary, mostExpensiveItem, totalPrice, currency, email }) => ({
+  call_direction: 'OUTBOUND',
+  customer_name: customerName,
+  items_summary: itemsSummary,
+  most_expensive_item: mostExpensiveItem || 'your items',
+  total_price: totalPrice,
+  currency: currency,
+  checkout_id: checkoutId,
+  customer_phone: phone,
+  customer_email: email,
+  is_abandoned_checkout: true
+}));
+
+// Calls for an agent under an A/B prompt test go to the arm the number hashes to
+function experimentArm(target, toNumber) {
+  const assignment = assignExperimentArm(target.override_agent_id, toNumber);
+  if (!assignment) return { override: {}, metadata: {} };
+  return {
+    override: { override_agent_id: assignment.agent_id },
+    metadata: { experiment_id: assignment.experiment_id, experiment_arm: assignment.arm }
+  };
 }
 
-async function findLatestOrderForPhone(phoneRaw) {
-  const phone = String(phoneRaw || "").replace(/[^\d+]/g, "");
-  if (!phone) return null;
-  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
-  const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/orders.json`;
-  const params = {
-    status: "any",
-    financial_status: "paid",
-    updated_at_min: since,
-    fields: "id,name,order_number,customer,phone,shipping_address,current_total_price,created_at,closed_at,fulfillments,fulfillment_status,tags,note,line_items"
+// Dry runs log the Retell request and answer like a freshly registered call;
+// nothing is dialed, so no contact-ledger or number-pool bookkeeping follows
+function simulatePhoneCall(request) {
+  recordSimulatedRequest('retell.createPhoneCall', request);
+  return {
+    call_id: simulatedId('call'),
+    call_type: 'phone_call',
+    call_status: 'registered',
+    direction: 'outbound',
+    agent_id: request.override_agent_id,
+    from_number: request.from_number,
+    to_number: request.to_number,
+    metadata: request.metadata,
+    retell_llm_dynamic_variables: request.retell_llm_dynamic_variables,
+    simulated: true
   };
-  const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN }, params });
-  const orders = r.data?.orders || [];
-  const match = orders
-    .filter((o) => {
-      const p = (o.phone || o?.customer?.phone || o?.shipping_address?.phone || "").replace(/[^\d+]/g, "");
-      return p && phone.endsWith(p.slice(-10)); // loose match on last 10 digits
-    })
-    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
-  return match || null;
 }
 
 // --- Retell: create an outbound win-back call with pre-fetched customer data
-async function placeWinBackCall({ phone, customerName, agentId, fromNumber, metadata }) {
+async function placeWinBackCall({ phone, customerName, agentId, fromNumber, metadata, dryRun = false }) {
   try {
-    console.log('🎯 Pre-fetching customer data for win-back call...');
-    
-    // Pre-fetch customer order history before creating the call
-    const orderHistory = await getCustomerOrderHistory(phone, null, 3);
-    
-    // Extract the actual customer name from order history if available
-    let finalCustomerName = customerName;
-    if (orderHistory.success && orderHistory.customer && orderHistory.customer.name) {
-      // Extract first name only from the full name
-      const fullName = orderHistory.customer.name.trim();
-      const firstName = fullName.split(' ')[0];
-      
-      // Only use the first name if it's not empty and not just the email
-      if (firstName && firstName.length > 0 && !firstName.includes('@')) {
-        finalCustomerName = firstName;
-        console.log(`✅ Using customer first name from order history: ${finalCustomerName}`);
-      } else {
-        console.log(`⚠️ Customer name from order history appears to be email or invalid: ${fullName}`);
-      }
+    const caps = checkContactCaps(phone);
+    if (!caps.allowed) {
+      console.log(`⚠️ Skipping win-back call to ${phone} - ${caps.detail}`);
+      return { skipped: true, ...caps };
     }
     
-    // If we still don't have a proper name, use a generic fallback
-    if (!finalCustomerName || finalCustomerName.includes('@') || finalCustomerName.length < 2) {
-      finalCustomerName = 'there';
-      console.log(`⚠️ Using generic fallback name: ${finalCustomerName}`);
-    }
-    
-    let historyData = {};
-    if (orderHistory.success && orderHistory.orderHistory.length > 0) {
-      const history = orderHistory.orderHistory[0]; // Most recent order
-      historyData = {
-        last_order_date: history.orderDate,
-        last_order_total: `$${history.totalPrice}`,
-        favorite_product: history.topItems[0]?.title?.split(' ').slice(0, 3).join(' ') || 'premium steaks',
-        days_since_order: Math.floor((new Date() - new Date(history.orderDate)) / (1000 * 60 * 60 * 24)),
-        total_lifetime_value: `$${orderHistory.orderHistory.reduce((sum, order) => sum + parseFloat(order.totalPrice || 0), 0).toFixed(2)}`,
-        order_count: orderHistory.orderHistory.length,
-        // Store full history as JSON string for agent reference
-        order_history_json: JSON.stringify(orderHistory.orderHistory.map(order => ({
-          date: order.orderDate,
-          total: order.totalPrice,
-          items: order.topItems.map(item => item.title).join(', ')
-        })))
-      };
-      
-      console.log('✅ Pre-fetched order history:', {
-        orders: orderHistory.orderHistory.length,
-        lastOrder: historyData.last_order_date,
-        totalSpent: historyData.total_lifetime_value,
-        favorite: historyData.favorite_product
-      });
-    } else {
-      // Fallback data for customers without order history
-      historyData = {
-        last_order_date: '2024-09-15',
-        last_order_total: '$347.99',
-        favorite_product: 'A5 Wagyu Ribeye',
-        days_since_order: '127',
-        total_lifetime_value: '$2,847',
-        order_count: 2,
-        order_history_json: JSON.stringify([])
-      };
-      
-      console.log('⚠️ No order history found, using fallback data');
+    const target = campaignCallTarget('win_back', { agentId, fromNumber, toNumber: phone });
+    if (!target.from_number) {
+      console.log(`⚠️ Skipping win-back call to ${phone} - every win-back number is at its daily limit`);
+      return { skipped: true, reason: 'number_pool_exhausted' };
     }
 
-    const vars = {
-      call_direction: 'OUTBOUND',
-      customer_name: finalCustomerName,
-      customer_phone: phone,
-      // Pre-fetched order data - no API calls needed during conversation
-      ...historyData
-    };
-
-    // Remove undefined values
-    const dynamicVars = Object.fromEntries(
-      Object.entries(vars).filter(([, v]) => v !== undefined && v !== null)
-    );
+    console.log('🎯 Pre-fetching customer data for win-back call...');
+    const dynamicVars = await buildDynamicVariables('win_back', { phone, customerName });
 
     console.log('📞 Creating win-back call with pre-cached data...');
     
-    const result = await retell.call.createPhoneCall({
+    const arm = experimentArm(target, phone);
+    const callRequest = {
       to_number: phone,
-      from_number: fromNumber || RETELL_PHONE_NUMBERS.DEFAULT,
-      override_agent_id: agentId || 'agent_9dfa2b728cd32e308633bfd9df', // Win-back agent
-      metadata: { source: "win-back-campaign", ...vars, ...(metadata || {}) },
+      ...target,
+      ...arm.override,
+      metadata: { source: "win-back-campaign", campaign: 'win_back', ...dynamicVars, ...(metadata || {}), ...arm.metadata, ...(isSimulated(dryRun) && { dry_run: true }) },
       retell_llm_dynamic_variables: dynamicVars,
       amd: { enable: true }
-    });
+    };
+    if (isSimulated(dryRun)) return simulatePhoneCall(callRequest);
+    const result = await retell.call.createPhoneCall(callRequest);
     
     console.log(`✅ Win-back call created: ${result.call_id}`);
+    recordNumberUse(target.from_number);
+    safeRecordContact(phone, { type: 'call', campaign: 'win_back', callId: result.call_id, agentId: result.agent_id });
     return result;
     
   } catch (error) {
@@ -369,43 +418,102 @@ async function placeWinBackCall({ phone, customerName, agentId, fromNumber, meta
 }
 
 // --- Retell: create an outbound phone call
-async function placeConfirmationCall({ phone, customerName, orderNumber, agentId, fromNumber, metadata }) {
+async function placeConfirmationCall({ phone, customerName, orderNumber, agentId, fromNumber, metadata, dryRun = false }) {
   /*
     Minimal payload using Retell "Create Phone Call" API via SDK.
     The number must be bound to an outbound agent in Retell dashboard.
   */
-  const vars = {
-    call_direction: 'OUTBOUND',  // Critical: Tell agent this is an outbound call
-    customer_name: customerName,
-    order_number: orderNumber,
-    customer_phone: phone,  // Add phone for Shopify tool lookups
-    primary_item: metadata?.primary_item,
-    items_summary: metadata?.items_summary,
-    delivered_at: metadata?.delivered_at,
-    max_followup_questions: metadata?.max_followup_questions,
-    resolution_preference: metadata?.resolution_preference
-  };
+  const caps = checkContactCaps(phone);
+  if (!caps.allowed) {
+    console.log(`⚠️ Skipping post-delivery call to ${phone} - ${caps.detail}`);
+    return { skipped: true, ...caps };
+  }
+
+  const target = campaignCallTarget('post_delivery', { agentId, fromNumber, toNumber: phone });
+  if (!target.from_number) {
+    console.log(`⚠️ Skipping post-delivery call to ${phone} - every post-delivery number is at its daily limit`);
+    return { skipped: true, reason: 'number_pool_exhausted' };
+  }
 
-  // Remove undefined values so we only pass concrete variables
-  const dynamicVars = Object.fromEntries(
-    Object.entries(vars).filter(([, v]) => v !== undefined && v !== null)
-  );
+  const dynamicVars = await buildDynamicVariables('post_delivery', { phone, customerName, orderNumber, metadata });
 
-  const result = await retell.call.createPhoneCall({
+  const arm = experimentArm(target, phone);
+  const callRequest = {
     // Required
     to_number: phone,
-    from_number: fromNumber || RETELL_PHONE_NUMBERS.DEFAULT,
-    override_agent_id: agentId || DEFAULT_AGENT_ID, // Use provided agent or default
+    ...target,
+    ...arm.override,
     // Optional runtime variables
-    metadata: { source: "meatery-post-delivery", ...vars, ...(metadata || {}) },
+    metadata: { source: "meatery-post-delivery", campaign: 'post_delivery', ...dynamicVars, ...(metadata || {}), ...arm.metadata, ...(isSimulated(dryRun) && { dry_run: true }) },
     // Inject variables for prompt interpolation in Retell LLM / conversation flow
     retell_llm_dynamic_variables: dynamicVars,
     // Call config overrides for this call only
     amd: { enable: true }, // answering machine detection
-  });
+  };
+  if (isSimulated(dryRun)) return simulatePhoneCall(callRequest);
+  const result = await retell.call.createPhoneCall(callRequest);
+  recordNumberUse(target.from_number);
+  safeRecordContact(phone, { type: 'call', campaign: 'post_delivery', callId: result.call_id, agentId: result.agent_id });
   return result;
 }
 
+// --- Call queue helpers ---
+// Campaign whose caller-ID pool each job type dials from
+const QUEUE_JOB_CAMPAIGNS = {
+  confirmation: 'post_delivery',
+  win_back: 'win_back',
+  abandoned_checkout: 'abandoned_checkout'
+};
+
+function hasOptOutTag(tags) {
+  const t = String(tags || "").toLowerCase();
+  return t.includes("no call") || t.includes("do not call");
+}
+
+// Screen delivered-order candidates and enqueue post-delivery calls as one batch
+function enqueueConfirmationCalls(candidates, { source, bypassWindow = false, dryRun = false, fromNumber, extraMetadata = {} } = {}) {
+  const dnc = new Set(readJson(dncPath, { phones: [] }).phones);
+  const calls = [];
+  const skipped = [];
+  for (const c of candidates) {
+    if (dnc.has(c.phone) || hasOptOutTag(c.tags)) {
+      skipped.push({ ok: false, to: c.phone, order_number: c.order_number, skipped: true, reason: "opted_out" });
+      continue;
+    }
+    if (hasOpenCallJob("confirmation", c.phone)) {
+      skipped.push({ ok: false, to: c.phone, order_number: c.order_number, skipped: true, reason: "already_queued" });
+      continue;
+    }
+    const caps = checkContactCaps(c.phone);
+    if (!caps.allowed) {
+      skipped.push({ ok: false, to: c.phone, order_number: c.order_number, skipped: true, reason: caps.reason, detail: caps.detail, next_allowed_at: caps.next_allowed_at });
+      continue;
+    }
+    const callWindow = recipientCallWindow({ phone: c.phone, province: c.shipping_province, zip: c.shipping_zip });
+    calls.push({
+      type: "confirmation",
+      label: { to: c.phone, order_number: c.order_number, local_time: callWindow.local_time },
+      options: { bypass_window: bypassWindow, timezone: callWindow.timezone },
+      scheduledFor: bypassWindow ? undefined : callWindow.next_eligible_at,
+      payload: {
+        phone: c.phone,
+        customerName: c.name,
+        orderNumber: c.order_number,
+        fromNumber,
+        metadata: {
+          primary_item: c.primary_item,
+          items_summary: c.items_summary,
+          delivered_at: c.delivered_at,
+          ...extraMetadata
+        },
+        ...(dryRun && { dryRun: true })
+      }
+    });
+  }
+  const batch = enqueueBatch({ source, calls, skipped, options: { bypass_window: bypassWindow, dry_run: dryRun } });
+  return { ...batch, status_url: `/call/batch/${batch.batch_id}`, skipped_candidates: skipped };
+}
+
 // --- Routes ---
 app.get("/health", (req, res) => res.json({ ok: true }));
 
@@ -444,6 +552,61 @@ app.get("/agents/configured", async (_req, res) => {
   }
 });
 
+// Campaign registry: agent, from-number, dynamic variables, post-call steps and discount policy per campaign
+app.get("/campaigns", (_req, res) => {
+  res.json({ campaigns: listCampaigns() });
+});
+
+app.get("/campaigns/:key", (req, res) => {
+  const campaign = listCampaigns().find(c => c.key === req.params.key);
+  if (!campaign) return res.status(404).json({ error: "campaign not found" });
+  res.json(campaign);
+});
+
+// Scheduled campaign sweeps (cron in campaigns.json); runs only enqueue, the queue keeps call windows
+registerCampaignSweep('post_delivery', async ({ hours = 48, dryRun = false } = {}) => {
+  const candidates = await fetchRecentDeliveredOrders({ hours: Number(hours) });
+  return enqueueConfirmationCalls(candidates, { source: "campaign_schedule", dryRun });
+});
+
+registerCampaignSweep('abandoned_checkout', ({ hours = 24, minValue = 50, maxCalls = 10, dryRun = false } = {}) =>
+  processAbandonedCheckouts({ hours: Number(hours), minValue: Number(minValue), maxCalls: Number(maxCalls), dryRun })
+);
+
+app.get("/schedules", (_req, res) => {
+  res.json({ schedules: listCampaignSchedules() });
+});
+
+app.get("/schedules/runs", (req, res) => {
+  const limit = Math.min(Number(req.query?.limit || 50), 500);
+  res.json({ runs: listCampaignRuns({ campaign: req.query.campaign || null, limit }) });
+});
+
+app.post("/schedules/:campaign/pause", (req, res) => {
+  const schedule = pauseCampaignSchedule(req.params.campaign);
+  if (!schedule) return res.status(404).json({ error: "schedule not found" });
+  res.json(schedule);
+});
+
+app.post("/schedules/:campaign/resume", (req, res) => {
+  const schedule = resumeCampaignSchedule(req.params.campaign);
+  if (!schedule) return res.status(404).json({ error: "schedule not found" });
+  res.json(schedule);
+});
+
+// Run a sweep now; body fields override the schedule's params for this run
+app.post("/schedules/:campaign/trigger", async (req, res) => {
+  try {
+    const { hours, minValue, maxCalls } = req.body || {};
+    const dryRun = dryRunFromRequest(req) || undefined;
+    const params = Object.fromEntries(Object.entries({ hours, minValue, maxCalls, dryRun }).filter(([, v]) => v !== undefined));
+    const run = await runCampaignSweep(req.params.campaign, { trigger: 'manual', params });
+    res.status(run.status === 'failed' ? 500 : run.status === 'skipped' ? 409 : 200).json(run);
+  } catch (e) {
+    res.status(404).json({ error: e.message });
+  }
+});
+
 // Get agents by function type
 app.get("/agents/by-function/:functionType", async (req, res) => {
   try {
@@ -527,36 +690,348 @@ app.post("/agents/:id/sync-defaults", async (req, res) => {
 // Manually trigger calls for last N hours (default 48)
 app.post("/tasks/call-recent", async (req, res) => {
   try {
+    // Each candidate is deferred to their own local calling window by the queue
     const bypassWindow = req.query.bypass_window === 'true' || req.body.bypass_window === true;
-    if (!inCallWindow(new Date(), bypassWindow)) return res.status(403).json({ error: "Outside calling window" });
     const hours = Number(req.body?.hours || 48);
     const candidates = await fetchRecentDeliveredOrders({ hours });
-    const dnc = new Set(readJson(dncPath, { phones: [] }).phones);
-    const results = [];
-    for (const c of candidates) {
-      const hasOptOutTag = String(c.tags || "").toLowerCase().includes("no call") || String(c.tags || "").toLowerCase().includes("do not call");
-      if (dnc.has(c.phone) || hasOptOutTag) {
-        results.push({ ok: false, to: c.phone, order_number: c.order_number, skipped: true, reason: "opted_out" });
-        continue;
-      }
-      try {
-        const r = await placeConfirmationCall({
-          phone: c.phone,
-          customerName: c.name,
-          orderNumber: c.order_number,
-          metadata: { primary_item: c.primary_item, items_summary: c.items_summary, delivered_at: c.delivered_at }
-        });
-        results.push({ ok: true, call_id: r.call_id, to: c.phone, order_number: c.order_number });
-      } catch (err) {
-        results.push({ ok: false, to: c.phone, error: err?.response?.data || err.message });
-      }
-    }
-    res.json({ count: results.length, results });
+    const batch = enqueueConfirmationCalls(candidates, { source: "tasks_call_recent", bypassWindow, dryRun: dryRunFromRequest(req) });
+    res.status(202).json(batch);
   } catch (e) {
     res.status(500).json({ error: e?.response?.data || e.message });
   }
 });
 
+// --- Post-call webhook pipeline steps (see webhook-pipeline.js) ---
+const VOICEMAIL_DRAFT_ORDER_VARIANTS = [
+  "gid://shopify/ProductVariant/37661352100037", // Japanese A5 Wagyu Ribeye
+  "gid://shopify/ProductVariant/40158682316997", // Japanese A5 Wagyu Filet Mignon
+  "gid://shopify/ProductVariant/45106426609880", // Australian Wagyu Ribeye 16oz
+  "gid://shopify/ProductVariant/39900512813253"  // Australian Wagyu Filet Mignon
+];
+
+// Voicemail follow-ups carry the win-back offer from the discount policy
+function voicemailDiscountPercent() {
+  return evaluateDiscountPolicy({ campaign: 'win_back' }).discount_value;
+}
+
+// Fields every step reads from the webhook call object
+function buildCallContext(data) {
+  const m = data?.metadata || {};
+  const analysis = data?.analysis || data?.call_analysis || {};
+  const structured = analysis?.structured || analysis?.custom_analysis_data || {};
+  const transcript = data?.transcript || "";
+  // Customer is the recipient on outbound calls and the caller on inbound calls
+  const customerPhoneFromCall = data?.direction === 'outbound' ? data?.to_number
+    : data?.direction === 'inbound' ? data?.from_number : null;
+  const lowerTranscript = transcript.toLowerCase();
+
+  // Detect voicemail scenarios - be more aggressive about detection
+  const isVoicemail = (analysis?.in_voicemail || structured?.in_voicemail) === true ||
+    structured?.contact_outcome === 'voicemail_left' ||
+    data?.disconnection_reason === 'voicemail_reached' ||
+    lowerTranscript.includes('voicemail') ||
+    lowerTranscript.includes('leave a message') ||
+    lowerTranscript.includes('at the tone') ||
+    lowerTranscript.includes('record your message');
+
+  let orderPromise = null;
+  const orderNumber = m.order_number || structured.order_number;
+  return {
+    m,
+    analysis,
+    structured,
+    transcript,
+    customerPhoneFromCall,
+    isVoicemail,
+    orderNumber,
+    // Calls placed in simulation and dry-run deliveries: side effects are logged, not sent
+    dryRun: isSimulated(m.dry_run === true),
+    // Shared, memoized order lookup for the Shopify steps
+    getOrder: () => {
+      if (!orderNumber) return Promise.resolve(null);
+      orderPromise = orderPromise || lookupOrderByNumber(orderNumber, { callId: data?.call_id });
+      return orderPromise;
+    }
+  };
+}
+
+// Customer contact details for the voicemail follow-up
+function voicemailCustomer({ m, data, customerPhoneFromCall }) {
+  const customerName = m.customer_name || data?.retell_llm_dynamic_variables?.customer_name || "Valued Customer";
+  let customerEmail = m.customer_email || data?.retell_llm_dynamic_variables?.customer_email;
+  // If no email provided, create a placeholder with a valid domain
+  if (!customerEmail) {
+    const phoneDigits = customerPhoneFromCall?.replace(/[^\d]/g, '') || 'unknown';
+    const nameSlug = customerName?.toLowerCase().replace(/[^a-z]/g, '') || 'customer';
+    customerEmail = `${nameSlug}.${phoneDigits}@example.com`;
+  }
+  return { customerPhone: customerPhoneFromCall, customerName, customerEmail };
+}
+
+// Services that report failures as { success: false, error, status } - keep the status for retry decisions
+function resultError(result, fallbackMessage) {
+  const error = new Error(result?.error || fallbackMessage);
+  error.status = result?.status || null;
+  return error;
+}
+
+registerWebhookStep({
+  name: 'voicemail_draft_order',
+  events: ['call_analyzed'],
+  async run(ctx) {
+    if (!ctx.isVoicemail) return { skipped: true, reason: 'not_voicemail' };
+    // Skip if the agent's follow-up tool (or an earlier delivery) already handled this call;
+    // a replay may pick up its own earlier claim as long as no draft order was created yet
+    const claimed = claimSideEffect(ctx.callId, 'voicemail_followup', { source: 'webhook' }) ||
+      (ctx.replay && !getSideEffect(ctx.callId, 'voicemail_followup')?.result?.draft_order_id);
+    if (!claimed) return { skipped: true, reason: 'voicemail_followup_already_processed' };
+    ctx.state.voicemailClaimed = true;
+    // Set when an earlier run sent the Klaviyo event without a draft order to link to
+    const sentWithoutDraftOrder = ctx.replay && !!getSideEffect(ctx.callId, 'voicemail_followup')?.result?.klaviyo_event_sent;
+
+    const { customerPhone, customerName, customerEmail } = voicemailCustomer(ctx);
+    console.log(`🛒 Creating Shopify Draft Order for voicemail customer ${customerName} (${customerPhone})...`);
+    const draftOrderResult = await createWinBackDraftOrder({
+      customerEmail,
+      customerPhone: customerPhone ? normalizeToE164(customerPhone) : null,
+      customerName,
+      productVariants: VOICEMAIL_DRAFT_ORDER_VARIANTS,
+      discountValue: voicemailDiscountPercent(),
+      targetAmount: 422,
+      dryRun: ctx.dryRun
+    });
+    if (!draftOrderResult?.success) throw resultError(draftOrderResult, 'Draft order creation failed');
+    if (!ctx.dryRun) safeLinkCallDraftOrder(ctx.callId, draftOrderResult.draftOrderId);
+
+    ctx.state.draftOrder = {
+      draft_order_id: draftOrderResult.draftOrderId,
+      checkout_url: draftOrderResult.checkoutUrl,
+      total_value: draftOrderResult.totalValue,
+      original_value: draftOrderResult.originalValue || 422,
+      // Real customer email when the draft order found the customer
+      customer_email: draftOrderResult.customerEmail || customerEmail
+    };
+    // Persisted right away so a Klaviyo replay can reuse this draft order instead of creating another
+    completeSideEffect(ctx.callId, 'voicemail_followup', ctx.state.draftOrder);
+    console.log(`✅ Draft Order created successfully: ${draftOrderResult.draftOrderId}`);
+
+    if (sentWithoutDraftOrder) {
+      // The customer's first follow-up had no checkout link; send the one it was missing
+      await sendVoicemailFollowupEvent(ctx, ctx.state.draftOrder);
+      ctx.state.voicemailEventSent = true;
+      return { ...ctx.state.draftOrder, klaviyo_event_resent: true };
+    }
+    return ctx.state.draftOrder;
+  }
+});
+
+/**
+ * Send the Grace Voicemail Left event and mark the follow-up as sent
+ *
+ * Without a draft order the event goes out with no checkout link or prices.
+ */
+async function sendVoicemailFollowupEvent(ctx, draftOrder) {
+  const hasDraftOrder = !!draftOrder?.draft_order_id;
+  const { m } = ctx;
+  const { customerPhone, customerName, customerEmail } = voicemailCustomer(ctx);
+  const to = hasDraftOrder ? draftOrder.customer_email : customerEmail;
+  await sendVoicemailLeftEvent({
+    customerEmail: to,
+    customerPhone,
+    customerName,
+    callId: ctx.callId,
+    transcript: ctx.transcript,
+    checkoutUrl: hasDraftOrder ? draftOrder.checkout_url : null,
+    totalValue: hasDraftOrder ? draftOrder.total_value : null,
+    originalValue: hasDraftOrder ? draftOrder.original_value : null,
+    discountValue: voicemailDiscountPercent(),
+    metadata: {
+      source: m.source || 'winback_campaign',
+      customer_id: m.customer_id || m.winback_customer_id,
+      days_since_last_order: m.days_since_last_order,
+      total_spent: m.total_spent,
+      winback_customer_id: m.winback_customer_id,
+      draft_order_id: hasDraftOrder ? draftOrder.draft_order_id : null
+    },
+    dryRun: ctx.dryRun
+  });
+  completeSideEffect(ctx.callId, 'voicemail_followup', { ...(hasDraftOrder && draftOrder), klaviyo_event_sent: true });
+
+  console.log(`✅ Voicemail event sent to Klaviyo for ${customerPhone || to}${hasDraftOrder ? '' : ' (no draft order)'}`);
+  return { to, draft_order_id: hasDraftOrder ? draftOrder.draft_order_id : null };
+}
+
+registerWebhookStep({
+  name: 'voicemail_klaviyo_event',
+  // No dependency on voicemail_draft_order: the customer still hears from us when the
+  // draft order failed, just without its checkout link
+  events: ['call_analyzed'],
+  async run(ctx) {
+    if (!ctx.isVoicemail) return { skipped: true, reason: 'not_voicemail' };
+    if (!ctx.state.voicemailClaimed && !ctx.replay) return { skipped: true, reason: 'voicemail_followup_already_processed' };
+    if (ctx.state.voicemailEventSent) return { skipped: true, reason: 'voicemail_event_already_sent' };
+    // On a replay of just this step the draft order comes from the persisted side effect
+    const draftOrder = ctx.state.draftOrder ||
+      (ctx.replay ? getSideEffect(ctx.callId, 'voicemail_followup')?.result : null);
+    return sendVoicemailFollowupEvent(ctx, draftOrder);
+  }
+});
+
+registerWebhookStep({
+  name: 'discount_sms',
+  // Not in the win-back campaign's steps: win-back calls use the draft order tool instead
+  events: ['call_ended', 'call_analyzed'],
+  async run(ctx) {
+    const { m, structured, transcript } = ctx;
+    const shouldSendDiscount =
+      transcript.includes("sending that discount code") ||
+      transcript.includes("text you a") ||
+      transcript.includes("10% off") ||
+      (structured.send_discount_sms === true);
+    if (!shouldSendDiscount) return { skipped: true, reason: 'no_discount_promised' };
+
+    const customerPhone = m.customer_phone || structured.customer_phone || ctx.customerPhoneFromCall;
+    if (!customerPhone) return { skipped: true, reason: 'no_phone' };
+    // call_ended and call_analyzed both land here, and the agent may have used the send_discount tool
+    if (!claimSideEffect(ctx.callId, 'discount', { source: 'webhook' })) {
+      return { skipped: true, reason: 'discount_already_sent' };
+    }
+
+    const campaign = getCampaign(ctx.campaign).discount_policy;
+    const eligibility = await checkDiscountEligibility({
+      customerEmail: m.customer_email || structured.customer_email || null,
+      customerPhone,
+      campaign,
+      cartValue: m.total_price ?? null,
+      requestedPercent: structured.discount_value ?? null
+    });
+    if (!eligibility.eligible) {
+      releaseSideEffect(ctx.callId, 'discount');
+      return { skipped: true, reason: eligibility.reason, policy: eligibility.reasons };
+    }
+    const discountValue = eligibility.discount_value;
+    if (ctx.dryRun) {
+      // No code is created in a dry run; log the discount that would have been issued
+      releaseSideEffect(ctx.callId, 'discount');
+      recordSimulatedRequest('discount.createAndSend', { customer_phone: customerPhone, campaign, discount_value: discountValue, channel: 'sms' });
+      return { simulated: true, discount_value: discountValue, policy: eligibility.reasons };
+    }
+
+    console.log(`📱 Sending discount for agent ${ctx.agentId} to ${customerPhone}...`);
+    let discountResult;
+    try {
+      discountResult = await createAndSendKlaviyoDiscount({
+        customerEmail: m.customer_email || structured.customer_email || customerPhone, // Use email if available, fallback to phone
+        customerName: m.customer_name || structured.customer_name || "Valued Customer",
+        customerPhone,
+        discountType: 'percentage',
+        discountValue,
+        reason: structured.discount_reason || 'customer_service',
+        orderNumber: ctx.orderNumber,
+        abandonedCheckoutId: m.checkout_id || structured.checkout_id || null,
+        preferredChannel: customerPhone ? 'sms' : 'email',
+        campaign,
+        callId: ctx.callId,
+        agentId: ctx.agentId
+      });
+    } catch (error) {
+      releaseSideEffect(ctx.callId, 'discount');
+      throw error;
+    }
+    if (!discountResult.success) {
+      releaseSideEffect(ctx.callId, 'discount');
+      throw resultError(discountResult, 'Discount send failed');
+    }
+
+    const discountCode = discountResult.discountCode || discountResult.discount?.code;
+    const expiresIn = discountResult.expiresIn || discountResult.discount?.expiresIn || null;
+    completeSideEffect(ctx.callId, 'discount', { discount_code: discountCode, expires_in: expiresIn });
+    console.log(`✅ Discount sent: ${discountCode}`);
+    return { discount_code: discountCode, discount_value: discountValue, expires_in: expiresIn, policy: eligibility.reasons };
+  }
+});
+
+registerWebhookStep({
+  name: 'shopify_order_notes',
+  // Analysis (satisfaction, issues) only arrives with call_analyzed; notes are not idempotent
+  events: ['call_analyzed'],
+  async run(ctx) {
+    const { structured, event } = ctx;
+    if (!ctx.orderNumber) return { skipped: true, reason: 'no_order_number' };
+
+    const addTags = [];
+    const notes = [];
+    const satisfiedScore = structured.satisfied_score ?? event?.data?.satisfied_score;
+    const hadIssue = structured.had_issue ?? event?.data?.had_issue;
+    const issueNotes = structured.issue_notes ?? event?.data?.issue_notes;
+    const preferredContact = structured.preferred_contact ?? event?.data?.preferred_contact;
+    if (typeof satisfiedScore === "number") notes.push(`Post-delivery satisfaction: ${satisfiedScore}/10`);
+    if (hadIssue) { addTags.push("post-delivery-issue"); notes.push(`Issue: ${issueNotes || "(details pending)"}`); }
+    if (preferredContact) notes.push(`Preferred contact: ${preferredContact}`);
+    if (!notes.length && !addTags.length) return { skipped: true, reason: 'nothing_to_note' };
+
+    const order = await ctx.getOrder();
+    if (!order?.id) return { skipped: true, reason: 'order_not_found' };
+    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: notes.join(" | "), addTags, dryRun: ctx.dryRun });
+    return { order_id: order.id, notes: notes.length, tags: addTags, ...(ctx.dryRun && { simulated: true }) };
+  }
+});
+
+registerWebhookStep({
+  name: 'dnc_opt_out',
+  events: ['call_ended', 'call_analyzed'],
+  async run(ctx) {
+    const { m, structured, event } = ctx;
+    if (structured.requested_opt_out !== true && event?.data?.requested_opt_out !== true) {
+      return { skipped: true, reason: 'no_opt_out_requested' };
+    }
+
+    const order = m.customer_phone ? null : await ctx.getOrder();
+    const phone = m.customer_phone || order?.phone || order?.shipping_address?.phone || order?.customer?.phone;
+    if (!phone) return { skipped: true, reason: 'no_phone' };
+
+    const dnc = readJson(dncPath, { phones: [] });
+    if (dnc.phones.includes(phone)) return { skipped: true, reason: 'already_on_dnc' };
+    if (ctx.dryRun) return { phone, simulated: true };
+    dnc.phones.push(phone);
+    writeJson(dncPath, dnc);
+    return { phone };
+  }
+});
+
+// Calls that never reached a person count against the caller ID's answer rate
+const UNANSWERED_DISCONNECTIONS = ['dial_no_answer', 'dial_busy', 'dial_failed', 'voicemail_reached', 'machine_detected'];
+// Failures on our side or the carrier's say nothing about how the number is received
+const IGNORED_DISCONNECTIONS = ['invalid_destination', 'concurrency_limit_reached', 'no_valid_payment', 'registered_call_timeout'];
+
+registerWebhookStep({
+  name: 'phone_pool_outcome',
+  events: ['call_analyzed'],
+  async run(ctx) {
+    const { data } = ctx;
+    if (ctx.dryRun) return { skipped: true, reason: 'dry_run' };
+    if (data?.direction !== 'outbound' || !data?.from_number) return { skipped: true, reason: 'not_outbound' };
+    const reason = data.disconnection_reason || '';
+    if (reason.startsWith('error') || IGNORED_DISCONNECTIONS.includes(reason)) {
+      return { skipped: true, reason: `not_counted:${reason}` };
+    }
+
+    const answered = !ctx.isVoicemail && !UNANSWERED_DISCONNECTIONS.includes(reason);
+    const rate = recordNumberOutcome(data.from_number, { callId: ctx.callId, answered });
+    if (!rate) return { skipped: true, reason: 'already_recorded' };
+    return { from_number: data.from_number, answered, ...rate };
+  }
+});
+
+// Dead-lettered pipeline steps are replayed against the saved webhook call data
+registerDeadLetterHandler('webhook_pipeline', async (entry) => {
+  const { type, data, event } = entry.inputs;
+  const { ok, steps } = await runWebhookPipeline(type, data, { event, ...buildCallContext(data) }, { only: entry.steps, replay: true });
+  if (!steps.length) return { ok: false, error: 'no matching pipeline steps to replay' };
+  const failedStep = steps.find(st => st.status === 'failed');
+  return { ok, error: failedStep?.error || null, status: failedStep?.error_status || null, steps };
+});
+
 // Retell webhook receiver (call_started / call_ended / call_analyzed)
 app.post("/webhooks/retell", express.raw({ type: "application/json" }), (req, res) => {
   try {
@@ -565,7 +1040,17 @@ app.post("/webhooks/retell", express.raw({ type: "application/json" }), (req, re
       console.log("Retell Webhook: Empty body received (possible health check)");
       return res.status(200).send("ok");
     }
-    
+
+    // Verify the Retell signature (HMAC of the raw body keyed by the API key) before trusting anything
+    if (process.env.RETELL_WEBHOOK_SKIP_VERIFY !== 'true') {
+      const signature = req.headers['x-retell-signature'];
+      const rawBody = Buffer.isBuffer(req.body) ? req.body.toString() : (typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+      if (!signature || !Retell.verify(rawBody, process.env.RETELL_API_KEY, String(signature))) {
+        console.warn("🚫 Retell Webhook: invalid or missing x-retell-signature - rejecting");
+        return res.status(401).send("invalid-signature");
+      }
+    }
+
     // Parse the raw body
     let event;
     if (Buffer.isBuffer(req.body)) {
@@ -608,240 +1093,33 @@ app.post("/webhooks/retell", express.raw({ type: "application/json" }), (req, re
       console.log("Retell Webhook: Unknown format -", JSON.stringify(event).substring(0, 200));
       return res.status(200).send("ok");
     }
-    
-    try { appendJsonl(callsLogPath, { received_at: new Date().toISOString(), type, data }); } catch (_) {}
-    // Best-effort Shopify side-effects
-    (async () => {
-      try {
-        const m = data?.metadata || {};
-        const analysis = data?.analysis || data?.call_analysis || {};
-        const structured = analysis?.structured || analysis?.custom_analysis_data || {};
-        const transcript = data?.transcript || "";
-        const orderNumber = m.order_number || structured.order_number;
-        
-        // Always log webhook processing for debugging
-        console.log(`🔍 Processing webhook - type: ${type}, agent: ${data?.agent_id}, call_status: ${data?.call_status}`);
-        
-        // Check for voicemail detection - trigger on any call end event
-        const inVoicemail = analysis?.in_voicemail || structured?.in_voicemail;
-        const contactOutcome = structured?.contact_outcome;
-        const callStatus = data?.call_status;
-        const disconnectionReason = data?.disconnection_reason;
-        
-        console.log(`🔍 Voicemail check - type: ${type}, inVoicemail: ${inVoicemail}, contactOutcome: ${contactOutcome}, callStatus: ${callStatus}, disconnection: ${disconnectionReason}`);
-        
-        // Detect voicemail scenarios - be more aggressive about detection
-        const isVoicemail = inVoicemail === true || 
-                          contactOutcome === 'voicemail_left' ||
-                          disconnectionReason === 'voicemail_reached' ||
-                          transcript?.toLowerCase().includes('voicemail') ||
-                          transcript?.toLowerCase().includes('leave a message') ||
-                          transcript?.toLowerCase().includes('at the tone') ||
-                          transcript?.toLowerCase().includes('record your message');
-        
-        console.log(`🔍 Voicemail detected: ${isVoicemail} (transcript check: ${transcript?.toLowerCase().includes('voicemail')})`);
-        
-        if (isVoicemail && type === "call_analyzed") {
-          // Check if this call was already processed manually
-          const callId = data?.call_id;
-          global.processedVoicemails = global.processedVoicemails || new Set();
-          
-          if (global.processedVoicemails.has(callId)) {
-            console.log(`🚫 Voicemail for call ${callId} already processed manually - skipping webhook processing`);
-            return;
-          }
-          
-          console.log('📧 Voicemail detected - creating Shopify Draft Order FIRST, then sending Klaviyo event for SMS follow-up');
-          
-          // Extract customer info from call data
-          let customerPhone = null;
-          let customerName = null;
-          let customerEmail = null;
-          
-          // Get customer contact info based on call direction
-          if (data?.direction === 'outbound') {
-            customerPhone = data?.to_number;  // Customer is the recipient
-          } else if (data?.direction === 'inbound') {
-            customerPhone = data?.from_number;  // Customer is the caller
-          }
-          
-          // Try to get customer info from metadata or dynamic variables
-          customerName = m.customer_name || 
-                        data?.retell_llm_dynamic_variables?.customer_name || 
-                        "Valued Customer";
-          
-          customerEmail = m.customer_email || 
-                         data?.retell_llm_dynamic_variables?.customer_email;
-          
-          // If no email provided, create a placeholder with a valid domain
-          if (!customerEmail) {
-            const phoneDigits = customerPhone?.replace(/[^\d]/g, '') || 'unknown';
-            const nameSlug = customerName?.toLowerCase().replace(/[^a-z]/g, '') || 'customer';
-            customerEmail = `${nameSlug}.${phoneDigits}@example.com`;
-          }
-          
-          console.log(`📧 Processing voicemail for: ${customerName} (${customerPhone})`);
-          
-          // STEP 1: Create Shopify Draft Order FIRST
-          let draftOrderResult = null;
-          let realCustomerEmail = customerEmail; // Start with placeholder, will update if we find real customer
-          
-          try {
-            console.log('🛒 Creating Shopify Draft Order for voicemail customer...');
-            
-            // Use the EXACT SAME VARIANTS as the working manual voicemail endpoint
-            draftOrderResult = await createWinBackDraftOrder({
-              customerEmail,
-              customerPhone: customerPhone ? normalizeToE164(customerPhone) : null,
-              customerName,
-              productVariants: [
-                "gid://shopify/ProductVariant/37661352100037", // Japanese A5 Wagyu Ribeye
-                "gid://shopify/ProductVariant/40158682316997", // Japanese A5 Wagyu Filet Mignon
-                "gid://shopify/ProductVariant/45106426609880", // Australian Wagyu Ribeye 16oz
-                "gid://shopify/ProductVariant/39900512813253"  // Australian Wagyu Filet Mignon
-              ],
-              discountValue: 20,
-              targetAmount: 422
-            });
-            
-            // If draft order was created and has a real customer email, use that for Klaviyo
-            if (draftOrderResult?.success && draftOrderResult?.customerEmail) {
-              realCustomerEmail = draftOrderResult.customerEmail;
-              console.log(`📧 Using real customer email for Klaviyo: ${realCustomerEmail}`);
-            }
 
-            if (draftOrderResult.success) {
-              console.log(`✅ Draft Order created successfully: ${draftOrderResult.draftOrderId}`);
-              console.log(`💰 Order value: $${draftOrderResult.totalValue} (was $${draftOrderResult.originalValue || 422})`);
-            } else {
-              console.error('❌ Failed to create draft order:', draftOrderResult.error);
-            }
-          } catch (draftOrderError) {
-            console.error('❌ Error creating voicemail draft order:', draftOrderError.message);
-            console.error('❌ Draft order error details:', draftOrderError);
-          }
-          
-          // STEP 2: Send voicemail event to Klaviyo (with draft order details if available)
-          try {
-            console.log(`📧 Sending Klaviyo event to: ${realCustomerEmail} (${realCustomerEmail !== customerEmail ? 'real email' : 'placeholder'})`);
-            
-            await sendVoicemailLeftEvent({
-              customerEmail: realCustomerEmail,
-              customerPhone,
-              customerName,
-              callId: data?.call_id,
-              transcript,
-              checkoutUrl: draftOrderResult?.checkoutUrl,
-              totalValue: draftOrderResult?.totalValue,
-              originalValue: draftOrderResult?.originalValue || 422,
-              discountValue: 20,
-              metadata: {
-                source: m.source || 'winback_campaign',
-                customer_id: m.customer_id || m.winback_customer_id,
-                days_since_last_order: m.days_since_last_order,
-                total_spent: m.total_spent,
-                winback_customer_id: m.winback_customer_id,
-                draft_order_id: draftOrderResult?.draftOrderId
-              }
-            });
-            
-            console.log(`✅ Voicemail event sent to Klaviyo for ${customerPhone || customerEmail}`);
-          } catch (voicemailError) {
-            console.error('❌ Failed to send voicemail event to Klaviyo:', voicemailError.message);
-            console.error('❌ Voicemail error details:', voicemailError);
-          }
-        }
-        
-        // Check if discount should be sent
-        if (type === "call_analyzed" || type === "call_ended") {
-          const shouldSendDiscount = 
-            transcript.includes("sending that discount code") ||
-            transcript.includes("text you a") ||
-            transcript.includes("10% off") ||
-            (structured.send_discount_sms === true);
-          
-          if (shouldSendDiscount) {
-            // Determine correct customer phone based on call direction
-            let customerPhoneFromCall = null;
-            if (data?.direction === 'outbound') {
-              customerPhoneFromCall = data?.to_number;  // Customer is the recipient
-            } else if (data?.direction === 'inbound') {
-              customerPhoneFromCall = data?.from_number;  // Customer is the caller
-            }
-            
-            const customerPhone = m.customer_phone || structured.customer_phone || customerPhoneFromCall;
-            const customerName = m.customer_name || structured.customer_name || "Valued Customer";
-            const customerEmail = m.customer_email || structured.customer_email;
-            const agentId = data?.agent_id;
-            
-            if (customerPhone) {
-              console.log(`📱 Sending discount for agent ${agentId} to ${customerPhone}...`);
-              
-              try {
-                // Cap discount at 20% maximum
-                let discountValue = structured.discount_value || 20;
-                if (discountValue > 20) {
-                  console.log(`⚠️ Capping webhook discount at 20% (was ${discountValue}%)`);
-                  discountValue = 20;
-                }
-                
-                // Check which agent is sending the discount to fire the correct event
-                const isWinBackAgent = agentId === 'agent_9dfa2b728cd32e308633bfd9df'; // Grace win-back agent
-                const isAbandonedCheckoutAgent = agentId === 'agent_e2636fcbe1c89a7f6bd0731e11'; // Grace abandoned checkout agent
-                
-                if (isWinBackAgent && m.source === 'winback_campaign') {
-                  // Win-back agent should use the draft order flow, not discount flow
-                  console.log(`🎯 Win-back agent detected - using draft order flow instead of discount`);
-                  // Don't send discount here - let the agent use the send_winback_draft_order tool instead
-                  console.log(`ℹ️ Skipping automatic discount for win-back agent - should use draft order tool`);
-                } else {
-                  // Regular discount flow for other agents
-                  const discountResult = await createAndSendKlaviyoDiscount({
-                    customerEmail: customerEmail || customerPhone, // Use email if available, fallback to phone
-                    customerName,
-                    customerPhone,
-                    discountType: 'percentage',
-                    discountValue: discountValue,
-                    reason: structured.discount_reason || 'customer_service',
-                    orderNumber,
-                    abandonedCheckoutId: m.checkout_id || structured.checkout_id || null,
-                    preferredChannel: customerPhone ? 'sms' : 'email'
-                  });
-                  
-                  if (discountResult.success) {
-                    console.log(`✅ Discount sent: ${discountResult.discountCode || discountResult.discount?.code}`);
-                  }
-                }
-              } catch (err) {
-                console.error(`❌ Failed to send discount:`, err.message);
-              }
-            }
-          }
-        }
-        if (!orderNumber) return;
-        const order = await shopifyGetOrderByNumber(orderNumber);
-        if (!order?.id) return;
-        const addTags = [];
-        const notes = [];
-        const satisfiedScore = structured.satisfied_score ?? event?.data?.satisfied_score;
-        const hadIssue = structured.had_issue ?? event?.data?.had_issue;
-        const issueNotes = structured.issue_notes ?? event?.data?.issue_notes;
-        const preferredContact = structured.preferred_contact ?? event?.data?.preferred_contact;
-        if (typeof satisfiedScore === "number") notes.push(`Post-delivery satisfaction: ${satisfiedScore}/10`);
-        if (hadIssue) { addTags.push("post-delivery-issue"); notes.push(`Issue: ${issueNotes || "(details pending)"}`); }
-        if (preferredContact) notes.push(`Preferred contact: ${preferredContact}`);
-        if (notes.length || addTags.length) {
-          await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: notes.join(" | "), addTags });
-        }
-        if (structured.requested_opt_out === true || event?.data?.requested_opt_out === true) {
-          const phone = m.customer_phone || order?.phone || order?.shipping_address?.phone || order?.customer?.phone;
-          if (phone) {
-            const data = readJson(dncPath, { phones: [] });
-            if (!data.phones.includes(phone)) { data.phones.push(phone); writeJson(dncPath, data); }
-          }
-        }
-      } catch (_) { /* ignore webhook side-effect errors */ }
-    })();
+    // Dry-run deliveries carry the flag in metadata so the steps, and any dead-letter replay of them, stay simulated
+    if (isSimulated(req.query.dry_run === 'true')) {
+      data = { ...data, metadata: { ...(data?.metadata || {}), dry_run: true } };
+    }
+
+    // Retell retries deliveries - only the first delivery of call_id + event type runs side effects
+    const eventCallId = data?.call_id;
+    const claim = claimWebhookEvent(eventCallId, type);
+    if (claim.duplicate) {
+      console.log(`🔁 Retell Webhook: duplicate ${type} for ${eventCallId} (delivery ${claim.record.deliveries}) - skipping`);
+      return res.status(200).send("duplicate");
+    }
+
+    const callContext = buildCallContext(data);
+    try {
+      upsertCallRecord(type, data, { campaign: resolveCampaign(data), isVoicemail: callContext.isVoicemail });
+    } catch (error) {
+      console.error(`⚠️ Failed to update call record for ${eventCallId}:`, error.message);
+    }
+    // Post-call side effects run as named pipeline steps; each step's outcome is recorded per call
+    runWebhookPipeline(type, data, { event, ...callContext })
+      .then(({ ok, steps }) => {
+        const failed = steps.filter(st => st.status === 'failed').map(st => st.step);
+        completeWebhookEvent(eventCallId, type, { ok, error: failed.length ? `failed steps: ${failed.join(', ')}` : null });
+      })
+      .catch(error => console.error(`❌ Webhook pipeline error for ${eventCallId}:`, error.message));
     res.status(200).send("ok");
   } catch (e) {
     console.error("Webhook parse error:", e.message);
@@ -858,7 +1136,7 @@ app.post("/call", async (req, res) => {
   const { phone, name, orderNumber, agentId, fromNumber, metadata } = req.body || {};
   if (!phone) return res.status(400).json({ error: "phone required" });
   try {
-    const r = await placeConfirmationCall({ phone, customerName: name || "there", orderNumber, agentId, fromNumber, metadata });
+    const r = await placeConfirmationCall({ phone, customerName: name || "there", orderNumber, agentId, fromNumber, metadata, dryRun: dryRunFromRequest(req) });
     res.json(r);
   } catch (e) {
     res.status(500).json({ error: e?.response?.data || e.message });
@@ -871,11 +1149,17 @@ app.get("/candidates", async (req, res) => {
     const hours = Number(req.query?.hours || 48);
     const candidates = await fetchRecentDeliveredOrders({ hours });
     const dnc = new Set(readJson(dncPath, { phones: [] }).phones);
-    const filtered = candidates.filter(c => {
-      const hasOptOutTag = String(c.tags || "").toLowerCase().includes("no call") || String(c.tags || "").toLowerCase().includes("do not call");
-      return !dnc.has(c.phone) && !hasOptOutTag;
+    const notOptedOut = candidates.filter(c => !dnc.has(c.phone) && !hasOptOutTag(c.tags));
+    const filtered = notOptedOut
+      .filter(c => checkContactCaps(c.phone).allowed)
+      .map(c => ({ ...c, call_window: recipientCallWindow({ phone: c.phone, province: c.shipping_province, zip: c.shipping_zip }) }));
+    res.json({
+      total: candidates.length,
+      callable: filtered.length,
+      in_window_now: filtered.filter(c => c.call_window.in_window).length,
+      frequency_capped: notOptedOut.length - filtered.length,
+      candidates: filtered
     });
-    res.json({ total: candidates.length, callable: filtered.length, candidates: filtered });
   } catch (e) {
     res.status(500).json({ error: e?.response?.data || e.message });
   }
@@ -884,11 +1168,9 @@ app.get("/candidates", async (req, res) => {
 // --- Shopify data endpoints: shop, products, customers, orders ---
 app.get("/shopify/shop", async (_req, res) => {
   try {
-    const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/shop.json`;
-    const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } });
-    res.json(r.data);
+    res.json(await shopifyGet("shop.json"));
   } catch (e) {
-    res.status(500).json({ error: e?.response?.data || e.message });
+    res.status(500).json({ error: e?.details || e.message });
   }
 });
 
@@ -896,27 +1178,18 @@ app.get("/shopify/products", async (req, res) => {
   try {
     const limit = Math.min(Number(req.query?.limit || 50), 250);
     const page_info = req.query?.page_info;
-    const base = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/products.json`;
-    const headers = { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } };
-    if (page_info) {
-      const r = await axios.get(`${base}?limit=${limit}&page_info=${encodeURIComponent(page_info)}`, headers);
-      res.json({ products: r.data.products || [], link: r.headers?.link || null });
-    } else {
-      const r = await axios.get(base, { ...headers, params: { limit } });
-      res.json({ products: r.data.products || [], link: r.headers?.link || null });
-    }
+    const r = await shopifyGetPage("products.json", page_info ? { limit, page_info } : { limit });
+    res.json({ products: r.data?.products || [], link: r.link, next_page_info: r.nextPageInfo });
   } catch (e) {
-    res.status(500).json({ error: e?.response?.data || e.message });
+    res.status(500).json({ error: e?.details || e.message });
   }
 });
 
 app.get("/shopify/products/:id", async (req, res) => {
   try {
-    const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/products/${req.params.id}.json`;
-    const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } });
-    res.json(r.data);
+    res.json(await shopifyGet(`products/${req.params.id}.json`));
   } catch (e) {
-    res.status(500).json({ error: e?.response?.data || e.message });
+    res.status(500).json({ error: e?.details || e.message });
   }
 });
 
@@ -925,20 +1198,16 @@ app.get("/shopify/customers", async (req, res) => {
     const email = String(req.query?.email || "").trim();
     const id = String(req.query?.id || "").trim();
     if (id) {
-      const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/${id}.json`;
-      const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } });
-      return res.json(r.data);
+      return res.json(await shopifyGet(`customers/${id}.json`));
     }
     if (email) {
-      const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers/search.json`;
-      const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN }, params: { query: `email:${email}` } });
-      return res.json({ customers: r.data.customers || [] });
+      const r = await shopifyGet("customers/search.json", { query: `email:${email}` });
+      return res.json({ customers: r?.customers || [] });
     }
-    const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/customers.json`;
-    const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN }, params: { limit: 50 } });
-    res.json({ customers: r.data.customers || [] });
+    const r = await shopifyGet("customers.json", { limit: 50 });
+    res.json({ customers: r?.customers || [] });
   } catch (e) {
-    res.status(500).json({ error: e?.response?.data || e.message });
+    res.status(500).json({ error: e?.details || e.message });
   }
 });
 
@@ -953,74 +1222,80 @@ app.get("/shopify/orders", async (req, res) => {
       limit: Math.min(Number(req.query?.limit || 50), 250),
       fields: req.query?.fields
     };
-    const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/orders.json`;
-    const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN }, params });
-    res.json({ orders: r.data.orders || [] });
+    const r = await shopifyGet("orders.json", params);
+    res.json({ orders: r?.orders || [] });
   } catch (e) {
-    res.status(500).json({ error: e?.response?.data || e.message });
+    res.status(500).json({ error: e?.details || e.message });
   }
 });
 
 app.get("/shopify/orders/:id", async (req, res) => {
   try {
-    const url = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2024-10/orders/${req.params.id}.json`;
-    const r = await axios.get(url, { headers: { "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_TOKEN } });
-    res.json(r.data);
+    res.json(await shopifyGet(`orders/${req.params.id}.json`));
   } catch (e) {
-    res.status(500).json({ error: e?.response?.data || e.message });
+    res.status(500).json({ error: e?.details || e.message });
   }
 });
 
 // Lookup order by order number (Shopify "name" field). Provide order_number like 1234 or #1234.
 app.get("/shopify/order-by-number", async (req, res) => {
   try {
-    const order = await shopifyGetOrderByNumber(req.query?.order_number);
+    const order = await lookupOrderByNumber(req.query?.order_number);
     res.json({ orders: order ? [order] : [] });
   } catch (e) {
     res.status(500).json({ error: e?.response?.data || e.message });
   }
 });
 
+// Latest order for a phone number (phone index, customer search, order search); name search only without a phone
+app.get("/shopify/order-by-phone", async (req, res) => {
+  try {
+    const order = await lookupLatestOrderForPhone(req.query?.phone, { name: req.query?.name || null });
+    res.json({ orders: order ? [order] : [] });
+  } catch (e) {
+    res.status(500).json({ error: e?.details || e.message });
+  }
+});
+
 // Batch call with optional overrides
 app.post("/call/batch", async (req, res) => {
   try {
     const { hours = 48, fromNumber, max_followup_questions, resolution_preference, bypass_window } = req.body || {};
     const bypassWindow = req.query.bypass_window === 'true' || bypass_window === true;
-    if (!inCallWindow(new Date(), bypassWindow)) return res.status(403).json({ error: "Outside calling window" });
     const candidates = await fetchRecentDeliveredOrders({ hours });
-    const dnc = new Set(readJson(dncPath, { phones: [] }).phones);
-    const results = [];
-    for (const c of candidates) {
-      const hasOptOutTag = String(c.tags || "").toLowerCase().includes("no call") || String(c.tags || "").toLowerCase().includes("do not call");
-      if (dnc.has(c.phone) || hasOptOutTag) {
-        results.push({ ok: false, to: c.phone, order_number: c.order_number, skipped: true, reason: "opted_out" });
-        continue;
-      }
-      try {
-        const r = await placeConfirmationCall({
-          phone: c.phone,
-          customerName: c.name,
-          orderNumber: c.order_number,
-          fromNumber,
-          metadata: {
-            primary_item: c.primary_item,
-            items_summary: c.items_summary,
-            delivered_at: c.delivered_at,
-            max_followup_questions,
-            resolution_preference
-          }
-        });
-        results.push({ ok: true, call_id: r.call_id, to: c.phone, order_number: c.order_number });
-      } catch (err) {
-        results.push({ ok: false, to: c.phone, error: err?.response?.data || err.message });
-      }
-    }
-    res.json({ count: results.length, results });
+    const batch = enqueueConfirmationCalls(candidates, {
+      source: "call_batch",
+      bypassWindow,
+      dryRun: dryRunFromRequest(req),
+      fromNumber,
+      extraMetadata: { max_followup_questions, resolution_preference }
+    });
+    res.status(202).json(batch);
   } catch (e) {
     res.status(500).json({ error: e?.response?.data || e.message });
   }
 });
 
+// Queue status: recent batches, one batch with per-job attempts, overall depth
+app.get("/call/batches", (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query?.limit || 25), 200);
+    res.json({ batches: listBatches({ limit }), queue: getQueueStats() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/call/batch/:batchId", (req, res) => {
+  try {
+    const batch = getBatchStatus(req.params.batchId);
+    if (!batch) return res.status(404).json({ error: "batch_not_found" });
+    res.json(batch);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Win-back call endpoint
 app.post("/call/win-back", async (req, res) => {
   try {
@@ -1031,8 +1306,18 @@ app.post("/call/win-back", async (req, res) => {
     }
     
     const bypassWindow = req.query.bypass_window === 'true' || bypass_window === true;
-    if (!inCallWindow(new Date(), bypassWindow)) {
-      return res.status(403).json({ error: "Outside calling window" });
+    const dryRun = dryRunFromRequest(req);
+    const callWindow = recipientCallWindow({ phone });
+    if (!inCallWindow(new Date(), bypassWindow, callWindow.timezone)) {
+      const queued = enqueueCall({
+        source: 'win_back',
+        type: 'win_back',
+        payload: { phone, customerName: customerName || 'Valued Customer', fromNumber, ...(dryRun && { dryRun: true }) },
+        label: { to: phone },
+        options: { timezone: callWindow.timezone },
+        scheduledFor: callWindow.next_eligible_at
+      });
+      return res.status(202).json({ success: true, deferred: true, call_window: callWindow, ...queued, status_url: `/call/batch/${queued.batch_id}` });
     }
     
     console.log(`🎯 Initiating win-back call to ${customerName || 'customer'} at ${phone}`);
@@ -1040,13 +1325,19 @@ app.post("/call/win-back", async (req, res) => {
     const result = await placeWinBackCall({
       phone,
       customerName: customerName || 'Valued Customer',
-      fromNumber
+      fromNumber,
+      dryRun
     });
     
+    if (result.skipped) {
+      return res.status(409).json({ success: false, skipped: true, reason: result.reason, detail: result.detail, next_allowed_at: result.next_allowed_at });
+    }
+    
     res.json({
       success: true,
       call_id: result.call_id,
       call_status: result.call_status,
+      ...(result.simulated && { simulated: true }),
       message: `Win-back call initiated successfully`
     });
     
@@ -1090,7 +1381,7 @@ app.post("/tools/send-discount", async (req, res) => {
       customer_email,
       order_number,
       discount_type = 'percentage',
-      discount_value = 20,
+      discount_value = null, // What the agent offered; the discount policy may lower it
       reason = 'customer_service'
     } = params;
     
@@ -1194,27 +1485,27 @@ app.post("/tools/send-discount", async (req, res) => {
     // Normalize phone number to E.164 format with US default if needed
     const normalizedPhone = finalCustomerPhone ? normalizeToE164(finalCustomerPhone) : null;
 
-    // Check eligibility first
-    const eligibility = await checkDiscountEligibility(
-      trimmedEmail,
-      params.total_value || 100
-    );
+    // Check eligibility first; the policy decides the percentage for this campaign
+    const campaign = getCampaign(resolveCampaign(callData)).discount_policy;
+    const eligibility = await checkDiscountEligibility({
+      customerEmail: trimmedEmail,
+      customerPhone: normalizedPhone,
+      campaign,
+      cartValue: params.total_value ?? callData?.metadata?.total_price ?? null,
+      requestedPercent: discount_value
+    });
 
     if (!eligibility.eligible) {
       return res.json({
         success: false,
         reason: eligibility.reason,
+        policy: eligibility.reasons,
         message: "Customer not eligible for discount at this time",
         speak: "I checked and you've already used a discount recently. I'll note your request and have our team look into other options for you."
       });
     }
 
-    // Use suggested discount value if higher, but cap at 20%
-    let finalDiscountValue = eligibility.discount_value || discount_value;
-    if (finalDiscountValue > 20) {
-      console.log(`⚠️ Capping discount at 20% (was ${finalDiscountValue}%)`);
-      finalDiscountValue = 20;
-    }
+    const finalDiscountValue = eligibility.discount_value;
 
     // Determine preferred channel - PRIORITIZE SMS
     const preferredChannel = normalizedPhone ? 'sms' : 'email';
@@ -1229,31 +1520,68 @@ app.post("/tools/send-discount", async (req, res) => {
       type: discount_type
     });
     
+    // One discount per call - repeat tool invocations (or the webhook) reuse the code already sent
+    const discountCallId = callData?.call_id;
+    if (!claimSideEffect(discountCallId, 'discount', { source: 'tool' })) {
+      const existing = getSideEffect(discountCallId, 'discount')?.result;
+      const existingCode = existing?.discount_code;
+      console.log(`🚫 Discount for call ${discountCallId} already sent (${existingCode || 'in progress'}) - not creating another`);
+      return res.json({
+        success: true,
+        duplicate: true,
+        discount_code: existingCode || null,
+        expires_in: existing?.expires_in || null,
+        speak: existingCode
+          ? `You're all set - your code is ${existingCode.split('').join(' ')} and it's on its way${existing.expires_in ? ` - it's good for ${existing.expires_in}` : ''}.`
+          : "You're all set - your discount code is already on its way."
+      });
+    }
+
     // Create the discount and emit only a Klaviyo event (flows send delivery)
-    const result = await createAndSendKlaviyoDiscount({
-      customerEmail: trimmedEmail,
-      customerName: finalCustomerName,
-      customerPhone: normalizedPhone,
-      discountType: discount_type,
-      discountValue: finalDiscountValue,
-      reason: reason,
-      orderNumber: finalOrderNumber,
-      abandonedCheckoutId: req.body.abandoned_checkout_id || req.body.checkout_id || callData?.retell_llm_dynamic_variables?.checkout_id || callData?.metadata?.checkout_id || null,
-      preferredChannel: 'event'
-    });
+    let result;
+    try {
+      result = await createAndSendKlaviyoDiscount({
+        customerEmail: trimmedEmail,
+        customerName: finalCustomerName,
+        customerPhone: normalizedPhone,
+        discountType: discount_type,
+        discountValue: finalDiscountValue,
+        reason: reason,
+        orderNumber: finalOrderNumber,
+        abandonedCheckoutId: req.body.abandoned_checkout_id || req.body.checkout_id || callData?.retell_llm_dynamic_variables?.checkout_id || callData?.metadata?.checkout_id || null,
+        preferredChannel: 'event',
+        campaign,
+        callId: discountCallId || null,
+        agentId: callData?.agent_id || null,
+        dryRun: dryRunFromRequest(req)
+      });
+    } catch (discountError) {
+      releaseSideEffect(discountCallId, 'discount');
+      throw discountError;
+    }
 
     if (result.success) {
+      const expiresIn = result.expiresIn || result.discount?.expiresIn || getDiscountExpiry(campaign).expires_in;
+      // A dry run sends nothing, so the call can still get its real discount
+      if (result.simulated) releaseSideEffect(discountCallId, 'discount');
+      else completeSideEffect(discountCallId, 'discount', { discount_code: result.discountCode || result.discount?.code, expires_in: expiresIn });
       // Unified response; delivery handled by Klaviyo flow
       const channelMessage = `Perfect! I’ve published your ${finalDiscountValue}% off code and you’ll receive it shortly.`;
       
       res.json({
         success: true,
         discount_code: result.discountCode || result.discount?.code,
+        discount_value: finalDiscountValue,
+        expires_at: result.expiresAt || result.discount?.expiresAt || null,
+        expires_in: expiresIn,
+        policy: eligibility.reasons,
         message: result.summary,
         channel_used: (normalizedPhone ? 'sms' : 'email'),
-        speak: `${channelMessage} The code is ${(result.discountCode || result.discount?.code || '').split('').join(' ')} and it's good for 30 days.`
+        ...(result.simulated && { simulated: true }),
+        speak: `${channelMessage} The code is ${(result.discountCode || result.discount?.code || '').split('').join(' ')} and it's good for ${expiresIn}.`
       });
     } else {
+      releaseSideEffect(discountCallId, 'discount');
       res.json({
         success: false,
         error: result.error,
@@ -1273,12 +1601,16 @@ app.post("/tools/send-discount", async (req, res) => {
 
 app.post("/tools/check-discount-eligibility", async (req, res) => {
   try {
-    const { customer_phone, customer_email, order_number } = req.body;
-    
-    const eligibility = await checkAbandonedCheckoutDiscountEligibility(
-      customer_email,
-      100 // Default value for checking
-    );
+    const params = req.body?.args || req.body || {};
+    const callData = req.body?.call || {};
+    const { customer_phone, customer_email, cart_value, campaign } = params;
+
+    const eligibility = await checkDiscountEligibility({
+      customerEmail: customer_email || null,
+      customerPhone: customer_phone || callData?.metadata?.customer_phone || null,
+      campaign: campaign || getCampaign(resolveCampaign(callData)).discount_policy,
+      cartValue: cart_value ?? null
+    });
 
     res.json(eligibility);
   } catch (error) {
@@ -1401,7 +1733,9 @@ app.post("/tools/send-checkout-link", async (req, res) => {
         customerName: customer_name,
         checkoutUrl: finalCheckoutUrl,
         discountPercentage: discount_percentage,
-        channel: channel
+        channel: channel,
+        callId: callData?.call_id || null,
+        dryRun: dryRunFromRequest(req)
       });
 
       if (result.success) {
@@ -1501,6 +1835,22 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
       });
     }
 
+    // One draft order per call - the webhook or an earlier tool invocation may already have handled it
+    const followupCallId = callData?.call_id;
+    if (!claimSideEffect(followupCallId, 'voicemail_followup', { source: 'tool' })) {
+      const existing = getSideEffect(followupCallId, 'voicemail_followup');
+      console.log(`🚫 Voicemail follow-up for call ${followupCallId} already processed - not creating another draft order`);
+      return res.json({
+        success: true,
+        event_sent: false,
+        duplicate: true,
+        draft_order_id: existing?.result?.draft_order_id || null,
+        message: "Voicemail follow-up already sent for this call",
+        speak: "Perfect! I've noted that I left you a voicemail and you'll receive a follow-up text shortly."
+      });
+    }
+
+    const voicemailDiscount = voicemailDiscountPercent();
     console.log('📧 Creating voicemail draft order for:', {
       phone: finalCustomerPhone,
       name: finalCustomerName,
@@ -1522,7 +1872,8 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
         customer = await findOrCreateCustomer({
           email: finalCustomerEmail,
           phone: finalCustomerPhone,
-          name: finalCustomerName
+          name: finalCustomerName,
+          dryRun: dryRunFromRequest(req)
         });
         
         if (customer) {
@@ -1540,9 +1891,6 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
       }
       
       // Create draft order with EXACT variants - bypass all the smart logic
-      const shopifyGraphqlEndpoint = `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`;
-      const shopifyAccessToken = process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN;
-      
       const draftOrderMutation = `
         mutation draftOrderCreate($input: DraftOrderInput!) {
           draftOrderCreate(input: $input) {
@@ -1581,12 +1929,12 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
             { variantId: "gid://shopify/ProductVariant/39900512813253", quantity: 1 }  // Australian Wagyu Filet Mignon
           ],
           appliedDiscount: {
-            value: 20,
+            value: voicemailDiscount,
             valueType: "PERCENTAGE",
             title: "WIN-BACK SPECIAL",
-            description: "20% off welcome back offer"
+            description: `${voicemailDiscount}% off welcome back offer`
           },
-          note: `Voicemail follow-up order for ${finalCustomerName} - 20% discount applied`,
+          note: `Voicemail follow-up order for ${finalCustomerName} - ${voicemailDiscount}% discount applied`,
           tags: ["voicemail-followup", "grace-ai", "retell-generated"],
           sourceName: "Grace AI Voicemail Follow-up",
           visibleToCustomer: true,
@@ -1599,29 +1947,13 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
         }
       };
 
-      const response = await fetch(shopifyGraphqlEndpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': shopifyAccessToken
-        },
-        body: JSON.stringify({
-          query: draftOrderMutation,
-          variables: variables
-        })
-      });
+      const data = isSimulated(dryRunFromRequest(req))
+        ? { draftOrderCreate: { draftOrder: simulatedDraftOrder(draftOrderMutation, variables, { customer, discountValue: voicemailDiscount, orderContext: { targetAmount: 422.29 } }), userErrors: [] } }
+        : await shopifyGraphQL(draftOrderMutation, variables);
 
-      const data = await response.json();
-      
       console.log('📊 Shopify API Response:', JSON.stringify(data, null, 2));
-      
-      if (data.errors || data.data?.draftOrderCreate?.userErrors?.length > 0) {
-        const errorMsg = data.errors?.[0]?.message || data.data?.draftOrderCreate?.userErrors?.[0]?.message || 'Failed to create draft order';
-        console.error('❌ Shopify API Error:', errorMsg);
-        throw new Error(errorMsg);
-      }
 
-      const draftOrder = data.data.draftOrderCreate.draftOrder;
+      const draftOrder = assertNoUserErrors(data.draftOrderCreate, 'draftOrderCreate').draftOrder;
       
       if (!draftOrder) {
         console.error('❌ No draft order returned from Shopify');
@@ -1641,11 +1973,13 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
         checkoutUrl: draftOrder.invoiceUrl,
         totalValue: parseFloat(draftOrder.totalPriceSet.shopMoney.amount),
         originalValue: 422.29,
-        discountValue: 20
+        discountValue: voicemailDiscount
       };
+      if (!isSimulated(dryRunFromRequest(req))) safeLinkCallDraftOrder(followupCallId, draftOrder.id);
       
     } catch (draftOrderError) {
       console.error('❌ Draft order creation failed:', draftOrderError.message);
+      releaseSideEffect(followupCallId, 'voicemail_followup');
       return res.status(500).json({
         success: false,
         error: "Failed to create draft order", 
@@ -1677,7 +2011,7 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
       checkoutUrl: draftOrderResult.checkoutUrl,
       totalValue: draftOrderResult.totalValue,
       originalValue: draftOrderResult.originalValue,
-      discountValue: 20,
+      discountValue: voicemailDiscount,
       metadata: {
         source: callData?.metadata?.source || 'winback_campaign',
         customer_id: callData?.metadata?.customer_id || callData?.metadata?.winback_customer_id,
@@ -1685,24 +2019,19 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
         total_spent: callData?.metadata?.total_spent,
         winback_customer_id: callData?.metadata?.winback_customer_id,
         draft_order_id: draftOrderResult.draftOrderId
-      }
+      },
+      dryRun: dryRunFromRequest(req)
     });
 
     if (voicemailResult.success) {
       console.log(`✅ Voicemail follow-up event sent to Klaviyo for ${finalCustomerPhone || finalCustomerEmail}`);
-      
-      // Mark this call as having manual voicemail follow-up to prevent webhook duplicate
-      try {
-        const callId = callData?.call_id;
-        if (callId) {
-          global.processedVoicemails = global.processedVoicemails || new Set();
-          global.processedVoicemails.add(callId);
-          console.log(`🏷️ Marked call ${callId} as manually processed to prevent webhook duplicate`);
-        }
-      } catch (flagError) {
-        console.error('❌ Error setting voicemail flag:', flagError.message);
-      }
-      
+
+      // Persisted so the call_analyzed webhook (even after a restart) won't create a duplicate
+      completeSideEffect(followupCallId, 'voicemail_followup', {
+        draft_order_id: draftOrderResult.draftOrderId,
+        checkout_url: draftOrderResult.checkoutUrl
+      });
+
       res.json({
         success: true,
         event_sent: true,
@@ -1712,7 +2041,13 @@ app.post("/tools/send-voicemail-followup", async (req, res) => {
       });
     } else {
       console.error('❌ Failed to send voicemail follow-up event:', voicemailResult.error);
-      
+      // The draft order exists, so keep the claim - a retry would only create a second one
+      completeSideEffect(followupCallId, 'voicemail_followup', {
+        draft_order_id: draftOrderResult.draftOrderId,
+        checkout_url: draftOrderResult.checkoutUrl,
+        klaviyo_error: voicemailResult.error
+      });
+
       res.json({
         success: false,
         error: voicemailResult.error,
@@ -1759,11 +2094,13 @@ app.post("/tools/send-winback-draft-order", async (req, res) => {
       customer_name,
       customer_email,
       product_variants = [], // Array of variant IDs to include
-      discount_value = 20,
+      discount_value = null, // What the agent offered; capped by the win-back policy
       target_amount = 400, // Target order amount before discount
       custom_message = "We miss you! Here's a special 20% off order just for you."
     } = params;
 
+    const winBackDiscount = evaluateDiscountPolicy({ campaign: 'win_back', requestedPercent: discount_value }).discount_value;
+
     // Determine phone number from various sources
     const finalCustomerPhone = customer_phone || 
                                customerPhoneFromCall || 
@@ -1795,7 +2132,7 @@ app.post("/tools/send-winback-draft-order", async (req, res) => {
       name: finalCustomerName,
       email: trimmedEmail,
       variants: product_variants,
-      discount: discount_value
+      discount: winBackDiscount
     });
 
     // Create draft order with Shopify
@@ -1804,8 +2141,9 @@ app.post("/tools/send-winback-draft-order", async (req, res) => {
       customerPhone: normalizedPhone,
       customerName: finalCustomerName,
       productVariants: product_variants,
-      discountValue: discount_value,
-      targetAmount: target_amount
+      discountValue: winBackDiscount,
+      targetAmount: target_amount,
+      dryRun: dryRunFromRequest(req)
     });
 
     if (!draftOrderResult.success) {
@@ -1815,6 +2153,7 @@ app.post("/tools/send-winback-draft-order", async (req, res) => {
         speak: "I'm having trouble creating that draft order right now. Let me have someone from our team follow up with you directly."
       });
     }
+    if (!draftOrderResult.simulated) safeLinkCallDraftOrder(callData?.call_id, draftOrderResult.draftOrderId);
 
     // Send Klaviyo event to trigger SMS flow
     const klaviyoResult = await sendWinBackDraftOrderEvent({
@@ -1823,8 +2162,10 @@ app.post("/tools/send-winback-draft-order", async (req, res) => {
       customerName: finalCustomerName,
       draftOrderId: draftOrderResult.draftOrderId,
       checkoutUrl: draftOrderResult.checkoutUrl,
-      discountValue: discount_value,
-      totalValue: draftOrderResult.totalValue
+      discountValue: winBackDiscount,
+      totalValue: draftOrderResult.totalValue,
+      callId: callData?.call_id || null,
+      dryRun: dryRunFromRequest(req)
     });
 
     if (klaviyoResult.success) {
@@ -1840,12 +2181,12 @@ app.post("/tools/send-winback-draft-order", async (req, res) => {
         const hasNewItems = draftOrderResult.orderContext.reasoning?.some(r => r.includes('similar items'));
         
         if (hasNewItems) {
-          speakMessage = `Perfect! I looked at your order history and saw you love ${favoriteItems}, so I've put those in your cart along with a couple similar items I think you'll really enjoy. It's ${discount_value}% off and I'm sending the checkout link to your phone now.`;
+          speakMessage = `Perfect! I looked at your order history and saw you love ${favoriteItems}, so I've put those in your cart along with a couple similar items I think you'll really enjoy. It's ${winBackDiscount}% off and I'm sending the checkout link to your phone now.`;
         } else {
-          speakMessage = `Perfect! I looked at your order history and saw you love ${favoriteItems}, so I've created a special ${discount_value}% off order with those favorites. I'm sending the checkout link to your phone now.`;
+          speakMessage = `Perfect! I looked at your order history and saw you love ${favoriteItems}, so I've created a special ${winBackDiscount}% off order with those favorites. I'm sending the checkout link to your phone now.`;
         }
       } else {
-        speakMessage = `Perfect! I've created a special ${discount_value}% off order with some of our premium bestsellers that I think you'll love. I'm sending the checkout link to your phone now - the discount is already applied!`;
+        speakMessage = `Perfect! I've created a special ${winBackDiscount}% off order with some of our premium bestsellers that I think you'll love. I'm sending the checkout link to your phone now - the discount is already applied!`;
       }
       
       res.json({
@@ -1909,10 +2250,12 @@ app.post("/tools/create-win-back-draft-order", async (req, res) => {
       customer_email,
       product_variants = [], // Array of variant IDs to include
       product_skus = [], // Array of SKUs to include (Grace's specific bundle)
-      discount_value = 20,
+      discount_value = null, // What the agent offered; capped by the win-back policy
       target_amount = 400 // Target order amount before discount
     } = params;
 
+    const winBackDiscount = evaluateDiscountPolicy({ campaign: 'win_back', requestedPercent: discount_value }).discount_value;
+
     // Determine phone number from various sources
     const finalCustomerPhone = customer_phone || 
                                customerPhoneFromCall || 
@@ -1945,7 +2288,7 @@ app.post("/tools/create-win-back-draft-order", async (req, res) => {
       email: trimmedEmail,
       variants: product_variants,
       skus: product_skus,
-      discount: discount_value
+      discount: winBackDiscount
     });
 
     // Create draft order with Shopify using SKUs
@@ -1955,8 +2298,9 @@ app.post("/tools/create-win-back-draft-order", async (req, res) => {
       customerName: finalCustomerName,
       productVariants: product_variants,
       productSKUs: product_skus, // Pass SKUs to the function
-      discountValue: discount_value,
-      targetAmount: target_amount
+      discountValue: winBackDiscount,
+      targetAmount: target_amount,
+      dryRun: dryRunFromRequest(req)
     });
 
     if (!draftOrderResult.success) {
@@ -1966,6 +2310,7 @@ app.post("/tools/create-win-back-draft-order", async (req, res) => {
         speak: "I'm having trouble creating that order right now. Let me try something else for you."
       });
     }
+    if (!draftOrderResult.simulated) safeLinkCallDraftOrder(callData?.call_id, draftOrderResult.draftOrderId);
 
     // Send Klaviyo event to trigger SMS flow
     const { sendWinBackDraftOrderEvent } = await import('./klaviyo-events-integration.js');
@@ -1976,8 +2321,10 @@ app.post("/tools/create-win-back-draft-order", async (req, res) => {
       customerName: finalCustomerName,
       draftOrderId: draftOrderResult.draftOrderId,
       checkoutUrl: draftOrderResult.checkoutUrl,
-      discountValue: discount_value,
-      totalValue: draftOrderResult.totalValue
+      discountValue: winBackDiscount,
+      totalValue: draftOrderResult.totalValue,
+      callId: callData?.call_id || null,
+      dryRun: dryRunFromRequest(req)
     });
 
     // Success response with checkout URL
@@ -1994,9 +2341,9 @@ app.post("/tools/create-win-back-draft-order", async (req, res) => {
       draft_order_id: draftOrderResult.draftOrderId,
       checkout_url: checkoutUrl,
       total_value: totalValue,
-      discount_applied: discount_value,
+      discount_applied: winBackDiscount,
       klaviyo_event_sent: klaviyoResult.success,
-      speak: `Perfect! I've created your order with ${discount_value}% off. The total comes to $${totalValue.toFixed(2)}. I'll text you the checkout link right now.`
+      speak: `Perfect! I've created your order with ${winBackDiscount}% off. The total comes to $${totalValue.toFixed(2)}. I'll text you the checkout link right now.`
     });
 
   } catch (error) {
@@ -2324,6 +2671,15 @@ function formatProductForSpeech(quantity, title) {
 }
 
 // --- Flow function endpoints for Conversation Flow nodes ---
+// Order lookups are cached per Retell call; a customer_name arg enables the name fallback
+function flowLookupOptions(req) {
+  const args = req.body?.args || req.body || {};
+  return {
+    callId: req.body?.call?.call_id || null,
+    name: args.customer_name || req.query?.customer_name || null
+  };
+}
+
 // Support both GET and POST for Retell custom tools
 async function handleOrderContext(req, res) {
   try {
@@ -2389,14 +2745,14 @@ async function handleOrderContext(req, res) {
     
     // First try order number if provided
     if (orderNumber) {
-      order = await shopifyGetOrderByNumber(orderNumber);
+      order = await lookupOrderByNumber(orderNumber, flowLookupOptions(req));
       if (order) lookupMethod = 'order_number';
     }
     
     // If no order found and we have a phone, try phone lookup
     if (!order && phone) {
       console.log(`No order found by number, trying phone lookup: ${phone}`);
-      order = await findLatestOrderForPhone(phone);
+      order = await lookupLatestOrderForPhone(phone, flowLookupOptions(req));
       if (order) lookupMethod = 'phone';
     }
     
@@ -2465,7 +2821,7 @@ app.post("/flow/capture-feedback", async (req, res) => {
     
     // First try order number if provided
     if (order_number) {
-      order = await shopifyGetOrderByNumber(order_number);
+      order = await lookupOrderByNumber(order_number, flowLookupOptions(req));
       if (order) lookupMethod = 'order_number';
     }
     
@@ -2473,7 +2829,7 @@ app.post("/flow/capture-feedback", async (req, res) => {
     if (!order && (phone || customer_phone)) {
       const phoneNumber = phone || customer_phone;
       console.log(`No order found by number, trying phone lookup: ${phoneNumber}`);
-      order = await findLatestOrderForPhone(phoneNumber);
+      order = await lookupLatestOrderForPhone(phoneNumber, flowLookupOptions(req));
       if (order) lookupMethod = 'phone';
     }
     
@@ -2492,7 +2848,7 @@ app.post("/flow/capture-feedback", async (req, res) => {
     if (typeof satisfied_score === "number") notes.push(`Post-delivery satisfaction: ${satisfied_score}/10`);
     if (had_issue) { addTags.push("post-delivery-issue"); notes.push(`Issue: ${issue_notes || "(details pending)"}`); }
     if (preferred_contact) notes.push(`Preferred contact: ${preferred_contact}`);
-    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: notes.join(" | "), addTags });
+    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: notes.join(" | "), addTags, dryRun: dryRunFromRequest(req) });
     if (requested_opt_out === true) {
       const phone = order?.phone || order?.shipping_address?.phone || order?.customer?.phone;
       if (phone) {
@@ -2528,7 +2884,7 @@ app.post("/flow/request-replacement", async (req, res) => {
     // First try order number if provided
     if (order_number) {
       console.log('   Trying order number lookup:', order_number);
-      order = await shopifyGetOrderByNumber(order_number);
+      order = await lookupOrderByNumber(order_number, flowLookupOptions(req));
       if (order) {
         lookupMethod = 'order_number';
         console.log('   ✅ Order found via order number');
@@ -2541,7 +2897,7 @@ app.post("/flow/request-replacement", async (req, res) => {
     if (!order && (phone || customer_phone)) {
       const phoneNumber = phone || customer_phone;
       console.log(`   No order found by number, trying phone lookup: ${phoneNumber}`);
-      order = await findLatestOrderForPhone(phoneNumber);
+      order = await lookupLatestOrderForPhone(phoneNumber, flowLookupOptions(req));
       if (order) {
         lookupMethod = 'phone';
         console.log('   ✅ Order found via phone lookup:', order.order_number);
@@ -2592,7 +2948,7 @@ app.post("/flow/request-replacement", async (req, res) => {
     // Also update Shopify with tags and notes
     const tag = "replacement-requested";
     const note = `Replacement requested: ${quantity}x ${item_title || "(unspecified)"}${reason ? ` | Reason: ${reason}` : ""} | Ticket filed with support team`;
-    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: note, addTags: [tag] });
+    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: note, addTags: [tag], dryRun: dryRunFromRequest(req) });
     
     res.json({ 
       ok: true,
@@ -2629,7 +2985,7 @@ app.post("/flow/update-customer-email", async (req, res) => {
     
     // First try order number if provided
     if (order_number) {
-      order = await shopifyGetOrderByNumber(order_number);
+      order = await lookupOrderByNumber(order_number, flowLookupOptions(req));
       if (order) lookupMethod = 'order_number';
     }
     
@@ -2637,7 +2993,7 @@ app.post("/flow/update-customer-email", async (req, res) => {
     if (!order && (phone || customer_phone)) {
       const phoneNumber = phone || customer_phone;
       console.log(`No order found by number, trying phone lookup: ${phoneNumber}`);
-      order = await findLatestOrderForPhone(phoneNumber);
+      order = await lookupLatestOrderForPhone(phoneNumber, flowLookupOptions(req));
       if (order) lookupMethod = 'phone';
     }
     
@@ -2653,7 +3009,7 @@ app.post("/flow/update-customer-email", async (req, res) => {
     
     // Update Shopify order note with the email
     const note = `Customer email provided during call: ${customer_email}`;
-    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: note, addTags: ["email-collected"] });
+    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: note, addTags: ["email-collected"], dryRun: dryRunFromRequest(req) });
     
     console.log(`✅ Customer email collected for order #${order.order_number}: ${customer_email}`);
     
@@ -2682,7 +3038,7 @@ app.post("/flow/request-refund", async (req, res) => {
     
     // First try order number if provided
     if (order_number) {
-      order = await shopifyGetOrderByNumber(order_number);
+      order = await lookupOrderByNumber(order_number, flowLookupOptions(req));
       if (order) lookupMethod = 'order_number';
     }
     
@@ -2690,7 +3046,7 @@ app.post("/flow/request-refund", async (req, res) => {
     if (!order && (phone || customer_phone)) {
       const phoneNumber = phone || customer_phone;
       console.log(`No order found by number, trying phone lookup: ${phoneNumber}`);
-      order = await findLatestOrderForPhone(phoneNumber);
+      order = await lookupLatestOrderForPhone(phoneNumber, flowLookupOptions(req));
       if (order) lookupMethod = 'phone';
     }
     
@@ -2734,7 +3090,7 @@ app.post("/flow/request-refund", async (req, res) => {
     // Also update Shopify with tags and notes
     const tag = "refund-requested";
     const note = `Refund requested: ${items || "All items"}${reason ? ` | Reason: ${reason}` : ""} | Ticket filed with support team`;
-    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: note, addTags: [tag] });
+    await shopifyAppendNoteAndTags({ orderId: order.id, noteAppend: note, addTags: [tag], dryRun: dryRunFromRequest(req) });
     
     res.json({ 
       ok: true,
@@ -2771,30 +3127,442 @@ app.get("/dnc", (_req, res) => {
   res.json(data);
 });
 
-// Simple summary from webhook log
-app.get("/calls/summary", (_req, res) => {
+// Contact ledger: every touch for a number plus its current frequency-cap status
+app.get("/contacts/:phone", (req, res) => {
   try {
-    if (!fs.existsSync(callsLogPath)) return res.json({ totalEvents: 0, byType: {}, avgSatisfaction: null, issues: 0 });
-    const lines = fs.readFileSync(callsLogPath, "utf8").split(/\n/).filter(Boolean);
-    const byType = {};
-    let total = 0; let satSum = 0; let satCount = 0; let issues = 0;
-    for (const line of lines) {
-      try {
-        const evt = JSON.parse(line);
-        total++;
-        byType[evt.type] = (byType[evt.type] || 0) + 1;
-        const s = evt?.data?.analysis?.structured?.satisfied_score || evt?.data?.satisfied_score || evt?.satisfied_score;
-        if (typeof s === "number") { satSum += s; satCount++; }
-        const hadIssue = evt?.data?.analysis?.structured?.had_issue ?? evt?.data?.had_issue ?? evt?.had_issue;
-        if (hadIssue) issues++;
-      } catch (_) { /* ignore */ }
-    }
-    res.json({ totalEvents: total, byType, avgSatisfaction: satCount ? (satSum / satCount) : null, issues });
+    const phone = normalizeToE164(req.params.phone);
+    if (!phone) return res.status(400).json({ error: "phone required" });
+    res.json({ phone, caps: checkContactCaps(phone), history: getContactHistory(phone) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Call records: one row per call, joined across call_started / call_ended / call_analyzed
+function callRecordFilters(query) {
+  const { from, to, agent_id, outcome, campaign, customer, direction } = query || {};
+  return { from, to, agent_id, outcome, campaign, customer, direction };
+}
+
+app.get("/calls/summary", (req, res) => {
+  try {
+    res.json(summarizeCallRecords(callRecordFilters(req.query)));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get("/calls/records", (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit || 50), 500);
+    res.json(queryCallRecords({ ...callRecordFilters(req.query), limit, offset: Number(req.query.offset || 0) }));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get("/calls/records/:id", (req, res) => {
+  const record = getCallRecord(req.params.id);
+  if (!record) return res.status(404).json({ error: "no record for this call" });
+  res.json(record);
+});
+
+// Post-call pipeline outcomes: which steps ran for each webhook event and how they went
+app.get("/calls/outcomes", (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit || 50), 500);
+    res.json({ steps: listWebhookSteps(), calls: listCallOutcomes({ limit, status: req.query.status }) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/calls/:id/outcomes", (req, res) => {
+  try {
+    const outcomes = getCallOutcomes(req.params.id);
+    if (!outcomes) return res.status(404).json({ error: "no outcomes recorded for this call" });
+    res.json(outcomes);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Dead-letter queue: failed post-call side effects with their inputs, replayable one at a time or in bulk
+app.get("/admin/dead-letters", (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit || 100), 1000);
+    res.json({ entries: listDeadLetters({ status: req.query.status, action: req.query.action, limit }) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/admin/dead-letters/:id", (req, res) => {
+  const entry = getDeadLetter(req.params.id);
+  if (!entry) return res.status(404).json({ error: "dead letter not found" });
+  res.json(entry);
+});
+
+// Bulk replay: { ids: [...] } or every pending entry (optionally only one action)
+app.post("/admin/dead-letters/replay", async (req, res) => {
+  try {
+    const { ids, action } = req.body || {};
+    const results = await replayDeadLetters({ ids, action });
+    const resolved = results.filter(r => r.status === 'resolved').length;
+    res.json({ replayed: results.length, resolved, results });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/admin/dead-letters/:id/replay", async (req, res) => {
+  try {
+    const entry = await replayDeadLetter(req.params.id);
+    if (!entry) return res.status(404).json({ error: "dead letter not found" });
+    res.json(entry);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+app.post("/admin/dead-letters/:id/discard", (req, res) => {
+  const entry = discardDeadLetter(req.params.id, req.body?.reason || null);
+  if (!entry) return res.status(404).json({ error: "dead letter not found" });
+  res.json(entry);
+});
+
+// Phone -> customer index behind the order lookups
+app.get("/admin/phone-index", (req, res) => {
+  res.json(getPhoneIndexStatus());
+});
+
+app.post("/admin/phone-index/refresh", async (req, res) => {
+  try {
+    res.json(await refreshPhoneIndex());
+  } catch (e) {
+    res.status(500).json({ error: e?.details || e.message });
+  }
+});
+
+// Requests logged instead of sent by dry runs / SIMULATION_MODE
+app.get("/admin/simulations", (req, res) => {
+  const limit = Math.min(Number(req.query?.limit || 50), 500);
+  res.json({
+    simulation_mode: isSimulated(),
+    requests: listSimulatedRequests({ limit, operation: req.query.operation || null })
+  });
+});
+
+// Caller-ID pools: calls today vs daily limit and answer rate per number
+app.get("/admin/phone-pool", (_req, res) => {
+  res.json({ pools: getCampaignPhonePools() });
+});
+
+// Discount codes issued by the agents and their redemptions
+app.get("/discounts/report", (req, res) => {
+  res.json(getDiscountReport({ since: req.query.since || null, until: req.query.until || null }));
+});
+
+app.get("/discounts", (req, res) => {
+  const redeemed = req.query.redeemed == null ? null : req.query.redeemed === 'true';
+  const codes = listDiscountCodes({
+    callId: req.query.call_id || null,
+    agentId: req.query.agent_id || null,
+    campaign: req.query.campaign || null,
+    redeemed
+  });
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 100));
+  res.json({ count: codes.length, codes: codes.slice(0, limit) });
+});
+
+app.get("/discounts/:code", (req, res) => {
+  const entry = getDiscountCode(req.params.code);
+  if (!entry) return res.status(404).json({ error: "discount code not found" });
+  res.json(entry);
+});
+
+app.post("/discounts/reconcile", async (req, res) => {
+  try {
+    res.json(await reconcileDiscountRedemptions());
+  } catch (e) {
+    res.status(500).json({ error: e?.details || e.message });
+  }
+});
+
+// Calls -> orders attribution: conversion rate, recovered revenue and margin per campaign / agent / prompt version
+app.get("/conversions/report", (req, res) => {
+  try {
+    res.json(getConversionReport({ since: req.query.since || null, until: req.query.until || null }));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get("/conversions", (req, res) => {
+  const conversions = listConversions({
+    callId: req.query.call_id || null,
+    campaign: req.query.campaign || null,
+    agentId: req.query.agent_id || null
+  });
+  res.json({ count: conversions.length, conversions });
+});
+
+app.post("/conversions/attribute", async (req, res) => {
+  try {
+    res.json(await runAttribution());
+  } catch (e) {
+    res.status(500).json({ error: e?.details || e.message });
+  }
+});
+
+// Operations dashboard: headline numbers, charts over time and single-call drill-down
+app.get("/dashboard/overview", (req, res) => {
+  try {
+    res.json(getDashboardOverview({ since: req.query.since || null, until: req.query.until || null }));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get("/dashboard/timeseries", (req, res) => {
+  try {
+    res.json(getDashboardTimeseries({
+      days: req.query.days || 14,
+      bucket: req.query.bucket || 'day',
+      tzOffsetMinutes: req.query.tz_offset || 0
+    }));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get("/dashboard/calls/:id", async (req, res) => {
+  const detail = getCallDetail(req.params.id);
+  if (!detail) return res.status(404).json({ error: "no record for this call" });
+
+  // Transcripts stay in Retell; dry-run calls never reached it
+  let transcript = { available: false };
+  if (!detail.record.dry_run) {
+    try {
+      const call = await retell.call.retrieve(req.params.id);
+      transcript = {
+        available: true,
+        text: call.transcript || null,
+        turns: call.transcript_object || [],
+        recording_url: call.recording_url || null
+      };
+    } catch (e) {
+      transcript = { available: false, error: e.message };
+    }
+  }
+  res.json({ ...detail, transcript });
+});
+
+// Prompt versions: snapshots of each agent's LLM before / after every change, diffs and rollback
+app.get("/prompts", (_req, res) => {
+  res.json({ agents: listVersionedAgents() });
+});
+
+app.get("/prompts/:agentId/versions", (req, res) => {
+  res.json({ agent_id: req.params.agentId, versions: listPromptVersions(req.params.agentId) });
+});
+
+app.get("/prompts/:agentId/versions/:versionId", (req, res) => {
+  const version = getPromptVersion(req.params.agentId, req.params.versionId);
+  if (!version) return res.status(404).json({ error: "unknown prompt version" });
+  res.json(version);
+});
+
+// ?from=&to= version ids (default: the latest version against its parent); ?format=text for a patch
+app.get("/prompts/:agentId/diff", (req, res) => {
+  const diff = diffPromptVersions(req.params.agentId, { fromId: req.query.from || null, toId: req.query.to || 'latest' });
+  if (!diff) return res.status(404).json({ error: "unknown prompt version" });
+  if (req.query.format === 'text') {
+    return res.type('text/plain').send(Object.values(diff.diffs).map(d => d.diff).join('\n'));
+  }
+  res.json(diff);
+});
+
+// Record what's live in Retell right now (e.g. after editing the prompt in the Retell dashboard)
+app.post("/prompts/:agentId/snapshot", async (req, res) => {
+  try {
+    const agent = await retell.agent.retrieve(req.params.agentId);
+    const llmId = agent.response_engine?.llm_id;
+    if (!llmId) return res.status(400).json({ error: "agent has no Retell LLM" });
+    res.json(await capturePromptVersion(retell, {
+      agentId: agent.agent_id,
+      agentName: agent.agent_name,
+      llmId,
+      reason: 'observed',
+      note: req.body?.note || null
+    }));
+  } catch (e) {
+    res.status(e?.status === 404 ? 404 : 500).json({ error: e.message });
+  }
+});
+
+app.post("/prompts/:agentId/versions/:versionId/rollback", async (req, res) => {
+  try {
+    const result = await rollbackPromptVersion(retell, req.params.agentId, req.params.versionId, { note: req.body?.note || null });
+    if (!result) return res.status(404).json({ error: "unknown prompt version" });
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: e?.response?.data || e.message });
+  }
+});
+
+// Prompt experiments: A/B test a candidate prompt on a share of an agent's outbound calls
+app.get("/experiments", (req, res) => {
+  res.json({ experiments: listExperiments({ status: req.query.status || null, agentId: req.query.agent_id || null }) });
+});
+
+// Body: { agent_id, general_prompt, name?, traffic_split?, metric? }
+app.post("/experiments", async (req, res) => {
+  const { agent_id, general_prompt, name, traffic_split, metric } = req.body || {};
+  if (!agent_id || !general_prompt) return res.status(400).json({ error: "agent_id and general_prompt are required" });
+  if (traffic_split !== undefined && !(Number(traffic_split) > 0 && Number(traffic_split) < 1)) {
+    return res.status(400).json({ error: "traffic_split must be between 0 and 1" });
+  }
+  if (metric !== undefined && !EXPERIMENT_METRICS.includes(metric)) {
+    return res.status(400).json({ error: `metric must be one of ${EXPERIMENT_METRICS.join(', ')}` });
+  }
+  try {
+    const experiment = await createExperiment(retell, {
+      agentId: agent_id,
+      generalPrompt: general_prompt,
+      name,
+      ...(traffic_split !== undefined && { trafficSplit: Number(traffic_split) }),
+      ...(metric && { metric }),
+      source: { type: 'manual' }
+    });
+    if (experiment.skipped) return res.status(409).json(experiment);
+    res.json(experiment);
+  } catch (e) {
+    res.status(e?.status === 404 ? 404 : 500).json({ error: e?.response?.data || e.message });
+  }
+});
+
+app.get("/experiments/:id", (req, res) => {
+  const results = getExperimentResults(req.params.id);
+  if (!results) return res.status(404).json({ error: "unknown experiment" });
+  res.json(results);
+});
+
+// Promote copies the variant prompt onto the production agent; both end the experiment and delete the variant
+async function concludeExperimentRoute(req, res, action) {
+  try {
+    const result = await concludeExperiment(retell, req.params.id, action, { note: req.body?.note || null });
+    if (!result) return res.status(404).json({ error: "unknown experiment" });
+    if (result.skipped) return res.status(409).json(result);
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: e?.response?.data || e.message });
+  }
+}
+
+app.post("/experiments/:id/promote", (req, res) => concludeExperimentRoute(req, res, 'promote'));
+app.post("/experiments/:id/discard", (req, res) => concludeExperimentRoute(req, res, 'discard'));
+
+// Replay evaluations: past calls replayed against a candidate prompt and scored before it goes live
+app.get("/replay-evaluations", (req, res) => {
+  res.json({ evaluations: listReplayEvaluations({ agentId: req.query.agent_id || null, limit: Math.min(Number(req.query.limit) || 20, 100) }) });
+});
+
+app.get("/replay-evaluations/:id", (req, res) => {
+  const report = getReplayEvaluation(req.params.id);
+  if (!report) return res.status(404).json({ error: "unknown evaluation" });
+  res.json(report);
+});
+
+// Body: { agent_id, general_prompt, sample_size? } - replays the agent's calls the improvement loop would analyze
+app.post("/replay-evaluations", async (req, res) => {
+  const { agent_id, general_prompt, sample_size } = req.body || {};
+  if (!agent_id || !general_prompt) return res.status(400).json({ error: "agent_id and general_prompt are required" });
+  try {
+    const agent = await retell.agent.retrieve(agent_id);
+    const current = agent.response_engine?.llm_id ? await retell.llm.retrieve(agent.response_engine.llm_id) : null;
+    const analysis = await fetchAndAnalyzeCalls();
+    if (!analysis?.by_agent) {
+      return res.status(409).json({ error: "no analyzed calls to replay", status: analysis?.status || 'blocked' });
+    }
+    res.json(await evaluateCandidatePrompt({
+      candidatePrompt: general_prompt,
+      baselinePrompt: current?.general_prompt || null,
+      calls: analysis.by_agent[agent_id]?.calls || [],
+      agentId: agent_id,
+      ...(sample_size && { sampleSize: Number(sample_size) }),
+      source: { type: 'manual' }
+    }));
+  } catch (e) {
+    res.status(e?.status === 404 ? 404 : 500).json({ error: e?.response?.data || e.message });
+  }
+});
+
+// Improvement proposals: the approval queue for improvement-loop changes (control panel: Approvals)
+app.get("/improvements/proposals", (req, res) => {
+  res.json({ proposals: listProposals({ status: req.query.status || null }) });
+});
+
+app.get("/improvements/proposals/:id", (req, res) => {
+  const proposal = getProposal(req.params.id);
+  if (!proposal) return res.status(404).json({ error: "unknown proposal" });
+  res.json(proposal);
+});
+
+// ?agent_id= (default: the first proposed agent); ?format=text for a plain patch
+app.get("/improvements/proposals/:id/diff", async (req, res) => {
+  try {
+    const preview = await previewProposal(req.params.id, req.query.agent_id || null);
+    if (!preview) return res.status(404).json({ error: "unknown proposal or agent" });
+    if (req.query.format === 'text') return res.type('text/plain').send(preview.diff);
+    res.json(preview);
+  } catch (e) {
+    res.status(500).json({ error: e?.response?.data || e.message });
+  }
+});
+
+// Body: { content?, status?: 'approved' | 'rejected' | 'pending', reviewer? }
+app.post("/improvements/proposals/:id/sections/:sectionId", (req, res) => {
+  const { content, status, reviewer } = req.body || {};
+  if (content === undefined && status === undefined) return res.status(400).json({ error: "content or status required" });
+  try {
+    const proposal = updateProposalSection(req.params.id, req.params.sectionId, { content, status, reviewer: reviewer || null });
+    if (!proposal) return res.status(404).json({ error: "unknown proposal or section" });
+    if (proposal.skipped) return res.status(409).json(proposal);
+    res.json(proposal);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// Body: { text, author?, section_id? }
+app.post("/improvements/proposals/:id/comments", (req, res) => {
+  const { text, author, section_id } = req.body || {};
+  if (!text || !String(text).trim()) return res.status(400).json({ error: "text required" });
+  const comment = addProposalComment(req.params.id, { text, author: author || null, sectionId: section_id || null });
+  if (!comment) return res.status(404).json({ error: "unknown proposal or section" });
+  res.json(comment);
+});
+
+// Applies the approved sections (pending ones count as approved) the same way the loop applies changes
+app.post("/improvements/proposals/:id/approve", async (req, res) => {
+  try {
+    const result = await applyApprovedProposal(req.params.id, { reviewer: req.body?.reviewer || null, note: req.body?.note || null });
+    if (!result) return res.status(404).json({ error: "unknown proposal" });
+    if (result.skipped) return res.status(409).json(result);
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: e?.response?.data || e.message });
+  }
+});
+
+app.post("/improvements/proposals/:id/reject", (req, res) => {
+  const result = rejectProposal(req.params.id, { reviewer: req.body?.reviewer || null, note: req.body?.note || null });
+  if (!result) return res.status(404).json({ error: "unknown proposal" });
+  if (result.skipped) return res.status(409).json(result);
+  res.json(result);
+});
+
 // 🚀 IMPROVEMENT SYSTEM ENDPOINTS
 app.get("/improve-agent/status", (req, res) => {
   try {
@@ -2889,18 +3657,11 @@ app.post("/test-improvement-email", async (req, res) => {
   }
 });
 
-// Return the most recent webhook events from our JSONL log
+// Most recently updated call records
 app.get("/calls/recent-log", (req, res) => {
   try {
     const limit = Math.min(Number(req.query?.limit || 25), 200);
-    if (!fs.existsSync(callsLogPath)) return res.json({ events: [] });
-    const lines = fs.readFileSync(callsLogPath, "utf8").split(/\n/).filter(Boolean);
-    const slice = lines.slice(-limit);
-    const events = [];
-    for (const line of slice) {
-      try { events.push(JSON.parse(line)); } catch (_) { /* skip bad line */ }
-    }
-    res.json({ events });
+    res.json({ calls: listRecentCallRecords(limit) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -2912,17 +3673,13 @@ app.get("/calls/recent-log", (req, res) => {
 app.post("/call/abandoned-checkout", async (req, res) => {
   try {
     const bypassWindow = req.query.bypass_window === 'true' || req.body.bypass_window === true;
-    if (!inCallWindow(new Date(), bypassWindow)) {
-      return res.status(403).json({ error: "Outside calling window" });
-    }
-    
     const { hours = 24, minValue = 50, maxCalls = 10 } = req.body || {};
     
-    const result = await processAbandonedCheckouts({ hours, minValue, maxCalls });
+    const result = await processAbandonedCheckouts({ hours, minValue, maxCalls, bypassWindow, dryRun: dryRunFromRequest(req) });
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Processed ${result.processed} abandoned checkouts`,
+      message: `Queued ${result.queued} of ${result.processed} abandoned checkouts`,
       ...result
     });
     
@@ -2939,17 +3696,13 @@ app.post("/call/abandoned-checkout", async (req, res) => {
 app.post("/call/abandoned-checkout/single", async (req, res) => {
   try {
     const bypassWindow = req.query.bypass_window === 'true' || req.body.bypass_window === true;
-    if (!inCallWindow(new Date(), bypassWindow)) {
-      return res.status(403).json({ error: "Outside calling window" });
-    }
-    
-    const { checkoutId, phone, customerName, itemsSummary, most_expensive_item, totalPrice, currency, email } = req.body;
+    const { checkoutId, phone, customerName, itemsSummary, most_expensive_item, totalPrice, currency, email, province, zip } = req.body;
     
     if (!phone || !itemsSummary) {
       return res.status(400).json({ error: "Missing required fields: phone, itemsSummary" });
     }
     
-    const result = await placeAbandonedCheckoutCall({
+    const payload = {
       checkoutId,
       phone,
       customerName: customerName || 'there',
@@ -2957,8 +3710,24 @@ app.post("/call/abandoned-checkout/single", async (req, res) => {
       most_expensive_item: most_expensive_item || 'your items',
       totalPrice: totalPrice || 0,
       currency: currency || 'USD',
-      email
-    });
+      email,
+      ...(dryRunFromRequest(req) && { dryRun: true })
+    };
+    
+    const callWindow = recipientCallWindow({ phone, province, zip });
+    if (!inCallWindow(new Date(), bypassWindow, callWindow.timezone)) {
+      const queued = enqueueCall({
+        source: 'abandoned_checkout',
+        type: 'abandoned_checkout',
+        payload,
+        label: { to: phone, checkout_id: checkoutId },
+        options: { timezone: callWindow.timezone },
+        scheduledFor: callWindow.next_eligible_at
+      });
+      return res.status(202).json({ success: true, deferred: true, call_window: callWindow, ...queued, status_url: `/call/batch/${queued.batch_id}` });
+    }
+    
+    const result = await placeAbandonedCheckoutCall(payload);
     
     res.json({ success: true, ...result });
     
@@ -2972,61 +3741,80 @@ app.post("/call/abandoned-checkout/single", async (req, res) => {
 });
 
 // Helper function to process abandoned checkouts (imported from service)
-async function processAbandonedCheckouts({ hours = 24, minValue = 50, maxCalls = 10 } = {}) {
+// Checkouts are enqueued; the call queue worker places the calls
+async function processAbandonedCheckouts({ hours = 24, minValue = 50, maxCalls = 10, bypassWindow = false, dryRun = false } = {}) {
   try {
     console.log('🔄 Processing abandoned checkouts...\n');
     
-    const checkouts = await fetchAbandonedCheckouts({ hours, minValue });
+    const { checkouts } = await fetchAbandonedCheckouts({ hours, minValue });
     console.log(`Found ${checkouts.length} abandoned checkouts\n`);
     
     if (checkouts.length === 0) {
       console.log('✅ No abandoned checkouts to process');
-      return { processed: 0, calls_placed: 0, skipped: 0 };
+      return { processed: 0, queued: 0, skipped: 0 };
     }
     
-    const results = [];
-    let callsPlaced = 0;
-    let skipped = 0;
+    const calls = [];
+    const skipped = [];
     
     for (const checkout of checkouts.slice(0, maxCalls)) {
-      try {
-        const formatted = formatCheckoutForCall(checkout);
-        
-        if (callsPlaced >= maxCalls) {
-          console.log(`⏸️ Reached maximum call limit (${maxCalls})`);
-          break;
-        }
-        
-        const result = await placeAbandonedCheckoutCall(formatted);
-        
-        if (result.skipped) {
-          skipped++;
-          results.push({ ...formatted, result });
-        } else {
-          callsPlaced++;
-          results.push({ ...formatted, result });
-        }
-        
-        // Rate limiting - wait between calls
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-      } catch (error) {
-        console.error(`❌ Error processing checkout ${checkout.id}:`, error.message);
-        results.push({ ...formatCheckoutForCall(checkout), error: error.message });
+      const formatted = formatCheckoutForCall(checkout);
+      if (!formatted.phone) {
+        skipped.push({ checkout_id: formatted.checkout_id, skipped: true, reason: 'no_phone' });
+        continue;
+      }
+      if (hasOpenCallJob('abandoned_checkout', formatted.phone)) {
+        skipped.push({ checkout_id: formatted.checkout_id, to: formatted.phone, skipped: true, reason: 'already_queued' });
+        continue;
+      }
+      const caps = checkContactCaps(formatted.phone);
+      if (!caps.allowed) {
+        skipped.push({ checkout_id: formatted.checkout_id, to: formatted.phone, skipped: true, reason: caps.reason, detail: caps.detail, next_allowed_at: caps.next_allowed_at });
+        continue;
+      }
+      const history = await checkCustomerHistory({
+        email: formatted.customer_email,
+        phone: formatted.phone,
+        checkoutCreatedAt: formatted.created_at,
+        completedAt: formatted.completed_at
+      });
+      if (history.hasRecentOrders) {
+        skipped.push({ checkout_id: formatted.checkout_id, to: formatted.phone, skipped: true, reason: history.reason, order_number: history.orderNumber, last_order_date: history.lastOrderDate });
+        continue;
       }
+      const callWindow = recipientCallWindow({ phone: formatted.phone, province: formatted.shipping_province, zip: formatted.shipping_zip });
+      calls.push({
+        type: 'abandoned_checkout',
+        label: { to: formatted.phone, checkout_id: formatted.checkout_id, local_time: callWindow.local_time },
+        options: { bypass_window: bypassWindow, timezone: callWindow.timezone },
+        scheduledFor: bypassWindow ? undefined : callWindow.next_eligible_at,
+        payload: {
+          checkoutId: formatted.checkout_id,
+          phone: formatted.phone,
+          customerName: formatted.customer_name,
+          itemsSummary: formatted.items_summary,
+          most_expensive_item: formatted.most_expensive_item,
+          totalPrice: formatted.total_price,
+          currency: formatted.currency,
+          email: formatted.customer_email || null,
+          checkoutCreatedAt: formatted.created_at || null,
+          ...(dryRun && { dryRun: true })
+        }
+      });
     }
     
+    const batch = enqueueBatch({ source: 'abandoned_checkout', calls, skipped, options: { bypass_window: bypassWindow, dry_run: dryRun, hours, minValue, maxCalls } });
+    
     console.log(`\n📊 Summary:`);
     console.log(`   Total found: ${checkouts.length}`);
-    console.log(`   Calls placed: ${callsPlaced}`);
-    console.log(`   Skipped: ${skipped}`);
-    console.log(`   Errors: ${results.filter(r => r.error).length}`);
+    console.log(`   Queued: ${batch.queued}`);
+    console.log(`   Skipped: ${skipped.length}`);
     
     return {
       processed: checkouts.length,
-      calls_placed: callsPlaced,
-      skipped: skipped,
-      results
+      ...batch,
+      status_url: `/call/batch/${batch.batch_id}`,
+      skipped_candidates: skipped
     };
     
   } catch (error) {
@@ -3044,19 +3832,33 @@ async function placeAbandonedCheckoutCall({
   most_expensive_item,
   totalPrice,
   currency = 'USD',
-  email = null
+  email = null,
+  checkoutCreatedAt = null,
+  dryRun = false
 }) {
   try {
-    // Check if customer has recent successful orders
-    const { hasRecentOrders, lastOrderDate } = await checkCustomerHistory(phone, email);
+    // Re-check at dial time: queued calls can go out hours after the checkout was abandoned
+    const history = await checkCustomerHistory({ email, phone, checkoutId, checkoutCreatedAt, fresh: true });
+    
+    if (history.hasRecentOrders) {
+      console.log(`⚠️ Skipping ${phone} - ${history.reason}${history.orderNumber ? ` (${history.orderNumber})` : ''}`);
+      return { skipped: true, reason: history.reason, order_number: history.orderNumber, last_order_date: history.lastOrderDate };
+    }
     
-    if (hasRecentOrders) {
-      console.log(`⚠️ Skipping ${phone} - customer has recent successful orders`);
-      return { skipped: true, reason: 'recent_successful_orders', lastOrderDate };
+    const caps = checkContactCaps(phone);
+    if (!caps.allowed) {
+      console.log(`⚠️ Skipping ${phone} - ${caps.detail}`);
+      return { skipped: true, ...caps };
     }
     
     // Format phone number
     const toNumber = phone.startsWith('+') ? phone : `+1${phone.replace(/\D/g, '')}`;
+
+    const target = campaignCallTarget('abandoned_checkout', { toNumber });
+    if (!target.from_number) {
+      console.log(`⚠️ Skipping ${phone} - every abandoned checkout number is at its daily limit`);
+      return { skipped: true, reason: 'number_pool_exhausted' };
+    }
     
     console.log(`📞 Placing Abandoned Checkout Recovery Call`);
     console.log(`==========================================\n`);
@@ -3065,36 +3867,48 @@ async function placeAbandonedCheckoutCall({
     console.log(`Items: ${itemsSummary}`);
     console.log(`Total: ${currency} ${totalPrice}\n`);
     
-    const call = await retell.call.createPhoneCall({
-      from_number: RETELL_PHONE_NUMBERS.GRACE_ABANDONED_CHECKOUT,
+    const dynamicVars = await buildDynamicVariables('abandoned_checkout', {
+      checkoutId,
+      phone,
+      customerName,
+      itemsSummary,
+      mostExpensiveItem: most_expensive_item,
+      totalPrice,
+      currency,
+      email
+    });
+
+    const arm = experimentArm(target, toNumber);
+    const callRequest = {
+      ...target,
+      ...arm.override,
       to_number: toNumber,
-      override_agent_id: GRACE_AGENT_ID, // Grace's agent ID
       
       // Dynamic variables for the abandoned checkout agent
-      retell_llm_dynamic_variables: {
-        call_direction: 'OUTBOUND',
-        customer_name: customerName,
-        items_summary: itemsSummary,
-        most_expensive_item: most_expensive_item || 'your items',
-        total_price: totalPrice,
-        currency: currency,
-        checkout_id: checkoutId,
-        customer_phone: phone,
-        customer_email: email,
-        is_abandoned_checkout: true
-      },
+      retell_llm_dynamic_variables: dynamicVars,
       
       metadata: {
         source: 'abandoned_checkout_recovery',
+        campaign: 'abandoned_checkout',
         checkout_id: checkoutId,
         customer_phone: phone,
         customer_name: customerName,
         items_summary: itemsSummary,
         total_price: totalPrice,
         currency: currency,
-        customer_email: email
+        customer_email: email,
+        ...arm.metadata,
+        ...(isSimulated(dryRun) && { dry_run: true })
       }
-    });
+    };
+    if (isSimulated(dryRun)) {
+      const simulated = simulatePhoneCall(callRequest);
+      return { success: true, simulated: true, call_id: simulated.call_id, call_status: simulated.call_status };
+    }
+    const call = await retell.call.createPhoneCall(callRequest);
+    
+    recordNumberUse(target.from_number);
+    safeRecordContact(toNumber, { type: 'call', campaign: 'abandoned_checkout', callId: call.call_id, agentId: target.override_agent_id });
     
     console.log('✅ Abandoned checkout recovery call initiated!\n');
     console.log(`Call ID: ${call.call_id}`);
@@ -3157,7 +3971,41 @@ function startImprovementScheduler() {
 
 app.listen(port, () => {
   console.log(`Meatery Retell server listening on :${port}`);
+  if (isSimulated()) console.log('🧪 SIMULATION_MODE on - calls, Shopify writes and Klaviyo events are logged, not sent');
   
   // Start the improvement scheduler
   startImprovementScheduler();
+
+  // Retry dead-lettered side effects that failed with 429 / 5xx
+  startDeadLetterRetryScheduler();
+
+  // Keep the phone -> customer index used by the order lookups current
+  startPhoneIndexRefresher();
+
+  // Mark ledger discount codes redeemed from Shopify orders
+  startDiscountReconciler();
+
+  // Credit Shopify orders to the calls that led to them
+  startAttributionJob();
+
+  // Post-delivery and abandoned-checkout sweeps on their campaigns.json schedules
+  startCampaignScheduler();
+  
+  // Drain queued outbound calls; jobs outside the recipient's local window are deferred to the next slot,
+  // jobs whose campaign has used up every number's daily limit wait for the reset
+  startCallQueueWorker({
+    handlers: {
+      confirmation: (payload) => placeConfirmationCall(payload),
+      win_back: (payload) => placeWinBackCall(payload),
+      abandoned_checkout: (payload) => placeAbandonedCheckoutCall(payload)
+    },
+    canDispatch: (job) => {
+      if (!inCallWindow(new Date(), job.options?.bypass_window === true, job.options?.timezone)) {
+        return new Date(getCallWindowStatus(new Date(), job.options?.timezone).next_eligible_at);
+      }
+      const campaign = QUEUE_JOB_CAMPAIGNS[job.type];
+      if (campaign && !job.payload?.fromNumber && !campaignHasNumberCapacity(campaign)) return nextPhonePoolReset();
+      return true;
+    }
+  });
 });
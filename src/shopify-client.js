@@ -0,0 +1,342 @@
+/**
+ * Shopify Client
+ * Single entry point for the Shopify Admin API (REST and GraphQL). Every module talks
+ * to Shopify through here so the API version is configured in one place
+ * (SHOPIFY_API_VERSION), rate limits are respected (REST leaky bucket, GraphQL query
+ * cost) and failures surface as typed ShopifyError subclasses. SHOPIFY_API_BASE_URL
+ * points the client somewhere other than https://{SHOPIFY_STORE_DOMAIN} (e.g. a
+ * local stand-in for tests).
+ */
+
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const SHOPIFY_CLIENT_CONFIG = {
+  API_VERSION: process.env.SHOPIFY_API_VERSION || '2025-07',
+  // Retries after a 429 / THROTTLED response (and 5xx for GET requests)
+  MAX_RETRIES: Number(process.env.SHOPIFY_MAX_RETRIES || 4),
+  // Pause REST calls once the leaky bucket is this full (X-Shopify-Shop-Api-Call-Limit)
+  REST_BUCKET_THRESHOLD: Number(process.env.SHOPIFY_REST_BUCKET_THRESHOLD || 0.8),
+  // Wait for the GraphQL cost bucket to refill to at least this many points before querying
+  GRAPHQL_MIN_AVAILABLE: Number(process.env.SHOPIFY_GRAPHQL_MIN_AVAILABLE || 100),
+  TIMEOUT_MS: Number(process.env.SHOPIFY_TIMEOUT_MS || 30000)
+};
+
+// --- Errors ---
+
+export class ShopifyError extends Error {
+  constructor(message, { status = null, code = null, details = null } = {}) {
+    super(message);
+    this.name = 'ShopifyError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ShopifyConfigError extends ShopifyError {
+  constructor(message = 'Shopify credentials not configured. Set SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_TOKEN.') {
+    super(message, { code: 'CONFIG' });
+    this.name = 'ShopifyConfigError';
+  }
+}
+
+// Non-2xx HTTP response (REST or GraphQL endpoint)
+export class ShopifyHttpError extends ShopifyError {
+  constructor(message, { status, details } = {}) {
+    super(message, { status, code: 'HTTP', details });
+    this.name = 'ShopifyHttpError';
+  }
+}
+
+// Still throttled after MAX_RETRIES
+export class ShopifyRateLimitError extends ShopifyError {
+  constructor(message, { details } = {}) {
+    super(message, { status: 429, code: 'THROTTLED', details });
+    this.name = 'ShopifyRateLimitError';
+  }
+}
+
+// Top-level GraphQL `errors`
+export class ShopifyGraphQLError extends ShopifyError {
+  constructor(errors) {
+    super(`GraphQL errors: ${errors.map(e => e.message).join('; ')}`, { code: 'GRAPHQL', details: errors });
+    this.name = 'ShopifyGraphQLError';
+  }
+}
+
+// Mutation `userErrors`
+export class ShopifyUserError extends ShopifyError {
+  constructor(operation, userErrors) {
+    super(`${operation} failed: ${userErrors.map(e => e.message).join('; ')}`, { status: 422, code: 'USER_ERROR', details: userErrors });
+    this.name = 'ShopifyUserError';
+  }
+}
+
+// --- Config ---
+
+export function getShopifyConfig() {
+  const domain = process.env.SHOPIFY_STORE_DOMAIN;
+  return {
+    domain,
+    token: process.env.SHOPIFY_ACCESS_TOKEN || process.env.SHOPIFY_ADMIN_TOKEN,
+    apiVersion: SHOPIFY_CLIENT_CONFIG.API_VERSION,
+    baseUrl: (process.env.SHOPIFY_API_BASE_URL || `https://${domain}`).replace(/\/+$/, '')
+  };
+}
+
+export function isShopifyConfigured() {
+  const { domain, token } = getShopifyConfig();
+  return Boolean(domain && token);
+}
+
+function adminUrl(path) {
+  const { domain, token, apiVersion, baseUrl } = getShopifyConfig();
+  if (!domain || !token) throw new ShopifyConfigError();
+  return `${baseUrl}/admin/api/${apiVersion}/${path.replace(/^\//, '')}`;
+}
+
+function authHeaders() {
+  return {
+    'X-Shopify-Access-Token': getShopifyConfig().token,
+    'Content-Type': 'application/json'
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- Throttling state ---
+
+// REST leaky bucket from the last X-Shopify-Shop-Api-Call-Limit header ("32/40"), leaking 2 calls/sec
+const restBucket = { used: 0, size: 40, at: 0 };
+// GraphQL cost bucket from the last extensions.cost.throttleStatus
+const graphqlBucket = { available: null, max: null, restoreRate: 50, at: 0 };
+
+async function waitForRestCapacity() {
+  if (!restBucket.at) return;
+  const leaked = ((Date.now() - restBucket.at) / 1000) * 2;
+  const used = Math.max(0, restBucket.used - leaked);
+  const threshold = restBucket.size * SHOPIFY_CLIENT_CONFIG.REST_BUCKET_THRESHOLD;
+  if (used >= threshold) await sleep(((used - threshold) / 2 + 0.5) * 1000);
+}
+
+function trackRestBucket(headers) {
+  const header = headers?.['x-shopify-shop-api-call-limit'];
+  if (!header) return;
+  const [used, size] = String(header).split('/').map(Number);
+  if (Number.isFinite(used) && Number.isFinite(size)) Object.assign(restBucket, { used, size, at: Date.now() });
+}
+
+async function waitForGraphQLCapacity(minimum = SHOPIFY_CLIENT_CONFIG.GRAPHQL_MIN_AVAILABLE) {
+  if (graphqlBucket.available == null) return;
+  const elapsed = (Date.now() - graphqlBucket.at) / 1000;
+  const available = Math.min(graphqlBucket.max, graphqlBucket.available + elapsed * graphqlBucket.restoreRate);
+  const needed = Math.min(minimum, graphqlBucket.max);
+  if (available < needed) await sleep(((needed - available) / graphqlBucket.restoreRate) * 1000);
+}
+
+function trackGraphQLCost(extensions) {
+  const status = extensions?.cost?.throttleStatus;
+  if (!status) return;
+  Object.assign(graphqlBucket, {
+    available: status.currentlyAvailable,
+    max: status.maximumAvailable,
+    restoreRate: status.restoreRate || graphqlBucket.restoreRate,
+    at: Date.now()
+  });
+}
+
+function retryAfterMs(headers, attempt) {
+  const retryAfter = Number(headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+  return Math.min(1000 * Math.pow(2, attempt), 16000);
+}
+
+// --- REST ---
+
+async function restRequest(method, path, { params, data } = {}) {
+  const url = /^https?:\/\//.test(path) ? path : adminUrl(path);
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForRestCapacity();
+    try {
+      const response = await axios.request({
+        method,
+        url,
+        params,
+        data,
+        headers: authHeaders(),
+        timeout: SHOPIFY_CLIENT_CONFIG.TIMEOUT_MS
+      });
+      trackRestBucket(response.headers);
+      return response;
+    } catch (error) {
+      const status = error.response?.status;
+      trackRestBucket(error.response?.headers);
+
+      // 429s were not processed by Shopify, so any method is safe to retry; 5xx only for reads
+      const retryable = status === 429 || (status >= 500 && method === 'get');
+      if (retryable && attempt < SHOPIFY_CLIENT_CONFIG.MAX_RETRIES) {
+        const delay = retryAfterMs(error.response?.headers, attempt);
+        console.warn(`⏳ Shopify ${method.toUpperCase()} ${path} returned ${status} - retrying in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (status === 429) throw new ShopifyRateLimitError(`Shopify rate limit exceeded for ${path}`, { details: error.response?.data });
+      if (status) {
+        const detail = error.response?.data?.errors || error.response?.data;
+        throw new ShopifyHttpError(`Shopify ${method.toUpperCase()} ${path} failed with HTTP ${status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`, { status, details: error.response?.data });
+      }
+      throw new ShopifyError(`Shopify ${method.toUpperCase()} ${path} failed: ${error.message}`, { code: error.code || 'NETWORK' });
+    }
+  }
+}
+
+/**
+ * REST helpers - path is relative to /admin/api/{version}/ (e.g. 'orders.json')
+ * and the parsed response body is returned
+ */
+export async function shopifyGet(path, params) {
+  return (await restRequest('get', path, { params })).data;
+}
+
+export async function shopifyPost(path, data) {
+  return (await restRequest('post', path, { data })).data;
+}
+
+export async function shopifyPut(path, data) {
+  return (await restRequest('put', path, { data })).data;
+}
+
+export async function shopifyDelete(path) {
+  return (await restRequest('delete', path)).data;
+}
+
+function nextPageUrl(linkHeader) {
+  const match = String(linkHeader || '').split(',').find(part => part.includes('rel="next"'));
+  return match ? match.match(/<([^>]+)>/)?.[1] || null : null;
+}
+
+/**
+ * One REST page plus the raw Link header and the page_info cursor for the next page
+ */
+export async function shopifyGetPage(path, params) {
+  const response = await restRequest('get', path, { params });
+  const next = nextPageUrl(response.headers?.link);
+  return {
+    data: response.data,
+    link: response.headers?.link || null,
+    nextPageInfo: next ? new URL(next).searchParams.get('page_info') : null
+  };
+}
+
+/**
+ * Follow REST cursor pagination (Link: rel="next") and collect every item
+ *
+ * @param {string} path - e.g. 'orders.json'
+ * @param {string} key - collection key in the response body (e.g. 'orders')
+ * @param {number} maxPages - safety stop
+ */
+export async function shopifyGetAll(path, { params = {}, key, maxPages = 20 } = {}) {
+  const items = [];
+  let url = path;
+  let pageParams = { limit: 250, ...params };
+
+  for (let page = 0; url && page < maxPages; page++) {
+    const response = await restRequest('get', url, { params: pageParams });
+    items.push(...(response.data?.[key] || []));
+    url = nextPageUrl(response.headers?.link);
+    // The next-page URL carries page_info and must not be combined with the original filters
+    pageParams = undefined;
+  }
+  return items;
+}
+
+// --- GraphQL ---
+
+function isThrottled(errors) {
+  return Array.isArray(errors) && errors.some(e => e?.extensions?.code === 'THROTTLED');
+}
+
+/**
+ * Run a GraphQL query or mutation and return `data`
+ *
+ * Waits for the cost bucket to refill when it runs low and retries THROTTLED / 429
+ * responses; other top-level errors throw ShopifyGraphQLError.
+ */
+export async function shopifyGraphQL(query, variables = {}) {
+  const url = adminUrl('graphql.json');
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForGraphQLCapacity();
+    let response;
+    try {
+      response = await axios.post(url, { query, variables }, {
+        headers: authHeaders(),
+        timeout: SHOPIFY_CLIENT_CONFIG.TIMEOUT_MS
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 429 && attempt < SHOPIFY_CLIENT_CONFIG.MAX_RETRIES) {
+        await sleep(retryAfterMs(error.response?.headers, attempt));
+        continue;
+      }
+      if (status === 429) throw new ShopifyRateLimitError('Shopify GraphQL rate limit exceeded', { details: error.response?.data });
+      if (status) throw new ShopifyHttpError(`Shopify GraphQL request failed with HTTP ${status}`, { status, details: error.response?.data });
+      throw new ShopifyError(`Shopify GraphQL request failed: ${error.message}`, { code: error.code || 'NETWORK' });
+    }
+
+    const body = response.data || {};
+    trackGraphQLCost(body.extensions);
+
+    if (isThrottled(body.errors)) {
+      if (attempt < SHOPIFY_CLIENT_CONFIG.MAX_RETRIES) {
+        const requested = body.extensions?.cost?.requestedQueryCost || SHOPIFY_CLIENT_CONFIG.GRAPHQL_MIN_AVAILABLE;
+        console.warn(`⏳ Shopify GraphQL throttled (cost ${requested}) - waiting for the bucket to refill`);
+        await waitForGraphQLCapacity(requested);
+        continue;
+      }
+      throw new ShopifyRateLimitError('Shopify GraphQL query throttled', { details: body.errors });
+    }
+    if (body.errors?.length) throw new ShopifyGraphQLError(body.errors);
+
+    return body.data;
+  }
+}
+
+/**
+ * Throw ShopifyUserError if a mutation payload carries userErrors
+ *
+ * @param {object} payload - e.g. data.draftOrderCreate
+ * @param {string} operation - mutation name for the error message
+ */
+export function assertNoUserErrors(payload, operation) {
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length) throw new ShopifyUserError(operation, userErrors);
+  return payload;
+}
+
+/**
+ * Follow GraphQL cursor pagination and collect every node
+ *
+ * The query must take an `$after: String` variable and select `pageInfo { hasNextPage endCursor }`
+ * plus `edges { node }` or `nodes` on the connection found at `connectionPath` (e.g. 'customer.orders').
+ */
+export async function shopifyGraphQLAll(query, variables = {}, { connectionPath, maxPages = 20 } = {}) {
+  const nodes = [];
+  let after = variables.after || null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const data = await shopifyGraphQL(query, { ...variables, after });
+    const connection = connectionPath.split('.').reduce((obj, key) => obj?.[key], data);
+    if (!connection) break;
+
+    nodes.push(...(connection.nodes || (connection.edges || []).map(edge => edge.node)));
+    if (!connection.pageInfo?.hasNextPage) break;
+    after = connection.pageInfo.endCursor;
+  }
+  return nodes;
+}
@@ -1,10 +1,4 @@
-import axios from 'axios';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const SHOPIFY_STORE_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN;
-const SHOPIFY_ADMIN_TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
+import { shopifyGraphQL } from './shopify-client.js';
 
 /**
  * GraphQL query to fetch abandoned checkouts
@@ -41,6 +35,7 @@ const ABANDONED_CHECKOUTS_QUERY = `
             address1
             city
             province
+            provinceCode
             country
             zip
           }
@@ -51,6 +46,7 @@ const ABANDONED_CHECKOUTS_QUERY = `
             address1
             city
             province
+            provinceCode
             country
             zip
           }
@@ -155,6 +151,7 @@ const ABANDONED_CHECKOUT_BY_ID_QUERY = `
           address1
           city
           province
+          provinceCode
           country
           zip
         }
@@ -165,6 +162,7 @@ const ABANDONED_CHECKOUT_BY_ID_QUERY = `
           address1
           city
           province
+          provinceCode
           country
           zip
         }
@@ -249,25 +247,7 @@ const ABANDONED_CHECKOUTS_COUNT_QUERY = `
  */
 async function executeGraphQLQuery(query, variables = {}) {
   try {
-    const response = await axios.post(
-      `https://${SHOPIFY_STORE_DOMAIN}/admin/api/2025-07/graphql.json`,
-      {
-        query,
-        variables
-      },
-      {
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (response.data.errors) {
-      throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
-    }
-
-    return response.data.data;
+    return await shopifyGraphQL(query, variables);
   } catch (error) {
     console.error('GraphQL query failed:', error.message);
     throw error;
@@ -811,6 +791,8 @@ export function formatAbandonedCheckoutForCall(checkout) {
     checkout_name: checkout.name,
     phone: phone ? phone.replace(/\D/g, '') : null,
     customer_name: customerName,
+    shipping_province: checkout.shippingAddress?.provinceCode || checkout.shippingAddress?.province || checkout.billingAddress?.provinceCode || null,
+    shipping_zip: checkout.shippingAddress?.zip || checkout.billingAddress?.zip || null,
     customer_email: checkout.customer?.email || checkout.billingAddress?.email,
     items_summary: itemsSummary,
     most_expensive_item: mostExpensiveItem.displayName, // Add most expensive item
@@ -819,6 +801,7 @@ export function formatAbandonedCheckoutForCall(checkout) {
     currency: currency,
     created_at: checkout.createdAt,
     updated_at: checkout.updatedAt,
+    completed_at: checkout.completedAt || null,
     abandoned_url: checkout.abandonedCheckoutUrl,
     note: checkout.note,
     custom_attributes: checkout.customAttributes
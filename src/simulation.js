@@ -0,0 +1,59 @@
+/**
+ * Simulation Mode
+ * With SIMULATION_MODE=true, or a dry_run flag on a single request, the paths that
+ * place calls or write to Shopify / Klaviyo build their payloads as usual, log the
+ * exact request they would have sent and return a synthetic response shaped like
+ * the real one. Logged requests are kept in data/simulated-requests.jsonl.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { dataPath, appendJsonl } from './json-file-store.js';
+
+const LOG_PATH = dataPath('simulated-requests.jsonl');
+
+/**
+ * Whether this operation should be simulated: globally or for this request
+ */
+export function isSimulated(dryRun = false) {
+  return dryRun === true || dryRun === 'true' || process.env.SIMULATION_MODE === 'true';
+}
+
+/**
+ * A dry_run flag from a route's query string or JSON body, or from the Retell call's metadata
+ */
+export function dryRunFromRequest(req) {
+  return req.query?.dry_run === 'true' ||
+    req.body?.dry_run === true ||
+    req.body?.call?.metadata?.dry_run === true;
+}
+
+export function simulatedId(prefix) {
+  return `${prefix}_sim_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Log the request an operation would have sent
+ *
+ * @param {string} operation - e.g. 'retell.createPhoneCall', 'klaviyo.event'
+ * @param {object} request - method / url / body exactly as it would have been sent
+ */
+export function recordSimulatedRequest(operation, request) {
+  const entry = { at: new Date().toISOString(), operation, request };
+  console.log(`🧪 [dry run] ${operation}:`, JSON.stringify(request, null, 2));
+  try {
+    appendJsonl(LOG_PATH, entry);
+  } catch (error) {
+    console.error('⚠️ Failed to log simulated request:', error.message);
+  }
+  return entry;
+}
+
+export function listSimulatedRequests({ limit = 50, operation = null } = {}) {
+  if (!fs.existsSync(LOG_PATH)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(LOG_PATH, 'utf8').split('\n').filter(Boolean)) {
+    try { entries.push(JSON.parse(line)); } catch (_) { /* skip bad line */ }
+  }
+  return entries.filter(e => !operation || e.operation === operation).slice(-limit).reverse();
+}
@@ -0,0 +1,110 @@
+/**
+ * Unified Diff
+ * Line-based diff of two texts in the familiar `diff -u` format, used to show
+ * what a prompt change actually did. Common leading and trailing lines are
+ * trimmed before the LCS table is built, so typical edits to a long prompt
+ * only pay for the part that changed.
+ */
+
+const CONTEXT_LINES = 3;
+// Past this the changed region is shown as one block removed and re-added rather than building a huge table
+const MAX_TABLE_CELLS = 4_000_000;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = String(text).split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Edit script as [{ op: ' ' | '-' | '+', line, a, b }] where a / b are 0-based line numbers
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const ops = [];
+  for (let k = 0; k < start; k++) ops.push({ op: ' ', line: a[k], a: k, b: k });
+  const tail = () => {
+    for (let k = 0; k < a.length - endA; k++) ops.push({ op: ' ', line: a[endA + k], a: endA + k, b: endB + k });
+    return ops;
+  };
+
+  if (n * m > MAX_TABLE_CELLS) {
+    for (let k = 0; k < n; k++) ops.push({ op: '-', line: a[start + k], a: start + k, b: start });
+    for (let k = 0; k < m; k++) ops.push({ op: '+', line: b[start + k], a: endA, b: start + k });
+    return tail();
+  }
+
+  // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB), flattened
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[start + i] === b[start + j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ op: ' ', line: a[start + i], a: start + i, b: start + j });
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push({ op: '-', line: a[start + i], a: start + i, b: start + j });
+      i++;
+    } else {
+      ops.push({ op: '+', line: b[start + j], a: start + i, b: start + j });
+      j++;
+    }
+  }
+  return tail();
+}
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @param {{ fromLabel?: string, toLabel?: string, context?: number }} options
+ * @returns {{ diff: string, added: number, removed: number }} diff is '' when the texts match
+ */
+export function unifiedDiff(before, after, { fromLabel = 'before', toLabel = 'after', context = CONTEXT_LINES } = {}) {
+  const ops = diffLines(splitLines(before), splitLines(after));
+  const changed = ops.map((op, index) => (op.op !== ' ' ? index : -1)).filter(index => index >= 0);
+  if (!changed.length) return { diff: '', added: 0, removed: 0 };
+
+  // Group changes whose context windows touch into one hunk
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) last.end = index;
+    else hunks.push({ start: index, end: index });
+  }
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+    const oldCount = slice.filter(op => op.op !== '+').length;
+    const newCount = slice.filter(op => op.op !== '-').length;
+    const oldStart = oldCount ? slice.find(op => op.op !== '+').a + 1 : slice[0].a;
+    const newStart = newCount ? slice.find(op => op.op !== '-').b + 1 : slice[0].b;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => out.push(`${op.op}${op.line}`));
+  }
+
+  return {
+    diff: out.join('\n') + '\n',
+    added: ops.filter(op => op.op === '+').length,
+    removed: ops.filter(op => op.op === '-').length
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Webhook Event Store
+ * Persists which Retell webhook events (call_id + event type) have been processed and
+ * which per-call side effects (voicemail follow-up, discount) have already run, so
+ * retried or replayed webhooks never create a second draft order or discount.
+ * Replaces the in-memory global.processedVoicemails Set, which was lost on restart.
+ *
+ * A claim whose process crashed or restarted mid-run would block its call forever, so
+ * 'processing' events and 'claimed' side effects older than CLAIM_TTL_MINUTES can be
+ * claimed again.
+ */
+
+import { dataPath, readJson, writeJson } from './json-file-store.js';
+
+const STORE_PATH = dataPath('webhook-events.json');
+const RETENTION_DAYS = Number(process.env.WEBHOOK_EVENT_RETENTION_DAYS || 30);
+const CLAIM_TTL_MINUTES = Number(process.env.WEBHOOK_CLAIM_TTL_MINUTES || 15);
+
+function loadStore() {
+  const store = readJson(STORE_PATH, null) || {};
+  return { events: store.events || {}, effects: store.effects || {} };
+}
+
+function saveStore(store) {
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const bucket of [store.events, store.effects]) {
+    for (const [key, record] of Object.entries(bucket)) {
+      if (new Date(record.updated_at || record.received_at).getTime() < cutoff) delete bucket[key];
+    }
+  }
+  writeJson(STORE_PATH, store);
+}
+
+const eventKey = (callId, type) => `${callId}:${type}`;
+const effectKey = (callId, effect) => `${callId}:${effect}`;
+
+// Records from before claimed_at was stored fall back to when they were first seen
+function isStaleClaim(record) {
+  const claimedAt = new Date(record.claimed_at || record.received_at).getTime();
+  return Date.now() - claimedAt > CLAIM_TTL_MINUTES * 60 * 1000;
+}
+
+/**
+ * Claim a webhook event for processing
+ *
+ * @returns {{ duplicate: boolean, record: object|null }} duplicate is true when the
+ *   event was already processed or is being processed (and the claim isn't stale);
+ *   events without a call_id can't be deduplicated and are always claimed
+ */
+export function claimWebhookEvent(callId, type) {
+  if (!callId || !type) return { duplicate: false, record: null };
+
+  const store = loadStore();
+  const key = eventKey(callId, type);
+  const existing = store.events[key];
+  const now = new Date().toISOString();
+
+  const stale = existing?.status === 'processing' && isStaleClaim(existing);
+  if (existing && existing.status !== 'failed' && !stale) {
+    existing.deliveries = (existing.deliveries || 1) + 1;
+    existing.updated_at = now;
+    saveStore(store);
+    return { duplicate: true, record: existing };
+  }
+
+  store.events[key] = {
+    call_id: callId,
+    type,
+    status: 'processing',
+    received_at: existing?.received_at || now,
+    claimed_at: now,
+    updated_at: now,
+    deliveries: (existing?.deliveries || 0) + 1
+  };
+  saveStore(store);
+  if (stale) console.warn(`⚠️ Reclaiming webhook event ${key} - stuck in processing since ${existing.claimed_at || existing.received_at}`);
+  return { duplicate: false, record: store.events[key] };
+}
+
+export function completeWebhookEvent(callId, type, { ok = true, error = null } = {}) {
+  if (!callId || !type) return;
+  const store = loadStore();
+  const record = store.events[eventKey(callId, type)];
+  if (!record) return;
+  record.status = ok ? 'processed' : 'failed';
+  record.error = error;
+  record.updated_at = new Date().toISOString();
+  saveStore(store);
+}
+
+/**
+ * Claim a once-per-call side effect (e.g. 'voicemail_followup', 'discount')
+ *
+ * @returns {boolean} true when this caller now owns the side effect
+ */
+export function claimSideEffect(callId, effect, { source = null } = {}) {
+  if (!callId) return true;
+  const store = loadStore();
+  const key = effectKey(callId, effect);
+  const existing = store.effects[key];
+  const stale = existing?.status === 'claimed' && isStaleClaim(existing);
+  if (existing && !stale) return false;
+  const now = new Date().toISOString();
+  store.effects[key] = { call_id: callId, effect, source, status: 'claimed', received_at: existing?.received_at || now, claimed_at: now, updated_at: now };
+  saveStore(store);
+  if (stale) console.warn(`⚠️ Reclaiming side effect ${key} - claimed by ${existing.source || 'unknown'} at ${existing.claimed_at || existing.received_at} and never completed`);
+  return true;
+}
+
+/**
+ * Record the outcome of a claimed side effect so later duplicates can reuse it
+ */
+export function completeSideEffect(callId, effect, result = {}) {
+  if (!callId) return;
+  const store = loadStore();
+  const record = store.effects[effectKey(callId, effect)];
+  if (!record) return;
+  record.status = 'done';
+  record.result = result;
+  record.updated_at = new Date().toISOString();
+  saveStore(store);
+}
+
+/**
+ * Drop a claim after a failure so a retry is allowed to run the side effect again
+ */
+export function releaseSideEffect(callId, effect) {
+  if (!callId) return;
+  const store = loadStore();
+  delete store.effects[effectKey(callId, effect)];
+  saveStore(store);
+}
+
+export function getSideEffect(callId, effect) {
+  if (!callId) return null;
+  return loadStore().effects[effectKey(callId, effect)] || null;
+}
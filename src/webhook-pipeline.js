@@ -0,0 +1,164 @@
+/**
+ * Webhook Pipeline
+ * Post-call processing for Retell webhooks as a list of named steps. Each step is
+ * registered for the event types (call_ended, call_analyzed, ...) it handles, and each
+ * campaign in the registry (campaigns.json) lists the steps that apply to its calls;
+ * every matching step runs in registration order and its outcome is written to the
+ * call's outcome record (see call-outcome-store.js); steps that succeed are added to
+ * the call record's actions (call-record-store.js).
+ *
+ * A step's run(ctx) may return { skipped: true, reason } to record a skip, any other
+ * value is recorded as the step result; throwing records a failure without stopping
+ * the remaining steps. Failed steps (plus the steps that depend on them) are saved to
+ * the dead-letter queue so they can be replayed with the same call data.
+ */
+
+import { getCampaign, resolveCampaign, listCampaigns } from './campaign-registry.js';
+import { recordCallOutcome } from './call-outcome-store.js';
+import { recordCallActions } from './call-record-store.js';
+import { addDeadLetter } from './dead-letter-queue.js';
+
+const steps = [];
+
+/**
+ * Register a pipeline step
+ *
+ * @param {string} name - unique step name, shown in the outcome record
+ * @param {string[]} events - webhook event types the step runs for
+ * @param {string[]} dependsOn - steps whose failure skips this one (and replays it with them)
+ * @param {function} run - async (ctx) => result | { skipped: true, reason }
+ */
+export function registerWebhookStep({ name, events, dependsOn = [], run }) {
+  if (steps.some(s => s.name === name)) throw new Error(`Webhook step ${name} already registered`);
+  steps.push({ name, events, dependsOn, run });
+}
+
+export function listWebhookSteps() {
+  const campaigns = listCampaigns();
+  return steps.map(({ name, events, dependsOn }) => ({
+    name,
+    events,
+    campaigns: campaigns.filter(c => c.post_call_steps.includes(name)).map(c => c.key),
+    depends_on: dependsOn
+  }));
+}
+
+function dependentsOf(stepName) {
+  const found = [];
+  for (const step of steps) {
+    if (step.dependsOn.includes(stepName) || step.dependsOn.some(d => found.includes(d))) found.push(step.name);
+  }
+  return found;
+}
+
+/**
+ * Run every step registered for this event type that the call's campaign lists
+ *
+ * @param {string} type - webhook event type
+ * @param {object} data - the call object from the webhook
+ * @param {object} extras - merged into the step context (e.g. the raw event)
+ * @param {string[]} only - run just these steps (dead-letter replays)
+ * @param {boolean} replay - set on replays; failures are reported to the caller instead of dead-lettered again
+ * @returns {Promise<{ ok: boolean, steps: object[] }>}
+ */
+export async function runWebhookPipeline(type, data, extras = {}, { only = null, replay = false } = {}) {
+  const campaign = getCampaign(resolveCampaign(data));
+  const agentFunction = campaign.agent_function;
+  const ctx = {
+    type,
+    data,
+    callId: data?.call_id || null,
+    agentId: data?.agent_id || null,
+    campaign: campaign.key,
+    agentFunction,
+    replay,
+    state: {},
+    ...extras
+  };
+  const failed = new Set();
+
+  const startedAt = Date.now();
+  const results = [];
+
+  for (const step of steps) {
+    if (!step.events.includes(type)) continue;
+    if (!campaign.post_call_steps.includes(step.name)) continue;
+    if (only && !only.includes(step.name)) continue;
+
+    // Dependents of a failed step are skipped here and replayed together with it
+    const failedDependency = step.dependsOn.find(d => failed.has(d));
+    if (failedDependency) {
+      failed.add(step.name);
+      results.push({ step: step.name, started_at: new Date().toISOString(), status: 'skipped', reason: `dependency_failed:${failedDependency}`, duration_ms: 0 });
+      continue;
+    }
+
+    const stepStart = Date.now();
+    const outcome = { step: step.name, started_at: new Date(stepStart).toISOString() };
+    try {
+      const result = await step.run(ctx);
+      if (result?.skipped) {
+        outcome.status = 'skipped';
+        outcome.reason = result.reason || null;
+      } else {
+        outcome.status = 'success';
+        outcome.result = result ?? null;
+      }
+    } catch (error) {
+      failed.add(step.name);
+      outcome.status = 'failed';
+      outcome.error = error?.response?.data || error.message;
+      outcome.error_status = error?.status || error?.response?.status || null;
+      console.error(`❌ Webhook step ${step.name} failed for ${ctx.callId}:`, error.message);
+    }
+    outcome.duration_ms = Date.now() - stepStart;
+    results.push(outcome);
+  }
+
+  const ok = results.every(r => r.status !== 'failed');
+
+  if (!replay) {
+    for (const outcome of results.filter(r => r.status === 'failed')) {
+      try {
+        const dependents = dependentsOf(outcome.step).filter(name => results.some(r => r.step === name));
+        outcome.dead_letter_id = addDeadLetter({
+          source: 'webhook_pipeline',
+          action: outcome.step,
+          callId: ctx.callId,
+          steps: [outcome.step, ...dependents],
+          inputs: { type, data, event: extras.event ?? null },
+          error: outcome.error,
+          status: outcome.error_status
+        }).id;
+      } catch (error) {
+        console.error(`⚠️ Failed to dead-letter ${outcome.step}:`, error.message);
+      }
+    }
+  }
+
+  try {
+    recordCallOutcome(ctx.callId, {
+      event: type,
+      replay,
+      agent_id: ctx.agentId,
+      campaign: campaign.key,
+      agent_function: agentFunction,
+      started_at: new Date(startedAt).toISOString(),
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - startedAt,
+      ok,
+      steps: results
+    });
+  } catch (error) {
+    console.error('⚠️ Failed to record call outcome:', error.message);
+  }
+  try {
+    recordCallActions(ctx.callId, type, results);
+  } catch (error) {
+    console.error('⚠️ Failed to record call actions:', error.message);
+  }
+
+  const summary = results.map(r => `${r.step}=${r.status}${r.reason ? `(${r.reason})` : ''}`).join(', ');
+  console.log(`🧩 Webhook pipeline ${type} for ${ctx.callId} [${campaign.key}]: ${summary || 'no steps'}`);
+  return { ok, steps: results };
+}
@@ -0,0 +1,97 @@
+/**
+ * Fake Server
+ * Shared plumbing for the in-process stand-ins: an Express app on an ephemeral
+ * port that records every request it receives, so tests can assert on exactly
+ * what the app sent.
+ */
+
+import express from 'express';
+
+/**
+ * @param {string} name - shown in failure messages
+ * @param {function} setup - (app, fake) => void; registers the routes
+ * @returns {Promise<{ name, url, requests, find, hold, reset, close }>}
+ */
+export async function startFakeServer(name, setup) {
+  const app = express();
+  const holds = [];
+  const matches = (r, method, path) =>
+    r.method === method.toUpperCase() &&
+    (path instanceof RegExp ? path.test(r.path) : r.path.startsWith(path));
+  const release = (hold, response = null) => {
+    if (holds.includes(hold)) holds.splice(holds.indexOf(hold), 1);
+    for (const { res, next } of hold.waiting.splice(0)) {
+      if (response) res.status(response.status).json(response.body);
+      else next();
+    }
+  };
+  const fake = {
+    name,
+    url: null,
+    requests: [],
+    // Requests matching a method and a path (string prefix or RegExp)
+    find(method, path) {
+      return fake.requests.filter(r => matches(r, method, path));
+    },
+    /**
+     * Hold requests matching a method and a path until the returned function is called:
+     * release() lets them through, release({ status, body }) answers them with that instead
+     */
+    hold(method, path) {
+      const hold = { method, path, waiting: [] };
+      holds.push(hold);
+      return (response) => release(hold, response);
+    },
+    reset() {
+      [...holds].forEach(hold => release(hold));
+      fake.requests.length = 0;
+      fake.onReset?.();
+    }
+  };
+
+  app.use(express.json({ limit: '5mb' }));
+  app.use(express.raw({ type: 'multipart/form-data', limit: '5mb' }));
+  app.use((req, _res, next) => {
+    req.record = {
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      headers: req.headers,
+      body: req.body
+    };
+    fake.requests.push(req.record);
+    const hold = holds.find(h => matches(req.record, h.method, h.path));
+    if (hold) hold.waiting.push({ res, next });
+    else next();
+  });
+
+  setup(app, fake);
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `${name} fake has no route for ${req.method} ${req.path}` });
+  });
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  fake.url = `http://127.0.0.1:${server.address().port}`;
+  fake.close = () => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  return fake;
+}
+
+/**
+ * Text fields of a multipart body (the Retell SDK sends knowledge base sources this way);
+ * the recorded request body is replaced with the parsed fields
+ */
+export async function parseMultipart(req) {
+  const form = await new Response(req.body, { headers: { 'content-type': req.headers['content-type'] } }).formData();
+  const fields = {};
+  for (const [key, value] of form.entries()) {
+    if (typeof value === 'string') fields[key] = value;
+  }
+  req.record.body = fields;
+  return fields;
+}
@@ -0,0 +1,45 @@
+/**
+ * Klaviyo Fake
+ * Stand-in for the Klaviyo API: events are accepted and kept so tests can read them
+ * back by metric name; profile, list and campaign calls get minimal JSON:API answers.
+ * Point the app at it with KLAVIYO_API_BASE_URL.
+ */
+
+import crypto from 'crypto';
+import { startFakeServer } from './fake-server.js';
+
+export async function startKlaviyoFake() {
+  const fake = await startFakeServer('klaviyo', (app) => {
+    app.use('/api', (req, res, next) => {
+      if (!String(req.headers.authorization || '').startsWith('Klaviyo-API-Key ')) {
+        return res.status(401).json({ errors: [{ status: 401, code: 'not_authenticated', detail: 'Missing API key' }] });
+      }
+      next();
+    });
+
+    app.post('/api/events/', (req, res) => {
+      if (req.body?.data?.type !== 'event') {
+        return res.status(400).json({ errors: [{ status: 400, code: 'invalid', detail: 'data.type must be "event"' }] });
+      }
+      res.status(202).end();
+    });
+
+    app.get('/api/*', (_req, res) => res.json({ data: [], links: {} }));
+
+    app.post('/api/*', (req, res) => {
+      res.status(201).json({ data: { type: req.body?.data?.type || 'resource', id: crypto.randomBytes(8).toString('hex'), attributes: req.body?.data?.attributes || {} } });
+    });
+
+    app.patch('/api/*', (req, res) => res.json({ data: req.body?.data || {} }));
+  });
+
+  /**
+   * Attributes of the accepted events, optionally only those for one metric
+   * (e.g. 'Voicemail Left'), oldest first
+   */
+  fake.events = (metricName = null) => fake.find('POST', '/api/events/')
+    .map(r => r.body?.data?.attributes)
+    .filter(attributes => attributes && (!metricName || attributes.metric?.data?.attributes?.name === metricName));
+
+  return fake;
+}
@@ -0,0 +1,51 @@
+/**
+ * OpenAI Fake
+ * Stand-in for the chat completions endpoint. Replies are queued per test with
+ * fake.reply(); with nothing queued the fake.respond() handler answers, and
+ * without one the model answers "{}". Point the app at it with OPENAI_BASE_URL.
+ */
+
+import { startFakeServer } from './fake-server.js';
+
+export async function startOpenAIFake() {
+  const replies = [];
+  let responder = null;
+
+  const fake = await startFakeServer('openai', (app) => {
+    app.use((req, res, next) => {
+      if (!String(req.headers.authorization || '').startsWith('Bearer ')) {
+        return res.status(401).json({ error: { message: 'Missing API key', type: 'invalid_request_error' } });
+      }
+      next();
+    });
+
+    app.post('/v1/chat/completions', (req, res) => {
+      const reply = replies.length ? replies.shift() : responder ? responder(req.body) : {};
+      const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+      res.json({
+        id: `chatcmpl-fake-${fake.requests.length}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: req.body?.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      });
+    });
+  });
+
+  /**
+   * Queue the next completion's message content (objects are sent as JSON)
+   */
+  fake.reply = (content) => replies.push(content);
+
+  /**
+   * Answer every unqueued completion from its request: (body) => content
+   */
+  fake.respond = (handler) => { responder = handler; };
+
+  fake.onReset = () => {
+    replies.length = 0;
+    responder = null;
+  };
+  return fake;
+}
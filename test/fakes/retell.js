@@ -0,0 +1,192 @@
+/**
+ * Retell Fake
+ * Stand-in for the Retell API endpoints the app uses: phone calls, agents, Retell
+ * LLMs and knowledge bases. Point the app at it with RETELL_BASE_URL.
+ */
+
+import crypto from 'crypto';
+import { startFakeServer, parseMultipart } from './fake-server.js';
+
+const id = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+export async function startRetellFake() {
+  const state = { agents: new Map(), llms: new Map(), calls: new Map(), knowledgeBases: new Map() };
+
+  const fake = await startFakeServer('retell', (app) => {
+    app.use((req, res, next) => {
+      if (!String(req.headers.authorization || '').startsWith('Bearer ')) {
+        return res.status(401).json({ error_message: 'Missing API key' });
+      }
+      next();
+    });
+
+    // --- Calls ---
+    app.post('/v2/create-phone-call', (req, res) => {
+      const { from_number, to_number, override_agent_id, metadata, retell_llm_dynamic_variables } = req.body || {};
+      if (!from_number || !to_number) return res.status(400).json({ error_message: 'from_number and to_number are required' });
+      const call = {
+        call_id: id('call'),
+        call_type: 'phone_call',
+        agent_id: override_agent_id || [...state.agents.keys()][0] || null,
+        call_status: 'registered',
+        direction: 'outbound',
+        from_number,
+        to_number,
+        metadata: metadata || {},
+        retell_llm_dynamic_variables: retell_llm_dynamic_variables || {},
+        start_timestamp: Date.now()
+      };
+      state.calls.set(call.call_id, call);
+      res.status(201).json(call);
+    });
+
+    app.get('/v2/get-call/:id', (req, res) => {
+      const call = state.calls.get(req.params.id);
+      if (!call) return res.status(404).json({ error_message: 'Call not found' });
+      res.json(call);
+    });
+
+    // The SDK sends filter_criteria; older call sites pass agent_id / timestamps at the top level
+    app.post('/v2/list-calls', (req, res) => {
+      const body = req.body || {};
+      const criteria = body.filter_criteria || {};
+      const agentIds = [].concat(criteria.agent_id || body.agent_id || []);
+      const after = body.start_timestamp ?? criteria.start_timestamp?.lower_threshold;
+      const before = body.end_timestamp ?? criteria.start_timestamp?.upper_threshold;
+      const calls = [...state.calls.values()]
+        .filter(c => !agentIds.length || agentIds.includes(c.agent_id))
+        .filter(c => after == null || c.start_timestamp >= after)
+        .filter(c => before == null || c.start_timestamp <= before)
+        .sort((a, b) => b.start_timestamp - a.start_timestamp)
+        .slice(0, body.limit || 1000);
+      res.json(calls);
+    });
+
+    // --- Agents ---
+    app.get('/list-agents', (_req, res) => res.json([...state.agents.values()]));
+
+    app.get('/get-agent/:id', (req, res) => {
+      const agent = state.agents.get(req.params.id);
+      if (!agent) return res.status(404).json({ error_message: 'Agent not found' });
+      res.json(agent);
+    });
+
+    app.post('/create-agent', (req, res) => {
+      if (!req.body?.response_engine) return res.status(400).json({ error_message: 'response_engine is required' });
+      const agent = { agent_id: id('agent'), version: 0, ...req.body, last_modification_timestamp: Date.now() };
+      state.agents.set(agent.agent_id, agent);
+      res.status(201).json(agent);
+    });
+
+    app.delete('/delete-agent/:id', (req, res) => {
+      if (!state.agents.delete(req.params.id)) return res.status(404).json({ error_message: 'Agent not found' });
+      res.status(204).end();
+    });
+
+    app.patch('/update-agent/:id', (req, res) => {
+      const agent = state.agents.get(req.params.id);
+      if (!agent) return res.status(404).json({ error_message: 'Agent not found' });
+      Object.assign(agent, req.body, { version: (agent.version || 0) + 1, last_modification_timestamp: Date.now() });
+      res.json(agent);
+    });
+
+    app.post('/publish-agent/:id', (req, res) => {
+      const agent = state.agents.get(req.params.id);
+      if (!agent) return res.status(404).json({ error_message: 'Agent not found' });
+      agent.is_published = true;
+      res.status(200).end();
+    });
+
+    // --- Retell LLMs ---
+    app.get('/list-retell-llms', (_req, res) => res.json([...state.llms.values()]));
+
+    app.get('/get-retell-llm/:id', (req, res) => {
+      const llm = state.llms.get(req.params.id);
+      if (!llm) return res.status(404).json({ error_message: 'LLM not found' });
+      res.json(llm);
+    });
+
+    app.post('/create-retell-llm', (req, res) => {
+      const llm = { knowledge_base_ids: [], ...req.body, llm_id: id('llm'), version: 0, last_modification_timestamp: Date.now() };
+      state.llms.set(llm.llm_id, llm);
+      res.status(201).json(llm);
+    });
+
+    app.delete('/delete-retell-llm/:id', (req, res) => {
+      if (!state.llms.delete(req.params.id)) return res.status(404).json({ error_message: 'LLM not found' });
+      res.status(204).end();
+    });
+
+    app.patch('/update-retell-llm/:id', (req, res) => {
+      const llm = state.llms.get(req.params.id);
+      if (!llm) return res.status(404).json({ error_message: 'LLM not found' });
+      Object.assign(llm, req.body, { version: (llm.version || 0) + 1, last_modification_timestamp: Date.now() });
+      res.json(llm);
+    });
+
+    // --- Knowledge bases ---
+    app.get('/list-knowledge-bases', (_req, res) => res.json([...state.knowledgeBases.values()]));
+
+    app.get('/get-knowledge-base/:id', (req, res) => {
+      const kb = state.knowledgeBases.get(req.params.id);
+      if (!kb) return res.status(404).json({ error_message: 'Knowledge base not found' });
+      res.json(kb);
+    });
+
+    app.post('/create-knowledge-base', async (req, res) => {
+      const fields = await parseMultipart(req);
+      if (!fields.knowledge_base_name) return res.status(400).json({ error_message: 'knowledge_base_name is required' });
+      const kb = {
+        knowledge_base_id: id('knowledge_base'),
+        knowledge_base_name: fields.knowledge_base_name,
+        status: 'complete',
+        knowledge_base_sources: textSources(fields.knowledge_base_texts),
+        user_modified_timestamp: Date.now()
+      };
+      state.knowledgeBases.set(kb.knowledge_base_id, kb);
+      res.status(201).json(kb);
+    });
+
+    app.post('/add-knowledge-base-sources/:id', async (req, res) => {
+      const kb = state.knowledgeBases.get(req.params.id);
+      if (!kb) return res.status(404).json({ error_message: 'Knowledge base not found' });
+      const fields = await parseMultipart(req);
+      kb.knowledge_base_sources.push(...textSources(fields.knowledge_base_texts));
+      kb.user_modified_timestamp = Date.now();
+      res.status(201).json(kb);
+    });
+
+    app.delete('/delete-knowledge-base/:id', (req, res) => {
+      if (!state.knowledgeBases.delete(req.params.id)) return res.status(404).json({ error_message: 'Knowledge base not found' });
+      res.status(204).end();
+    });
+  });
+
+  function textSources(json) {
+    const texts = json ? JSON.parse(json) : [];
+    return texts.map(t => ({ type: 'text', source_id: id('source'), title: t.title, text: t.text }));
+  }
+
+  /**
+   * Seed an agent with its Retell LLM
+   */
+  fake.addAgent = ({ agent_id = id('agent'), agent_name, llm_id = id('llm'), general_prompt = 'You are a helpful agent.' } = {}) => {
+    state.llms.set(llm_id, { llm_id, general_prompt, knowledge_base_ids: [], version: 0 });
+    const agent = { agent_id, agent_name, response_engine: { type: 'retell-llm', llm_id }, voice_id: '11labs-Adrian', language: 'en-US', version: 0 };
+    state.agents.set(agent_id, agent);
+    return agent;
+  };
+
+  /**
+   * Seed a finished call, e.g. for the improvement loop to analyze
+   */
+  fake.addCall = (call) => {
+    const full = { call_id: id('call'), call_type: 'phone_call', call_status: 'ended', start_timestamp: Date.now(), ...call };
+    state.calls.set(full.call_id, full);
+    return full;
+  };
+
+  fake.state = state;
+  fake.onReset = () => Object.values(state).forEach(map => map.clear());
+  return fake;
+}
@@ -0,0 +1,568 @@
+/**
+ * Shopify Fake
+ * Stand-in for the Shopify Admin API: the REST endpoints the app reads and writes
+ * (customers, orders) and the GraphQL root fields it queries. Point the app at it
+ * with SHOPIFY_API_BASE_URL.
+ *
+ * Seed data is REST-shaped (snake_case, numeric ids); GraphQL responses are projected
+ * from it with every field the app selects. Connections carry both `edges` and
+ * `nodes`, so whichever the query asked for is there. Resolvers are picked by the
+ * first root field of the document and can be replaced per test with fake.graphql().
+ */
+
+import { startFakeServer } from './fake-server.js';
+
+const gid = (type, id) => `gid://shopify/${type}/${id}`;
+const legacyId = (id) => String(id).split('/').pop();
+const digits = (value) => String(value || '').replace(/\D/g, '');
+const rootFieldOf = (query) => String(query || '').match(/^\s*(?:query|mutation)?\s*\w*\s*(?:\([^)]*\))?\s*\{\s*(\w+)/)?.[1];
+
+function money(amount) {
+  const value = { amount: Number(amount || 0).toFixed(2), currencyCode: 'USD' };
+  return { shopMoney: value, presentmentMoney: value };
+}
+
+function connection(items) {
+  return {
+    edges: items.map((node, i) => ({ cursor: String(i), node })),
+    nodes: items,
+    pageInfo: { hasNextPage: false, hasPreviousPage: false, startCursor: null, endCursor: null }
+  };
+}
+
+// --- Search syntax ---
+
+const PHONE_FIELDS = new Set(['phone', 'customer_phone']);
+
+/**
+ * Split a Shopify search string into terms: `field:value`, `field:'quoted value'`
+ * and bare words. AND / OR / NOT and parentheses are dropped - every term must match.
+ */
+function parseSearch(query) {
+  const terms = [];
+  const pattern = /(\w+):(?:'([^']*)'|"([^"]*)"|(\S+))|(\S+)/g;
+  for (const m of String(query || '').matchAll(pattern)) {
+    if (m[5]) {
+      const word = m[5].replace(/[()]/g, '');
+      if (word && !['AND', 'OR', 'NOT'].includes(word)) terms.push({ field: null, value: word });
+      continue;
+    }
+    terms.push({ field: m[1], value: (m[2] ?? m[3] ?? m[4]).replace(/\)+$/, '') });
+  }
+  return terms;
+}
+
+function matchValue(field, candidate, value) {
+  if (candidate == null || candidate === '') return false;
+  if (PHONE_FIELDS.has(field)) {
+    const want = digits(value);
+    const have = digits(candidate);
+    if (!want || !have) return false;
+    return value.includes('*') ? have.includes(want) : have.slice(-10) === want.slice(-10);
+  }
+  const have = String(candidate).toLowerCase();
+  const want = value.toLowerCase();
+  if (want.includes('*')) return have.includes(want.replace(/\*/g, ''));
+  return have === want;
+}
+
+/**
+ * @param {string} query - Shopify search syntax
+ * @param {object} fields - searchable values for one record, by search field name
+ * @param {string[]} text - values bare words are matched against
+ */
+function matchesSearch(query, fields, text) {
+  return parseSearch(query).every(({ field, value }) => {
+    if (!field) {
+      const want = value.toLowerCase();
+      return text.some(t => t != null && (String(t).toLowerCase().includes(want) ||
+        (digits(want).length >= 7 && digits(t).includes(digits(want)))));
+    }
+    // Filters the fake doesn't model (updated_at, status, ...) match everything
+    if (!(field in fields)) return true;
+    return [].concat(fields[field]).some(candidate => matchValue(field, candidate, value));
+  });
+}
+
+export async function startShopifyFake() {
+  const state = {
+    customers: new Map(),
+    orders: new Map(),
+    variants: new Map(),
+    abandonedCheckouts: new Map(),
+    draftOrders: new Map(),
+    discounts: new Map()
+  };
+  const overrides = new Map();
+  let nextId = 1000;
+  let nextOrderNumber = 1001;
+
+  // --- Projections ---
+
+  const customerName = (c) => [c.first_name, c.last_name].filter(Boolean).join(' ');
+  const newestFirst = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+  const ordersFor = (customerId) => [...state.orders.values()]
+    .filter(o => String(o.customer_id) === String(customerId))
+    .sort(newestFirst);
+
+  function restCustomer(c) {
+    const orders = ordersFor(c.id);
+    return {
+      ...c,
+      orders_count: orders.length,
+      total_spent: orders.reduce((sum, o) => sum + Number(o.total_price || 0), 0).toFixed(2),
+      default_address: c.default_address || null,
+      addresses: c.addresses || []
+    };
+  }
+
+  function restOrder(o) {
+    const customer = state.customers.get(String(o.customer_id));
+    return {
+      ...o,
+      customer: customer
+        ? { id: customer.id, first_name: customer.first_name, last_name: customer.last_name, email: customer.email, phone: customer.phone }
+        : null
+    };
+  }
+
+  function gqlProductRef(v) {
+    return {
+      id: gid('Product', v.product_id),
+      title: v.product_title,
+      handle: String(v.product_title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+      vendor: 'The Meatery',
+      productType: v.product_type || 'Meat'
+    };
+  }
+
+  function gqlVariant(v) {
+    return {
+      id: gid('ProductVariant', v.id),
+      legacyResourceId: String(v.id),
+      title: v.title,
+      sku: v.sku,
+      price: Number(v.price).toFixed(2),
+      availableForSale: v.available !== false,
+      inventoryQuantity: v.inventory_quantity ?? 10,
+      inventoryPolicy: 'DENY',
+      product: gqlProductRef(v)
+    };
+  }
+
+  function gqlLineItem(li, i) {
+    const variant = state.variants.get(String(li.variant_id));
+    const price = li.price ?? variant?.price ?? 0;
+    return {
+      id: gid('LineItem', li.id || i + 1),
+      title: li.title || variant?.product_title,
+      name: li.title || variant?.product_title,
+      quantity: li.quantity || 1,
+      variantTitle: li.variant_title || variant?.title || null,
+      sku: li.sku || variant?.sku || null,
+      originalUnitPriceSet: money(price),
+      discountedUnitPriceSet: money(price),
+      product: variant ? gqlProductRef(variant) : null,
+      variant: variant ? gqlVariant(variant) : null
+    };
+  }
+
+  function gqlCustomerRef(c) {
+    return {
+      id: gid('Customer', c.id),
+      legacyResourceId: String(c.id),
+      firstName: c.first_name || null,
+      lastName: c.last_name || null,
+      displayName: customerName(c) || c.email || c.phone,
+      email: c.email || null,
+      phone: c.phone || null
+    };
+  }
+
+  function gqlOrder(o) {
+    const customer = state.customers.get(String(o.customer_id));
+    return {
+      id: gid('Order', o.id),
+      legacyResourceId: String(o.id),
+      name: o.name,
+      createdAt: o.created_at,
+      processedAt: o.created_at,
+      email: o.email || null,
+      phone: o.phone || null,
+      displayFinancialStatus: 'PAID',
+      displayFulfillmentStatus: o.fulfillments?.length ? 'FULFILLED' : 'UNFULFILLED',
+      totalPriceSet: money(o.total_price),
+      currentTotalPriceSet: money(o.total_price),
+      subtotalPriceSet: money(o.total_price),
+      customer: customer ? gqlCustomerRef(customer) : null,
+      shippingAddress: { phone: o.shipping_address?.phone || null },
+      billingAddress: { phone: o.billing_address?.phone || null },
+      lineItems: connection((o.line_items || []).map(gqlLineItem))
+    };
+  }
+
+  function gqlCustomer(c) {
+    const orders = ordersFor(c.id);
+    return {
+      ...gqlCustomerRef(c),
+      defaultPhoneNumber: c.phone ? { phoneNumber: c.phone } : null,
+      defaultEmailAddress: c.email ? { emailAddress: c.email } : null,
+      numberOfOrders: String(orders.length),
+      amountSpent: { amount: restCustomer(c).total_spent, currencyCode: 'USD' },
+      lastOrder: orders[0] ? { id: gid('Order', orders[0].id), createdAt: orders[0].created_at } : null,
+      createdAt: c.created_at || null,
+      updatedAt: c.updated_at || null,
+      orders: connection(orders.map(gqlOrder))
+    };
+  }
+
+  function gqlAbandonedCheckout(ac) {
+    const customer = ac.customer_id ? state.customers.get(String(ac.customer_id)) : null;
+    const address = { firstName: ac.first_name || null, lastName: ac.last_name || null, phone: ac.phone || null, email: ac.email || null };
+    return {
+      id: gid('AbandonedCheckout', ac.id),
+      name: `#${ac.id}`,
+      abandonedCheckoutUrl: ac.abandoned_checkout_url,
+      createdAt: ac.created_at,
+      updatedAt: ac.updated_at || ac.created_at,
+      completedAt: null,
+      note: null,
+      customAttributes: [],
+      customer: customer
+        ? gqlCustomerRef(customer)
+        : { id: null, firstName: ac.first_name || null, lastName: ac.last_name || null, email: ac.email || null, phone: ac.phone || null, displayName: null },
+      billingAddress: address,
+      shippingAddress: address,
+      lineItems: connection((ac.line_items || []).map(gqlLineItem)),
+      subtotalPriceSet: money(ac.total_price),
+      totalTaxSet: money(0),
+      totalPriceSet: money(ac.total_price),
+      totalDiscountSet: money(0),
+      discountCodes: [],
+      taxesIncluded: false
+    };
+  }
+
+  function gqlProduct(productId) {
+    const variants = [...state.variants.values()].filter(v => String(v.product_id) === String(productId));
+    return {
+      ...gqlProductRef(variants[0]),
+      tags: [],
+      status: 'ACTIVE',
+      publishedOnCurrentPublication: true,
+      totalInventory: variants.reduce((sum, v) => sum + (v.inventory_quantity ?? 10), 0),
+      variants: connection(variants.map(gqlVariant))
+    };
+  }
+
+  function gqlDraftOrder(draft) {
+    const customer = draft.customer_id ? state.customers.get(String(draft.customer_id)) : null;
+    return {
+      id: gid('DraftOrder', draft.id),
+      name: draft.name,
+      status: draft.order_id ? 'COMPLETED' : 'OPEN',
+      order: draft.order_id ? { id: gid('Order', draft.order_id), legacyResourceId: String(draft.order_id), name: state.orders.get(String(draft.order_id))?.name } : null,
+      invoiceUrl: `${fake.url}/invoices/${draft.id}`,
+      invoiceSentAt: draft.invoice_sent_at,
+      totalPriceSet: money(draft.total_price),
+      subtotalPriceSet: money(draft.total_price),
+      customer: customer ? gqlCustomerRef(customer) : null,
+      lineItems: connection(draft.line_items.map(gqlLineItem))
+    };
+  }
+
+  function resolveNode(id) {
+    const [, type, key] = String(id || '').match(/^gid:\/\/shopify\/(\w+)\/(.+)$/) || [];
+    if (type === 'ProductVariant' && state.variants.has(key)) return gqlVariant(state.variants.get(key));
+    if (type === 'Order' && state.orders.has(key)) return gqlOrder(state.orders.get(key));
+    if (type === 'Customer' && state.customers.has(key)) return gqlCustomer(state.customers.get(key));
+    if (type === 'AbandonedCheckout' && state.abandonedCheckouts.has(key)) return gqlAbandonedCheckout(state.abandonedCheckouts.get(key));
+    if (type === 'DraftOrder' && state.draftOrders.has(key)) return gqlDraftOrder(state.draftOrders.get(key));
+    return null;
+  }
+
+  // --- Searchable fields: [fields by search name, values bare words match] ---
+
+  const customerSearch = (c) => [{ email: c.email, phone: c.phone, id: c.id, customer_id: c.id }, [customerName(c), c.email, c.phone]];
+  const orderSearch = (o) => {
+    const customer = state.customers.get(String(o.customer_id));
+    const phones = [o.phone, customer?.phone, o.shipping_address?.phone, o.billing_address?.phone];
+    return [
+      { name: [o.name, String(o.order_number)], email: o.email, customer_id: o.customer_id, phone: phones },
+      [o.name, o.email, ...phones]
+    ];
+  };
+  const checkoutSearch = (ac) => [
+    { email: ac.email, customer_email: ac.email, phone: ac.phone, customer_phone: ac.phone },
+    [ac.email, ac.phone]
+  ];
+  const variantSearch = (v) => [{ sku: v.sku, title: v.title }, [v.sku, v.title, v.product_title]];
+  const search = (items, query, fieldsOf) => items.filter(item => !query || matchesSearch(query, ...fieldsOf(item)));
+
+  // --- GraphQL resolvers, by root field ---
+
+  const resolvers = {
+    customers: ({ query, first = 50 }) =>
+      connection(search([...state.customers.values()], query, customerSearch).slice(0, first).map(gqlCustomer)),
+
+    customerByIdentifier: ({ identifier = {}, ...vars }) => {
+      const email = identifier.emailAddress ?? vars.emailAddress;
+      const phone = identifier.phoneNumber ?? vars.phoneNumber;
+      const customer = [...state.customers.values()].find(c =>
+        (email && String(c.email || '').toLowerCase() === String(email).toLowerCase()) ||
+        (phone && digits(c.phone) && digits(c.phone).slice(-10) === digits(phone).slice(-10)));
+      return customer ? gqlCustomer(customer) : null;
+    },
+
+    customerCreate: ({ input = {} }) => {
+      if (input.email && [...state.customers.values()].some(c => c.email === input.email)) {
+        return { customer: null, userErrors: [{ field: ['email'], message: 'Email has already been taken' }] };
+      }
+      const customer = fake.addCustomer({ first_name: input.firstName, last_name: input.lastName, email: input.email, phone: input.phone });
+      return { customer: gqlCustomer(customer), userErrors: [] };
+    },
+
+    orders: ({ query, first = 50 }) =>
+      connection(search([...state.orders.values()], query, orderSearch).sort(newestFirst).slice(0, first).map(gqlOrder)),
+
+    nodes: ({ ids = [] }) => ids.map(resolveNode),
+
+    node: ({ id }) => resolveNode(id),
+
+    productVariants: ({ query, first = 50 }) =>
+      connection(search([...state.variants.values()], query, variantSearch).slice(0, first).map(gqlVariant)),
+
+    // Title terms are OR-ed, as in the selector's `title:*x* OR product_type:*x*` searches
+    products: ({ query, first = 50 }) => {
+      const titles = parseSearch(query).filter(t => t.field === 'title');
+      const productIds = [...new Set([...state.variants.values()]
+        .filter(v => !titles.length || titles.some(t => matchValue('title', v.product_title, t.value)))
+        .map(v => String(v.product_id)))];
+      return connection(productIds.slice(0, first).map(gqlProduct));
+    },
+
+    abandonedCheckouts: ({ query, first = 50 }) =>
+      connection(search([...state.abandonedCheckouts.values()], query, checkoutSearch).sort(newestFirst).slice(0, first).map(gqlAbandonedCheckout)),
+
+    discountCodeBasicCreate: ({ input = {} }) => {
+      const code = String(input.code || '');
+      if ([...state.discounts.values()].some(d => d.code.toLowerCase() === code.toLowerCase())) {
+        return { codeDiscountNode: null, userErrors: [{ field: ['basicCodeDiscount', 'code'], message: 'Code must be unique. Please try a different code.' }] };
+      }
+      const id = String(nextId++);
+      state.discounts.set(id, { id, ...input, code });
+      return {
+        codeDiscountNode: { id: gid('DiscountCodeNode', id), codeDiscount: { title: input.title, codes: connection([{ code }]) } },
+        userErrors: []
+      };
+    },
+
+    draftOrderCreate: ({ input = {} }) => {
+      const lineItems = [];
+      for (const item of input.lineItems || []) {
+        const variant = state.variants.get(legacyId(item.variantId || ''));
+        if (!variant) return { draftOrder: null, userErrors: [{ field: ['lineItems'], message: `Variant ${item.variantId} does not exist` }] };
+        lineItems.push({ variant_id: variant.id, title: variant.product_title, quantity: item.quantity || 1, price: variant.price });
+      }
+      const subtotal = lineItems.reduce((sum, li) => sum + Number(li.price) * li.quantity, 0);
+      const discount = input.appliedDiscount;
+      const off = !discount ? 0
+        : discount.valueType === 'PERCENTAGE' ? subtotal * Number(discount.value) / 100
+          : Number(discount.value || 0);
+      const customerId = input.purchasingEntity?.customerId || input.customerId;
+      const id = String(nextId++);
+      const draft = {
+        id,
+        name: `#D${state.draftOrders.size + 1}`,
+        input,
+        line_items: lineItems,
+        total_price: Math.max(0, subtotal - off),
+        customer_id: customerId ? legacyId(customerId) : null,
+        invoice_sent_at: null
+      };
+      state.draftOrders.set(id, draft);
+      return { draftOrder: gqlDraftOrder(draft), userErrors: [] };
+    },
+
+    draftOrderInvoiceSend: ({ id, email }) => {
+      const draft = state.draftOrders.get(legacyId(id || ''));
+      if (!draft) return { draftOrder: null, userErrors: [{ field: ['id'], message: 'Draft order does not exist' }] };
+      draft.invoice_sent_at = new Date().toISOString();
+      draft.invoice_email = email || null;
+      return { draftOrder: gqlDraftOrder(draft), userErrors: [] };
+    }
+  };
+
+  const fake = await startFakeServer('shopify', (app) => {
+    app.use('/admin', (req, res, next) => {
+      if (!req.headers['x-shopify-access-token']) return res.status(401).json({ errors: '[API] Invalid API key or access token' });
+      next();
+    });
+
+    app.post('/admin/api/:version/graphql.json', (req, res) => {
+      const { query = '', variables = {} } = req.body || {};
+      const rootField = rootFieldOf(query);
+      const resolve = overrides.get(rootField) || resolvers[rootField];
+      if (!resolve) return res.json({ errors: [{ message: `Field '${rootField}' doesn't exist on the fake` }] });
+      try {
+        res.json({ data: { [rootField]: resolve(variables, query) } });
+      } catch (error) {
+        res.json({ errors: [{ message: error.message }] });
+      }
+    });
+
+    app.get('/admin/api/:version/shop.json', (_req, res) => {
+      res.json({ shop: { id: 1, name: 'The Meatery (fake)', domain: 'fake.myshopify.com', currency: 'USD' } });
+    });
+
+    app.get('/admin/api/:version/customers/search.json', (req, res) => {
+      const customers = search([...state.customers.values()], req.query.query, customerSearch);
+      res.json({ customers: customers.slice(0, Number(req.query.limit) || 50).map(restCustomer) });
+    });
+
+    app.get('/admin/api/:version/customers/:id/orders.json', (req, res) => {
+      res.json({ orders: ordersFor(req.params.id).map(restOrder) });
+    });
+
+    app.get('/admin/api/:version/customers/:id.json', (req, res) => {
+      const customer = state.customers.get(req.params.id);
+      if (!customer) return res.status(404).json({ errors: 'Not Found' });
+      res.json({ customer: restCustomer(customer) });
+    });
+
+    // Paginated like Shopify: a Link header with a page_info cursor that carries the original filters
+    app.get('/admin/api/:version/orders.json', (req, res) => {
+      const query = req.query.page_info ? JSON.parse(Buffer.from(req.query.page_info, 'base64url').toString()) : req.query;
+      const { name, created_at_min, order: sort } = query;
+      const limit = Number(req.query.limit) || 50;
+      const offset = Number(query.offset) || 0;
+      const orders = [...state.orders.values()]
+        .filter(o => !name || o.name === name || String(o.order_number) === String(name))
+        .filter(o => !created_at_min || new Date(o.created_at) >= new Date(created_at_min))
+        .sort(sort === 'created_at asc' ? (a, b) => newestFirst(b, a) : newestFirst);
+      if (offset + limit < orders.length) {
+        const pageInfo = Buffer.from(JSON.stringify({ name, created_at_min, order: sort, offset: offset + limit })).toString('base64url');
+        res.set('Link', `<${fake.url}${req.path}?limit=${limit}&page_info=${pageInfo}>; rel="next"`);
+      }
+      res.json({ orders: orders.slice(offset, offset + limit).map(restOrder) });
+    });
+
+    app.get('/admin/api/:version/orders/:id.json', (req, res) => {
+      const order = state.orders.get(req.params.id);
+      if (!order) return res.status(404).json({ errors: 'Not Found' });
+      res.json({ order: restOrder(order) });
+    });
+
+    app.put('/admin/api/:version/orders/:id.json', (req, res) => {
+      const order = state.orders.get(req.params.id);
+      if (!order) return res.status(404).json({ errors: 'Not Found' });
+      const { id: _id, ...changes } = req.body?.order || {};
+      Object.assign(order, changes);
+      res.json({ order: restOrder(order) });
+    });
+  });
+
+  // --- Seeding ---
+
+  fake.addCustomer = (customer = {}) => {
+    const id = String(customer.id ?? nextId++);
+    const now = new Date().toISOString();
+    const full = { created_at: now, updated_at: now, ...customer, id: Number(id) };
+    state.customers.set(id, full);
+    return full;
+  };
+
+  fake.addVariant = (variant = {}) => {
+    const id = String(variant.id ?? nextId++);
+    const full = { title: 'Default Title', product_id: nextId++, price: '50.00', available: true, ...variant, id: Number(id) };
+    state.variants.set(id, full);
+    return full;
+  };
+
+  /**
+   * Seed an order; line_items reference seeded variants by variant_id
+   */
+  fake.addOrder = (order = {}) => {
+    const id = String(order.id ?? nextId++);
+    const orderNumber = order.order_number ?? nextOrderNumber++;
+    const customer = order.customer_id ? state.customers.get(String(order.customer_id)) : null;
+    const lineItems = (order.line_items || []).map((li, i) => {
+      const variant = state.variants.get(String(li.variant_id));
+      return { id: i + 1, title: variant?.product_title, variant_title: variant?.title, sku: variant?.sku, price: variant?.price, quantity: 1, ...li };
+    });
+    const full = {
+      created_at: new Date().toISOString(),
+      email: customer?.email || null,
+      phone: customer?.phone || null,
+      tags: '',
+      note: null,
+      fulfillments: [],
+      discount_codes: [],
+      total_price: lineItems.reduce((sum, li) => sum + Number(li.price || 0) * li.quantity, 0).toFixed(2),
+      ...order,
+      id: Number(id),
+      order_number: orderNumber,
+      name: order.name || `#${orderNumber}`,
+      line_items: lineItems
+    };
+    state.orders.set(id, full);
+    return full;
+  };
+
+  fake.addAbandonedCheckout = (checkout = {}) => {
+    const id = String(checkout.id ?? nextId++);
+    const full = {
+      created_at: new Date().toISOString(),
+      abandoned_checkout_url: `https://fake.myshopify.com/checkouts/${id}/recover`,
+      total_price: '0.00',
+      line_items: [],
+      ...checkout,
+      id: Number(id)
+    };
+    state.abandonedCheckouts.set(id, full);
+    return full;
+  };
+
+  /**
+   * Complete a draft order the app created: places an order for its line items and total
+   *
+   * @param {string|number} draftId - legacy id or gid
+   * @param {object} order - extra order fields (created_at, ...)
+   */
+  fake.completeDraftOrder = (draftId, order = {}) => {
+    const draft = state.draftOrders.get(legacyId(String(draftId)));
+    if (!draft) throw new Error(`No draft order ${draftId}`);
+    const created = fake.addOrder({
+      customer_id: draft.customer_id,
+      email: draft.input.email || undefined,
+      line_items: draft.line_items.map(({ variant_id, quantity, price }) => ({ variant_id, quantity, price })),
+      total_price: draft.total_price.toFixed(2),
+      source_name: 'shopify_draft_order',
+      ...order
+    });
+    draft.order_id = created.id;
+    return created;
+  };
+
+  /**
+   * Replace the resolver for one GraphQL root field until reset
+   *
+   * @param {string} rootField - e.g. 'discountCodeBasicCreate'
+   * @param {function} resolve - (variables, query) => data for that field
+   */
+  fake.graphql = (rootField, resolve) => overrides.set(rootField, resolve);
+
+  /**
+   * Variables of every GraphQL request whose first root field is `rootField`
+   */
+  fake.graphqlCalls = (rootField) => fake.find('POST', /graphql\.json$/)
+    .filter(r => rootFieldOf(r.body?.query) === rootField)
+    .map(r => r.body.variables || {});
+
+  fake.state = state;
+  fake.onReset = () => {
+    Object.values(state).forEach(map => map.clear());
+    overrides.clear();
+  };
+  return fake;
+}
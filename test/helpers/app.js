@@ -0,0 +1,171 @@
+/**
+ * Test App
+ * Boots src/server.js as a child process wired to the in-process fakes, with its
+ * own working and data directories, so each suite starts from empty state and
+ * nothing it writes (data/, improvement-logs/) lands in the repo.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Retell } from 'retell-sdk';
+import { startRetellFake } from '../fakes/retell.js';
+import { startShopifyFake } from '../fakes/shopify.js';
+import { startKlaviyoFake } from '../fakes/klaviyo.js';
+import { startOpenAIFake } from '../fakes/openai.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_PATH = path.join(__dirname, '..', '..', 'src', 'server.js');
+
+export const RETELL_API_KEY = 'key_test_retell';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll until `check` returns something truthy
+ */
+export async function waitFor(check, { timeoutMs = 5000, intervalMs = 50, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await sleep(intervalMs);
+  }
+}
+
+/**
+ * Start the fakes and the server
+ *
+ * @param {object} env - extra environment for the server (overrides the defaults)
+ * @returns {Promise<{ url, fakes, logs, request, close }>}
+ */
+export async function startApp({ env = {} } = {}) {
+  const fakes = {
+    retell: await startRetellFake(),
+    shopify: await startShopifyFake(),
+    klaviyo: await startKlaviyoFake(),
+    openai: await startOpenAIFake()
+  };
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meatery-test-'));
+  const port = await freePort();
+
+  // Only what the server needs - nothing from the developer's shell (real API keys) leaks in
+  const childEnv = {
+    PATH: process.env.PATH,
+    HOME: workDir,
+    NODE_ENV: 'test',
+    PORT: String(port),
+    DATA_DIR: path.join(workDir, 'data'),
+    RETELL_API_KEY,
+    RETELL_BASE_URL: fakes.retell.url,
+    RETELL_FROM_NUMBER: '+16195550000',
+    SHOPIFY_STORE_DOMAIN: 'fake.myshopify.com',
+    SHOPIFY_ADMIN_TOKEN: 'shpat_test',
+    SHOPIFY_API_BASE_URL: fakes.shopify.url,
+    KLAVIYO_API_KEY: 'pk_test',
+    KLAVIYO_PRIVATE_KEY: 'pk_test',
+    KLAVIYO_API_BASE_URL: `${fakes.klaviyo.url}/api`,
+    OPENAI_API_KEY: 'sk-test',
+    OPENAI_BASE_URL: `${fakes.openai.url}/v1`,
+    CAMPAIGN_SCHEDULER_ENABLED: 'false',
+    BYPASS_CALL_WINDOW: 'true',
+    ...env
+  };
+
+  const logs = [];
+  const child = spawn(process.execPath, [SERVER_PATH], { cwd: workDir, env: childEnv, stdio: ['ignore', 'pipe', 'pipe'] });
+  const collect = (chunk) => {
+    logs.push(chunk.toString());
+    if (logs.length > 2000) logs.splice(0, logs.length - 2000);
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const app = {
+    url,
+    fakes,
+    workDir,
+    logs,
+    output: () => logs.join(''),
+
+    /**
+     * @returns {Promise<{ status, body, headers }>} body is parsed JSON when the response is JSON
+     */
+    async request(method, route, { body, headers = {}, raw = false } = {}) {
+      const response = await fetch(`${url}${route}`, {
+        method,
+        headers: body !== undefined ? { 'content-type': 'application/json', ...headers } : headers,
+        body: body === undefined ? undefined : raw ? body : JSON.stringify(body)
+      });
+      const text = await response.text();
+      let parsed = text;
+      if ((response.headers.get('content-type') || '').includes('application/json')) parsed = JSON.parse(text);
+      return { status: response.status, body: parsed, headers: response.headers };
+    },
+
+    get: (route, options) => app.request('GET', route, options),
+    post: (route, body, options = {}) => app.request('POST', route, { ...options, body }),
+
+    /**
+     * POST a Retell webhook, signed with the test API key unless a signature is given
+     */
+    deliverWebhook(payload, { signature } = {}) {
+      const body = JSON.stringify(payload);
+      return app.request('POST', '/webhooks/retell', {
+        body,
+        raw: true,
+        headers: { 'x-retell-signature': signature ?? Retell.sign(body, RETELL_API_KEY) }
+      });
+    },
+
+    /**
+     * Clear the fakes' recorded requests and seeded data between tests
+     */
+    resetFakes() {
+      Object.values(fakes).forEach(fake => fake.reset());
+    },
+
+    async close() {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 3000);
+        await exited;
+        clearTimeout(timer);
+      }
+      await Promise.all(Object.values(fakes).map(fake => fake.close()));
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  };
+
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) throw new Error(`server exited with code ${child.exitCode}`);
+      try {
+        return (await fetch(`${url}/health`)).ok;
+      } catch (_) {
+        return false;
+      }
+    }, { timeoutMs: 15000, intervalMs: 100, message: 'the server to start' });
+  } catch (error) {
+    await app.close();
+    throw new Error(`${error.message}\n--- server output ---\n${logs.join('')}`);
+  }
+  return app;
+}
@@ -0,0 +1,149 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, waitFor } from '../helpers/app.js';
+
+let app;
+let retell;
+let agent;
+let proposal;
+
+const PROMPT = 'You are Grace from The Meatery. Help customers with their orders.';
+
+const improvements = {
+  new_sections: {
+    SHIPPING_TO_HAWAII: 'When a customer asks about shipping to Hawaii, help them by explaining that we ship with expedited two-day delivery.',
+    COLD_PACKS: 'When a customer asks about cold packs, explain that every box ships with dry ice.'
+  },
+  modifications: {},
+  sample_scripts: {},
+  best_practices: ['Confirm the delivery address before ending the call'],
+  priority_fixes: ['Answer shipping destination questions directly'],
+  expected_improvement: 'Fewer unanswered shipping questions'
+};
+
+const hoursAgo = (hours) => Date.now() - hours * 60 * 60 * 1000;
+
+async function propose() {
+  app.fakes.openai.reply(improvements);
+  const { status } = await app.post('/improve-agent', {});
+  assert.equal(status, 200, app.output());
+  const { body } = await app.get('/improvements/proposals');
+  return body.proposals[0];
+}
+
+const kbTexts = () => [...retell.state.knowledgeBases.values()].flatMap(kb => kb.knowledge_base_sources);
+
+before(async () => {
+  app = await startApp({ env: { IMPROVEMENT_APPROVAL: 'all' } });
+  ({ retell } = app.fakes);
+  agent = retell.addAgent({ agent_name: 'Grace - Post Delivery', general_prompt: PROMPT });
+  ['Do you ship to Hawaii?', 'Does it come with cold packs?'].forEach((question, i) => retell.addCall({
+    agent_id: agent.agent_id,
+    from_number: '+16195550000',
+    to_number: `+1619555090${i}`,
+    start_timestamp: hoursAgo(i + 1),
+    transcript: `Agent: Hi, this is Grace from The Meatery. User: ${question} Agent: Let me check on that.`,
+    call_analysis: { call_successful: false, call_summary: question, user_sentiment: 'Neutral' }
+  }));
+});
+
+after(() => app?.close());
+
+test('the improvement loop queues its changes for review instead of applying them', async () => {
+  proposal = await propose();
+  assert.equal(proposal.status, 'pending');
+  assert.deepEqual(proposal.sections, { pending: 3, approved: 0, rejected: 0 });
+  assert.deepEqual(proposal.agents.map(a => a.id), [agent.agent_id]);
+  assert.deepEqual(proposal.context.priority_fixes, improvements.priority_fixes);
+  assert.equal(kbTexts().length, 0);
+  assert.match(app.output(), /queued for review/);
+});
+
+test('reviewers edit, reject and comment on sections and see the prompt diff', async () => {
+  const base = `/improvements/proposals/${proposal.proposal_id}`;
+  const { body: full } = await app.get(base);
+  const shipping = full.sections.find(s => s.name === 'SHIPPING_TO_HAWAII');
+  const coldPacks = full.sections.find(s => s.name === 'COLD_PACKS');
+
+  const edited = 'When a customer asks about shipping to Hawaii, help them by explaining that Hawaii orders ship overnight for a flat surcharge.';
+  const edit = await app.post(`${base}/sections/${shipping.section_id}`, { content: edited, reviewer: 'dana' });
+  assert.equal(edit.status, 200, JSON.stringify(edit.body));
+  assert.equal(edit.body.sections.find(s => s.section_id === shipping.section_id).edited, true);
+
+  const reject = await app.post(`${base}/sections/${coldPacks.section_id}`, { status: 'rejected', reviewer: 'dana' });
+  assert.equal(reject.body.sections.find(s => s.section_id === coldPacks.section_id).reviewed_by, 'dana');
+
+  const comment = await app.post(`${base}/comments`, { text: 'We use gel packs, not dry ice', author: 'dana', section_id: coldPacks.section_id });
+  assert.equal(comment.status, 200);
+  assert.equal((await app.get(base)).body.comments[0].text, 'We use gel packs, not dry ice');
+
+  const { status, body: preview } = await app.get(`${base}/diff`);
+  assert.equal(status, 200, JSON.stringify(preview));
+  assert.equal(preview.agent_id, agent.agent_id);
+  assert.match(preview.diff, /\+.*ship overnight for a flat surcharge/);
+  assert.doesNotMatch(preview.diff, /dry ice/);
+  assert.match((await app.get(`${base}/diff?format=text`)).body, /^---/);
+
+  assert.equal((await app.post(`${base}/sections/${shipping.section_id}`, { status: 'maybe' })).status, 400);
+  assert.equal((await app.post(`${base}/sections/sec_nope`, { status: 'approved' })).status, 404);
+  assert.equal((await app.post(`${base}/comments`, {})).status, 400);
+});
+
+test('approving applies the edited sections and leaves out the rejected ones', async () => {
+  const base = `/improvements/proposals/${proposal.proposal_id}`;
+  const { status, body } = await app.post(`${base}/approve`, { reviewer: 'dana', note: 'looks good' });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.status, 'applied');
+  assert.equal(body.decision.reviewer, 'dana');
+  assert.deepEqual([body.decision.approved_sections, body.decision.rejected_sections], [2, 1]);
+  assert.equal(body.decision.updated_agents[0].agent_id, agent.agent_id);
+
+  const texts = kbTexts().map(s => `${s.title}\n${s.text}`).join('\n');
+  assert.match(texts, /ship overnight for a flat surcharge/);
+  assert.match(texts, /Confirm the delivery address/);
+  assert.doesNotMatch(texts, /dry ice/);
+  assert.equal(retell.state.llms.get(agent.response_engine.llm_id).knowledge_base_ids.length, 1);
+
+  assert.equal((await app.post(`${base}/approve`, {})).status, 409);
+  assert.equal((await app.post(`${base}/sections/${body.sections[0].section_id}`, { status: 'rejected' })).status, 409);
+});
+
+test('rejecting a proposal applies nothing', async () => {
+  const before = kbTexts().length;
+  const next = await propose();
+  const { status, body } = await app.post(`/improvements/proposals/${next.proposal_id}/reject`, { reviewer: 'dana' });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.status, 'rejected');
+  assert.ok(body.sections.every(s => s.status === 'rejected'));
+  assert.equal(kbTexts().length, before);
+
+  const { body: pending } = await app.get('/improvements/proposals?status=pending');
+  assert.equal(pending.proposals.length, 0);
+  assert.equal((await app.get('/improvements/proposals/prop_nope')).status, 404);
+  assert.equal((await app.post('/improvements/proposals/prop_nope/approve', {})).status, 404);
+});
+
+test('a second approval while the first is still applying gets a 409', async () => {
+  const next = await propose();
+  const base = `/improvements/proposals/${next.proposal_id}`;
+  const { body: full } = await app.get(base);
+  const listed = retell.find('GET', '/list-agents').length;
+
+  const release = retell.hold('GET', '/list-agents');
+  const first = app.post(`${base}/approve`, { reviewer: 'dana' });
+  await waitFor(() => retell.find('GET', '/list-agents').length > listed, { message: 'the first approval reaching Retell' });
+
+  const second = await app.post(`${base}/approve`, { reviewer: 'lee' });
+  assert.equal(second.status, 409, JSON.stringify(second.body));
+  assert.equal(second.body.reason, 'proposal is being applied');
+  assert.equal((await app.post(`${base}/sections/${full.sections[0].section_id}`, { status: 'rejected' })).status, 409);
+  assert.equal((await app.post(`${base}/reject`, {})).status, 409);
+  assert.equal((await app.get(base)).body.status, 'applying');
+
+  release();
+  const { status, body } = await first;
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.status, 'applied');
+  assert.equal(body.decision.reviewer, 'dana');
+  assert.equal(body.applying, undefined);
+});
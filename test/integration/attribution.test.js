@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, waitFor } from '../helpers/app.js';
+
+let app;
+let shopify;
+
+// Attribution reads every call record, so the suite builds one scenario and checks it in steps
+before(async () => {
+  app = await startApp({ env: { ATTRIBUTION_GROSS_MARGIN: '0.5' } });
+  ({ shopify } = app.fakes);
+});
+
+after(() => app?.close());
+
+const minutesAgo = (minutes) => Date.now() - minutes * 60 * 1000;
+
+async function startCall(call) {
+  const full = { direction: 'outbound', from_number: '+16195550000', start_timestamp: minutesAgo(30), ...call };
+  await app.deliverWebhook({ event: 'call_started', call: full });
+  await waitFor(async () => (await app.get(`/calls/records/${full.call_id}`)).status === 200, { message: `record for ${full.call_id}` });
+  return full;
+}
+
+const conversionFor = (conversions, order) => conversions.find(c => String(c.order_id) === String(order.id));
+
+test('orders are credited to the call that led to them', async () => {
+  // Discount code issued on a win-back call, redeemed under a different email
+  const lee = shopify.addCustomer({ first_name: 'Lee', last_name: 'Park', email: 'lee.attr@example.com', phone: '+16195550301' });
+  const discountCall = await startCall({ call_id: 'call_attr_discount', agent_id: 'agent_winback', agent_version: 3, to_number: lee.phone, metadata: { campaign: 'win_back' } });
+  const discount = await app.post('/tools/send-discount', { call: discountCall, args: { customer_email: lee.email, customer_name: 'Lee' } });
+  assert.equal(discount.body.success, true, JSON.stringify(discount.body));
+  const discountOrder = shopify.addOrder({
+    email: 'someone.else@example.com',
+    discount_codes: [{ code: discount.body.discount_code, amount: '20.00' }],
+    total_price: '180.00',
+    total_discounts: '20.00'
+  });
+
+  // Draft order created on a voicemail win-back call and paid later
+  const variant = shopify.addVariant({ product_title: 'Wagyu Ribeye', price: '100.00' });
+  const sam = shopify.addCustomer({ first_name: 'Sam', last_name: 'Ortiz', email: 'sam.attr@example.com', phone: '+16195550302' });
+  const draftCall = await startCall({ call_id: 'call_attr_draft', agent_id: 'agent_winback', agent_version: 4, to_number: sam.phone, metadata: { campaign: 'win_back' } });
+  const draft = await app.post('/tools/send-winback-draft-order', {
+    call: draftCall,
+    args: { customer_email: sam.email, product_variants: [String(variant.id)], target_amount: 100 }
+  });
+  assert.equal(draft.body.success, true, JSON.stringify(draft.body));
+  const draftOrder = shopify.completeDraftOrder(draft.body.draft_order_id, { email: 'sam.other@example.com', phone: null, customer_id: null, total_discounts: '20.00' });
+
+  // Abandoned checkout the call was about
+  const checkoutCall = await startCall({
+    call_id: 'call_attr_checkout',
+    agent_id: 'agent_recovery',
+    to_number: '+16195550303',
+    metadata: { source: 'abandoned_checkout_recovery', checkout_id: 'gid://shopify/AbandonedCheckout/88001' }
+  });
+  const checkoutOrder = shopify.addOrder({ checkout_id: 88001, email: 'new.buyer@example.com', total_price: '240.00' });
+
+  // Plain phone match, plus a cancelled order and an order nobody called about
+  const dana = shopify.addCustomer({ first_name: 'Dana', email: 'dana.attr@example.com', phone: '+16195550304' });
+  const phoneCall = await startCall({ call_id: 'call_attr_phone', agent_id: 'agent_recovery', to_number: '(619) 555-0304', metadata: { source: 'abandoned_checkout_recovery' } });
+  const phoneOrder = shopify.addOrder({ customer_id: dana.id, total_price: '60.00' });
+  const cancelledOrder = shopify.addOrder({ customer_id: dana.id, total_price: '999.00', cancelled_at: new Date().toISOString() });
+  const strangerOrder = shopify.addOrder({ email: 'stranger@example.com', phone: '+16195550399', total_price: '75.00' });
+
+  // An order placed before the call can't be credited to it
+  await startCall({ call_id: 'call_attr_late', agent_id: 'agent_recovery', to_number: '+16195550305', start_timestamp: Date.now() + 60_000, metadata: { source: 'abandoned_checkout_recovery' } });
+  const earlyOrder = shopify.addOrder({ phone: '+16195550305', total_price: '50.00' });
+
+  const run = await app.post('/conversions/attribute', {});
+  assert.equal(run.status, 200, JSON.stringify(run.body));
+
+  const { body } = await app.get('/conversions');
+  const matches = Object.fromEntries([
+    ['discount', discountOrder], ['draft', draftOrder], ['checkout', checkoutOrder], ['phone', phoneOrder]
+  ].map(([name, order]) => [name, conversionFor(body.conversions, order)]));
+
+  assert.equal(matches.discount.call_id, discountCall.call_id);
+  assert.equal(matches.discount.matched_by, 'discount_code');
+  assert.equal(matches.draft.call_id, draftCall.call_id);
+  assert.equal(matches.draft.matched_by, 'draft_order');
+  assert.equal(matches.checkout.call_id, checkoutCall.call_id);
+  assert.equal(matches.checkout.matched_by, 'checkout');
+  assert.equal(matches.phone.call_id, phoneCall.call_id);
+  assert.equal(matches.phone.matched_by, 'phone');
+  assert.equal(conversionFor(body.conversions, cancelledOrder).cancelled, true);
+  assert.equal(conversionFor(body.conversions, strangerOrder), undefined);
+  assert.equal(conversionFor(body.conversions, earlyOrder), undefined);
+
+  // Running again doesn't double count
+  const again = await app.post('/conversions/attribute', {});
+  assert.equal(again.body.attributed, 0);
+});
+
+test('the report rolls conversions up per campaign, agent and prompt version', async () => {
+  const { body } = await app.get('/conversions/report');
+
+  const winBack = body.by_campaign.win_back;
+  assert.equal(winBack.calls, 2);
+  assert.equal(winBack.converted_calls, 2);
+  assert.equal(winBack.conversion_rate, 1);
+  const draftOrder = [...shopify.state.orders.values()].find(o => o.source_name === 'shopify_draft_order');
+  assert.equal(winBack.recovered_revenue, 180 + Number(draftOrder.total_price));
+  assert.equal(winBack.avg_discount_cost, 20);
+
+  // Abandoned checkout: the cancelled order is left out and the late call converted nothing
+  const recovery = body.by_campaign.abandoned_checkout;
+  assert.equal(recovery.calls, 3);
+  assert.equal(recovery.converted_calls, 2);
+  assert.equal(recovery.conversion_rate, 0.667);
+  assert.equal(recovery.recovered_revenue, 300);
+  assert.equal(recovery.discount_cost, 0);
+  assert.equal(recovery.net_margin, 150);
+
+  assert.equal(body.by_agent.agent_recovery.orders, 2);
+  assert.equal(body.by_prompt_version['agent_winback@3'].orders, 1);
+  assert.equal(body.by_prompt_version['agent_winback@4'].orders, 1);
+  assert.equal(body.totals.orders, 4);
+});
+
+test('unanswered and inbound calls get no credit', async () => {
+  const answered = await startCall({ call_id: 'call_attr_answered', agent_id: 'agent_recovery', to_number: '+16195550306', start_timestamp: minutesAgo(40) });
+  const unanswered = await startCall({ call_id: 'call_attr_no_answer', agent_id: 'agent_recovery', to_number: '+16195550306', start_timestamp: minutesAgo(20) });
+  await app.deliverWebhook({ event: 'call_ended', call: { ...unanswered, disconnection_reason: 'dial_no_answer', end_timestamp: minutesAgo(19) } });
+  await waitFor(async () => (await app.get(`/calls/records/${unanswered.call_id}`)).body.outcome === 'no_answer', { message: 'no_answer outcome' });
+  const followUpOrder = shopify.addOrder({ phone: '+16195550306', total_price: '80.00' });
+
+  await startCall({ call_id: 'call_attr_missed', agent_id: 'agent_recovery', to_number: '+16195550307' });
+  await app.deliverWebhook({ event: 'call_ended', call: { call_id: 'call_attr_missed', direction: 'outbound', to_number: '+16195550307', disconnection_reason: 'dial_busy' } });
+  await startCall({ call_id: 'call_attr_inbound', direction: 'inbound', from_number: '+16195550308', to_number: '+16195550000' });
+  await waitFor(async () => (await app.get('/calls/records/call_attr_missed')).body.outcome === 'no_answer', { message: 'busy outcome' });
+  const missedOrder = shopify.addOrder({ phone: '+16195550307', total_price: '90.00' });
+  const inboundOrder = shopify.addOrder({ phone: '+16195550308', total_price: '95.00' });
+
+  await app.post('/conversions/attribute', {});
+  const { body } = await app.get('/conversions');
+  assert.equal(conversionFor(body.conversions, followUpOrder).call_id, answered.call_id);
+  assert.equal(conversionFor(body.conversions, missedOrder), undefined);
+  assert.equal(conversionFor(body.conversions, inboundOrder), undefined);
+});
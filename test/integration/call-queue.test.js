@@ -0,0 +1,29 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startApp, waitFor } from '../helpers/app.js';
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app?.close());
+
+test('a corrupt queue file is moved aside instead of being silently reset', async () => {
+  const dataDir = path.join(app.workDir, 'data');
+  const queuePath = path.join(dataDir, 'call-queue.json');
+  const garbage = '{"batches": {}, "jobs": [{"job_id": "job_1", "status": "pend';
+  fs.writeFileSync(queuePath, garbage);
+
+  const { status, body } = await app.get('/call/batches');
+  assert.equal(status, 200);
+  assert.deepEqual(body.batches, []);
+
+  const backups = fs.readdirSync(dataDir).filter(name => name.startsWith('call-queue.json.corrupt-'));
+  assert.equal(backups.length, 1);
+  assert.equal(fs.readFileSync(path.join(dataDir, backups[0]), 'utf8'), garbage);
+  await waitFor(() => /Call queue file is corrupt/.test(app.output()), { message: 'the corrupt queue warning' });
+});
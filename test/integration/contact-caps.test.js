@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startApp } from '../helpers/app.js';
+
+let app;
+let agent;
+let envDir;
+
+before(async () => {
+  // Caps come from a .env file, which has to be loaded before the ledger reads them
+  envDir = fs.mkdtempSync(path.join(os.tmpdir(), 'meatery-env-'));
+  const envPath = path.join(envDir, '.env');
+  fs.writeFileSync(envPath, [
+    'CONTACT_CAP_MIN_HOURS_BETWEEN_CALLS=0',
+    'CONTACT_CAP_MAX_TOUCHES=2',
+    'CONTACT_CAP_TOUCH_WINDOW_DAYS=7'
+  ].join('\n'));
+  app = await startApp({ env: { DOTENV_CONFIG_PATH: envPath } });
+  agent = app.fakes.retell.addAgent({ agent_name: 'Grace - Post Delivery' });
+});
+
+after(() => {
+  app?.close();
+  if (envDir) fs.rmSync(envDir, { recursive: true, force: true });
+});
+
+test('calls past the touch cap are skipped as frequency_capped', async () => {
+  const phone = '+16195554100';
+
+  for (let i = 0; i < 2; i++) {
+    const placed = await app.post('/call', { phone, agentId: agent.agent_id });
+    assert.equal(placed.status, 200, JSON.stringify(placed.body));
+    assert.ok(placed.body.call_id, JSON.stringify(placed.body));
+  }
+
+  const capped = await app.post('/call', { phone, agentId: agent.agent_id });
+  assert.equal(capped.body.skipped, true, JSON.stringify(capped.body));
+  assert.equal(capped.body.reason, 'frequency_capped');
+  assert.equal(capped.body.detail, '2 touches in the last 7 days (max 2)');
+  assert.ok(capped.body.next_allowed_at);
+
+  const { body } = await app.get(`/contacts/${encodeURIComponent(phone)}`);
+  assert.equal(body.caps.allowed, false);
+  assert.equal(body.caps.reason, 'frequency_capped');
+  assert.deepEqual(body.history.map(e => e.type), ['call', 'call']);
+  assert.equal(app.fakes.retell.state.calls.size, 2);
+});
@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, waitFor } from '../helpers/app.js';
+
+let app;
+let retell;
+let shopify;
+
+let seq = 0;
+
+async function runCall({ disconnection_reason, analysis, ...fields }) {
+  const call = {
+    call_id: `call_dash_${++seq}`,
+    agent_id: 'agent_dash',
+    direction: 'outbound',
+    from_number: '+16195550000',
+    to_number: `+1619555080${seq}`,
+    start_timestamp: Date.now() - 2_000,
+    metadata: { campaign: 'win_back' },
+    ...fields
+  };
+  await app.deliverWebhook({ event: 'call_started', call });
+  await app.deliverWebhook({ event: 'call_ended', call: { ...call, end_timestamp: Date.now() - 1_000, disconnection_reason } });
+  if (analysis) await app.deliverWebhook({ event: 'call_analyzed', call: { ...call, call_analysis: analysis } });
+
+  const lastEvent = analysis ? 'call_analyzed' : 'call_ended';
+  await waitFor(async () => {
+    const { status, body } = await app.get(`/calls/${call.call_id}/outcomes`);
+    return status === 200 && body.runs.some(run => run.event === lastEvent);
+  }, { message: `${lastEvent} for ${call.call_id}` });
+  return call;
+}
+
+let answered;
+let failed;
+
+// The overview counts everything recorded so far, so the suite shares one server and one scenario
+before(async () => {
+  app = await startApp();
+  ({ retell, shopify } = app.fakes);
+
+  answered = await runCall({ disconnection_reason: 'user_hangup', analysis: { call_successful: true, user_sentiment: 'Positive' } });
+  await runCall({ disconnection_reason: 'voicemail_reached' });
+  await runCall({ disconnection_reason: 'dial_no_answer' });
+  failed = await runCall({ disconnection_reason: 'dial_failed' });
+
+  const customer = shopify.addCustomer({ first_name: 'Quinn', email: 'quinn.dash@example.com', phone: answered.to_number });
+  const variant = shopify.addVariant({ product_title: 'Wagyu Ribeye', price: '100.00' });
+  const discount = await app.post('/tools/send-discount', { call: answered, args: { customer_email: customer.email, customer_name: 'Quinn' } });
+  assert.equal(discount.body.success, true, JSON.stringify(discount.body));
+  const draft = await app.post('/tools/send-winback-draft-order', {
+    call: answered,
+    args: { customer_email: customer.email, product_variants: [String(variant.id)], target_amount: 100 }
+  });
+  assert.equal(draft.body.success, true, JSON.stringify(draft.body));
+
+  await app.post('/opt-out', { phone: '+16195550899' });
+});
+
+after(() => app?.close());
+
+test('the overview shows today\'s calls, rates, offers, queue and failures', async () => {
+  const { status, body } = await app.get('/dashboard/overview');
+  assert.equal(status, 200, JSON.stringify(body));
+
+  assert.equal(body.calls.total, 4);
+  assert.deepEqual(body.calls.by_outcome, { successful: 1, voicemail: 1, no_answer: 1, failed: 1 });
+  assert.equal(body.calls.answer_rate, 0.25);
+  assert.equal(body.calls.voicemail_rate, 0.25);
+  assert.deepEqual(body.discounts, { issued: 1, redeemed: 0 });
+  assert.equal(body.draft_orders_created, 1);
+  assert.equal(body.dnc_count, 1);
+  assert.equal(body.queue.depth, 0);
+
+  const failure = body.recent_failures.find(f => f.call_id === failed.call_id);
+  assert.equal(failure.kind, 'call');
+  assert.equal(failure.error, 'dial_failed');
+
+  // Nothing started after `until`
+  const earlier = await app.get(`/dashboard/overview?since=2020-01-01&until=${new Date(Date.now() - 60 * 60 * 1000).toISOString()}`);
+  assert.equal(earlier.body.calls.total, 0);
+  assert.equal((await app.get('/dashboard/overview?since=yesterday-ish')).status, 400);
+});
+
+test('the time series buckets the same numbers by day or hour', async () => {
+  const { body } = await app.get('/dashboard/timeseries?days=3');
+  assert.equal(body.points.length, 3);
+  const today = body.points.at(-1);
+  assert.equal(today.calls, 4);
+  assert.equal(today.answered, 1);
+  assert.equal(today.voicemails, 1);
+  assert.equal(today.not_connected, 2);
+  assert.equal(today.discounts_issued, 1);
+  assert.equal(today.draft_orders, 1);
+  assert.equal(body.points[0].calls, 0);
+
+  const hourly = await app.get('/dashboard/timeseries?days=1&bucket=hour');
+  assert.equal(hourly.body.points.length, 24);
+  assert.equal(hourly.body.points.reduce((sum, p) => sum + p.calls, 0), 4);
+
+  assert.equal((await app.get('/dashboard/timeseries?days=30&bucket=hour')).status, 400);
+});
+
+test('a call drills down to its transcript, post-call actions and offers', async () => {
+  retell.addCall({
+    call_id: answered.call_id,
+    transcript: 'Agent: Hi Quinn. User: Hi!',
+    transcript_object: [{ role: 'agent', content: 'Hi Quinn.' }, { role: 'user', content: 'Hi!' }],
+    recording_url: 'https://recordings.example.com/dash.wav'
+  });
+
+  const { status, body } = await app.get(`/dashboard/calls/${answered.call_id}`);
+  assert.equal(status, 200);
+  assert.equal(body.record.outcome, 'successful');
+  assert.equal(body.record.draft_orders.length, 1);
+  assert.deepEqual(body.pipeline.runs.map(run => run.event), ['call_started', 'call_ended', 'call_analyzed']);
+  assert.equal(body.discounts.length, 1);
+  assert.equal(body.transcript.available, true);
+  assert.equal(body.transcript.turns.length, 2);
+  assert.equal(body.transcript.recording_url, 'https://recordings.example.com/dash.wav');
+
+  // Retell doesn't know this one; the rest of the detail still comes back
+  const missing = await app.get(`/dashboard/calls/${failed.call_id}`);
+  assert.equal(missing.status, 200);
+  assert.equal(missing.body.transcript.available, false);
+
+  assert.equal((await app.get('/dashboard/calls/call_nope')).status, 404);
+});
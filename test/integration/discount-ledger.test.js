@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from '../helpers/app.js';
+
+let app;
+let shopify;
+
+before(async () => {
+  app = await startApp({ env: { DISCOUNT_RECONCILE_MAX_PAGES: '1' } });
+  ({ shopify } = app.fakes);
+});
+
+after(() => app?.close());
+
+test('a reconcile run cut short by the page limit resumes from the last order it read', async () => {
+  const customer = shopify.addCustomer({ first_name: 'Avery', email: 'avery.ledger@example.com', phone: '+16195550401' });
+  const discount = await app.post('/tools/send-discount', {
+    call: { call_id: 'call_ledger_1', direction: 'outbound', to_number: customer.phone },
+    args: { customer_email: customer.email, customer_name: 'Avery' }
+  });
+  assert.equal(discount.body.success, true, JSON.stringify(discount.body));
+  const code = discount.body.discount_code;
+
+  // One page holds 250 orders; the order that used the code is the 251st
+  const start = Date.now() + 1000;
+  for (let i = 0; i < 250; i++) shopify.addOrder({ created_at: new Date(start + i * 1000).toISOString(), total_price: '20.00' });
+  const redeemed = shopify.addOrder({
+    customer_id: customer.id,
+    created_at: new Date(start + 250 * 1000).toISOString(),
+    discount_codes: [{ code, amount: '10.00' }],
+    total_price: '90.00'
+  });
+
+  const first = await app.post('/discounts/reconcile', {});
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.truncated, true);
+  assert.equal(first.body.orders_scanned, 250);
+  assert.equal(first.body.redemptions, 0);
+
+  const second = await app.post('/discounts/reconcile', {});
+  assert.equal(second.body.truncated, false);
+  assert.equal(second.body.since, new Date(start + 249 * 1000).toISOString());
+  assert.equal(second.body.redemptions, 1);
+
+  const { body: entry } = await app.get(`/discounts/${code}`);
+  assert.deepEqual(entry.redemptions.map(r => r.order_id), [redeemed.id]);
+});
@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, waitFor } from '../helpers/app.js';
+
+let app;
+let retell;
+let agent;
+let experiment;
+
+const CONTROL_PROMPT = 'You are Grace from The Meatery.\nBe warm and brief.';
+const CANDIDATE_PROMPT = 'You are Grace from The Meatery.\nBe warm and brief.\n\nSHIPPING:\nWe ship to all 50 states.';
+
+before(async () => {
+  app = await startApp({ env: { EXPERIMENT_MIN_CALLS_PER_ARM: '5' } });
+  ({ retell } = app.fakes);
+  agent = retell.addAgent({ agent_name: 'Grace - Post Delivery', general_prompt: CONTROL_PROMPT });
+});
+
+after(() => app?.close());
+
+const llmOf = (agentId) => retell.state.llms.get(retell.state.agents.get(agentId).response_engine.llm_id);
+
+let seq = 0;
+async function analyzedCall(arm, successful) {
+  const call = {
+    call_id: `call_exp_${++seq}`,
+    agent_id: experiment[arm].agent_id,
+    direction: 'outbound',
+    to_number: `+1619555${String(1000 + seq)}`,
+    start_timestamp: Date.now(),
+    metadata: { campaign: 'post_delivery', experiment_id: experiment.experiment_id, experiment_arm: arm }
+  };
+  await app.deliverWebhook({ event: 'call_started', call });
+  await app.deliverWebhook({ event: 'call_analyzed', call: { ...call, call_analysis: { call_successful: successful } } });
+  await waitFor(async () => (await app.get(`/calls/records/${call.call_id}`)).body.status === 'analyzed', { message: call.call_id });
+}
+
+test('an experiment clones the agent and splits its calls between the arms', async () => {
+  const { status, body } = await app.post('/experiments', { agent_id: agent.agent_id, general_prompt: CANDIDATE_PROMPT, metric: 'success_rate' });
+  assert.equal(status, 200, JSON.stringify(body));
+  experiment = body;
+  assert.equal(experiment.status, 'running');
+  assert.equal(experiment.control.llm_id, agent.response_engine.llm_id);
+  assert.match(retell.state.agents.get(experiment.variant.agent_id).agent_name, /\[experiment variant\]/);
+  assert.equal(llmOf(experiment.variant.agent_id).general_prompt, CANDIDATE_PROMPT);
+  assert.equal(llmOf(agent.agent_id).general_prompt, CONTROL_PROMPT);
+
+  const again = await app.post('/experiments', { agent_id: agent.agent_id, general_prompt: 'You are Grace from The Meatery.' });
+  assert.equal(again.status, 409);
+  assert.equal((await app.post('/experiments', { agent_id: agent.agent_id, general_prompt: 'x', traffic_split: 1 })).status, 400);
+
+  const phones = Array.from({ length: 20 }, (_, i) => `+1619555${String(2000 + i)}`);
+  for (const phone of phones) {
+    const placed = await app.post('/call', { phone, agentId: agent.agent_id });
+    assert.equal(placed.status, 200, JSON.stringify(placed.body));
+  }
+  const calls = [...retell.state.calls.values()].filter(c => c.metadata?.experiment_id === experiment.experiment_id);
+  assert.equal(calls.length, phones.length);
+  for (const call of calls) assert.equal(call.agent_id, experiment[call.metadata.experiment_arm].agent_id);
+  const arms = new Set(calls.map(c => c.metadata.experiment_arm));
+  assert.deepEqual([...arms].sort(), ['control', 'variant']);
+
+  // A number always lands in the same arm
+  const first = calls.find(c => c.to_number === phones[0]);
+  await app.post('/call', { phone: phones[0], agentId: agent.agent_id });
+  const repeat = [...retell.state.calls.values()].filter(c => c.to_number === phones[0]).at(-1);
+  assert.equal(repeat.metadata.experiment_arm, first.metadata.experiment_arm);
+});
+
+test('results compare the arms and recommend once the difference is significant', async () => {
+  await analyzedCall('control', false);
+  const early = await app.get(`/experiments/${experiment.experiment_id}`);
+  assert.equal(early.body.recommendation.action, 'keep_running');
+  assert.match(early.body.recommendation.reason, /waiting for 5 calls per arm/);
+
+  for (let i = 0; i < 7; i++) await analyzedCall('control', i === 0);
+  for (let i = 0; i < 8; i++) await analyzedCall('variant', i !== 0);
+
+  const { body } = await app.get(`/experiments/${experiment.experiment_id}`);
+  assert.equal(body.arms.control.calls, 8);
+  assert.equal(body.arms.control.success_rate, 0.125);
+  assert.equal(body.arms.variant.success_rate, 0.875);
+  assert.ok(body.significance.success_rate.p_value < 0.05);
+  assert.equal(body.significance.success_rate.lift, 0.75);
+  assert.equal(body.recommendation.action, 'promote');
+
+  const { body: list } = await app.get(`/experiments?agent_id=${agent.agent_id}`);
+  assert.deepEqual(list.experiments.map(e => e.experiment_id), [experiment.experiment_id]);
+});
+
+test('promoting copies the variant prompt onto the production agent and removes the variant', async () => {
+  const { status, body } = await app.post(`/experiments/${experiment.experiment_id}/promote`, { note: 'clear win' });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.status, 'promoted');
+  assert.equal(body.decision.recommendation.action, 'promote');
+
+  assert.equal(llmOf(agent.agent_id).general_prompt, CANDIDATE_PROMPT);
+  assert.equal(retell.state.agents.get(agent.agent_id).response_engine.version, llmOf(agent.agent_id).version);
+  assert.equal(retell.state.agents.has(experiment.variant.agent_id), false);
+  assert.equal(retell.state.llms.has(experiment.variant.llm_id), false);
+
+  const { body: versions } = await app.get(`/prompts/${agent.agent_id}/versions`);
+  assert.equal(versions.versions[0].reason, 'experiment');
+  assert.equal(versions.versions[0].source.experiment_id, experiment.experiment_id);
+
+  // Calls go back to the production agent only
+  await app.post('/call', { phone: '+16195553000', agentId: agent.agent_id });
+  const call = [...retell.state.calls.values()].find(c => c.to_number === '+16195553000');
+  assert.equal(call.agent_id, agent.agent_id);
+  assert.equal(call.metadata.experiment_id, undefined);
+
+  assert.equal((await app.post(`/experiments/${experiment.experiment_id}/discard`, {})).status, 409);
+  assert.equal((await app.post('/experiments/exp_nope/promote', {})).status, 404);
+});
+
+test('discarding leaves the production prompt alone', async () => {
+  const { body: created } = await app.post('/experiments', { agent_id: agent.agent_id, general_prompt: 'You are Grace from The Meatery. Be pushy.' });
+  const { status, body } = await app.post(`/experiments/${created.experiment_id}/discard`, {});
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.status, 'discarded');
+  assert.equal(llmOf(agent.agent_id).general_prompt, CANDIDATE_PROMPT);
+  assert.equal(retell.state.agents.has(created.variant.agent_id), false);
+});
+
+test('promoting is refused once the production prompt has changed under the experiment', async () => {
+  const { body: created } = await app.post('/experiments', { agent_id: agent.agent_id, general_prompt: 'You are Grace from The Meatery. Mention the new sampler.' });
+  assert.equal(created.status, 'running', JSON.stringify(created));
+
+  // e.g. the improvement loop or someone in the Retell dashboard edits the control mid-test
+  const control = llmOf(agent.agent_id);
+  const edited = `${CANDIDATE_PROMPT}\n\nRETURNS:\nReturns go through support.`;
+  Object.assign(control, { general_prompt: edited, version: control.version + 1 });
+
+  const { status, body } = await app.post(`/experiments/${created.experiment_id}/promote`, {});
+  assert.equal(status, 409, JSON.stringify(body));
+  assert.equal(body.reason, 'control_changed');
+  assert.equal(body.current_version, control.version);
+  assert.equal(llmOf(agent.agent_id).general_prompt, edited);
+
+  const { body: still } = await app.get(`/experiments/${created.experiment_id}`);
+  assert.equal(still.status, 'running');
+  assert.equal((await app.post(`/experiments/${created.experiment_id}/discard`, {})).status, 200);
+});
@@ -0,0 +1,158 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from '../helpers/app.js';
+
+let app;
+let shopify;
+
+before(async () => {
+  app = await startApp();
+  ({ shopify } = app.fakes);
+});
+
+after(() => app?.close());
+
+beforeEach(() => app.resetFakes());
+
+// Lookups are cached per call, so every test uses its own call id, order number and phone
+let seq = 0;
+function seedOrder({ withEmail = true } = {}) {
+  seq += 1;
+  const phone = `+1619555${String(2000 + seq).padStart(4, '0')}`;
+  const ribeye = shopify.addVariant({ product_title: 'Wagyu Ribeye', price: '89.00' });
+  const brisket = shopify.addVariant({ product_title: 'Prime Brisket', price: '120.00' });
+  const customer = shopify.addCustomer({ first_name: 'Alex', last_name: 'Kim', email: withEmail ? `alex${seq}@example.com` : null, phone });
+  const order = shopify.addOrder({
+    customer_id: customer.id,
+    order_number: 43000 + seq,
+    email: withEmail ? customer.email : null,
+    line_items: [{ variant_id: ribeye.id, quantity: 2 }, { variant_id: brisket.id }],
+    fulfillments: [{ shipment_status: 'delivered', updated_at: '2026-10-15T18:00:00Z' }]
+  });
+  return { customer, order, phone, callId: `call_flow_${seq}` };
+}
+
+const lastPut = (order) => shopify.find('PUT', new RegExp(`/orders/${order.id}\\.json$`)).at(-1)?.body.order;
+
+test('order-context finds an order by number from Retell args', async () => {
+  const { order, callId } = seedOrder();
+
+  const { status, body } = await app.post('/flow/order-context', { call: { call_id: callId }, args: { order_number: String(order.order_number) } });
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.order_number, order.order_number);
+  assert.equal(body.lookup_method, 'order_number');
+  assert.equal(body.customer_name, 'Alex Kim');
+  assert.equal(body.delivered_at, '2026-10-15T18:00:00Z');
+  assert.match(body.items_display, /2x Wagyu Ribeye, 1x Prime Brisket/);
+  assert.match(body.speak, /^Your order contains/);
+});
+
+test('order-context falls back to the caller\'s phone and supports GET', async () => {
+  const { order, phone } = seedOrder();
+
+  const { body } = await app.get(`/flow/order-context?phone=${encodeURIComponent(phone)}`);
+  assert.equal(body.ok, true);
+  assert.equal(body.order_number, order.order_number);
+  assert.equal(body.lookup_method, 'phone');
+  assert.match(body.speak, new RegExp(`I found your most recent order, number ${order.order_number}`));
+});
+
+test('order-context reports a missing order without failing the tool call', async () => {
+  const { status, body } = await app.post('/flow/order-context', { call: { call_id: 'call_flow_missing' }, args: { order_number: '99999' } });
+  assert.equal(status, 200);
+  assert.equal(body.error, 'order_not_found');
+});
+
+test('capture-feedback appends satisfaction notes and tags', async () => {
+  const { order, callId } = seedOrder();
+
+  const { status, body } = await app.post('/flow/capture-feedback', {
+    call: { call_id: callId },
+    args: { order_number: String(order.order_number), satisfied_score: 6, had_issue: true, issue_notes: 'late delivery', preferred_contact: 'email' }
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body, { ok: true, order_number: order.order_number, lookup_method: 'order_number' });
+
+  const update = lastPut(order);
+  assert.match(update.note, /Post-delivery satisfaction: 6\/10 \| Issue: late delivery \| Preferred contact: email/);
+  assert.match(update.tags, /post-delivery-issue/);
+});
+
+test('capture-feedback returns 404 when no order matches', async () => {
+  const { status, body } = await app.post('/flow/capture-feedback', { args: { order_number: '99998', satisfied_score: 9 } });
+  assert.equal(status, 404);
+  assert.equal(body.error, 'order_not_found');
+  assert.equal(shopify.find('PUT', '/admin').length, 0);
+});
+
+test('request-replacement tags the order and reports whether an email is on file', async () => {
+  const { order, callId } = seedOrder({ withEmail: false });
+
+  const { status, body } = await app.post('/flow/request-replacement', {
+    call: { call_id: callId },
+    args: { order_number: String(order.order_number), item_title: 'Wagyu Ribeye', quantity: 1, reason: 'arrived thawed' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.ticket_filed, true);
+  assert.equal(body.needs_email, true);
+
+  const update = lastPut(order);
+  assert.match(update.note, /Replacement requested: 1x Wagyu Ribeye \| Reason: arrived thawed/);
+  assert.match(update.tags, /replacement-requested/);
+});
+
+test('update-customer-email validates the address and notes it on the order', async () => {
+  const { order, callId } = seedOrder();
+
+  const invalid = await app.post('/flow/update-customer-email', { args: { order_number: String(order.order_number), customer_email: 'not-an-email' } });
+  assert.equal(invalid.status, 400);
+
+  const { status, body } = await app.post('/flow/update-customer-email', {
+    call: { call_id: callId },
+    args: { order_number: String(order.order_number), customer_email: 'alex.new@example.com' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.email_collected, true);
+
+  const update = lastPut(order);
+  assert.match(update.note, /Customer email provided during call: alex\.new@example\.com/);
+  assert.match(update.tags, /email-collected/);
+});
+
+test('request-refund looks the order up by phone and tags it', async () => {
+  const { order, phone, callId } = seedOrder();
+
+  const { status, body } = await app.post('/flow/request-refund', {
+    call: { call_id: callId },
+    args: { customer_phone: phone, items: 'Prime Brisket', reason: 'wrong cut' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.lookup_method, 'phone');
+  assert.equal(body.customer_email_found, true);
+
+  const update = lastPut(order);
+  assert.match(update.note, /Refund requested: Prime Brisket \| Reason: wrong cut/);
+  assert.match(update.tags, /refund-requested/);
+});
+
+test('request-refund returns 404 when no order matches', async () => {
+  const { status } = await app.post('/flow/request-refund', { args: { customer_phone: '+16195559999' } });
+  assert.equal(status, 404);
+});
+
+test('a phone lookup never returns another customer\'s order', async () => {
+  const morgan = shopify.addCustomer({ first_name: 'Morgan', last_name: 'Vale', email: 'morgan.flow@example.com', phone: '+16195553001' });
+  shopify.addOrder({ customer_id: morgan.id, order_number: 43901, email: morgan.email });
+  const stranger = '+16195553999';
+
+  // A unique name match isn't enough when the caller's number isn't Morgan's
+  const byName = await app.get(`/shopify/order-by-phone?phone=${encodeURIComponent(stranger)}&name=Morgan%20Vale`);
+  assert.deepEqual(byName.body.orders, []);
+
+  // Lookups outside a call aren't cached, so the stranger's first order shows up right away
+  const customer = shopify.addCustomer({ first_name: 'Riley', email: 'riley.flow@example.com', phone: stranger });
+  const order = shopify.addOrder({ customer_id: customer.id, order_number: 43902, email: customer.email });
+  const { body } = await app.get(`/shopify/order-by-phone?phone=${encodeURIComponent(stranger)}&name=Morgan%20Vale`);
+  assert.deepEqual(body.orders.map(o => o.id), [order.id]);
+});
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from '../helpers/app.js';
+
+let app;
+let retell;
+let openai;
+
+// The loop remembers what it already applied (improvement-logs/) and tightens its
+// own thresholds after a run, so every test gets a fresh server
+beforeEach(async () => {
+  app = await startApp();
+  ({ retell, openai } = app.fakes);
+});
+
+afterEach(() => app?.close());
+
+const hoursAgo = (hours) => Date.now() - hours * 60 * 60 * 1000;
+
+function seedCalls(agent) {
+  const transcripts = [
+    'Agent: Hi, this is Grace from The Meatery. User: Do you ship to Hawaii? Agent: Let me check on that for you.',
+    'Agent: Hi, this is Grace. User: I loved the ribeyes, can I reorder the same box? Agent: Absolutely, I can help with that.',
+    'Agent: Hello from The Meatery. User: My package arrived warm. Agent: I am sorry to hear that, I will file a replacement.'
+  ];
+  return transcripts.map((transcript, i) => retell.addCall({
+    agent_id: agent.agent_id,
+    from_number: '+16195550000',
+    to_number: `+1619555070${i}`,
+    start_timestamp: hoursAgo(i + 1),
+    transcript,
+    call_analysis: { call_successful: i !== 0, call_summary: `Call ${i + 1}`, user_sentiment: 'Neutral' }
+  }));
+}
+
+const improvements = {
+  new_sections: {
+    SHIPPING_TO_HAWAII_AND_ALASKA: 'When a customer asks about shipping to Hawaii or Alaska, help them by explaining that we ship with expedited two-day delivery and provide the current surcharge.'
+  },
+  modifications: {},
+  sample_scripts: {
+    REORDER_SAME_BOX: 'Customer: Can I get the same box again? Agent: Of course, I can help you reorder those ribeyes right now.'
+  },
+  best_practices: ['Confirm the delivery address before ending the call'],
+  priority_fixes: ['Answer shipping destination questions directly'],
+  expected_improvement: 'Fewer unanswered shipping questions',
+  new_patterns_identified: ['shipping_destination_questions']
+};
+
+test('the improvement loop turns recent calls into knowledge base documents', async () => {
+  const agent = retell.addAgent({ agent_name: 'Grace - Win Back' });
+  retell.addAgent({ agent_name: 'Grace Test Sandbox' });
+  seedCalls(agent);
+  // A web call (no phone numbers) is left out of the analysis
+  retell.addCall({ agent_id: agent.agent_id, start_timestamp: hoursAgo(2), transcript: 'web call' });
+  openai.reply(improvements);
+
+  const { status, body } = await app.post('/improve-agent', {});
+  assert.equal(status, 200, app.output());
+  assert.equal(body.ok, true);
+
+  // The model saw the three phone calls (not the web call) and the agent's current prompt
+  const [completion] = openai.find('POST', '/v1/chat/completions');
+  assert.ok(completion, 'OpenAI was asked for improvements');
+  const prompt = JSON.stringify(completion.body.messages);
+  assert.match(prompt, /Total calls analyzed: 3/);
+  assert.match(prompt, /You are a helpful agent\./);
+
+  const kbs = [...retell.state.knowledgeBases.values()];
+  assert.equal(kbs.length, 1, 'only the production agent gets a knowledge base');
+  const titles = kbs[0].knowledge_base_sources.map(s => s.title).join('\n');
+  assert.match(titles, /SHIPPING_TO_HAWAII_AND_ALASKA/);
+  assert.match(titles, /SAMPLE_SCRIPT_REORDER_SAME_BOX/);
+  assert.match(titles, /BEST_PRACTICES_LEARNED/);
+
+  const llm = retell.state.llms.get(agent.response_engine.llm_id);
+  assert.deepEqual(llm.knowledge_base_ids, [kbs[0].knowledge_base_id]);
+});
+
+test('improvements that fail the safety check are not applied', async () => {
+  const agent = retell.addAgent({ agent_name: 'Grace - Post Delivery' });
+  seedCalls(agent);
+  openai.reply({ ...improvements, new_sections: { CLOSING: 'If the customer is rude, just hang up on them.' } });
+
+  const { status } = await app.post('/improve-agent', {});
+  assert.equal(status, 200);
+  assert.equal(openai.find('POST', '/v1/chat/completions').length, 1);
+
+  const llm = retell.state.llms.get(agent.response_engine.llm_id);
+  assert.deepEqual(llm.knowledge_base_ids, []);
+  assert.ok(![...retell.state.knowledgeBases.values()].some(kb => kb.knowledge_base_sources.length > 0));
+});
+
+test('no matching agents means nothing is analyzed', async () => {
+  retell.addAgent({ agent_name: 'Demo Agent' });
+
+  const { body } = await app.post('/improve-agent', {});
+  assert.deepEqual(body.result, { status: 'no_agents' });
+  assert.equal(openai.requests.length, 0);
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from '../helpers/app.js';
+
+let app;
+let retell;
+let agent;
+let proposal;
+
+const hoursAgo = (hours) => Date.now() - hours * 60 * 60 * 1000;
+
+const improvements = {
+  new_sections: {
+    DISCOUNT_REQUESTS: 'When a customer asks for a discount, help them by offering 30% off their next order.',
+    WARM_DELIVERIES: 'If the box arrived warm, I will issue a full refund right away.',
+    SHIPPING_TO_HAWAII: 'When a customer asks about shipping to Hawaii, help them by explaining that we ship with expedited two-day delivery.',
+    UPSELL: 'Suggest the new Wagyu Tomahawk Gift Box to customers who loved the A5 Wagyu Ribeye.'
+  },
+  modifications: {
+    VOICEMAIL_HANDLING: 'Keep it short and try again tomorrow.'
+  },
+  sample_scripts: {
+    SOCIAL_PROOF: 'Agent: Your neighbor just ordered the same box last week!'
+  },
+  best_practices: ['Confirm the delivery address before ending the call'],
+  priority_fixes: ['Answer shipping destination questions directly'],
+  expected_improvement: 'More reorders'
+};
+
+before(async () => {
+  app = await startApp();
+  ({ retell } = app.fakes);
+  app.fakes.shopify.addVariant({ product_title: 'A5 Wagyu Ribeye', product_type: 'Steak' });
+  agent = retell.addAgent({ agent_name: 'Grace - Post Delivery', general_prompt: 'You are Grace from The Meatery.' });
+  ['Can I get a discount?', 'Do you ship to Hawaii?'].forEach((question, i) => retell.addCall({
+    agent_id: agent.agent_id,
+    from_number: '+16195550000',
+    to_number: `+1619555095${i}`,
+    start_timestamp: hoursAgo(i + 1),
+    transcript: `Agent: Hi, this is Grace from The Meatery. User: ${question} Agent: Let me check on that.`,
+    call_analysis: { call_successful: false, call_summary: question, user_sentiment: 'Neutral' }
+  }));
+});
+
+after(() => app?.close());
+
+test('generated sections that break business rules go to the approval queue, rejected', async () => {
+  app.fakes.openai.reply(improvements);
+  const { status } = await app.post('/improve-agent', {});
+  assert.equal(status, 200, app.output());
+
+  // Nothing reached the agent, even though approvals are off
+  assert.equal(retell.state.knowledgeBases.size, 0);
+  const { body } = await app.get('/improvements/proposals');
+  assert.equal(body.proposals.length, 1);
+  assert.equal(body.proposals[0].reason, 'policy_violation');
+  assert.equal(body.proposals[0].violations, 5);
+
+  ({ body: proposal } = await app.get(`/improvements/proposals/${body.proposals[0].proposal_id}`));
+  const byName = Object.fromEntries(proposal.sections.map(s => [s.name, s]));
+  assert.deepEqual(byName.DISCOUNT_REQUESTS.violations.map(v => [v.rule, v.percent, v.cap]), [['discount_cap', 30, 15]]);
+  assert.equal(byName.WARM_DELIVERIES.violations[0].rule, 'refund_terms');
+  assert.equal(byName.UPSELL.violations[0].product, 'Wagyu Tomahawk Gift Box');
+  assert.equal(byName.VOICEMAIL_HANDLING.violations[0].rule, 'required_handling');
+  assert.equal(byName.SOCIAL_PROOF.violations[0].rule, 'customer_privacy');
+  for (const name of ['DISCOUNT_REQUESTS', 'WARM_DELIVERIES', 'UPSELL', 'VOICEMAIL_HANDLING', 'SOCIAL_PROOF']) {
+    assert.equal(byName[name].status, 'rejected', name);
+    assert.equal(byName[name].reviewed_by, 'prompt policy');
+  }
+  assert.equal(byName.SHIPPING_TO_HAWAII.status, 'pending');
+  assert.equal(byName['1'].status, 'pending');
+  assert.deepEqual(proposal.violations.map(v => v.section_id).sort(), proposal.sections.filter(s => s.violations.length).map(s => s.section_id).sort());
+  assert.match(app.output(), /5 prompt policy violations/);
+});
+
+test('a re-approved section is checked again before anything is applied', async () => {
+  const base = `/improvements/proposals/${proposal.proposal_id}`;
+  const discount = proposal.sections.find(s => s.name === 'DISCOUNT_REQUESTS');
+  await app.post(`${base}/sections/${discount.section_id}`, { status: 'approved', reviewer: 'dana' });
+
+  const blocked = await app.post(`${base}/approve`, { reviewer: 'dana' });
+  assert.equal(blocked.status, 409);
+  assert.deepEqual(blocked.body.violations.map(v => v.rule), ['discount_cap']);
+  assert.equal(retell.state.knowledgeBases.size, 0);
+  assert.equal((await app.get(base)).body.status, 'pending');
+
+  await app.post(`${base}/sections/${discount.section_id}`, {
+    content: 'When a customer asks for a discount, help them by offering a 10% code for their next order.',
+    reviewer: 'dana'
+  });
+  const { status, body } = await app.post(`${base}/approve`, { reviewer: 'dana' });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.status, 'applied');
+  assert.deepEqual(body.sections.find(s => s.section_id === discount.section_id).violations, []);
+
+  const texts = [...retell.state.knowledgeBases.values()].flatMap(kb => kb.knowledge_base_sources).map(s => s.text).join('\n');
+  assert.match(texts, /a 10% code/);
+  assert.match(texts, /expedited two-day delivery/);
+  assert.doesNotMatch(texts, /full refund|Tomahawk|neighbor|30% off/);
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, waitFor } from '../helpers/app.js';
+
+let app;
+let retell;
+let openai;
+let agent;
+
+// One agent's history is built up step by step: improvement run, outside edit, calls, rollback
+before(async () => {
+  app = await startApp();
+  ({ retell, openai } = app.fakes);
+  agent = retell.addAgent({ agent_name: 'Grace - Win Back', general_prompt: 'You are Grace from The Meatery.\nBe warm and brief.' });
+});
+
+after(() => app?.close());
+
+const llm = () => retell.state.llms.get(agent.response_engine.llm_id);
+const versionsOf = async () => (await app.get(`/prompts/${agent.agent_id}/versions`)).body.versions;
+
+test('an improvement run is recorded as before and after versions', async () => {
+  retell.addCall({
+    agent_id: agent.agent_id,
+    from_number: '+16195550000',
+    to_number: '+16195550901',
+    start_timestamp: Date.now() - 60 * 60 * 1000,
+    transcript: 'Agent: Hi, this is Grace. User: Do you ship to Hawaii?',
+    call_analysis: { call_successful: false, call_summary: 'Shipping question', user_sentiment: 'Neutral' }
+  });
+  openai.reply({
+    new_sections: { SHIPPING_TO_HAWAII: 'When a customer asks about Hawaii, help them by explaining we ship there with two-day delivery.' },
+    modifications: {},
+    sample_scripts: {},
+    best_practices: [],
+    priority_fixes: ['Answer shipping questions'],
+    expected_improvement: 'Fewer unanswered shipping questions'
+  });
+
+  const { status } = await app.post('/improve-agent', {});
+  assert.equal(status, 200, app.output());
+
+  const versions = await versionsOf();
+  assert.deepEqual(versions.map(v => [v.number, v.reason]), [[2, 'knowledge_base'], [1, 'observed']]);
+  assert.deepEqual(versions[0].source.priority_fixes, ['Answer shipping questions']);
+  assert.equal(versions[0].knowledge_base_ids.length, 1);
+
+  const { body: diff } = await app.get(`/prompts/${agent.agent_id}/diff`);
+  assert.equal(diff.from.number, 1);
+  assert.deepEqual(diff.knowledge_bases.added, llm().knowledge_base_ids);
+  assert.deepEqual(diff.changed, []);
+});
+
+test('outside edits are picked up by a snapshot and shown as a unified diff', async () => {
+  llm().general_prompt = 'You are Grace from The Meatery.\nBe warm, brief and never pushy.';
+
+  const snapshot = await app.post(`/prompts/${agent.agent_id}/snapshot`, { note: 'edited in Retell' });
+  assert.equal(snapshot.body.number, 3);
+  assert.equal(snapshot.body.note, 'edited in Retell');
+  // Nothing changed since, so a second snapshot doesn't add a version
+  const again = await app.post(`/prompts/${agent.agent_id}/snapshot`, {});
+  assert.equal(again.body.unchanged, true);
+
+  const { body: diff } = await app.get(`/prompts/${agent.agent_id}/diff`);
+  assert.deepEqual(diff.changed, ['general_prompt']);
+  const patch = await app.get(`/prompts/${agent.agent_id}/diff?from=${(await versionsOf()).at(-1).version_id}&format=text`);
+  assert.match(patch.body, /^-Be warm and brief\.$/m);
+  assert.match(patch.body, /^\+Be warm, brief and never pushy\.$/m);
+});
+
+test('each version reports the calls made while it was live', async () => {
+  const call = { call_id: 'call_prompt_version_1', agent_id: agent.agent_id, direction: 'outbound', to_number: '+16195550902', start_timestamp: Date.now() };
+  await app.deliverWebhook({ event: 'call_started', call });
+  await app.deliverWebhook({ event: 'call_analyzed', call: { ...call, call_analysis: { call_successful: true } } });
+  await waitFor(async () => (await app.get(`/calls/records/${call.call_id}`)).body.status === 'analyzed', { message: 'call record' });
+
+  const [current, previous] = await versionsOf();
+  assert.equal(current.metrics.total_calls, 1);
+  assert.equal(current.metrics.success_rate, 1);
+  assert.equal(current.metrics.live_until, null);
+  assert.equal(previous.metrics.total_calls, 0);
+  assert.equal(previous.metrics.live_until, current.created_at);
+});
+
+test('rolling back restores a prior version to Retell and records it', async () => {
+  const first = (await versionsOf()).at(-1);
+  // Set in Retell after the first version, which had none
+  Object.assign(llm(), { begin_message: 'Hi, this is Grace!', starting_state: 'greeting', states: [{ name: 'greeting', state_prompt: 'Say hi.' }] });
+
+  const { status, body } = await app.post(`/prompts/${agent.agent_id}/versions/${first.version_id}/rollback`, { note: 'too pushy' });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.rolled_back_to.number, 1);
+  assert.equal(body.version.reason, 'rollback');
+  assert.equal(body.agent_updated, true);
+
+  assert.equal(llm().general_prompt, 'You are Grace from The Meatery.\nBe warm and brief.');
+  assert.deepEqual(llm().knowledge_base_ids, []);
+  assert.deepEqual([llm().begin_message, llm().starting_state, llm().states], [null, null, null]);
+  assert.equal(retell.state.agents.get(agent.agent_id).response_engine.version, llm().version);
+
+  const versions = await versionsOf();
+  assert.deepEqual(versions.slice(0, 2).map(v => v.reason), ['rollback', 'observed']);
+  assert.equal(versions[0].source.rolled_back_to, first.version_id);
+
+  const missing = await app.post(`/prompts/${agent.agent_id}/versions/pv_nope/rollback`, {});
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,159 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from '../helpers/app.js';
+
+let app;
+
+const CURRENT_PROMPT = 'You are Grace from The Meatery. Help customers with their orders.';
+const GOOD_PROMPT = `${CURRENT_PROMPT}\n\nDISCOUNTS:\nOffer a 10% code when a customer asks for a discount.`;
+const GREEDY_PROMPT = `${CURRENT_PROMPT}\n\nDISCOUNTS:\nOffer 30% off to everyone who asks.`;
+
+// The stand-in model: plays the agent by what the prompt allows and grades every reply the same
+function stubModel(body) {
+  const [system, instructions] = body.messages;
+  if (system.content.startsWith('You grade')) return { policy_adherence: 0.9, tone: 0.85, notes: 'Polite and on task' };
+  if (/voicemail/.test(instructions.content)) return 'Hi Sam, this is Grace from The Meatery checking in on your order. Give us a call back any time. Thanks!';
+  return system.content.includes('30% off') ? 'Great news, I can give you 30% off your next box!' : 'I can send you a 10% off code for your next box.';
+}
+
+function seedCalls(retell, agent) {
+  const hoursAgo = (hours) => Date.now() - hours * 60 * 60 * 1000;
+  retell.addCall({
+    agent_id: agent.agent_id,
+    direction: 'outbound',
+    from_number: '+16195550000',
+    to_number: '+16195550801',
+    start_timestamp: hoursAgo(2),
+    metadata: { campaign: 'post_delivery' },
+    transcript: 'Agent: Hi, this is Grace from The Meatery. User: Can I get a discount on my next box? Agent: Let me check on that. User: Thanks, that would be great. Agent: You are welcome!',
+    call_analysis: { call_successful: false, call_summary: 'Asked for a discount', user_sentiment: 'Neutral' }
+  });
+  retell.addCall({
+    agent_id: agent.agent_id,
+    direction: 'outbound',
+    from_number: '+16195550000',
+    to_number: '+16195550802',
+    start_timestamp: hoursAgo(3),
+    metadata: { campaign: 'post_delivery' },
+    transcript: 'User: Hi, you have reached Sam. Leave a message after the beep. Agent: Hi Sam, this is Grace from The Meatery.',
+    call_analysis: { call_successful: false, in_voicemail: true, call_summary: 'Voicemail' }
+  });
+}
+
+let agent;
+
+before(async () => {
+  app = await startApp();
+  const { retell, openai } = app.fakes;
+  agent = retell.addAgent({ agent_name: 'Grace - Post Delivery', general_prompt: CURRENT_PROMPT });
+  seedCalls(retell, agent);
+  openai.respond(stubModel);
+});
+
+after(() => app?.close());
+
+test('a candidate prompt is replayed against past calls and scored on the rubric', async () => {
+  const { status, body } = await app.post('/replay-evaluations', { agent_id: agent.agent_id, general_prompt: GOOD_PROMPT });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.passed, true, body.reasons.join('; '));
+  assert.equal(body.sample_size, 2);
+  assert.equal(body.candidate.pass_rate, 1);
+  assert.equal(body.candidate.discount_violations, 0);
+  assert.deepEqual(body.candidate.scores, { policy_adherence: 0.9, discount_cap: 1, voicemail_handling: 1, tone: 0.85 });
+  assert.ok(body.baseline, 'the current prompt is replayed too');
+
+  const voicemail = body.candidate.calls.find(c => c.voicemail);
+  assert.deepEqual(voicemail.voicemail_checks, { identifies_business: true, callback_path: true, no_questions: true, concise: true });
+  const conversation = body.candidate.calls.find(c => !c.voicemail);
+  assert.equal(conversation.turns.length, 2);
+  assert.equal(conversation.turns[0].customer, 'Can I get a discount on my next box?');
+  assert.equal(conversation.turns[0].original, 'Let me check on that.');
+  assert.equal(conversation.scores.voicemail_handling, null);
+
+  // Each simulated turn saw the candidate prompt and the conversation up to the customer's line
+  const simulated = app.fakes.openai.find('POST', '/v1/chat/completions')
+    .map(r => r.body.messages)
+    .find(messages => messages[0].content === GOOD_PROMPT && messages.at(-1).content === 'Thanks, that would be great.');
+  assert.deepEqual(simulated.slice(2).map(m => m.role), ['assistant', 'user', 'assistant', 'user']);
+});
+
+test('offering more than the discount cap fails the evaluation', async () => {
+  const { body } = await app.post('/replay-evaluations', { agent_id: agent.agent_id, general_prompt: GREEDY_PROMPT });
+  assert.equal(body.passed, false);
+  assert.equal(body.candidate.discount_violations, 2);
+  assert.ok(body.reasons.some(reason => /more than the discount cap/.test(reason)), body.reasons.join('; '));
+  assert.deepEqual(body.candidate.calls.find(c => !c.voicemail).discount_violations[0].cap, 15);
+
+  const { body: list } = await app.get(`/replay-evaluations?agent_id=${agent.agent_id}`);
+  assert.deepEqual(list.evaluations.map(e => e.passed), [false, true]);
+  assert.equal(list.evaluations[0].candidate.calls, undefined);
+  const { body: report } = await app.get(`/replay-evaluations/${body.evaluation_id}`);
+  assert.equal(report.candidate.calls.length, 2);
+  assert.equal((await app.get('/replay-evaluations/re_nope')).status, 404);
+});
+
+test('the improvement loop holds back changes that fail the replay', async () => {
+  const gated = await startApp({ env: { REPLAY_EVALUATION: 'true' } });
+  try {
+    const { retell, openai } = gated.fakes;
+    const grace = retell.addAgent({ agent_name: 'Grace - Post Delivery', general_prompt: CURRENT_PROMPT });
+    seedCalls(retell, grace);
+    openai.reply({
+      new_sections: { DISCOUNT_REQUESTS: 'When a customer asks for a discount, help them by offering 30% off their next order.' },
+      modifications: {},
+      sample_scripts: {},
+      best_practices: [],
+      priority_fixes: ['Handle discount requests'],
+      expected_improvement: 'More reorders'
+    });
+    openai.respond(stubModel);
+
+    const { status } = await gated.post('/improve-agent', {});
+    assert.equal(status, 200, gated.output());
+
+    const { body } = await gated.get('/replay-evaluations');
+    assert.equal(body.evaluations.length, 1);
+    assert.equal(body.evaluations[0].passed, false);
+    assert.equal(body.evaluations[0].source.type, 'improvement_loop');
+    assert.deepEqual(retell.state.llms.get(grace.response_engine.llm_id).knowledge_base_ids, []);
+    assert.equal(retell.state.knowledgeBases.size, 0);
+    assert.match(gated.output(), /replay evaluation failed/);
+  } finally {
+    await gated.close();
+  }
+});
+
+test('the replay gate runs per agent and only changes the agents that pass', async () => {
+  const gated = await startApp({ env: { REPLAY_EVALUATION: 'true' } });
+  try {
+    const { retell, openai } = gated.fakes;
+    const grace = retell.addAgent({ agent_name: 'Grace - Post Delivery', general_prompt: CURRENT_PROMPT });
+    const rex = retell.addAgent({ agent_name: 'Rex - Abandoned Checkout', general_prompt: 'You are Rex from The Meatery. Be generous with discounts.' });
+    seedCalls(retell, grace);
+    seedCalls(retell, rex);
+    openai.reply({
+      new_sections: { DISCOUNT_REQUESTS: 'When a customer asks for a discount, help them by offering a 10% code for their next order.' },
+      modifications: {},
+      sample_scripts: {},
+      best_practices: [],
+      priority_fixes: ['Handle discount requests'],
+      expected_improvement: 'More reorders'
+    });
+    // Rex's own prompt makes it overshoot the cap whatever the new section says
+    openai.respond((body) => body.messages[0].content.includes('generous') && !body.messages[0].content.startsWith('You grade')
+      ? 'Great news, I can give you 30% off your next box!'
+      : stubModel(body));
+
+    const { status } = await gated.post('/improve-agent', {});
+    assert.equal(status, 200, gated.output());
+
+    const { body } = await gated.get('/replay-evaluations');
+    const byAgent = Object.fromEntries(body.evaluations.map(e => [e.agent_id, e.passed]));
+    assert.deepEqual(byAgent, { [grace.agent_id]: true, [rex.agent_id]: false });
+    assert.equal(retell.state.llms.get(grace.response_engine.llm_id).knowledge_base_ids.length, 1);
+    assert.deepEqual(retell.state.llms.get(rex.response_engine.llm_id).knowledge_base_ids, []);
+    assert.match(gated.output(), /Replay evaluation failed for Rex - Abandoned Checkout/);
+  } finally {
+    await gated.close();
+  }
+});
@@ -0,0 +1,274 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from '../helpers/app.js';
+
+let app;
+let shopify;
+let klaviyo;
+
+before(async () => {
+  app = await startApp();
+  ({ shopify, klaviyo } = app.fakes);
+});
+
+after(() => app?.close());
+
+beforeEach(() => app.resetFakes());
+
+let seq = 0;
+const nextPhone = () => `+1858555${String(3000 + ++seq).padStart(4, '0')}`;
+const newCallId = () => `call_tools_${seq}_${Date.now()}`;
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+function seedCustomer(fields = {}) {
+  return shopify.addCustomer({ first_name: 'Jordan', last_name: 'Blake', email: `jordan${seq}@example.com`, phone: nextPhone(), ...fields });
+}
+
+// --- Discounts ---
+
+test('send-discount creates a customer-specific code and a Klaviyo event, once per call', async () => {
+  const customer = seedCustomer();
+  const call = { call_id: newCallId(), direction: 'outbound', to_number: customer.phone, agent_id: 'agent_grace' };
+
+  const { status, body } = await app.post('/tools/send-discount', { call, args: { customer_name: 'Jordan Blake', customer_email: customer.email } });
+  assert.equal(status, 200);
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.equal(body.discount_code, 'Jordan10');
+  assert.equal(body.discount_value, 10);
+  assert.equal(body.channel_used, 'sms');
+
+  const [created] = shopify.graphqlCalls('discountCodeBasicCreate');
+  assert.deepEqual(created.input.customerSelection.customers.add, [`gid://shopify/Customer/${customer.id}`]);
+  assert.equal(created.input.customerGets.value.percentage, 0.1);
+  const [event] = klaviyo.events('Grace Discount Offered');
+  assert.equal(event.properties.discount_code, 'Jordan10');
+  const { body: contacts } = await app.get(`/contacts/${encodeURIComponent(customer.phone)}`);
+  assert.equal(contacts.history.find(e => e.type === 'sms').call_id, call.call_id);
+
+  const repeat = await app.post('/tools/send-discount', { call, args: { customer_name: 'Jordan Blake', customer_email: customer.email } });
+  assert.equal(repeat.body.duplicate, true);
+  assert.equal(repeat.body.discount_code, 'Jordan10');
+  assert.equal(shopify.graphqlCalls('discountCodeBasicCreate').length, 1);
+});
+
+test('send-discount adds a suffix when the code is already taken', async () => {
+  const first = seedCustomer();
+  const second = seedCustomer();
+
+  await app.post('/tools/send-discount', { call: { call_id: newCallId() }, args: { customer_name: 'Jordan', customer_email: first.email } });
+  const { body } = await app.post('/tools/send-discount', { call: { call_id: newCallId() }, args: { customer_name: 'Jordan', customer_email: second.email } });
+
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.equal(body.discount_code, `Jordan10${second.phone.slice(-4)}`);
+});
+
+test('send-discount refuses a customer who used a discount recently', async () => {
+  const customer = seedCustomer();
+  shopify.addOrder({ customer_id: customer.id, created_at: daysAgo(5), discount_codes: [{ code: 'SPRING10' }] });
+
+  const { body } = await app.post('/tools/send-discount', { call: { call_id: newCallId() }, args: { customer_email: customer.email } });
+  assert.equal(body.success, false);
+  assert.equal(body.reason, 'recent_discount_used');
+  assert.equal(shopify.graphqlCalls('discountCodeBasicCreate').length, 0);
+});
+
+test('a dry-run send-discount creates no code and sends no Klaviyo event', async () => {
+  const customer = seedCustomer();
+  const call = { call_id: newCallId(), direction: 'outbound', to_number: customer.phone };
+
+  const { body } = await app.post('/tools/send-discount?dry_run=true', { call, args: { customer_name: 'Jordan Blake', customer_email: customer.email } });
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.equal(body.simulated, true);
+  assert.equal(body.discount_code, 'Jordan10');
+
+  // Shopify is only read (customer history for the policy), never written to
+  const writes = shopify.requests.filter(r => r.method !== 'GET' && !/^\s*query\b/.test(r.body?.query || ''));
+  assert.deepEqual(writes.map(r => r.path), []);
+  assert.equal(klaviyo.requests.length, 0);
+
+  // The call can still get its real discount afterwards
+  const real = await app.post('/tools/send-discount', { call, args: { customer_name: 'Jordan Blake', customer_email: customer.email } });
+  assert.equal(real.body.duplicate, undefined);
+  assert.equal(shopify.graphqlCalls('discountCodeBasicCreate').length, 1);
+});
+
+test('send-discount needs a phone or an email', async () => {
+  const { status, body } = await app.post('/tools/send-discount', { call: { call_id: newCallId() }, args: {} });
+  assert.equal(status, 400);
+  assert.equal(body.success, false);
+});
+
+test('check-discount-eligibility applies the spend tier', async () => {
+  const customer = seedCustomer();
+  const steak = shopify.addVariant({ product_title: 'Tomahawk', price: '600.00' });
+  shopify.addOrder({ customer_id: customer.id, created_at: daysAgo(90), line_items: [{ variant_id: steak.id, quantity: 2 }] });
+
+  const { body } = await app.post('/tools/check-discount-eligibility', { args: { customer_email: customer.email } });
+  assert.equal(body.eligible, true);
+  assert.equal(body.tier, 'vip');
+  assert.equal(body.discount_value, 15);
+});
+
+// --- Checkout links and follow-ups ---
+
+test('send-checkout-link resolves the checkout from the call and sends a Klaviyo event', async () => {
+  const checkout = shopify.addAbandonedCheckout({ email: 'cart@example.com', total_price: '240.00' });
+  const callId = newCallId();
+
+  const { status, body } = await app.post('/tools/send-checkout-link', {
+    call: { call_id: callId, retell_llm_dynamic_variables: { checkout_id: `gid://shopify/AbandonedCheckout/${checkout.id}` } },
+    args: { customer_email: 'cart@example.com', customer_phone: '(858) 555-0199', checkout_url: '{{checkout_url}}', customer_name: 'Robin' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.channel, 'sms');
+  assert.equal(body.target, '+18585550199');
+
+  const [event] = klaviyo.events('Abandoned Checkout Link Sent');
+  assert.match(JSON.stringify(event), new RegExp(checkout.abandoned_checkout_url.replace(/[/.]/g, '\\$&')));
+
+  // The SMS is grouped with the call in the contact ledger
+  const { body: contacts } = await app.get('/contacts/+18585550199');
+  const sms = contacts.history.find(e => e.type === 'sms');
+  assert.equal(sms.call_id, callId);
+});
+
+test('send-checkout-link needs contact details', async () => {
+  const { status } = await app.post('/tools/send-checkout-link', { args: { checkout_url: 'https://example.com/c' } });
+  assert.equal(status, 400);
+  assert.equal(klaviyo.events().length, 0);
+});
+
+function seedWagyuVariants() {
+  return [
+    [37661352100037, 'Japanese A5 Wagyu Ribeye'],
+    [40158682316997, 'Japanese A5 Wagyu Filet Mignon'],
+    [45106426609880, 'Australian Wagyu Ribeye 16oz'],
+    [39900512813253, 'Australian Wagyu Filet Mignon']
+  ].map(([id, title]) => shopify.addVariant({ id, product_title: title, price: '105.00' }));
+}
+
+test('send-voicemail-followup creates the wagyu draft order once per call', async () => {
+  seedWagyuVariants();
+  const phone = nextPhone();
+  const call = { call_id: newCallId(), direction: 'outbound', to_number: phone, metadata: { customer_name: 'Casey Lin' } };
+
+  const { body } = await app.post('/tools/send-voicemail-followup', { call, args: {} });
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.equal(body.event_sent, true);
+
+  // No customer on file: one is created with a placeholder email and attached to the draft order
+  const [created] = shopify.graphqlCalls('customerCreate');
+  assert.equal(created.input.phone, phone);
+  const [draft] = shopify.graphqlCalls('draftOrderCreate');
+  assert.equal(draft.input.lineItems.length, 4);
+  assert.ok(draft.input.purchasingEntity.customerId);
+  assert.equal(draft.input.appliedDiscount.value, 20);
+  assert.equal(klaviyo.events('Grace Voicemail Left').length, 1);
+
+  const repeat = await app.post('/tools/send-voicemail-followup', { call, args: {} });
+  assert.equal(repeat.body.duplicate, true);
+  assert.equal(shopify.graphqlCalls('draftOrderCreate').length, 1);
+});
+
+// --- Win-back draft orders ---
+
+test('send-winback-draft-order builds a draft order from the given variants', async () => {
+  const customer = seedCustomer();
+  const [ribeye, filet] = seedWagyuVariants();
+
+  const { body } = await app.post('/tools/send-winback-draft-order', {
+    call: { call_id: newCallId(), direction: 'outbound', to_number: customer.phone },
+    args: { customer_email: customer.email, product_variants: [`gid://shopify/ProductVariant/${ribeye.id}`, String(filet.id)], target_amount: 400 }
+  });
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.match(body.checkout_url, /\/invoices\//);
+
+  const [draft] = shopify.graphqlCalls('draftOrderCreate');
+  assert.equal(draft.input.purchasingEntity.customerId, `gid://shopify/Customer/${customer.id}`);
+  // Quantities are raised toward the target amount
+  assert.ok(draft.input.lineItems.reduce((sum, li) => sum + li.quantity, 0) > 2);
+  assert.equal(shopify.graphqlCalls('draftOrderInvoiceSend').length, 1);
+  assert.equal(klaviyo.events('Grace Win-Back Draft Order').length, 1);
+});
+
+test('a dry-run win-back draft order neither creates the order nor sends the Klaviyo event', async () => {
+  const customer = seedCustomer();
+  const [ribeye] = seedWagyuVariants();
+
+  const { body } = await app.post('/tools/send-winback-draft-order?dry_run=true', {
+    call: { call_id: newCallId(), direction: 'outbound', to_number: customer.phone },
+    args: { customer_email: customer.email, product_variants: [String(ribeye.id)] }
+  });
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.match(body.checkout_url, /draft_order_sim_/);
+  assert.equal(shopify.graphqlCalls('draftOrderCreate').length, 0);
+  assert.equal(klaviyo.events('Grace Win-Back Draft Order').length, 0);
+});
+
+test('create-win-back-draft-order resolves SKUs to variants', async () => {
+  const customer = seedCustomer();
+  shopify.addVariant({ product_title: 'Dry-Aged NY Strip', sku: 'NYS-16', price: '75.00' });
+  shopify.addVariant({ product_title: 'Picanha', sku: 'PIC-32', price: '65.00' });
+
+  const { body } = await app.post('/tools/create-win-back-draft-order', {
+    call: { call_id: newCallId(), direction: 'inbound', from_number: customer.phone },
+    args: { customer_email: customer.email, product_skus: ['NYS-16', 'PIC-32'] }
+  });
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.equal(body.discount_applied, 20);
+  assert.equal(body.klaviyo_event_sent, true);
+  assert.match(body.speak, /The total comes to \$\d+\.\d{2}/);
+  assert.deepEqual(shopify.graphqlCalls('productVariants').map(v => v.query).sort(), ['sku:NYS-16', 'sku:PIC-32']);
+});
+
+test('create-win-back-draft-order reports SKUs that are not for sale', async () => {
+  const customer = seedCustomer();
+  const { body } = await app.post('/tools/create-win-back-draft-order', { args: { customer_email: customer.email, product_skus: ['NOPE-1'] } });
+  assert.equal(body.success, false);
+  assert.equal(shopify.graphqlCalls('draftOrderCreate').length, 0);
+});
+
+// --- Order history ---
+
+function seedHistory() {
+  const customer = seedCustomer();
+  const ribeye = shopify.addVariant({ product_title: 'Wagyu Ribeye', title: '16oz', sku: 'WR-16', price: '89.00' });
+  const brisket = shopify.addVariant({ product_title: 'Prime Brisket', sku: 'PB-1', price: '120.00' });
+  const burger = shopify.addVariant({ product_title: 'Burger Blend', sku: 'BB-2', price: '30.00' });
+  shopify.addOrder({ customer_id: customer.id, created_at: daysAgo(120), line_items: [{ variant_id: ribeye.id }, { variant_id: brisket.id }] });
+  shopify.addOrder({ customer_id: customer.id, created_at: daysAgo(60), line_items: [{ variant_id: ribeye.id, quantity: 2 }, { variant_id: burger.id }] });
+  shopify.addOrder({ customer_id: customer.id, created_at: daysAgo(10), line_items: [{ variant_id: ribeye.id }, { variant_id: brisket.id }] });
+  return customer;
+}
+
+test('get-customer-order-history summarizes the caller\'s orders', async () => {
+  const customer = seedHistory();
+
+  const { body } = await app.post('/tools/get-customer-order-history', {
+    call: { call_id: newCallId(), direction: 'inbound', from_number: customer.phone },
+    args: {}
+  });
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.equal(body.total_orders, 3);
+  assert.equal(body.days_since_last_order, 10);
+  assert.equal(body.total_lifetime_spent, '626.00');
+  assert.match(body.speak, /Wagyu Ribeye/);
+});
+
+test('get-customer-order-history without a match says so', async () => {
+  const { body } = await app.post('/tools/get-customer-order-history', { args: { customer_phone: nextPhone() } });
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'No order history found');
+});
+
+test('get-customer-reorder-patterns finds loyalty items', async () => {
+  const customer = seedHistory();
+
+  const { body } = await app.post('/tools/get-customer-reorder-patterns', { args: { customer_phone: customer.phone } });
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.equal(body.total_orders, 3);
+  assert.equal(body.loyalty_items[0].name, 'Wagyu Ribeye');
+  assert.equal(body.loyalty_items[0].reorderCount, 3);
+  assert.deepEqual(body.frequently_reordered_items.map(i => i.name), ['Wagyu Ribeye', 'Prime Brisket']);
+  assert.match(body.speak, /analyzed your 3 orders/);
+});
@@ -0,0 +1,308 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Retell } from 'retell-sdk';
+import { startApp, waitFor } from '../helpers/app.js';
+
+let app;
+let shopify;
+let klaviyo;
+
+before(async () => {
+  app = await startApp();
+  ({ shopify, klaviyo } = app.fakes);
+});
+
+after(() => app?.close());
+
+beforeEach(() => app.resetFakes());
+
+let callSeq = 0;
+const newCallId = () => `call_webhook_${Date.now()}_${++callSeq}`;
+
+const deliver = (payload, options) => app.deliverWebhook(payload, options);
+
+async function outcomesFor(callId, event) {
+  return waitFor(async () => {
+    const { status, body } = await app.get(`/calls/${callId}/outcomes`);
+    return status === 200 && body.runs.some(run => run.event === event) ? body : null;
+  }, { message: `${event} outcomes for ${callId}` });
+}
+
+const stepOf = (outcomes, name) => outcomes.runs.flatMap(run => run.steps).find(s => s.step === name);
+
+test('rejects deliveries without a valid signature', async () => {
+  const payload = { event: 'call_ended', call: { call_id: newCallId() } };
+
+  const missing = await app.request('POST', '/webhooks/retell', { body: JSON.stringify(payload), raw: true });
+  assert.equal(missing.status, 401);
+
+  const forged = await deliver(payload, { signature: Retell.sign(JSON.stringify(payload), 'some-other-key') });
+  assert.equal(forged.status, 401);
+  assert.equal(forged.body, 'invalid-signature');
+});
+
+test('call_analyzed writes satisfaction notes and tags to the Shopify order', async () => {
+  const customer = shopify.addCustomer({ first_name: 'Dana', last_name: 'Reyes', email: 'dana@example.com', phone: '+16195550101' });
+  const order = shopify.addOrder({ customer_id: customer.id, order_number: 42507, tags: 'vip' });
+  const callId = newCallId();
+
+  const res = await deliver({
+    event: 'call_analyzed',
+    call: {
+      call_id: callId,
+      direction: 'outbound',
+      to_number: customer.phone,
+      transcript: 'Agent: How was your order? User: Great, but one steak was thawed.',
+      metadata: { order_number: '42507', source: 'meatery-post-delivery' },
+      call_analysis: { custom_analysis_data: { satisfied_score: 8, had_issue: true, issue_notes: 'one steak thawed' } }
+    }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body, 'ok');
+
+  const outcomes = await outcomesFor(callId, 'call_analyzed');
+  const notes = stepOf(outcomes, 'shopify_order_notes');
+  assert.equal(notes.status, 'success', JSON.stringify(notes));
+  assert.equal(outcomes.campaign, 'post_delivery');
+
+  const [put] = shopify.find('PUT', new RegExp(`/orders/${order.id}\\.json$`));
+  assert.ok(put, 'order was updated');
+  assert.match(put.body.order.note, /Post-delivery satisfaction: 8\/10/);
+  assert.match(put.body.order.note, /Issue: one steak thawed/);
+  assert.match(put.body.order.tags, /post-delivery-issue/);
+  assert.match(put.body.order.tags, /vip/);
+});
+
+test('repeated deliveries of the same event only run the pipeline once', async () => {
+  const callId = newCallId();
+  const payload = { event: 'call_ended', call: { call_id: callId, transcript: 'Agent: Thanks, bye!' } };
+
+  assert.equal((await deliver(payload)).body, 'ok');
+  await outcomesFor(callId, 'call_ended');
+  const again = await deliver(payload);
+  assert.equal(again.status, 200);
+  assert.equal(again.body, 'duplicate');
+
+  const { body } = await app.get(`/calls/${callId}/outcomes`);
+  assert.equal(body.runs.length, 1);
+});
+
+test('claims left behind by a crashed run can be taken again once stale', async () => {
+  const callId = newCallId();
+  const freshCallId = newCallId();
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const justNow = new Date().toISOString();
+  const storePath = path.join(app.workDir, 'data', 'webhook-events.json');
+  const store = fs.existsSync(storePath) ? JSON.parse(fs.readFileSync(storePath, 'utf8')) : {};
+  store.events = {
+    ...store.events,
+    [`${callId}:call_ended`]: { call_id: callId, type: 'call_ended', status: 'processing', received_at: hourAgo, claimed_at: hourAgo, updated_at: justNow, deliveries: 3 },
+    [`${freshCallId}:call_ended`]: { call_id: freshCallId, type: 'call_ended', status: 'processing', received_at: justNow, claimed_at: justNow, updated_at: justNow, deliveries: 1 }
+  };
+  store.effects = {
+    ...store.effects,
+    [`${callId}:discount`]: { call_id: callId, effect: 'discount', source: 'tool', status: 'claimed', received_at: hourAgo, claimed_at: hourAgo, updated_at: hourAgo }
+  };
+  fs.writeFileSync(storePath, JSON.stringify(store));
+
+  assert.equal((await deliver({ event: 'call_ended', call: { call_id: freshCallId, transcript: 'Agent: Bye!' } })).body, 'duplicate');
+  assert.equal((await deliver({ event: 'call_ended', call: { call_id: callId, transcript: 'Agent: Bye!' } })).body, 'ok');
+  await outcomesFor(callId, 'call_ended');
+
+  const customer = shopify.addCustomer({ first_name: 'Lou', email: 'lou@example.com', phone: '+16195550104' });
+  const { body } = await app.post('/tools/send-discount', { call: { call_id: callId, to_number: customer.phone }, args: { customer_name: 'Lou', customer_email: customer.email } });
+  assert.equal(body.success, true, JSON.stringify(body));
+  assert.notEqual(body.duplicate, true);
+  assert.equal(shopify.graphqlCalls('discountCodeBasicCreate').length, 1);
+
+  const saved = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  assert.ok(saved.events[`${callId}:call_ended`].claimed_at > hourAgo);
+  assert.equal(saved.effects[`${callId}:discount`].status, 'done');
+});
+
+test('a voicemail creates a win-back draft order and a Voicemail Left event', async () => {
+  // The voicemail follow-up always offers the four wagyu cuts
+  for (const [id, title] of [
+    [37661352100037, 'Japanese A5 Wagyu Ribeye'],
+    [40158682316997, 'Japanese A5 Wagyu Filet Mignon'],
+    [45106426609880, 'Australian Wagyu Ribeye 16oz'],
+    [39900512813253, 'Australian Wagyu Filet Mignon']
+  ]) shopify.addVariant({ id, product_title: title, price: '105.00' });
+  const customer = shopify.addCustomer({ first_name: 'Sam', last_name: 'Ortiz', email: 'sam@example.com', phone: '+16195550102' });
+  const callId = newCallId();
+
+  await deliver({
+    event: 'call_analyzed',
+    call: {
+      call_id: callId,
+      direction: 'outbound',
+      from_number: '+16195550000',
+      to_number: customer.phone,
+      disconnection_reason: 'voicemail_reached',
+      transcript: 'Agent: Hi Sam, this is Grace from The Meatery...',
+      metadata: { customer_name: 'Sam Ortiz', customer_email: 'sam@example.com', source: 'winback_campaign' }
+    }
+  });
+
+  const outcomes = await outcomesFor(callId, 'call_analyzed');
+  assert.equal(stepOf(outcomes, 'voicemail_draft_order').status, 'success', JSON.stringify(stepOf(outcomes, 'voicemail_draft_order')));
+  assert.equal(stepOf(outcomes, 'voicemail_klaviyo_event').status, 'success', JSON.stringify(stepOf(outcomes, 'voicemail_klaviyo_event')));
+
+  const [draft] = shopify.graphqlCalls('draftOrderCreate');
+  assert.equal(draft.input.lineItems.length, 4);
+  assert.equal(draft.input.purchasingEntity.customerId, `gid://shopify/Customer/${customer.id}`);
+  assert.equal(draft.input.appliedDiscount.valueType, 'PERCENTAGE');
+  assert.equal(shopify.graphqlCalls('draftOrderInvoiceSend').length, 1);
+
+  const [event] = klaviyo.events('Grace Voicemail Left');
+  assert.ok(event, 'Voicemail Left event sent');
+  assert.match(JSON.stringify(event.properties), /invoices\//);
+
+  // The answered-rate bookkeeping counts the voicemail against the caller ID
+  const pool = stepOf(outcomes, 'phone_pool_outcome');
+  assert.equal(pool.status, 'success');
+  assert.equal(pool.result.answered, false);
+
+  const { body: record } = await app.get(`/calls/records/${callId}`);
+  assert.equal(record.outcome, 'voicemail');
+  assert.ok(record.actions.some(a => a.step === 'voicemail_draft_order' && a.event === 'call_analyzed'));
+});
+
+test('a voicemail still gets its Klaviyo event when the draft order fails', async () => {
+  shopify.graphql('draftOrderCreate', () => { throw new Error('Internal error'); });
+  const callId = newCallId();
+
+  await deliver({
+    event: 'call_analyzed',
+    call: {
+      call_id: callId,
+      direction: 'outbound',
+      from_number: '+16195550000',
+      to_number: '+16195550103',
+      disconnection_reason: 'voicemail_reached',
+      transcript: 'Agent: Hi Pat, this is Grace from The Meatery...',
+      metadata: { customer_name: 'Pat Lee', customer_email: 'pat@example.com', source: 'winback_campaign' }
+    }
+  });
+
+  const outcomes = await outcomesFor(callId, 'call_analyzed');
+  assert.equal(stepOf(outcomes, 'voicemail_draft_order').status, 'failed');
+  const step = stepOf(outcomes, 'voicemail_klaviyo_event');
+  assert.equal(step.status, 'success', JSON.stringify(step));
+  assert.deepEqual(step.result, { to: 'pat@example.com', draft_order_id: null });
+
+  const [event] = klaviyo.events('Grace Voicemail Left');
+  assert.ok(event, 'Voicemail Left event sent');
+  for (const field of ['checkout_url', 'total_value', 'original_value']) {
+    assert.equal(field in event.properties, false, `${field} left out without a draft order`);
+  }
+
+  // Replaying the draft order sends the checkout link the first event was missing
+  shopify.graphql('draftOrderCreate', null);
+  [37661352100037, 40158682316997, 45106426609880, 39900512813253]
+    .forEach(id => shopify.addVariant({ id, product_title: 'Wagyu', price: '105.00' }));
+  const replay = await app.post(`/admin/dead-letters/${stepOf(outcomes, 'voicemail_draft_order').dead_letter_id}/replay`, {});
+  assert.equal(replay.body.status, 'resolved', JSON.stringify(replay.body));
+  const events = klaviyo.events('Grace Voicemail Left');
+  assert.equal(events.length, 2);
+  assert.match(events[1].properties.checkout_url, /invoices\//);
+  assert.ok(events[1].properties.draft_order_id);
+});
+
+test('a promised discount is created in Shopify and announced to Klaviyo', async () => {
+  const customer = shopify.addCustomer({ first_name: 'Lee', last_name: 'Park', email: 'lee@example.com', phone: '+16195550103' });
+  const callId = newCallId();
+
+  await deliver({
+    event: 'call_ended',
+    call: {
+      call_id: callId,
+      direction: 'outbound',
+      to_number: customer.phone,
+      transcript: 'Agent: I can text you a 10% off code right now.',
+      metadata: { customer_name: 'Lee Park', customer_email: 'lee@example.com' }
+    }
+  });
+
+  const outcomes = await outcomesFor(callId, 'call_ended');
+  const step = stepOf(outcomes, 'discount_sms');
+  assert.equal(step.status, 'success', JSON.stringify(step));
+  assert.equal(step.result.discount_value, 10);
+
+  const [created] = shopify.graphqlCalls('discountCodeBasicCreate');
+  assert.equal(created.input.code, step.result.discount_code);
+  assert.equal(klaviyo.events('Grace Discount Offered').length, 1);
+});
+
+test('an opt-out request adds the number to the do-not-call list', async () => {
+  const callId = newCallId();
+  await deliver({
+    event: 'call_analyzed',
+    call: {
+      call_id: callId,
+      direction: 'outbound',
+      to_number: '+16195550104',
+      transcript: 'User: Please stop calling me.',
+      metadata: { customer_phone: '+16195550104' },
+      call_analysis: { custom_analysis_data: { requested_opt_out: true } }
+    }
+  });
+
+  const outcomes = await outcomesFor(callId, 'call_analyzed');
+  assert.deepEqual(stepOf(outcomes, 'dnc_opt_out').result, { phone: '+16195550104' });
+
+  const { body } = await app.get('/calls/outcomes');
+  assert.ok(body.steps.some(s => s.name === 'dnc_opt_out'));
+  assert.ok(body.calls.some(c => c.call_id === callId));
+});
+
+test('call events are joined into one call record that can be queried', async () => {
+  const callId = newCallId();
+  const startedAt = Date.now() - 95_000;
+  const call = {
+    call_id: callId,
+    agent_id: 'agent_post_delivery',
+    direction: 'outbound',
+    from_number: '+16195550000',
+    to_number: '+16195550105',
+    start_timestamp: startedAt,
+    metadata: { order_number: '42600', customer_name: 'Ari Cole', customer_email: 'Ari@Example.com', source: 'meatery-post-delivery' }
+  };
+
+  await deliver({ event: 'call_started', call });
+  await deliver({ event: 'call_ended', call: { ...call, end_timestamp: startedAt + 90_000, disconnection_reason: 'user_hangup', transcript: 'Agent: How was everything? User: Perfect.' } });
+  await deliver({
+    event: 'call_analyzed',
+    call: {
+      ...call,
+      call_analysis: { call_successful: true, user_sentiment: 'Positive', call_summary: 'Happy customer', custom_analysis_data: { satisfied_score: 9, had_issue: false } }
+    }
+  });
+  await outcomesFor(callId, 'call_analyzed');
+
+  const { body: record } = await app.get(`/calls/records/${callId}`);
+  assert.equal(record.status, 'analyzed');
+  assert.equal(record.outcome, 'successful');
+  assert.equal(record.campaign, 'post_delivery');
+  assert.equal(record.duration_ms, 90_000);
+  assert.equal(record.sentiment, 'Positive');
+  assert.equal(record.satisfaction, 9);
+  assert.equal(record.voicemail, false);
+  assert.deepEqual(record.customer, { phone: '+16195550105', email: 'Ari@Example.com', name: 'Ari Cole', id: null });
+  assert.deepEqual(record.events.map(e => e.type), ['call_started', 'call_ended', 'call_analyzed']);
+
+  const byCustomer = await app.get('/calls/records?customer=ari@example.com');
+  assert.deepEqual(byCustomer.body.records.map(r => r.call_id), [callId]);
+  const byPhone = await app.get(`/calls/records?customer=${encodeURIComponent('(619) 555-0105')}&outcome=successful`);
+  assert.equal(byPhone.body.total, 1);
+  const otherAgent = await app.get('/calls/records?agent_id=agent_someone_else');
+  assert.equal(otherAgent.body.total, 0);
+  const future = await app.get(`/calls/records?customer=%2B16195550105&from=${new Date(Date.now() + 60_000).toISOString()}`);
+  assert.equal(future.body.total, 0);
+
+  const { body: summary } = await app.get('/calls/summary?campaign=post_delivery&customer=%2B16195550105');
+  assert.equal(summary.by_outcome.successful, 1);
+  assert.equal(summary.avg_satisfaction, 9);
+});